@@ -7,6 +7,8 @@ module.exports = {
     Body :                          require('./objects/Body'),
     Box :                           require('./shapes/Box'),
     Broadphase :                    require('./collision/Broadphase'),
+    Capsule :                       require('./shapes/Capsule'),
+    CharacterController :           require('./objects/CharacterController'),
     Constraint :                    require('./constraints/Constraint'),
     ContactEquation :               require('./equations/ContactEquation'),
     Narrowphase :                   require('./world/Narrowphase'),
@@ -14,14 +16,18 @@ module.exports = {
     ContactMaterial :               require('./material/ContactMaterial'),
     ConvexPolyhedron :              require('./shapes/ConvexPolyhedron'),
     Cylinder :                      require('./shapes/Cylinder'),
+    DynamicAABBTreeBroadphase :     require('./collision/DynamicAABBTreeBroadphase'),
     DistanceConstraint :            require('./constraints/DistanceConstraint'),
     Equation :                      require('./equations/Equation'),
     EventTarget :                   require('./utils/EventTarget'),
     FrictionEquation :              require('./equations/FrictionEquation'),
     GSSolver :                      require('./solver/GSSolver'),
+    Generic6DofConstraint :         require('./constraints/Generic6DofConstraint'),
+    Generic6DofSpringConstraint :   require('./constraints/Generic6DofSpringConstraint'),
     GridBroadphase :                require('./collision/GridBroadphase'),
     Heightfield :                   require('./shapes/Heightfield'),
     HingeConstraint :               require('./constraints/HingeConstraint'),
+    IslandGraph :                   require('./solver/IslandGraph'),
     LockConstraint :                require('./constraints/LockConstraint'),
     Mat3 :                          require('./math/Mat3'),
     Material :                      require('./material/Material'),
@@ -32,6 +38,7 @@ module.exports = {
     Plane :                         require('./shapes/Plane'),
     PointToPointConstraint :        require('./constraints/PointToPointConstraint'),
     Quaternion :                    require('./math/Quaternion'),
+    Ragdoll :                       require('./objects/Ragdoll'),
     Ray :                           require('./collision/Ray'),
     RaycastVehicle :                require('./objects/RaycastVehicle'),
     RaycastResult :                 require('./collision/RaycastResult'),
@@ -39,6 +46,9 @@ module.exports = {
     RotationalEquation :            require('./equations/RotationalEquation'),
     RotationalMotorEquation :       require('./equations/RotationalMotorEquation'),
     SAPBroadphase :                 require('./collision/SAPBroadphase'),
+    ShapeCastResult :               require('./collision/ShapeCastResult'),
+    Serializer :                    require('./world/Serializer'),
+    SliderConstraint :              require('./constraints/SliderConstraint'),
     SPHSystem :                     require('./objects/SPHSystem'),
     Shape :                         require('./shapes/Shape'),
     Solver :                        require('./solver/Solver'),
@@ -49,5 +59,7 @@ module.exports = {
     Trimesh :                       require('./shapes/Trimesh'),
     Vec3 :                          require('./math/Vec3'),
     Vec3Pool :                      require('./utils/Vec3Pool'),
+    WorkerWorld :                   require('./world/WorkerWorld'),
+    WorkerWorldHost :               require('./world/WorkerWorldHost'),
     World :                         require('./world/World'),
 };
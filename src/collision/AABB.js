@@ -319,4 +319,52 @@ AABB.prototype.overlapsRay = function(ray){
     }
 
     return true;
-};
\ No newline at end of file
+};
+
+/**
+ * Check if the AABB overlaps the line segment between two points.
+ * @method overlapsSegment
+ * @param  {Vec3} from
+ * @param  {Vec3} to
+ * @return {Boolean}
+ */
+AABB.prototype.overlapsSegment = function(from, to){
+    var tmin = 0,
+        tmax = 1,
+        l = this.lowerBound,
+        u = this.upperBound;
+
+    // Clip the segment against the slab of each axis
+    for(var axis=0; axis!==3; axis++){
+        var start, delta, lower, upper;
+        if(axis === 0){
+            start = from.x; delta = to.x - from.x; lower = l.x; upper = u.x;
+        } else if(axis === 1){
+            start = from.y; delta = to.y - from.y; lower = l.y; upper = u.y;
+        } else {
+            start = from.z; delta = to.z - from.z; lower = l.z; upper = u.z;
+        }
+
+        if(delta === 0){
+            if(start < lower || start > upper){
+                return false;
+            }
+            continue;
+        }
+
+        var t1 = (lower - start) / delta,
+            t2 = (upper - start) / delta;
+        if(t1 > t2){
+            var tmp = t1;
+            t1 = t2;
+            t2 = tmp;
+        }
+        tmin = Math.max(tmin, t1);
+        tmax = Math.min(tmax, t2);
+        if(tmin > tmax){
+            return false;
+        }
+    }
+
+    return true;
+};
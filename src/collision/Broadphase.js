@@ -3,6 +3,7 @@ var Vec3 = require('../math/Vec3');
 var Quaternion = require('../math/Quaternion');
 var Shape = require('../shapes/Shape');
 var Plane = require('../shapes/Plane');
+var AABB = require('./AABB');
 
 module.exports = Broadphase;
 
@@ -162,13 +163,65 @@ Broadphase.prototype.makePairsUnique = function(pairs1,pairs2){
         t.keys.push(key);
     }
 
+    // A key is added once per duplicate, but the pair should only be added once
     for(var i=0; i!==t.keys.length; i++){
-        var key = t.keys.pop(),
+        var key = t.keys[i],
             pairIndex = t[key];
-        pairs1.push(p1[pairIndex]);
-        pairs2.push(p2[pairIndex]);
-        delete t[key];
+        if(pairIndex !== undefined){
+            pairs1.push(p1[pairIndex]);
+            pairs2.push(p2[pairIndex]);
+            delete t[key];
+        }
     }
+    t.keys.length = 0;
+};
+
+var Broadphase_sortPairs_order = [],
+    Broadphase_sortPairs_keys = [],
+    Broadphase_sortPairs_p1 = [],
+    Broadphase_sortPairs_p2 = [];
+
+function sortPairs_compare(a, b){
+    return Broadphase_sortPairs_keys[a] - Broadphase_sortPairs_keys[b];
+}
+
+/**
+ * Sort the pairs by the world index of their bodies, and put the body with the lowest index first in each pair. Makes the pair order independent of the broadphase algorithm and its history. Used by the World in deterministic mode, see World.deterministic.
+ * @method sortPairs
+ * @param {Array} pairs1
+ * @param {Array} pairs2
+ */
+Broadphase.prototype.sortPairs = function(pairs1,pairs2){
+    var order = Broadphase_sortPairs_order,
+        keys = Broadphase_sortPairs_keys,
+        p1 = Broadphase_sortPairs_p1,
+        p2 = Broadphase_sortPairs_p2,
+        N = pairs1.length,
+        i;
+
+    order.length = keys.length = p1.length = p2.length = N;
+    for(i=0; i!==N; i++){
+        var bi = pairs1[i],
+            bj = pairs2[i];
+        if(bj.index < bi.index){
+            var tmp = bi;
+            bi = bj;
+            bj = tmp;
+        }
+        p1[i] = bi;
+        p2[i] = bj;
+        keys[i] = bi.index * 0x100000 + bj.index;
+        order[i] = i;
+    }
+
+    order.sort(sortPairs_compare);
+
+    for(i=0; i!==N; i++){
+        pairs1[i] = p1[order[i]];
+        pairs2[i] = p2[order[i]];
+    }
+
+    p1.length = p2.length = 0;
 };
 
 /**
@@ -204,4 +257,35 @@ Broadphase.boundingSphereCheck = function(bodyA,bodyB){
 Broadphase.prototype.aabbQuery = function(world, aabb, result){
     console.warn('.aabbQuery is not implemented in this Broadphase subclass.');
     return [];
-};
\ No newline at end of file
+};
+
+var Broadphase_rayQuery_aabb = new AABB();
+
+/**
+ * Returns all the bodies whose AABB is hit by the segment between ray.from and ray.to. Subclasses can override this with something faster; the default implementation filters the result of .aabbQuery().
+ * @method rayQuery
+ * @param  {World} world
+ * @param  {Ray} ray
+ * @param  {array} result An array to store resulting bodies in.
+ * @return {array}
+ */
+Broadphase.prototype.rayQuery = function(world, ray, result){
+    result = result || [];
+
+    var aabb = Broadphase_rayQuery_aabb;
+    ray.getAABB(aabb);
+    var start = result.length;
+    this.aabbQuery(world, aabb, result);
+
+    // Remove the bodies that are not along the segment
+    var j = start;
+    for(var i=start; i<result.length; i++){
+        var body = result[i];
+        if(body.aabb.overlapsSegment(ray.from, ray.to)){
+            result[j++] = body;
+        }
+    }
+    result.length = j;
+
+    return result;
+};
@@ -0,0 +1,569 @@
+var Broadphase = require('./Broadphase');
+var AABB = require('./AABB');
+var Body = require('../objects/Body');
+
+module.exports = DynamicAABBTreeBroadphase;
+
+/**
+ * Broadphase that keeps the bodies in a dynamic bounding volume tree, like the one in Box2D and Bullet. Each body is stored in a leaf with a fattened AABB, so the tree only needs to be updated when a body moves out of its fattened AABB. The tree is kept balanced using rotations.
+ *
+ * Queries and collision pairs are found in O(log(n)) per body, without the fixed bounds of GridBroadphase, and without SAPBroadphase's problem with bodies lined up along its axis.
+ *
+ * @class DynamicAABBTreeBroadphase
+ * @constructor
+ * @extends Broadphase
+ * @param {object} [options]
+ * @param {Number} [options.margin=0.1] How much to fatten the AABBs of the bodies, in each direction.
+ * @example
+ *     var world = new World({
+ *         broadphase: new DynamicAABBTreeBroadphase()
+ *     });
+ */
+function DynamicAABBTreeBroadphase(options){
+    Broadphase.apply(this);
+
+    options = options || {};
+
+    // The candidate pairs come from the AABBs anyway
+    this.useBoundingBoxes = true;
+
+    /**
+     * How much to fatten the AABBs of the bodies, in each direction. A larger margin means fewer tree updates but more candidate pairs.
+     * @property {Number} margin
+     */
+    this.margin = typeof(options.margin) !== 'undefined' ? options.margin : 0.1;
+
+    /**
+     * The root node of the tree. A node has the properties aabb, parent, child1, child2, height and body. Leaves have a body and no children.
+     * @property {object} root
+     */
+    this.root = null;
+
+    /**
+     * Leaf nodes, by body id.
+     * @property {object} leaves
+     * @private
+     */
+    this.leaves = {};
+
+    /**
+     * @property {Array} nodePool
+     * @private
+     */
+    this.nodePool = [];
+
+    var that = this;
+
+    this._addBodyHandler = function(e){
+        that.insertBody(e.body);
+    };
+
+    this._removeBodyHandler = function(e){
+        that.removeBody(e.body);
+    };
+}
+DynamicAABBTreeBroadphase.prototype = new Broadphase();
+DynamicAABBTreeBroadphase.prototype.constructor = DynamicAABBTreeBroadphase;
+
+/**
+ * Change the world
+ * @method setWorld
+ * @param  {World} world
+ */
+DynamicAABBTreeBroadphase.prototype.setWorld = function(world){
+    var i;
+
+    // Remove the bodies of the old world
+    if(this.world){
+        this.world.removeEventListener("addBody", this._addBodyHandler);
+        this.world.removeEventListener("removeBody", this._removeBodyHandler);
+        for(i=0; i<this.world.bodies.length; i++){
+            this.removeBody(this.world.bodies[i]);
+        }
+    }
+
+    for(i=0; i<world.bodies.length; i++){
+        this.insertBody(world.bodies[i]);
+    }
+
+    world.addEventListener("addBody", this._addBodyHandler);
+    world.addEventListener("removeBody", this._removeBodyHandler);
+
+    this.world = world;
+    this.dirty = true;
+};
+
+/**
+ * @method createNode
+ * @private
+ * @return {object}
+ */
+DynamicAABBTreeBroadphase.prototype.createNode = function(){
+    var node = this.nodePool.length ? this.nodePool.pop() : {
+        aabb: new AABB(),
+        parent: null,
+        child1: null,
+        child2: null,
+        height: 0,
+        body: null
+    };
+    node.parent = node.child1 = node.child2 = node.body = null;
+    node.height = 0;
+    return node;
+};
+
+/**
+ * @method destroyNode
+ * @private
+ * @param {object} node
+ */
+DynamicAABBTreeBroadphase.prototype.destroyNode = function(node){
+    node.parent = node.child1 = node.child2 = node.body = null;
+    this.nodePool.push(node);
+};
+
+/**
+ * Add a body to the tree.
+ * @method insertBody
+ * @private
+ * @param {Body} body
+ */
+DynamicAABBTreeBroadphase.prototype.insertBody = function(body){
+    if(this.leaves[body.id]){
+        return;
+    }
+    var leaf = this.createNode();
+    leaf.body = body;
+    this.fattenAABB(body, leaf.aabb);
+    this.leaves[body.id] = leaf;
+    this.insertLeaf(leaf);
+};
+
+/**
+ * Remove a body from the tree.
+ * @method removeBody
+ * @private
+ * @param {Body} body
+ */
+DynamicAABBTreeBroadphase.prototype.removeBody = function(body){
+    var leaf = this.leaves[body.id];
+    if(!leaf){
+        return;
+    }
+    this.removeLeaf(leaf);
+    delete this.leaves[body.id];
+    this.destroyNode(leaf);
+};
+
+/**
+ * Get the fattened AABB of a body.
+ * @method fattenAABB
+ * @private
+ * @param {Body} body
+ * @param {AABB} target
+ */
+DynamicAABBTreeBroadphase.prototype.fattenAABB = function(body, target){
+    if(body.aabbNeedsUpdate){
+        body.computeAABB();
+    }
+    var margin = this.margin;
+    target.copy(body.aabb);
+    target.lowerBound.x -= margin;
+    target.lowerBound.y -= margin;
+    target.lowerBound.z -= margin;
+    target.upperBound.x += margin;
+    target.upperBound.y += margin;
+    target.upperBound.z += margin;
+};
+
+/**
+ * Reinsert the bodies that moved out of their fattened AABB.
+ * @method updateTree
+ * @param {World} world
+ */
+DynamicAABBTreeBroadphase.prototype.updateTree = function(world){
+    var bodies = world.bodies;
+    for(var i=0; i!==bodies.length; i++){
+        var body = bodies[i],
+            leaf = this.leaves[body.id];
+        if(!leaf){
+            this.insertBody(body);
+            continue;
+        }
+        if(body.aabbNeedsUpdate){
+            body.computeAABB();
+        }
+        if(!leaf.aabb.contains(body.aabb)){
+            this.removeLeaf(leaf);
+            this.fattenAABB(body, leaf.aabb);
+            this.insertLeaf(leaf);
+        }
+    }
+};
+
+// Surface area heuristic. The extents are clamped, since planes have infinite AABBs.
+var MAX_EXTENT = 1e10;
+function getCost(aabb){
+    var l = aabb.lowerBound,
+        u = aabb.upperBound,
+        x = Math.min(u.x - l.x, MAX_EXTENT),
+        y = Math.min(u.y - l.y, MAX_EXTENT),
+        z = Math.min(u.z - l.z, MAX_EXTENT);
+    return 2 * (x * y + y * z + z * x);
+}
+
+var combined = new AABB();
+function getCombinedCost(a, b){
+    combined.copy(a);
+    combined.extend(b);
+    return getCost(combined);
+}
+
+function setCombined(target, a, b){
+    target.copy(a);
+    target.extend(b);
+}
+
+/**
+ * @method insertLeaf
+ * @private
+ * @param {object} leaf
+ */
+DynamicAABBTreeBroadphase.prototype.insertLeaf = function(leaf){
+    if(!this.root){
+        this.root = leaf;
+        leaf.parent = null;
+        return;
+    }
+
+    // Find the best sibling for the leaf
+    var leafAABB = leaf.aabb,
+        index = this.root;
+    while(index.child1){
+        var child1 = index.child1,
+            child2 = index.child2,
+            area = getCost(index.aabb),
+            combinedArea = getCombinedCost(index.aabb, leafAABB);
+
+        // Cost of creating a new parent for this node and the new leaf
+        var cost = 2 * combinedArea;
+
+        // Minimum cost of pushing the leaf further down the tree
+        var inheritanceCost = 2 * (combinedArea - area);
+
+        // Cost of descending into the children
+        var cost1 = getCombinedCost(leafAABB, child1.aabb) + inheritanceCost;
+        if(child1.child1){
+            cost1 -= getCost(child1.aabb);
+        }
+        var cost2 = getCombinedCost(leafAABB, child2.aabb) + inheritanceCost;
+        if(child2.child1){
+            cost2 -= getCost(child2.aabb);
+        }
+
+        if(cost < cost1 && cost < cost2){
+            break;
+        }
+
+        index = cost1 < cost2 ? child1 : child2;
+    }
+    var sibling = index;
+
+    // Create a new parent
+    var oldParent = sibling.parent,
+        newParent = this.createNode();
+    newParent.parent = oldParent;
+    setCombined(newParent.aabb, leafAABB, sibling.aabb);
+    newParent.height = sibling.height + 1;
+    newParent.child1 = sibling;
+    newParent.child2 = leaf;
+    sibling.parent = newParent;
+    leaf.parent = newParent;
+
+    if(oldParent){
+        if(oldParent.child1 === sibling){
+            oldParent.child1 = newParent;
+        } else {
+            oldParent.child2 = newParent;
+        }
+    } else {
+        this.root = newParent;
+    }
+
+    this.refit(leaf.parent);
+};
+
+/**
+ * @method removeLeaf
+ * @private
+ * @param {object} leaf
+ */
+DynamicAABBTreeBroadphase.prototype.removeLeaf = function(leaf){
+    if(leaf === this.root){
+        this.root = null;
+        return;
+    }
+
+    var parent = leaf.parent,
+        grandParent = parent.parent,
+        sibling = parent.child1 === leaf ? parent.child2 : parent.child1;
+
+    leaf.parent = null;
+    this.destroyNode(parent);
+
+    if(grandParent){
+        // Replace the parent with the sibling
+        if(grandParent.child1 === parent){
+            grandParent.child1 = sibling;
+        } else {
+            grandParent.child2 = sibling;
+        }
+        sibling.parent = grandParent;
+        this.refit(grandParent);
+    } else {
+        this.root = sibling;
+        sibling.parent = null;
+    }
+};
+
+/**
+ * Walk up the tree from a node, balancing it and updating the heights and AABBs.
+ * @method refit
+ * @private
+ * @param {object} node
+ */
+DynamicAABBTreeBroadphase.prototype.refit = function(node){
+    while(node){
+        node = this.balance(node);
+        var child1 = node.child1,
+            child2 = node.child2;
+        node.height = 1 + Math.max(child1.height, child2.height);
+        setCombined(node.aabb, child1.aabb, child2.aabb);
+        node = node.parent;
+    }
+};
+
+/**
+ * Perform a left or right rotation if node A is imbalanced.
+ * @method balance
+ * @private
+ * @param {object} A
+ * @return {object} The new root of the subtree.
+ */
+DynamicAABBTreeBroadphase.prototype.balance = function(A){
+    if(!A.child1 || A.height < 2){
+        return A;
+    }
+
+    var B = A.child1,
+        C = A.child2,
+        balance = C.height - B.height;
+
+    if(balance > 1){
+        // Rotate C up
+        this.rotateUp(A, C, B, false);
+        return C;
+    }
+
+    if(balance < -1){
+        // Rotate B up
+        this.rotateUp(A, B, C, true);
+        return B;
+    }
+
+    return A;
+};
+
+/**
+ * Rotate the child X of A up, to the place of A. The shortest child of X takes the place of X under A.
+ * @method rotateUp
+ * @private
+ * @param {object} A
+ * @param {object} X The high child of A.
+ * @param {object} Y The other child of A.
+ * @param {boolean} xIsChild1
+ */
+DynamicAABBTreeBroadphase.prototype.rotateUp = function(A, X, Y, xIsChild1){
+    var F = X.child1,
+        G = X.child2;
+
+    // Swap A and X
+    X.child1 = A;
+    X.parent = A.parent;
+    A.parent = X;
+
+    if(X.parent){
+        if(X.parent.child1 === A){
+            X.parent.child1 = X;
+        } else {
+            X.parent.child2 = X;
+        }
+    } else {
+        this.root = X;
+    }
+
+    // Keep the highest child of X, give the other one to A
+    var high = F,
+        low = G;
+    if(G.height > F.height){
+        high = G;
+        low = F;
+    }
+    X.child2 = high;
+    if(xIsChild1){
+        A.child1 = low;
+    } else {
+        A.child2 = low;
+    }
+    low.parent = A;
+
+    setCombined(A.aabb, Y.aabb, low.aabb);
+    setCombined(X.aabb, A.aabb, high.aabb);
+    A.height = 1 + Math.max(Y.height, low.height);
+    X.height = 1 + Math.max(A.height, high.height);
+};
+
+var queryStack = [];
+
+/**
+ * Get the leaves whose fattened AABB overlaps an AABB.
+ * @method queryLeaves
+ * @private
+ * @param {AABB} aabb
+ * @param {Array} result
+ */
+DynamicAABBTreeBroadphase.prototype.queryLeaves = function(aabb, result){
+    var stack = queryStack;
+    if(!this.root){
+        return;
+    }
+    stack.push(this.root);
+    while(stack.length){
+        var node = stack.pop();
+        if(!node.aabb.overlaps(aabb)){
+            continue;
+        }
+        if(node.child1){
+            stack.push(node.child1, node.child2);
+        } else {
+            result.push(node);
+        }
+    }
+};
+
+var collisionPairs_leaves = [];
+
+function isActive(body){
+    return (body.type & Body.STATIC) === 0 && body.sleepState !== Body.SLEEPING;
+}
+
+/**
+ * Get all the collision pairs in the physics world. The pairs are sorted by body index, since the order the tree returns them in depends on its shape, which depends on its history. See Broadphase.sortPairs.
+ * @method collisionPairs
+ * @param {World} world
+ * @param {Array} pairs1
+ * @param {Array} pairs2
+ */
+DynamicAABBTreeBroadphase.prototype.collisionPairs = function(world, pairs1, pairs2){
+    var bodies = world.bodies,
+        leaves = collisionPairs_leaves;
+
+    if(this.dirty){
+        this.updateTree(world);
+        this.dirty = false;
+    }
+
+    // Static and sleeping bodies can only collide with active bodies, so only the active bodies need to query the tree
+    for(var i=0; i!==bodies.length; i++){
+        var bi = bodies[i];
+        if(!isActive(bi)){
+            continue;
+        }
+
+        leaves.length = 0;
+        this.queryLeaves(bi.aabb, leaves);
+        for(var j=0; j!==leaves.length; j++){
+            var bj = leaves[j].body;
+
+            // Add each pair of active bodies once
+            if(bj === bi || (isActive(bj) && bj.index < bi.index)){
+                continue;
+            }
+
+            if(this.needBroadphaseCollision(bi,bj)){
+                this.intersectionTest(bi,bj,pairs1,pairs2);
+            }
+        }
+    }
+    leaves.length = 0;
+
+    this.sortPairs(pairs1,pairs2);
+};
+
+var aabbQuery_leaves = [];
+
+/**
+ * Returns all the bodies within an AABB.
+ * @method aabbQuery
+ * @param  {World} world
+ * @param  {AABB} aabb
+ * @param {array} result An array to store resulting bodies in.
+ * @return {array}
+ */
+DynamicAABBTreeBroadphase.prototype.aabbQuery = function(world, aabb, result){
+    var leaves = aabbQuery_leaves;
+    result = result || [];
+
+    if(this.dirty){
+        this.updateTree(world);
+        this.dirty = false;
+    }
+
+    leaves.length = 0;
+    this.queryLeaves(aabb, leaves);
+    for(var i=0; i!==leaves.length; i++){
+        var body = leaves[i].body;
+        if(body.aabb.overlaps(aabb)){
+            result.push(body);
+        }
+    }
+    leaves.length = 0;
+
+    return result;
+};
+
+/**
+ * Returns all the bodies whose AABB is hit by a ray, between its from and to points.
+ * @method rayQuery
+ * @param  {World} world
+ * @param  {Ray} ray
+ * @param {array} result An array to store resulting bodies in.
+ * @return {array}
+ */
+DynamicAABBTreeBroadphase.prototype.rayQuery = function(world, ray, result){
+    var stack = queryStack;
+    result = result || [];
+
+    if(this.dirty){
+        this.updateTree(world);
+        this.dirty = false;
+    }
+
+    if(!this.root){
+        return result;
+    }
+    stack.push(this.root);
+    while(stack.length){
+        var node = stack.pop();
+        if(!node.aabb.overlapsSegment(ray.from, ray.to)){
+            continue;
+        }
+        if(node.child1){
+            stack.push(node.child1, node.child2);
+        } else if(node.body.aabb.overlapsSegment(ray.from, ray.to)){
+            result.push(node.body);
+        }
+    }
+
+    return result;
+};
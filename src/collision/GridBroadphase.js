@@ -3,6 +3,7 @@ module.exports = GridBroadphase;
 var Broadphase = require('./Broadphase');
 var Vec3 = require('../math/Vec3');
 var Shape = require('../shapes/Shape');
+var AABB = require('./AABB');
 
 /**
  * Axis aligned uniform grid broadphase.
@@ -35,20 +36,86 @@ function GridBroadphase(aabbMin,aabbMax,nx,ny,nz){
 		this.bins[i]=[];
 		this.binLengths[i]=0;
 	}
+
+    var that = this;
+    this._bodiesChangedHandler = function(e){
+        that.dirty = true;
+    };
 }
 GridBroadphase.prototype = new Broadphase();
 GridBroadphase.prototype.constructor = GridBroadphase;
 
 /**
- * Get all the collision pairs in the physics world
- * @method collisionPairs
+ * Set up the handlers that mark the bins dirty when bodies are added or removed.
+ * @method setWorld
  * @param {World} world
- * @param {Array} pairs1
- * @param {Array} pairs2
  */
-var GridBroadphase_collisionPairs_d = new Vec3();
-var GridBroadphase_collisionPairs_binPos = new Vec3();
-GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
+GridBroadphase.prototype.setWorld = function(world){
+    if(this.world){
+        this.world.removeEventListener("addBody", this._bodiesChangedHandler);
+        this.world.removeEventListener("removeBody", this._bodiesChangedHandler);
+    }
+
+    world.addEventListener("addBody", this._bodiesChangedHandler);
+    world.addEventListener("removeBody", this._bodiesChangedHandler);
+
+    this.world = world;
+    this.dirty = true;
+};
+
+/**
+ * Get the range of bins overlapping a box. Bodies outside the grid are put in the border bins.
+ * @method getBinRange
+ * @private
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} z0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @param {Number} z1
+ * @param {Array} range The bin coordinates xi0, yi0, zi0, xi1, yi1, zi1 are stored in this array.
+ */
+GridBroadphase.prototype.getBinRange = function(x0,y0,z0,x1,y1,z1,range){
+    var max = this.aabbMax,
+        min = this.aabbMin,
+        nx = this.nx,
+        ny = this.ny,
+        nz = this.nz;
+
+    var xmult = nx / (max.x-min.x),
+        ymult = ny / (max.y-min.y),
+        zmult = nz / (max.z-min.z);
+
+    var xoff0 = ((x0 - min.x) * xmult)|0,
+        yoff0 = ((y0 - min.y) * ymult)|0,
+        zoff0 = ((z0 - min.z) * zmult)|0,
+        xoff1 = Math.ceil((x1 - min.x) * xmult),
+        yoff1 = Math.ceil((y1 - min.y) * ymult),
+        zoff1 = Math.ceil((z1 - min.z) * zmult);
+
+    if (xoff0 < 0) { xoff0 = 0; } else if (xoff0 >= nx) { xoff0 = nx - 1; }
+    if (yoff0 < 0) { yoff0 = 0; } else if (yoff0 >= ny) { yoff0 = ny - 1; }
+    if (zoff0 < 0) { zoff0 = 0; } else if (zoff0 >= nz) { zoff0 = nz - 1; }
+    if (xoff1 < 0) { xoff1 = 0; } else if (xoff1 >= nx) { xoff1 = nx - 1; }
+    if (yoff1 < 0) { yoff1 = 0; } else if (yoff1 >= ny) { yoff1 = ny - 1; }
+    if (zoff1 < 0) { zoff1 = 0; } else if (zoff1 >= nz) { zoff1 = nz - 1; }
+
+    range[0] = xoff0;
+    range[1] = yoff0;
+    range[2] = zoff0;
+    range[3] = xoff1;
+    range[4] = yoff1;
+    range[5] = zoff1;
+};
+
+/**
+ * Put all the bodies of the world into the bins.
+ * @method updateBins
+ * @param {World} world
+ */
+var GridBroadphase_updateBins_d = new Vec3();
+var GridBroadphase_updateBins_range = [0,0,0,0,0,0];
+GridBroadphase.prototype.updateBins = function(world){
     var N = world.numObjects(),
         bodies = world.bodies;
 
@@ -69,22 +136,13 @@ GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
         ymin = min.y,
         zmin = min.z;
 
-    var xmult = nx / (xmax-xmin),
-        ymult = ny / (ymax-ymin),
-        zmult = nz / (zmax-zmin);
-
     var binsizeX = (xmax - xmin) / nx,
         binsizeY = (ymax - ymin) / ny,
         binsizeZ = (zmax - zmin) / nz;
 
 	var binRadius = Math.sqrt(binsizeX*binsizeX + binsizeY*binsizeY + binsizeZ*binsizeZ) * 0.5;
 
-    var types = Shape.types;
-    var SPHERE =            types.SPHERE,
-        PLANE =             types.PLANE,
-        BOX =               types.BOX,
-        COMPOUND =          types.COMPOUND,
-        CONVEXPOLYHEDRON =  types.CONVEXPOLYHEDRON;
+    var PLANE = Shape.types.PLANE;
 
     var bins=this.bins,
 		binLengths=this.binLengths,
@@ -95,60 +153,14 @@ GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
         binLengths[i] = 0;
     }
 
-    var ceil = Math.ceil;
-	var min = Math.min;
-	var max = Math.max;
-
-	function addBoxToBins(x0,y0,z0,x1,y1,z1,bi) {
-		var xoff0 = ((x0 - xmin) * xmult)|0,
-			yoff0 = ((y0 - ymin) * ymult)|0,
-			zoff0 = ((z0 - zmin) * zmult)|0,
-			xoff1 = ceil((x1 - xmin) * xmult),
-			yoff1 = ceil((y1 - ymin) * ymult),
-			zoff1 = ceil((z1 - zmin) * zmult);
-
-		if (xoff0 < 0) { xoff0 = 0; } else if (xoff0 >= nx) { xoff0 = nx - 1; }
-		if (yoff0 < 0) { yoff0 = 0; } else if (yoff0 >= ny) { yoff0 = ny - 1; }
-		if (zoff0 < 0) { zoff0 = 0; } else if (zoff0 >= nz) { zoff0 = nz - 1; }
-		if (xoff1 < 0) { xoff1 = 0; } else if (xoff1 >= nx) { xoff1 = nx - 1; }
-		if (yoff1 < 0) { yoff1 = 0; } else if (yoff1 >= ny) { yoff1 = ny - 1; }
-		if (zoff1 < 0) { zoff1 = 0; } else if (zoff1 >= nz) { zoff1 = nz - 1; }
-
-		xoff0 *= xstep;
-		yoff0 *= ystep;
-		zoff0 *= zstep;
-		xoff1 *= xstep;
-		yoff1 *= ystep;
-		zoff1 *= zstep;
-
-		for (var xoff = xoff0; xoff <= xoff1; xoff += xstep) {
-			for (var yoff = yoff0; yoff <= yoff1; yoff += ystep) {
-				for (var zoff = zoff0; zoff <= zoff1; zoff += zstep) {
-					var idx = xoff+yoff+zoff;
-					bins[idx][binLengths[idx]++] = bi;
-				}
-			}
-		}
-	}
+    var range = GridBroadphase_updateBins_range;
 
     // Put all bodies into the bins
     for(var i=0; i!==N; i++){
         var bi = bodies[i];
-        var si = bi.shape;
-
-        switch(si.type){
-        case SPHERE:
-            // Put in bin
-            // check if overlap with other bins
-            var x = bi.position.x,
-                y = bi.position.y,
-                z = bi.position.z;
-            var r = si.radius;
+        var si = bi.shapes[0];
 
-			addBoxToBins(x-r, y-r, z-r, x+r, y+r, z+r, bi);
-            break;
-
-        case PLANE:
+        if(bi.shapes.length === 1 && si.type === PLANE){
             if(si.worldNormalNeedsUpdate){
                 si.computeWorldNormal(bi.quaternion);
             }
@@ -160,7 +172,7 @@ GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
 				yreset = ymin + binsizeY*0.5 - bi.position.y,
 				zreset = zmin + binsizeZ*0.5 - bi.position.z;
 
-            var d = GridBroadphase_collisionPairs_d;
+            var d = GridBroadphase_updateBins_d;
 			d.set(xreset, yreset, zreset);
 
 			for (var xi = 0, xoff = 0; xi !== nx; xi++, xoff += xstep, d.y = yreset, d.x += binsizeX) {
@@ -173,25 +185,44 @@ GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
 					}
 				}
 			}
-            break;
+            continue;
+        }
 
-        default:
-			if (bi.aabbNeedsUpdate) {
-				bi.computeAABB();
-			}
+        if (bi.aabbNeedsUpdate) {
+            bi.computeAABB();
+        }
+
+        var lower = bi.aabb.lowerBound,
+            upper = bi.aabb.upperBound;
+        this.getBinRange(lower.x, lower.y, lower.z, upper.x, upper.y, upper.z, range);
 
-			addBoxToBins(
-				bi.aabb.lowerBound.x,
-				bi.aabb.lowerBound.y,
-				bi.aabb.lowerBound.z,
-				bi.aabb.upperBound.x,
-				bi.aabb.upperBound.y,
-				bi.aabb.upperBound.z,
-				bi);
-            break;
+        for (var xi = range[0]; xi <= range[3]; xi++) {
+            for (var yi = range[1]; yi <= range[4]; yi++) {
+                for (var zi = range[2]; zi <= range[5]; zi++) {
+                    var idx = xi*xstep + yi*ystep + zi*zstep;
+                    bins[idx][binLengths[idx]++] = bi;
+                }
+            }
         }
     }
 
+    this.dirty = false;
+};
+
+/**
+ * Get all the collision pairs in the physics world
+ * @method collisionPairs
+ * @param {World} world
+ * @param {Array} pairs1
+ * @param {Array} pairs2
+ */
+GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
+    var bins=this.bins,
+		binLengths=this.binLengths,
+        Nbins=this.bins.length;
+
+    this.updateBins(world);
+
     // Check each bin
     for(var i=0; i!==Nbins; i++){
 		var binLength = binLengths[i];
@@ -226,3 +257,128 @@ GridBroadphase.prototype.collisionPairs = function(world,pairs1,pairs2){
 
     this.makePairsUnique(pairs1,pairs2);
 };
+
+/**
+ * Returns all the bodies within an AABB.
+ * @method aabbQuery
+ * @param  {World} world
+ * @param  {AABB} aabb
+ * @param {array} result An array to store resulting bodies in.
+ * @return {array}
+ */
+var GridBroadphase_aabbQuery_range = [0,0,0,0,0,0];
+GridBroadphase.prototype.aabbQuery = function(world, aabb, result){
+    result = result || [];
+
+    if(this.dirty){
+        this.updateBins(world);
+    }
+
+    var xstep = this.ny*this.nz,
+        ystep = this.nz,
+        bins = this.bins,
+        binLengths = this.binLengths,
+        range = GridBroadphase_aabbQuery_range,
+        start = result.length;
+
+    var lower = aabb.lowerBound,
+        upper = aabb.upperBound;
+    this.getBinRange(lower.x, lower.y, lower.z, upper.x, upper.y, upper.z, range);
+
+    for (var xi = range[0]; xi <= range[3]; xi++) {
+        for (var yi = range[1]; yi <= range[4]; yi++) {
+            for (var zi = range[2]; zi <= range[5]; zi++) {
+                var idx = xi*xstep + yi*ystep + zi;
+                var bin = bins[idx];
+                for(var i=0; i!==binLengths[idx]; i++){
+                    var b = bin[i];
+                    if(b.aabbNeedsUpdate){
+                        b.computeAABB();
+                    }
+                    if(b.aabb.overlaps(aabb) && result.indexOf(b, start) === -1){
+                        result.push(b);
+                    }
+                }
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Returns all the bodies whose AABB is hit by the segment between ray.from and ray.to. Only the bins along the segment are visited.
+ * @method rayQuery
+ * @param  {World} world
+ * @param  {Ray} ray
+ * @param {array} result An array to store resulting bodies in.
+ * @return {array}
+ */
+var GridBroadphase_rayQuery_range = [0,0,0,0,0,0];
+var GridBroadphase_rayQuery_binAABB = new AABB();
+GridBroadphase.prototype.rayQuery = function(world, ray, result){
+    result = result || [];
+
+    if(this.dirty){
+        this.updateBins(world);
+    }
+
+    var nx = this.nx,
+        ny = this.ny,
+        nz = this.nz,
+        min = this.aabbMin,
+        max = this.aabbMax,
+        xstep = ny*nz,
+        ystep = nz,
+        bins = this.bins,
+        binLengths = this.binLengths,
+        range = GridBroadphase_rayQuery_range,
+        binAABB = GridBroadphase_rayQuery_binAABB,
+        from = ray.from,
+        to = ray.to,
+        start = result.length;
+
+    var binsizeX = (max.x - min.x) / nx,
+        binsizeY = (max.y - min.y) / ny,
+        binsizeZ = (max.z - min.z) / nz;
+
+    this.getBinRange(
+        Math.min(from.x, to.x), Math.min(from.y, to.y), Math.min(from.z, to.z),
+        Math.max(from.x, to.x), Math.max(from.y, to.y), Math.max(from.z, to.z),
+        range
+    );
+
+    var lower = binAABB.lowerBound,
+        upper = binAABB.upperBound;
+    for (var xi = range[0]; xi <= range[3]; xi++) {
+        // The border bins also contain everything outside the grid
+        lower.x = xi === 0 ? -Infinity : min.x + xi * binsizeX;
+        upper.x = xi === nx - 1 ? Infinity : min.x + (xi + 1) * binsizeX;
+        for (var yi = range[1]; yi <= range[4]; yi++) {
+            lower.y = yi === 0 ? -Infinity : min.y + yi * binsizeY;
+            upper.y = yi === ny - 1 ? Infinity : min.y + (yi + 1) * binsizeY;
+            for (var zi = range[2]; zi <= range[5]; zi++) {
+                lower.z = zi === 0 ? -Infinity : min.z + zi * binsizeZ;
+                upper.z = zi === nz - 1 ? Infinity : min.z + (zi + 1) * binsizeZ;
+
+                var idx = xi*xstep + yi*ystep + zi;
+                if(!binLengths[idx] || !binAABB.overlapsSegment(from, to)){
+                    continue;
+                }
+
+                var bin = bins[idx];
+                for(var i=0; i!==binLengths[idx]; i++){
+                    var b = bin[i];
+                    if(b.aabbNeedsUpdate){
+                        b.computeAABB();
+                    }
+                    if(result.indexOf(b, start) === -1 && b.aabb.overlapsSegment(from, to)){
+                        result.push(b);
+                    }
+                }
+            }
+        }
+    }
+
+    return result;
+};
@@ -93,7 +93,6 @@ Ray.CLOSEST = 1;
 Ray.ANY = 2;
 Ray.ALL = 4;
 
-var tmpAABB = new AABB();
 var tmpArray = [];
 
 /**
@@ -109,6 +108,7 @@ Ray.prototype.intersectWorld = function (world, options) {
     this.skipBackfaces = !!options.skipBackfaces;
     this.collisionFilterMask = typeof(options.collisionFilterMask) !== 'undefined' ? options.collisionFilterMask : -1;
     this.collisionFilterGroup = typeof(options.collisionFilterGroup) !== 'undefined' ? options.collisionFilterGroup : -1;
+    this.checkCollisionResponse = typeof(options.checkCollisionResponse) !== 'undefined' ? options.checkCollisionResponse : true;
     if(options.from){
         this.from.copy(options.from);
     }
@@ -121,9 +121,8 @@ Ray.prototype.intersectWorld = function (world, options) {
     this.result.reset();
     this._updateDirection();
 
-    this.getAABB(tmpAABB);
     tmpArray.length = 0;
-    world.broadphase.aabbQuery(world, tmpAABB, tmpArray);
+    world.broadphase.rayQuery(world, this, tmpArray);
     this.intersectBodies(tmpArray);
 
     return this.hasHit;
@@ -170,7 +169,7 @@ Ray.prototype.intersectBody = function (body, result) {
     }
     var checkCollisionResponse = this.checkCollisionResponse;
 
-    if(checkCollisionResponse && !body.collisionResponse){
+    if(checkCollisionResponse && (!body.collisionResponse || body.sensor)){
         return;
     }
 
@@ -184,7 +183,7 @@ Ray.prototype.intersectBody = function (body, result) {
     for (var i = 0, N = body.shapes.length; i < N; i++) {
         var shape = body.shapes[i];
 
-        if(checkCollisionResponse && !shape.collisionResponse){
+        if(checkCollisionResponse && (!shape.collisionResponse || shape.sensor)){
             continue; // Skip
         }
 
@@ -486,6 +485,119 @@ Ray.prototype.intersectSphere = function(shape, quat, position, body, reportedSh
 };
 Ray.prototype[Shape.types.SPHERE] = Ray.prototype.intersectSphere;
 
+var intersectCapsule_localFrom = new Vec3();
+var intersectCapsule_localTo = new Vec3();
+var intersectCapsule_delta = new Vec3();
+var intersectCapsule_localPoint = new Vec3();
+var intersectCapsule_localNormal = new Vec3();
+var intersectCapsule_worldPoint = new Vec3();
+var intersectCapsule_worldNormal = new Vec3();
+var intersectCapsule_hits = [];
+
+/**
+ * @method intersectCapsule
+ * @private
+ * @param  {Shape} shape
+ * @param  {Quaternion} quat
+ * @param  {Vec3} position
+ * @param  {Body} body
+ */
+Ray.prototype.intersectCapsule = function(shape, quat, position, body, reportedShape){
+    var r = shape.radius,
+        halfHeight = shape.height / 2,
+        localFrom = intersectCapsule_localFrom,
+        localTo = intersectCapsule_localTo,
+        d = intersectCapsule_delta,
+        localPoint = intersectCapsule_localPoint,
+        localNormal = intersectCapsule_localNormal,
+        hits = intersectCapsule_hits;
+
+    // Work in the capsule frame, where the capsule axis is Z
+    Transform.pointToLocalFrame(position, quat, this.from, localFrom);
+    Transform.pointToLocalFrame(position, quat, this.to, localTo);
+    localTo.vsub(localFrom, d);
+
+    // Collect the ray parameters t (0 at from, 1 at to) where the ray crosses the capsule surface
+    hits.length = 0;
+
+    // Cylinder part
+    var a = d.x * d.x + d.y * d.y;
+    if(a > 0){
+        var b = 2 * (localFrom.x * d.x + localFrom.y * d.y);
+        var c = localFrom.x * localFrom.x + localFrom.y * localFrom.y - r * r;
+        var delta = b * b - 4 * a * c;
+        if(delta >= 0){
+            var sqrtDelta = Math.sqrt(delta);
+            for(var i=0; i!==2; i++){
+                var t = (-b + (i ? sqrtDelta : -sqrtDelta)) / (2 * a);
+                var z = localFrom.z + d.z * t;
+                if(z >= -halfHeight && z <= halfHeight){
+                    hits.push(t);
+                }
+            }
+        }
+    }
+
+    // Hemisphere caps
+    var da = d.dot(d);
+    if(da > 0){
+        for(var side=-1; side<=1; side+=2){
+            var cz = side * halfHeight;
+            var fz = localFrom.z - cz;
+            var b = 2 * (localFrom.x * d.x + localFrom.y * d.y + fz * d.z);
+            var c = localFrom.x * localFrom.x + localFrom.y * localFrom.y + fz * fz - r * r;
+            var delta = b * b - 4 * da * c;
+            if(delta < 0){
+                continue;
+            }
+            var sqrtDelta = Math.sqrt(delta);
+            for(var i=0; i!==2; i++){
+                var t = (-b + (i ? sqrtDelta : -sqrtDelta)) / (2 * da);
+                var z = localFrom.z + d.z * t;
+
+                // Only the outer half of each sphere belongs to the capsule surface
+                if(side * (z - cz) >= 0){
+                    hits.push(t);
+                }
+            }
+        }
+    }
+
+    if(!hits.length){
+        return;
+    }
+
+    // The capsule is convex, so the surface is entered at the smallest t and exited at the largest
+    var tEnter = Math.min.apply(Math, hits);
+    var tExit = Math.max.apply(Math, hits);
+
+    for(var i=0; i!==2; i++){
+        var t = i ? tExit : tEnter;
+        if(i && tExit === tEnter){
+            break;
+        }
+        if(t < 0 || t > 1){
+            continue;
+        }
+
+        localFrom.lerp(localTo, t, localPoint);
+
+        // The normal points from the closest point on the center segment towards the hit point
+        localNormal.set(0, 0, Math.max(-halfHeight, Math.min(halfHeight, localPoint.z)));
+        localPoint.vsub(localNormal, localNormal);
+        localNormal.normalize();
+
+        Transform.pointToWorldFrame(position, quat, localPoint, intersectCapsule_worldPoint);
+        Transform.vectorToWorldFrame(quat, localNormal, intersectCapsule_worldNormal);
+        this.reportIntersection(intersectCapsule_worldNormal, intersectCapsule_worldPoint, reportedShape, body, -1);
+
+        if(this.result._shouldStop){
+            return;
+        }
+    }
+};
+Ray.prototype[Shape.types.CAPSULE] = Ray.prototype.intersectCapsule;
+
 
 var intersectConvex_normal = new Vec3();
 var intersectConvex_minDistNormal = new Vec3();
@@ -1,5 +1,6 @@
 var Shape = require('../shapes/Shape');
 var Broadphase = require('../collision/Broadphase');
+var AABB = require('../collision/AABB');
 
 module.exports = SAPBroadphase;
 
@@ -36,9 +37,11 @@ function SAPBroadphase(world){
     this.axisIndex = 0;
 
     var axisList = this.axisList;
+    var that = this;
 
     this._addBodyHandler = function(e){
         axisList.push(e.body);
+        that.dirty = true;
     };
 
     this._removeBodyHandler = function(e){
@@ -320,4 +323,47 @@ SAPBroadphase.prototype.aabbQuery = function(world, aabb, result){
     }
 
     return result;
-};
\ No newline at end of file
+};
+
+var SAPBroadphase_rayQuery_aabb = new AABB();
+
+/**
+ * Returns all the bodies whose AABB is hit by the segment between ray.from and ray.to. Uses the sorted axis list to skip the bodies beyond the end of the ray.
+ * @method rayQuery
+ * @param  {World} world
+ * @param  {Ray} ray
+ * @param {array} result An array to store resulting bodies in.
+ * @return {array}
+ */
+SAPBroadphase.prototype.rayQuery = function(world, ray, result){
+    result = result || [];
+
+    if(this.dirty){
+        this.sortList();
+        this.dirty = false;
+    }
+
+    var aabb = SAPBroadphase_rayQuery_aabb;
+    ray.getAABB(aabb);
+
+    var axisIndex = this.axisIndex, axis = 'x';
+    if(axisIndex === 1){ axis = 'y'; }
+    if(axisIndex === 2){ axis = 'z'; }
+
+    var axisList = this.axisList;
+    var upper = aabb.upperBound[axis];
+    for(var i = 0; i < axisList.length; i++){
+        var b = axisList[i];
+
+        // The list is sorted on lower bound, so the rest of the bodies start after the ray
+        if(b.aabb.lowerBound[axis] > upper){
+            break;
+        }
+
+        if(b.aabb.overlaps(aabb) && b.aabb.overlapsSegment(ray.from, ray.to)){
+            result.push(b);
+        }
+    }
+
+    return result;
+};
@@ -0,0 +1,68 @@
+var Vec3 = require('../math/Vec3');
+
+module.exports = ShapeCastResult;
+
+/**
+ * Storage for shape casting data.
+ * @class ShapeCastResult
+ * @constructor
+ */
+function ShapeCastResult(){
+
+	/**
+	 * The hit normal, pointing from the hit shape towards the cast shape.
+	 * @property {Vec3} hitNormalWorld
+	 */
+	this.hitNormalWorld = new Vec3();
+
+	/**
+	 * The contact point on the surface of the hit shape.
+	 * @property {Vec3} hitPointWorld
+	 */
+	this.hitPointWorld = new Vec3();
+
+	/**
+	 * @property {boolean} hasHit
+	 */
+	this.hasHit = false;
+
+	/**
+	 * The hit shape, or null.
+	 * @property {Shape} shape
+	 */
+	this.shape = null;
+
+	/**
+	 * The hit body, or null.
+	 * @property {Body} body
+	 */
+	this.body = null;
+
+	/**
+	 * Fraction of the cast at which the cast shape hits, between 0 and 1. Will be set to -1 if there was no hit.
+	 * @property {number} timeOfImpact
+	 * @default -1
+	 */
+	this.timeOfImpact = -1;
+
+	/**
+	 * Distance traveled by the cast shape before the hit. Will be set to -1 if there was no hit.
+	 * @property {number} distance
+	 * @default -1
+	 */
+	this.distance = -1;
+}
+
+/**
+ * Reset all result data.
+ * @method reset
+ */
+ShapeCastResult.prototype.reset = function () {
+	this.hitNormalWorld.setZero();
+	this.hitPointWorld.setZero();
+	this.hasHit = false;
+	this.shape = null;
+	this.body = null;
+	this.timeOfImpact = -1;
+	this.distance = -1;
+};
@@ -1,6 +1,7 @@
 module.exports = Constraint;
 
 var Utils = require('../utils/Utils');
+var Vec3 = require('../math/Vec3');
 
 /**
  * Constraint base class
@@ -12,11 +13,13 @@ var Utils = require('../utils/Utils');
  * @param {object} [options]
  * @param {boolean} [options.collideConnected=true]
  * @param {boolean} [options.wakeUpBodies=true]
+ * @param {Number} [options.breakingImpulseThreshold=Number.MAX_VALUE]
  */
 function Constraint(bodyA, bodyB, options){
     options = Utils.defaults(options,{
         collideConnected : true,
         wakeUpBodies : true,
+        breakingImpulseThreshold : Number.MAX_VALUE
     });
 
     /**
@@ -48,6 +51,42 @@ function Constraint(bodyA, bodyB, options){
      */
     this.collideConnected = options.collideConnected;
 
+    /**
+     * If the total impulse applied by the constraint in a step exceeds this value, the World disables the constraint, removes it and dispatches a "constraintBroken" event. Number.MAX_VALUE, the default, and Infinity mean that the constraint never breaks; the World then skips computing its impulse.
+     * @property {Number} breakingImpulseThreshold
+     */
+    this.breakingImpulseThreshold = options.breakingImpulseThreshold;
+
+    /**
+     * The impulse applied by the constraint in the last step. Only updated if World.constraintFeedback is enabled.
+     * @property {Number} appliedImpulse
+     */
+    this.appliedImpulse = 0;
+
+    /**
+     * The force applied to bodyA in the last step. Only updated if World.constraintFeedback is enabled.
+     * @property {Vec3} appliedForceA
+     */
+    this.appliedForceA = new Vec3();
+
+    /**
+     * The torque applied to bodyA in the last step. Only updated if World.constraintFeedback is enabled.
+     * @property {Vec3} appliedTorqueA
+     */
+    this.appliedTorqueA = new Vec3();
+
+    /**
+     * The force applied to bodyB in the last step. Only updated if World.constraintFeedback is enabled.
+     * @property {Vec3} appliedForceB
+     */
+    this.appliedForceB = new Vec3();
+
+    /**
+     * The torque applied to bodyB in the last step. Only updated if World.constraintFeedback is enabled.
+     * @property {Vec3} appliedTorqueB
+     */
+    this.appliedTorqueB = new Vec3();
+
     if(options.wakeUpBodies){
         if(bodyA){
             bodyA.wakeUp();
@@ -88,4 +127,82 @@ Constraint.prototype.disable = function(){
     }
 };
 
+/**
+ * Get the impulse applied by the constraint in the last step: the sum of the absolute impulses of its enabled equations.
+ * @method getAppliedImpulse
+ * @return {Number}
+ */
+Constraint.prototype.getAppliedImpulse = function(){
+    var world = this.bodyA.world || this.bodyB.world,
+        h = world && world.dt > 0 ? world.dt : 0,
+        eqs = this.equations,
+        impulse = 0;
+    for(var i=0; i<eqs.length; i++){
+        if(eqs[i].enabled){
+            impulse += Math.abs(eqs[i].multiplier);
+        }
+    }
+    return impulse * h;
+};
+
+var Constraint_getAppliedForce_tmp = new Vec3();
+
+/**
+ * Get the force that the constraint applied to one of its bodies in the last step.
+ * @method getAppliedForce
+ * @param {Body} body bodyA or bodyB.
+ * @param {Vec3} target
+ * @return {Vec3} The target vector.
+ */
+Constraint.prototype.getAppliedForce = function(body, target){
+    var eqs = this.equations,
+        tmp = Constraint_getAppliedForce_tmp;
+    target.set(0, 0, 0);
+    for(var i=0; i<eqs.length; i++){
+        var eq = eqs[i];
+        if(eq.enabled){
+            var G = body === eq.bi ? eq.jacobianElementA : eq.jacobianElementB;
+            G.spatial.scale(eq.multiplier, tmp);
+            target.vadd(tmp, target);
+        }
+    }
+    return target;
+};
+
+var Constraint_getAppliedTorque_tmp = new Vec3();
+
+/**
+ * Get the torque around the center of mass that the constraint applied to one of its bodies in the last step.
+ * @method getAppliedTorque
+ * @param {Body} body bodyA or bodyB.
+ * @param {Vec3} target
+ * @return {Vec3} The target vector.
+ */
+Constraint.prototype.getAppliedTorque = function(body, target){
+    var eqs = this.equations,
+        tmp = Constraint_getAppliedTorque_tmp;
+    target.set(0, 0, 0);
+    for(var i=0; i<eqs.length; i++){
+        var eq = eqs[i];
+        if(eq.enabled){
+            var G = body === eq.bi ? eq.jacobianElementA : eq.jacobianElementB;
+            G.rotational.scale(eq.multiplier, tmp);
+            target.vadd(tmp, target);
+        }
+    }
+    return target;
+};
+
+/**
+ * Store the applied impulse, forces and torques in the feedback properties. Called by the World after solving if World.constraintFeedback is enabled.
+ * @method updateFeedback
+ */
+Constraint.prototype.updateFeedback = function(){
+    this.appliedImpulse = this.getAppliedImpulse();
+    this.getAppliedForce(this.bodyA, this.appliedForceA);
+    this.getAppliedTorque(this.bodyA, this.appliedTorqueA);
+    this.getAppliedForce(this.bodyB, this.appliedForceB);
+    this.getAppliedTorque(this.bodyB, this.appliedTorqueB);
+};
+
 Constraint.idCounter = 0;
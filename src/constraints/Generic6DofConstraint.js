@@ -0,0 +1,486 @@
+module.exports = Generic6DofConstraint;
+
+var Constraint = require('./Constraint');
+var ContactEquation = require('../equations/ContactEquation');
+var FrictionEquation = require('../equations/FrictionEquation');
+var RotationalEquation = require('../equations/RotationalEquation');
+var RotationalMotorEquation = require('../equations/RotationalMotorEquation');
+var Vec3 = require('../math/Vec3');
+var Quaternion = require('../math/Quaternion');
+
+/**
+ * Generic 6 degrees of freedom constraint. A constraint frame is attached to each body, and each of the 3 linear and 3 angular axes of frame A can independently be locked, free or limited. Each axis also has a motor. The linear position of an axis is the offset of the pivot of bodyB from the pivot of bodyA along the axis, the angular position is the rotation of frame B around the axis.
+ *
+ * The angular positions are measured one axis at a time, so angular limits are accurate when the other angular axes are locked or stay small.
+ *
+ * @class Generic6DofConstraint
+ * @constructor
+ * @author schteppe
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {object} [options]
+ * @param {Vec3} [options.pivotA] Origin of the constraint frame, defined locally in bodyA.
+ * @param {Vec3} [options.pivotB] Origin of the constraint frame, defined locally in bodyB. Defaults to the current position of pivotA.
+ * @param {Quaternion} [options.quaternionA] Orientation of the constraint frame, defined locally in bodyA.
+ * @param {Quaternion} [options.quaternionB] Orientation of the constraint frame, defined locally in bodyB. Defaults to the current orientation of the frame in bodyA.
+ * @param {Vec3} [options.linearLowerLimit] Lower limits of the linear axes. See .setLimits(). By default, all axes are locked.
+ * @param {Vec3} [options.linearUpperLimit]
+ * @param {Vec3} [options.angularLowerLimit]
+ * @param {Vec3} [options.angularUpperLimit]
+ * @param {Number} [options.maxForce=1e6]
+ * @param {boolean} [options.collideConnected=true]
+ * @extends Constraint
+ * @example
+ *     // A slider along the x axis, limited to [-1, 1]
+ *     var constraint = new Generic6DofConstraint(bodyA, bodyB, {
+ *         linearLowerLimit: new Vec3(-1, 0, 0),
+ *         linearUpperLimit: new Vec3(1, 0, 0)
+ *     });
+ *     world.addConstraint(constraint);
+ */
+function Generic6DofConstraint(bodyA, bodyB, options){
+    options = options || {};
+    Constraint.call(this, bodyA, bodyB, options);
+
+    var maxForce = typeof(options.maxForce) !== 'undefined' ? options.maxForce : 1e6;
+
+    /**
+     * Origin of the constraint frame, defined locally in bodyA.
+     * @property {Vec3} pivotA
+     */
+    this.pivotA = options.pivotA ? options.pivotA.clone() : new Vec3();
+
+    /**
+     * Orientation of the constraint frame, defined locally in bodyA.
+     * @property {Quaternion} quaternionA
+     */
+    this.quaternionA = options.quaternionA ? options.quaternionA.clone() : new Quaternion();
+
+    /**
+     * Origin of the constraint frame, defined locally in bodyB.
+     * @property {Vec3} pivotB
+     */
+    this.pivotB = new Vec3();
+
+    /**
+     * Orientation of the constraint frame, defined locally in bodyB.
+     * @property {Quaternion} quaternionB
+     */
+    this.quaternionB = new Quaternion();
+
+    if(options.pivotB){
+        this.pivotB.copy(options.pivotB);
+    } else if(bodyA && bodyB){
+        var worldPivot = new Vec3();
+        bodyA.pointToWorldFrame(this.pivotA, worldPivot);
+        bodyB.pointToLocalFrame(worldPivot, this.pivotB);
+    }
+
+    if(options.quaternionB){
+        this.quaternionB.copy(options.quaternionB);
+    } else if(bodyA && bodyB){
+        var worldQuat = new Quaternion();
+        bodyA.quaternion.mult(this.quaternionA, worldQuat);
+        bodyB.quaternion.conjugate().mult(worldQuat, this.quaternionB);
+    }
+
+    /**
+     * Mode of each axis: Generic6DofConstraint.FREE, .LOCKED or .LIMITED. The axes are indexed as Generic6DofConstraint.LINEAR_X ... ANGULAR_Z.
+     * @property {Array} modes
+     */
+    this.modes = [];
+
+    /**
+     * Lower limit of each axis.
+     * @property {Array} lowerLimits
+     */
+    this.lowerLimits = [];
+
+    /**
+     * Upper limit of each axis.
+     * @property {Array} upperLimits
+     */
+    this.upperLimits = [];
+
+    /**
+     * Whether the motor of each axis is enabled.
+     * @property {Array} motorEnabled
+     */
+    this.motorEnabled = [];
+
+    /**
+     * Current position of each axis. Updated in .update().
+     * @property {Array} positions
+     * @readonly
+     */
+    this.positions = [];
+
+    /**
+     * Equations that keep the locked axes in place.
+     * @property {Array} lockEquations
+     */
+    this.lockEquations = [];
+
+    /**
+     * @property {Array} lowerLimitEquations
+     */
+    this.lowerLimitEquations = [];
+
+    /**
+     * @property {Array} upperLimitEquations
+     */
+    this.upperLimitEquations = [];
+
+    /**
+     * Linear motors are FrictionEquations, angular motors are RotationalMotorEquations.
+     * @property {Array} motorEquations
+     */
+    this.motorEquations = [];
+
+    /**
+     * Set to false by .disable().
+     * @property {boolean} enabled
+     */
+    this.enabled = true;
+
+    /**
+     * Axes of the constraint frame in bodyA, in world space. Updated in .update().
+     * @property {Array} axesA
+     * @private
+     */
+    this.axesA = [new Vec3(), new Vec3(), new Vec3()];
+
+    /**
+     * Axes of the constraint frame in bodyB, in world space. Updated in .update().
+     * @property {Array} axesB
+     * @private
+     */
+    this.axesB = [new Vec3(), new Vec3(), new Vec3()];
+
+    /**
+     * Vector from the center of bodyA to the world pivot of bodyA. Updated in .update().
+     * @property {Vec3} rA
+     * @private
+     */
+    this.rA = new Vec3();
+
+    /**
+     * @property {Vec3} rB
+     * @private
+     */
+    this.rB = new Vec3();
+
+    var linearLowerLimit = options.linearLowerLimit || new Vec3(),
+        linearUpperLimit = options.linearUpperLimit || new Vec3(),
+        angularLowerLimit = options.angularLowerLimit || new Vec3(),
+        angularUpperLimit = options.angularUpperLimit || new Vec3(),
+        lowerLimits = linearLowerLimit.toArray().concat(angularLowerLimit.toArray()),
+        upperLimits = linearUpperLimit.toArray().concat(angularUpperLimit.toArray());
+
+    for(var i=0; i<6; i++){
+        var lock, lower, upper, motor;
+        if(i < 3){
+            lock = new ContactEquation(bodyA, bodyB, maxForce);
+            lock.minForce = -maxForce;
+            lower = new ContactEquation(bodyA, bodyB, maxForce);
+            upper = new ContactEquation(bodyA, bodyB, maxForce);
+            motor = new FrictionEquation(bodyA, bodyB, maxForce);
+        } else {
+            lock = new RotationalEquation(bodyA, bodyB, { maxForce: maxForce });
+            lower = new RotationalEquation(bodyA, bodyB, { maxForce: maxForce });
+            lower.minForce = 0;
+            upper = new RotationalEquation(bodyA, bodyB, { maxForce: maxForce });
+            upper.minForce = 0;
+            motor = new RotationalMotorEquation(bodyA, bodyB, maxForce);
+        }
+        lower.enabled = upper.enabled = motor.enabled = false;
+
+        this.lockEquations.push(lock);
+        this.lowerLimitEquations.push(lower);
+        this.upperLimitEquations.push(upper);
+        this.motorEquations.push(motor);
+        this.equations.push(lock, lower, upper, motor);
+
+        this.motorEnabled.push(false);
+        this.positions.push(0);
+        this.modes.push(0);
+        this.lowerLimits.push(0);
+        this.upperLimits.push(0);
+        this.setLimits(i, lowerLimits[i], upperLimits[i]);
+    }
+}
+Generic6DofConstraint.prototype = new Constraint();
+Generic6DofConstraint.prototype.constructor = Generic6DofConstraint;
+
+/**
+ * The axis can move freely.
+ * @static
+ * @property {Number} FREE
+ */
+Generic6DofConstraint.FREE = 0;
+
+/**
+ * The axis is kept at position zero.
+ * @static
+ * @property {Number} LOCKED
+ */
+Generic6DofConstraint.LOCKED = 1;
+
+/**
+ * The axis position is kept between its lower and upper limits.
+ * @static
+ * @property {Number} LIMITED
+ */
+Generic6DofConstraint.LIMITED = 2;
+
+/**
+ * @static
+ * @property {Number} LINEAR_X
+ */
+Generic6DofConstraint.LINEAR_X = 0;
+
+/**
+ * @static
+ * @property {Number} LINEAR_Y
+ */
+Generic6DofConstraint.LINEAR_Y = 1;
+
+/**
+ * @static
+ * @property {Number} LINEAR_Z
+ */
+Generic6DofConstraint.LINEAR_Z = 2;
+
+/**
+ * @static
+ * @property {Number} ANGULAR_X
+ */
+Generic6DofConstraint.ANGULAR_X = 3;
+
+/**
+ * @static
+ * @property {Number} ANGULAR_Y
+ */
+Generic6DofConstraint.ANGULAR_Y = 4;
+
+/**
+ * @static
+ * @property {Number} ANGULAR_Z
+ */
+Generic6DofConstraint.ANGULAR_Z = 5;
+
+/**
+ * @method setAxisMode
+ * @param {Number} axis
+ * @param {Number} mode Generic6DofConstraint.FREE, .LOCKED or .LIMITED
+ */
+Generic6DofConstraint.prototype.setAxisMode = function(axis, mode){
+    this.modes[axis] = mode;
+};
+
+/**
+ * Set the limits of an axis. If lower equals upper, the axis is kept at that position. If lower is larger than upper, the axis is free. Else, the axis is limited.
+ * @method setLimits
+ * @param {Number} axis
+ * @param {Number} lower
+ * @param {Number} upper
+ */
+Generic6DofConstraint.prototype.setLimits = function(axis, lower, upper){
+    this.lowerLimits[axis] = lower;
+    this.upperLimits[axis] = upper;
+    if(lower === upper){
+        this.modes[axis] = lower === 0 ? Generic6DofConstraint.LOCKED : Generic6DofConstraint.LIMITED;
+    } else if(lower > upper){
+        this.modes[axis] = Generic6DofConstraint.FREE;
+    } else {
+        this.modes[axis] = Generic6DofConstraint.LIMITED;
+    }
+};
+
+/**
+ * @method enableMotor
+ * @param {Number} axis
+ */
+Generic6DofConstraint.prototype.enableMotor = function(axis){
+    this.motorEnabled[axis] = true;
+};
+
+/**
+ * @method disableMotor
+ * @param {Number} axis
+ */
+Generic6DofConstraint.prototype.disableMotor = function(axis){
+    this.motorEnabled[axis] = false;
+};
+
+/**
+ * Set the target velocity of a motor. Linear motors use length units per second, angular motors radians per second.
+ * @method setMotorSpeed
+ * @param {Number} axis
+ * @param {Number} speed
+ */
+Generic6DofConstraint.prototype.setMotorSpeed = function(axis, speed){
+    this.motorEquations[axis].targetVelocity = speed;
+};
+
+/**
+ * @method setMotorMaxForce
+ * @param {Number} axis
+ * @param {Number} maxForce
+ */
+Generic6DofConstraint.prototype.setMotorMaxForce = function(axis, maxForce){
+    this.motorEquations[axis].maxForce = maxForce;
+    this.motorEquations[axis].minForce = -maxForce;
+};
+
+/**
+ * Get the current position of an axis: the offset along a linear axis, or the angle around an angular axis.
+ * @method getPosition
+ * @param {Number} axis
+ * @return {Number}
+ */
+Generic6DofConstraint.prototype.getPosition = function(axis){
+    this.updateFrames();
+    return this.positions[axis];
+};
+
+/**
+ * Enables the constraint.
+ * @method enable
+ */
+Generic6DofConstraint.prototype.enable = function(){
+    this.enabled = true;
+};
+
+/**
+ * Disables all equations in the constraint.
+ * @method disable
+ */
+Generic6DofConstraint.prototype.disable = function(){
+    this.enabled = false;
+    Constraint.prototype.disable.call(this);
+};
+
+var updateFrames_quat = new Quaternion();
+var updateFrames_diff = new Vec3();
+var updateFrames_units = [Vec3.UNIT_X, Vec3.UNIT_Y, Vec3.UNIT_Z];
+
+/**
+ * Update the world axes, pivots and axis positions.
+ * @method updateFrames
+ * @private
+ */
+Generic6DofConstraint.prototype.updateFrames = function(){
+    var bodyA = this.bodyA,
+        bodyB = this.bodyB,
+        axesA = this.axesA,
+        axesB = this.axesB,
+        quat = updateFrames_quat,
+        diff = updateFrames_diff,
+        i;
+
+    bodyA.quaternion.mult(this.quaternionA, quat);
+    for(i=0; i<3; i++){
+        quat.vmult(updateFrames_units[i], axesA[i]);
+    }
+    bodyB.quaternion.mult(this.quaternionB, quat);
+    for(i=0; i<3; i++){
+        quat.vmult(updateFrames_units[i], axesB[i]);
+    }
+
+    bodyA.quaternion.vmult(this.pivotA, this.rA);
+    bodyB.quaternion.vmult(this.pivotB, this.rB);
+
+    // diff = (xB + rB) - (xA + rA)
+    bodyB.position.vadd(this.rB, diff);
+    diff.vsub(bodyA.position, diff);
+    diff.vsub(this.rA, diff);
+
+    for(i=0; i<3; i++){
+        this.positions[i] = diff.dot(axesA[i]);
+
+        // Angle of the next frame B axis around axis i, measured in frame A
+        var j = (i + 1) % 3,
+            k = (i + 2) % 3;
+        this.positions[i + 3] = Math.atan2(axesB[j].dot(axesA[k]), axesB[j].dot(axesA[j]));
+    }
+};
+
+Generic6DofConstraint.prototype.update = function(){
+    if(!this.enabled){
+        return;
+    }
+
+    this.updateFrames();
+
+    var positions = this.positions,
+        modes = this.modes;
+
+    for(var i=0; i<6; i++){
+        var mode = modes[i],
+            lock = this.lockEquations[i],
+            lower = this.lowerLimitEquations[i],
+            upper = this.upperLimitEquations[i],
+            motor = this.motorEquations[i];
+
+        lock.enabled = mode === Generic6DofConstraint.LOCKED;
+        lower.enabled = mode === Generic6DofConstraint.LIMITED && positions[i] < this.lowerLimits[i];
+        upper.enabled = mode === Generic6DofConstraint.LIMITED && positions[i] > this.upperLimits[i];
+        motor.enabled = this.motorEnabled[i];
+
+        if(lock.enabled){
+            this.updateAxisEquation(lock, i, 0, 1);
+        }
+        if(lower.enabled){
+            this.updateAxisEquation(lower, i, this.lowerLimits[i], 1);
+        }
+        if(upper.enabled){
+            this.updateAxisEquation(upper, i, this.upperLimits[i], -1);
+        }
+        if(motor.enabled){
+            if(i < 3){
+                motor.ri.copy(this.rA);
+                motor.rj.copy(this.rB);
+                motor.t.copy(this.axesA[i]);
+            } else {
+                // targetVelocity = (wB - wA) * axis
+                this.axesA[i - 3].negate(motor.axisA);
+                motor.axisB.copy(motor.axisA);
+            }
+        }
+    }
+};
+
+var updateAxisEquation_tmp = new Vec3();
+
+/**
+ * Make an equation work on the position of an axis. The equation will be zero at the given position, and positive on the given side of it.
+ * @method updateAxisEquation
+ * @private
+ * @param {Equation} equation A ContactEquation for linear axes, a RotationalEquation for angular.
+ * @param {Number} axis
+ * @param {Number} position
+ * @param {Number} side 1 or -1.
+ */
+Generic6DofConstraint.prototype.updateAxisEquation = function(equation, axis, position, side){
+    var axesA = this.axesA;
+    if(axis < 3){
+        // g = side * (diff * n - position)
+        var n = axesA[axis];
+        n.scale(side, equation.ni);
+        n.scale(position, equation.ri);
+        equation.ri.vadd(this.rA, equation.ri);
+        equation.rj.copy(this.rB);
+    } else {
+        // g = -axisA * axisB = side * sin(angle - position)
+        var i = axis - 3,
+            j = (i + 1) % 3,
+            k = (i + 2) % 3,
+            c = Math.cos(position) * -side,
+            s = Math.sin(position) * -side;
+        axesA[k].scale(c, equation.axisA);
+        axesA[j].scale(-s, updateAxisEquation_tmp);
+        equation.axisA.vadd(updateAxisEquation_tmp, equation.axisA);
+        equation.axisB.copy(this.axesB[j]);
+    }
+};
@@ -0,0 +1,158 @@
+module.exports = Generic6DofSpringConstraint;
+
+var Generic6DofConstraint = require('./Generic6DofConstraint');
+var ContactEquation = require('../equations/ContactEquation');
+var RotationalEquation = require('../equations/RotationalEquation');
+
+/**
+ * A Generic6DofConstraint with a spring on each axis. The springs are solved implicitly together with the rest of the constraint, so they stay stable also for stiff springs. A spring works on axes that are free or limited, and pulls the axis towards its equilibrium point.
+ *
+ * @class Generic6DofSpringConstraint
+ * @constructor
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {object} [options] See Generic6DofConstraint.
+ * @extends Generic6DofConstraint
+ * @example
+ *     // A suspension: free along the y axis, with a spring
+ *     var constraint = new Generic6DofSpringConstraint(chassis, wheel, {
+ *         linearLowerLimit: new Vec3(0, 1, 0),
+ *         linearUpperLimit: new Vec3(0, -1, 0)
+ *     });
+ *     constraint.enableSpring(Generic6DofConstraint.LINEAR_Y);
+ *     constraint.setStiffness(Generic6DofConstraint.LINEAR_Y, 100);
+ *     constraint.setDamping(Generic6DofConstraint.LINEAR_Y, 5);
+ */
+function Generic6DofSpringConstraint(bodyA, bodyB, options){
+    options = options || {};
+    Generic6DofConstraint.call(this, bodyA, bodyB, options);
+
+    var maxForce = typeof(options.maxForce) !== 'undefined' ? options.maxForce : 1e6;
+
+    /**
+     * Whether the spring of each axis is enabled.
+     * @property {Array} springEnabled
+     */
+    this.springEnabled = [];
+
+    /**
+     * Spring stiffness of each axis.
+     * @property {Array} stiffness
+     */
+    this.stiffness = [];
+
+    /**
+     * Spring damping of each axis.
+     * @property {Array} damping
+     */
+    this.damping = [];
+
+    /**
+     * The position each spring is pulling towards.
+     * @property {Array} equilibriumPoints
+     */
+    this.equilibriumPoints = [];
+
+    /**
+     * @property {Array} springEquations
+     */
+    this.springEquations = [];
+
+    for(var i=0; i<6; i++){
+        var spring;
+        if(i < 3){
+            spring = new ContactEquation(bodyA, bodyB, maxForce);
+            spring.minForce = -maxForce;
+        } else {
+            spring = new RotationalEquation(bodyA, bodyB, { maxForce: maxForce });
+        }
+        spring.enabled = false;
+
+        this.springEquations.push(spring);
+        this.equations.push(spring);
+
+        this.springEnabled.push(false);
+        this.stiffness.push(0);
+        this.damping.push(0);
+        this.equilibriumPoints.push(0);
+    }
+}
+Generic6DofSpringConstraint.prototype = new Generic6DofConstraint();
+Generic6DofSpringConstraint.prototype.constructor = Generic6DofSpringConstraint;
+
+/**
+ * @method enableSpring
+ * @param {Number} axis
+ */
+Generic6DofSpringConstraint.prototype.enableSpring = function(axis){
+    this.springEnabled[axis] = true;
+};
+
+/**
+ * @method disableSpring
+ * @param {Number} axis
+ */
+Generic6DofSpringConstraint.prototype.disableSpring = function(axis){
+    this.springEnabled[axis] = false;
+};
+
+/**
+ * @method setStiffness
+ * @param {Number} axis
+ * @param {Number} stiffness
+ */
+Generic6DofSpringConstraint.prototype.setStiffness = function(axis, stiffness){
+    this.stiffness[axis] = stiffness;
+};
+
+/**
+ * @method setDamping
+ * @param {Number} axis
+ * @param {Number} damping
+ */
+Generic6DofSpringConstraint.prototype.setDamping = function(axis, damping){
+    this.damping[axis] = damping;
+};
+
+/**
+ * Set the position that the spring of an axis pulls towards. If no position is given, the current position of the axis is used.
+ * @method setEquilibriumPoint
+ * @param {Number} axis
+ * @param {Number} [position]
+ */
+Generic6DofSpringConstraint.prototype.setEquilibriumPoint = function(axis, position){
+    this.equilibriumPoints[axis] = typeof(position) !== 'undefined' ? position : this.getPosition(axis);
+};
+
+Generic6DofSpringConstraint.prototype.update = function(){
+    Generic6DofConstraint.prototype.update.call(this);
+
+    if(!this.enabled){
+        return;
+    }
+
+    var world = this.bodyA.world || this.bodyB.world,
+        h = world && world.dt > 0 ? world.dt : 1 / 60;
+
+    for(var i=0; i<6; i++){
+        var spring = this.springEquations[i],
+            k = this.stiffness[i],
+            d = this.damping[i];
+
+        spring.enabled = (
+            this.springEnabled[i] &&
+            this.modes[i] !== Generic6DofConstraint.LOCKED &&
+            (k > 0 || d > 0)
+        );
+
+        if(spring.enabled){
+            this.updateAxisEquation(spring, i, this.equilibriumPoints[i], 1);
+
+            // Implicit spring-damper: the impulse is lambda = -h * (k * g(t+h) + d * gdot(t+h)).
+            // This gives the equation parameters below, without any velocity relaxation.
+            spring.a = k / (h * k + d);
+            spring.b = 1;
+            spring.eps = 1 / (h * (h * k + d));
+        }
+    }
+};
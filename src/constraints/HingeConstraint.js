@@ -20,7 +20,22 @@ var Vec3 = require('../math/Vec3');
  * @param {Vec3} [options.pivotB]
  * @param {Vec3} [options.axisB]
  * @param {Number} [options.maxForce=1e6]
+ * @param {Number} [options.lowerLimit] Lower angle limit, in radians. See .getAngle().
+ * @param {Number} [options.upperLimit] Upper angle limit, in radians.
+ * @param {Number} [options.limitRestitution=0]
+ * @param {Number} [options.limitStiffness=1e7]
+ * @param {Number} [options.limitRelaxation=3]
  * @extends PointToPointConstraint
+ * @example
+ *     // A door that opens 90 degrees
+ *     var hinge = new HingeConstraint(frame, door, {
+ *         pivotA: new Vec3(0.5, 0, 0),
+ *         axisA: new Vec3(0, 1, 0),
+ *         pivotB: new Vec3(-0.5, 0, 0),
+ *         axisB: new Vec3(0, 1, 0)
+ *     });
+ *     hinge.setLimits(0, Math.PI / 2);
+ *     world.addConstraint(hinge);
  */
 function HingeConstraint(bodyA, bodyB, options){
     options = options || {};
@@ -60,11 +75,91 @@ function HingeConstraint(bodyA, bodyB, options){
     var motor = this.motorEquation = new RotationalMotorEquation(bodyA,bodyB,maxForce);
     motor.enabled = false; // Not enabled by default
 
+    /**
+     * Lower angle limit, in radians.
+     * @property {Number} lowerLimit
+     */
+    this.lowerLimit = typeof(options.lowerLimit) !== 'undefined' ? options.lowerLimit : -Number.MAX_VALUE;
+
+    /**
+     * Upper angle limit, in radians.
+     * @property {Number} upperLimit
+     */
+    this.upperLimit = typeof(options.upperLimit) !== 'undefined' ? options.upperLimit : Number.MAX_VALUE;
+
+    /**
+     * How much the hinge bounces back when it hits a limit. 0 means no bounce, 1 means that the angular velocity is reversed.
+     * @property {Number} limitRestitution
+     */
+    this.limitRestitution = typeof(options.limitRestitution) !== 'undefined' ? options.limitRestitution : 0;
+
+    /**
+     * Stiffness of the limits. Decrease to make the limits softer.
+     * @property {Number} limitStiffness
+     */
+    this.limitStiffness = typeof(options.limitStiffness) !== 'undefined' ? options.limitStiffness : 1e7;
+
+    /**
+     * Number of time steps needed to correct a limit violation. Increase to make the limits softer.
+     * @property {Number} limitRelaxation
+     */
+    this.limitRelaxation = typeof(options.limitRelaxation) !== 'undefined' ? options.limitRelaxation : 3;
+
+    /**
+     * Vector perpendicular to the axis, defined locally in bodyA. The hinge angle is measured between this vector and referenceB.
+     * @property {Vec3} referenceA
+     */
+    this.referenceA = new Vec3(0,1,0);
+
+    /**
+     * Vector perpendicular to the axis, defined locally in bodyB. Equal to referenceA in world space when the angle is zero.
+     * @property {Vec3} referenceB
+     */
+    this.referenceB = new Vec3(0,1,0);
+
+    if(bodyA && bodyB){
+        var worldAxis = new Vec3(),
+            u = new Vec3(),
+            v = new Vec3();
+        bodyA.vectorToWorldFrame(axisA, worldAxis);
+        worldAxis.tangents(u, v);
+        u.normalize();
+        bodyA.vectorToLocalFrame(u, this.referenceA);
+        bodyB.vectorToLocalFrame(u, this.referenceB);
+    }
+
+    /**
+     * @property {RotationalEquation} lowerLimitEquation
+     */
+    var lower = this.lowerLimitEquation = new RotationalEquation(bodyA,bodyB,options);
+    lower.minForce = 0;
+    lower.enabled = false;
+
+    /**
+     * @property {RotationalEquation} upperLimitEquation
+     */
+    var upper = this.upperLimitEquation = new RotationalEquation(bodyA,bodyB,options);
+    upper.minForce = 0;
+    upper.enabled = false;
+
+    /**
+     * Set to false by .disable().
+     * @property {boolean} enabled
+     */
+    this.enabled = true;
+
+    /**
+     * @property {boolean} motorEnabled
+     */
+    this.motorEnabled = false;
+
     // Equations to be fed to the solver
     this.equations.push(
         r1, // rotational1
         r2, // rotational2
-        motor
+        motor,
+        lower,
+        upper
     );
 }
 HingeConstraint.prototype = new PointToPointConstraint();
@@ -74,14 +169,34 @@ HingeConstraint.constructor = HingeConstraint;
  * @method enableMotor
  */
 HingeConstraint.prototype.enableMotor = function(){
-    this.motorEquation.enabled = true;
+    this.motorEnabled = this.motorEquation.enabled = true;
 };
 
 /**
  * @method disableMotor
  */
 HingeConstraint.prototype.disableMotor = function(){
-    this.motorEquation.enabled = false;
+    this.motorEnabled = this.motorEquation.enabled = false;
+};
+
+/**
+ * Enables the constraint. The limit equations are enabled when needed in .update().
+ * @method enable
+ */
+HingeConstraint.prototype.enable = function(){
+    this.enabled = true;
+    Constraint.prototype.enable.call(this);
+    this.motorEquation.enabled = this.motorEnabled;
+    this.lowerLimitEquation.enabled = this.upperLimitEquation.enabled = false;
+};
+
+/**
+ * Disables all equations in the constraint.
+ * @method disable
+ */
+HingeConstraint.prototype.disable = function(){
+    this.enabled = false;
+    Constraint.prototype.disable.call(this);
 };
 
 /**
@@ -101,10 +216,64 @@ HingeConstraint.prototype.setMotorMaxForce = function(maxForce){
     this.motorEquation.minForce = -maxForce;
 };
 
+/**
+ * Set the angle limits. The limits should be in the range [-PI, PI].
+ * @method setLimits
+ * @param {number} lower
+ * @param {number} upper
+ */
+HingeConstraint.prototype.setLimits = function(lower, upper){
+    this.lowerLimit = lower;
+    this.upperLimit = upper;
+};
+
+var HingeConstraint_getAngle_axis = new Vec3();
+var HingeConstraint_getAngle_refA = new Vec3();
+var HingeConstraint_getAngle_refB = new Vec3();
+var HingeConstraint_getAngle_cross = new Vec3();
+
+/**
+ * Get the current hinge angle in the range [-PI, PI]. The angle is zero where the constraint was created and grows in the direction that a positive motor speed drives the hinge, i.e. when bodyA rotates around the axis relative to bodyB.
+ * @method getAngle
+ * @return {number}
+ */
+HingeConstraint.prototype.getAngle = function(){
+    var axis = HingeConstraint_getAngle_axis,
+        refA = HingeConstraint_getAngle_refA,
+        refB = HingeConstraint_getAngle_refB,
+        cross = HingeConstraint_getAngle_cross;
+
+    this.bodyA.vectorToWorldFrame(this.axisA, axis);
+    this.bodyA.vectorToWorldFrame(this.referenceA, refA);
+    this.bodyB.vectorToWorldFrame(this.referenceB, refB);
+    refB.cross(refA, cross);
+
+    return Math.atan2(cross.dot(axis), refB.dot(refA));
+};
+
+var HingeConstraint_getAngularVelocity_axis = new Vec3();
+
+/**
+ * Get the current angular velocity of the hinge: the time derivative of .getAngle().
+ * @method getAngularVelocity
+ * @return {number}
+ */
+HingeConstraint.prototype.getAngularVelocity = function(){
+    var axis = HingeConstraint_getAngularVelocity_axis;
+    this.bodyA.vectorToWorldFrame(this.axisA, axis);
+    return axis.dot(this.bodyA.angularVelocity) - axis.dot(this.bodyB.angularVelocity);
+};
+
 var HingeConstraint_update_tmpVec1 = new Vec3();
 var HingeConstraint_update_tmpVec2 = new Vec3();
+var HingeConstraint_update_refA = new Vec3();
+var HingeConstraint_update_axisXrefA = new Vec3();
 
 HingeConstraint.prototype.update = function(){
+    if(!this.enabled){
+        return;
+    }
+
     var bodyA = this.bodyA,
         bodyB = this.bodyB,
         motor = this.motorEquation,
@@ -130,5 +299,41 @@ HingeConstraint.prototype.update = function(){
         bodyA.quaternion.vmult(this.axisA, motor.axisA);
         bodyB.quaternion.vmult(this.axisB, motor.axisB);
     }
+
+    var angle = this.getAngle();
+    this.lowerLimitEquation.enabled = angle < this.lowerLimit;
+    this.upperLimitEquation.enabled = angle > this.upperLimit;
+    if(this.lowerLimitEquation.enabled){
+        this.updateLimitEquation(this.lowerLimitEquation, worldAxisA, this.lowerLimit, 1);
+    }
+    if(this.upperLimitEquation.enabled){
+        this.updateLimitEquation(this.upperLimitEquation, worldAxisA, this.upperLimit, -1);
+    }
+};
+
+/**
+ * @method updateLimitEquation
+ * @private
+ * @param {RotationalEquation} equation
+ * @param {Vec3} worldAxis
+ * @param {number} limit
+ * @param {number} side 1 for the lower limit, -1 for the upper.
+ */
+HingeConstraint.prototype.updateLimitEquation = function(equation, worldAxis, limit, side){
+    var refA = HingeConstraint_update_refA,
+        axisXrefA = HingeConstraint_update_axisXrefA,
+        world = this.bodyA.world || this.bodyB.world,
+        h = world && world.dt > 0 ? world.dt : 1 / 60;
+
+    // g = -axisA * axisB = side * sin(angle - limit)
+    this.bodyA.vectorToWorldFrame(this.referenceA, refA);
+    worldAxis.cross(refA, axisXrefA);
+    refA.scale(side * Math.sin(limit), equation.axisA);
+    axisXrefA.scale(side * Math.cos(limit), axisXrefA);
+    equation.axisA.vadd(axisXrefA, equation.axisA);
+    this.bodyB.vectorToWorldFrame(this.referenceB, equation.axisB);
+
+    equation.restitution = this.limitRestitution;
+    equation.setSpookParams(this.limitStiffness, this.limitRelaxation, h);
 };
 
@@ -0,0 +1,358 @@
+module.exports = SliderConstraint;
+
+var Constraint = require('./Constraint');
+var ContactEquation = require('../equations/ContactEquation');
+var FrictionEquation = require('../equations/FrictionEquation');
+var RotationalEquation = require('../equations/RotationalEquation');
+var Vec3 = require('../math/Vec3');
+
+/**
+ * Slider constraint, a.k.a. prismatic joint. Lets the bodies translate relative to each other along a single axis. The rotation around the axis is locked too, unless the rotation lock is disabled.
+ * @class SliderConstraint
+ * @constructor
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {object} [options]
+ * @param {Vec3} [options.pivotA] A point defined locally in bodyA.
+ * @param {Vec3} [options.axisA] The slider axis, defined locally in bodyA.
+ * @param {Vec3} [options.pivotB]
+ * @param {Vec3} [options.axisB]
+ * @param {Number} [options.lowerLimit] Lower translation limit. The translation is the distance from pivotA to pivotB along the axis.
+ * @param {Number} [options.upperLimit] Upper translation limit.
+ * @param {boolean} [options.rotationLock=true] Lock the rotation around the axis.
+ * @param {Number} [options.maxForce=1e6]
+ * @extends Constraint
+ * @example
+ *     var slider = new SliderConstraint(bodyA, bodyB, {
+ *         axisA: new Vec3(0, 1, 0),
+ *         axisB: new Vec3(0, 1, 0),
+ *         lowerLimit: -1,
+ *         upperLimit: 1
+ *     });
+ *     slider.enableMotor();
+ *     slider.setMotorSpeed(0.5);
+ *     world.addConstraint(slider);
+ */
+function SliderConstraint(bodyA, bodyB, options){
+    options = options || {};
+    Constraint.call(this, bodyA, bodyB, options);
+
+    var maxForce = typeof(options.maxForce) !== 'undefined' ? options.maxForce : 1e6;
+
+    /**
+     * Pivot, defined locally in bodyA.
+     * @property {Vec3} pivotA
+     */
+    this.pivotA = options.pivotA ? options.pivotA.clone() : new Vec3();
+
+    /**
+     * Pivot, defined locally in bodyB.
+     * @property {Vec3} pivotB
+     */
+    this.pivotB = options.pivotB ? options.pivotB.clone() : new Vec3();
+
+    /**
+     * Slider axis, defined locally in bodyA.
+     * @property {Vec3} axisA
+     */
+    var axisA = this.axisA = options.axisA ? options.axisA.clone() : new Vec3(1,0,0);
+    axisA.normalize();
+
+    /**
+     * Slider axis, defined locally in bodyB.
+     * @property {Vec3} axisB
+     */
+    var axisB = this.axisB = options.axisB ? options.axisB.clone() : new Vec3(1,0,0);
+    axisB.normalize();
+
+    /**
+     * @property {Number} lowerLimit
+     */
+    this.lowerLimit = typeof(options.lowerLimit) !== 'undefined' ? options.lowerLimit : -Number.MAX_VALUE;
+
+    /**
+     * @property {Number} upperLimit
+     */
+    this.upperLimit = typeof(options.upperLimit) !== 'undefined' ? options.upperLimit : Number.MAX_VALUE;
+
+    /**
+     * Vector perpendicular to the axis, defined locally in bodyA. Used for the rotation lock.
+     * @property {Vec3} perpendicularA
+     */
+    this.perpendicularA = new Vec3(0,1,0);
+
+    /**
+     * Vector perpendicular to the axis, defined locally in bodyB. Should be perpendicular to perpendicularA in world space, when the bodies are in their initial rotation.
+     * @property {Vec3} perpendicularB
+     */
+    this.perpendicularB = new Vec3(0,0,1);
+
+    if(bodyA && bodyB){
+        var worldAxis = new Vec3(),
+            u = new Vec3(),
+            v = new Vec3();
+        bodyA.vectorToWorldFrame(axisA, worldAxis);
+        worldAxis.tangents(u, v);
+        u.normalize();
+        worldAxis.cross(u, v);
+        bodyA.vectorToLocalFrame(u, this.perpendicularA);
+        bodyB.vectorToLocalFrame(v, this.perpendicularB);
+    }
+
+    /**
+     * Set to false by .disable().
+     * @property {boolean} enabled
+     */
+    this.enabled = true;
+
+    /**
+     * @property {boolean} motorEnabled
+     */
+    this.motorEnabled = false;
+
+    /**
+     * Whether the rotation around the axis is locked.
+     * @property {boolean} rotationLock
+     */
+    this.rotationLock = typeof(options.rotationLock) !== 'undefined' ? options.rotationLock : true;
+
+    /**
+     * Keeps pivotB on the axis.
+     * @property {ContactEquation} equation1
+     */
+    var eq1 = this.equation1 = new ContactEquation(bodyA,bodyB,maxForce);
+
+    /**
+     * @property {ContactEquation} equation2
+     */
+    var eq2 = this.equation2 = new ContactEquation(bodyA,bodyB,maxForce);
+
+    eq1.minForce = eq2.minForce = -maxForce;
+
+    /**
+     * Keeps the axes aligned.
+     * @property {RotationalEquation} rotationalEquation1
+     */
+    var r1 = this.rotationalEquation1 = new RotationalEquation(bodyA,bodyB,options);
+
+    /**
+     * @property {RotationalEquation} rotationalEquation2
+     */
+    var r2 = this.rotationalEquation2 = new RotationalEquation(bodyA,bodyB,options);
+
+    /**
+     * Locks the rotation around the axis.
+     * @property {RotationalEquation} rotationLockEquation
+     */
+    var lock = this.rotationLockEquation = new RotationalEquation(bodyA,bodyB,options);
+    lock.enabled = this.rotationLock;
+
+    /**
+     * @property {ContactEquation} lowerLimitEquation
+     */
+    var lower = this.lowerLimitEquation = new ContactEquation(bodyA,bodyB,maxForce);
+    lower.enabled = false;
+
+    /**
+     * @property {ContactEquation} upperLimitEquation
+     */
+    var upper = this.upperLimitEquation = new ContactEquation(bodyA,bodyB,maxForce);
+    upper.enabled = false;
+
+    /**
+     * @property {FrictionEquation} motorEquation
+     */
+    var motor = this.motorEquation = new FrictionEquation(bodyA,bodyB,maxForce);
+    motor.enabled = false; // Not enabled by default
+
+    this.equations.push(eq1, eq2, r1, r2, lock, lower, upper, motor);
+}
+SliderConstraint.prototype = new Constraint();
+SliderConstraint.prototype.constructor = SliderConstraint;
+
+/**
+ * @method enableMotor
+ */
+SliderConstraint.prototype.enableMotor = function(){
+    this.motorEnabled = this.motorEquation.enabled = true;
+};
+
+/**
+ * @method disableMotor
+ */
+SliderConstraint.prototype.disableMotor = function(){
+    this.motorEnabled = this.motorEquation.enabled = false;
+};
+
+/**
+ * Set the target translation speed of the motor.
+ * @method setMotorSpeed
+ * @param {number} speed
+ */
+SliderConstraint.prototype.setMotorSpeed = function(speed){
+    this.motorEquation.targetVelocity = speed;
+};
+
+/**
+ * @method setMotorMaxForce
+ * @param {number} maxForce
+ */
+SliderConstraint.prototype.setMotorMaxForce = function(maxForce){
+    this.motorEquation.maxForce = maxForce;
+    this.motorEquation.minForce = -maxForce;
+};
+
+/**
+ * @method enableRotationLock
+ */
+SliderConstraint.prototype.enableRotationLock = function(){
+    this.rotationLock = this.rotationLockEquation.enabled = true;
+};
+
+/**
+ * @method disableRotationLock
+ */
+SliderConstraint.prototype.disableRotationLock = function(){
+    this.rotationLock = this.rotationLockEquation.enabled = false;
+};
+
+/**
+ * @method setLimits
+ * @param {number} lower
+ * @param {number} upper
+ */
+SliderConstraint.prototype.setLimits = function(lower, upper){
+    this.lowerLimit = lower;
+    this.upperLimit = upper;
+};
+
+/**
+ * Enables the constraint. The limit equations are enabled when needed in .update().
+ * @method enable
+ */
+SliderConstraint.prototype.enable = function(){
+    this.enabled = true;
+    Constraint.prototype.enable.call(this);
+    this.motorEquation.enabled = this.motorEnabled;
+    this.rotationLockEquation.enabled = this.rotationLock;
+    this.lowerLimitEquation.enabled = this.upperLimitEquation.enabled = false;
+};
+
+/**
+ * Disables all equations in the constraint.
+ * @method disable
+ */
+SliderConstraint.prototype.disable = function(){
+    this.enabled = false;
+    Constraint.prototype.disable.call(this);
+};
+
+var SliderConstraint_getPosition_diff = new Vec3();
+var SliderConstraint_getPosition_axis = new Vec3();
+
+/**
+ * Get the current translation: the distance from pivotA to pivotB along the axis.
+ * @method getPosition
+ * @return {number}
+ */
+SliderConstraint.prototype.getPosition = function(){
+    var diff = SliderConstraint_getPosition_diff,
+        axis = SliderConstraint_getPosition_axis,
+        bodyA = this.bodyA,
+        bodyB = this.bodyB;
+
+    bodyB.pointToWorldFrame(this.pivotB, diff);
+    bodyA.pointToWorldFrame(this.pivotA, axis);
+    diff.vsub(axis, diff);
+    bodyA.vectorToWorldFrame(this.axisA, axis);
+
+    return diff.dot(axis);
+};
+
+var SliderConstraint_update_worldAxisA = new Vec3();
+var SliderConstraint_update_worldAxisB = new Vec3();
+var SliderConstraint_update_rA = new Vec3();
+var SliderConstraint_update_rB = new Vec3();
+var SliderConstraint_update_t1 = new Vec3();
+var SliderConstraint_update_t2 = new Vec3();
+
+SliderConstraint.prototype.update = function(){
+    if(!this.enabled){
+        return;
+    }
+
+    var bodyA = this.bodyA,
+        bodyB = this.bodyB,
+        worldAxisA = SliderConstraint_update_worldAxisA,
+        worldAxisB = SliderConstraint_update_worldAxisB,
+        rA = SliderConstraint_update_rA,
+        rB = SliderConstraint_update_rB,
+        t1 = SliderConstraint_update_t1,
+        t2 = SliderConstraint_update_t2,
+        eq1 = this.equation1,
+        eq2 = this.equation2,
+        r1 = this.rotationalEquation1,
+        r2 = this.rotationalEquation2,
+        lock = this.rotationLockEquation,
+        lower = this.lowerLimitEquation,
+        upper = this.upperLimitEquation,
+        motor = this.motorEquation;
+
+    bodyA.vectorToWorldFrame(this.axisA, worldAxisA);
+    bodyB.vectorToWorldFrame(this.axisB, worldAxisB);
+    bodyA.vectorToWorldFrame(this.pivotA, rA);
+    bodyB.vectorToWorldFrame(this.pivotB, rB);
+
+    worldAxisA.tangents(t1, t2);
+    t1.normalize();
+    t2.normalize();
+
+    // Keep pivotB on the axis
+    eq1.ni.copy(t1);
+    eq1.ri.copy(rA);
+    eq1.rj.copy(rB);
+    eq2.ni.copy(t2);
+    eq2.ri.copy(rA);
+    eq2.rj.copy(rB);
+
+    // Keep the axes parallel
+    r1.axisA.copy(t1);
+    r1.axisB.copy(worldAxisB);
+    r2.axisA.copy(t2);
+    r2.axisB.copy(worldAxisB);
+
+    if(this.rotationLock){
+        bodyA.vectorToWorldFrame(this.perpendicularA, lock.axisA);
+        bodyB.vectorToWorldFrame(this.perpendicularB, lock.axisB);
+    }
+
+    var position = this.getPosition();
+
+    // g = (xj + rj - xi - ri) * n, where ri is moved to the limit along the axis
+    lower.enabled = position < this.lowerLimit;
+    if(lower.enabled){
+        lower.ni.copy(worldAxisA);
+        worldAxisA.scale(this.lowerLimit, lower.ri);
+        lower.ri.vadd(rA, lower.ri);
+        lower.rj.copy(rB);
+    }
+
+    upper.enabled = position > this.upperLimit;
+    if(upper.enabled){
+        worldAxisA.negate(upper.ni);
+        worldAxisA.scale(this.upperLimit, upper.ri);
+        upper.ri.vadd(rA, upper.ri);
+        upper.rj.copy(rB);
+    }
+
+    // Don't let the motor push further into an active limit
+    motor.enabled = this.motorEnabled && !(
+        (lower.enabled && motor.targetVelocity < 0) ||
+        (upper.enabled && motor.targetVelocity > 0)
+    );
+    if(motor.enabled){
+        motor.t.copy(worldAxisA);
+        motor.ri.copy(rA);
+        motor.rj.copy(rB);
+    }
+};
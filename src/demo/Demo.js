@@ -1112,6 +1112,19 @@ CANNON.Demo.prototype.shape2mesh = function(body){
             mesh = new THREE.Mesh(geometry, this.currentMaterial);
             break;
 
+        case CANNON.Shape.types.CAPSULE:
+            // Cylinder along Z, plus a sphere at each end
+            mesh = new THREE.Object3D();
+            var cylinder = new THREE.Mesh(new THREE.CylinderGeometry(shape.radius, shape.radius, shape.height, 16), this.currentMaterial);
+            cylinder.rotation.x = Math.PI / 2;
+            mesh.add(cylinder);
+            for (var i = 0; i < 2; i++) {
+                var cap = new THREE.Mesh(new THREE.SphereGeometry(shape.radius, 16, 8), this.currentMaterial);
+                cap.position.z = (i ? 0.5 : -0.5) * shape.height;
+                mesh.add(cap);
+            }
+            break;
+
         default:
             throw "Visual type not recognized: "+shape.type;
         }
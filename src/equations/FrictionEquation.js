@@ -19,6 +19,12 @@ function FrictionEquation(bodyA, bodyB, slipForce){
     this.ri = new Vec3();
     this.rj = new Vec3();
     this.t = new Vec3(); // tangent
+
+    /**
+     * The relative velocity along the tangent that the equation tries to reach. Zero for regular friction.
+     * @property {Number} targetVelocity
+     */
+    this.targetVelocity = 0;
 }
 
 FrictionEquation.prototype = new Equation();
@@ -43,6 +49,7 @@ FrictionEquation.prototype.computeB = function(h){
 
     // G = [-t -rixt t rjxt]
     // And remember, this is a pure velocity constraint, g is always zero!
+    // gdot = G * W - targetVelocity
     var GA = this.jacobianElementA,
         GB = this.jacobianElementB;
     t.negate(GA.spatial);
@@ -50,7 +57,7 @@ FrictionEquation.prototype.computeB = function(h){
     GB.spatial.copy(t);
     GB.rotational.copy(rjxt);
 
-    var GW = this.computeGW();
+    var GW = this.computeGW() - this.targetVelocity;
     var GiMf = this.computeGiMf();
 
     var B = - GW * b - h * GiMf;
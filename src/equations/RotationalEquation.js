@@ -26,6 +26,12 @@ function RotationalEquation(bodyA, bodyB, options){
     this.axisB = options.axisB ? options.axisB.clone() : new Vec3(0, 1, 0);
 
     this.maxAngle = Math.PI / 2;
+
+    /**
+     * "Bounciness" of the equation: u1 = -e*u0. Only makes sense when the equation is unilateral, for example a joint limit.
+     * @property {Number} restitution
+     */
+    this.restitution = 0;
 }
 
 RotationalEquation.prototype = new Equation();
@@ -59,7 +65,7 @@ RotationalEquation.prototype.computeB = function(h){
     GB.rotational.copy(nixnj);
 
     var g = Math.cos(this.maxAngle) - ni.dot(nj),
-        GW = this.computeGW(),
+        GW = this.computeGW() * (1 + this.restitution),
         GiMf = this.computeGiMf();
 
     var B = - g * a - GW * b - h * GiMf;
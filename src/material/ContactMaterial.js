@@ -1,4 +1,5 @@
 var Utils = require('../utils/Utils');
+var Vec3 = require('../math/Vec3');
 
 module.exports = ContactMaterial;
 
@@ -15,6 +16,7 @@ module.exports = ContactMaterial;
  * @param {number} [options.contactEquationRelaxation=3]
  * @param {number} [options.frictionEquationStiffness=1e7]
  * @param {Number} [options.frictionEquationRelaxation=3]
+ * @param {Vec3} [options.surfaceVelocity]
  */
 function ContactMaterial(m1, m2, options){
     options = Utils.defaults(options, {
@@ -74,6 +76,15 @@ function ContactMaterial(m1, m2, options){
      * @property {Number} frictionEquationRelaxation
      */
     this.frictionEquationRelaxation = options.frictionEquationRelaxation;
+
+    /**
+     * Velocity of the surface of the first material relative to the second, in world space. The friction equations will try to reach this velocity, which can be used for conveyor belts. If both materials are the same, the surface of the first body in the contact moves.
+     * @property {Vec3} surfaceVelocity
+     */
+    this.surfaceVelocity = new Vec3();
+    if(options.surfaceVelocity){
+        this.surfaceVelocity.copy(options.surfaceVelocity);
+    }
 }
 
 ContactMaterial.idCounter = 0;
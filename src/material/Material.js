@@ -5,6 +5,10 @@ module.exports = Material;
  * @class Material
  * @constructor
  * @param {object} [options]
+ * @param {number} [options.friction=-1]
+ * @param {number} [options.restitution=-1]
+ * @param {number} [options.frictionCombine=Material.COMBINE_MULTIPLY]
+ * @param {number} [options.restitutionCombine=Material.COMBINE_MULTIPLY]
  * @author schteppe
  */
 function Material(options){
@@ -43,6 +47,69 @@ function Material(options){
      * @property {number} restitution
      */
     this.restitution = typeof(options.restitution) !== 'undefined' ? options.restitution : -1;
+
+    /**
+     * How the friction of this material is combined with the friction of another material. One of Material.COMBINE_AVERAGE, Material.COMBINE_MIN, Material.COMBINE_MULTIPLY and Material.COMBINE_MAX. If the two materials use different rules, the one that comes last in that list is used.
+     * @property {number} frictionCombine
+     */
+    this.frictionCombine = typeof(options.frictionCombine) !== 'undefined' ? options.frictionCombine : Material.COMBINE_MULTIPLY;
+
+    /**
+     * How the restitution of this material is combined with the restitution of another material. See .frictionCombine.
+     * @property {number} restitutionCombine
+     */
+    this.restitutionCombine = typeof(options.restitutionCombine) !== 'undefined' ? options.restitutionCombine : Material.COMBINE_MULTIPLY;
 }
 
 Material.idCounter = 0;
+
+/**
+ * Use the average of the two values.
+ * @static
+ * @property {number} COMBINE_AVERAGE
+ */
+Material.COMBINE_AVERAGE = 0;
+
+/**
+ * Use the smallest of the two values.
+ * @static
+ * @property {number} COMBINE_MIN
+ */
+Material.COMBINE_MIN = 1;
+
+/**
+ * Use the product of the two values.
+ * @static
+ * @property {number} COMBINE_MULTIPLY
+ */
+Material.COMBINE_MULTIPLY = 2;
+
+/**
+ * Use the largest of the two values.
+ * @static
+ * @property {number} COMBINE_MAX
+ */
+Material.COMBINE_MAX = 3;
+
+/**
+ * Combine two material values, for example friction coefficients.
+ * @static
+ * @method combine
+ * @param {number} valueA
+ * @param {number} combineA The combine rule of the first material.
+ * @param {number} valueB
+ * @param {number} combineB The combine rule of the second material.
+ * @return {number}
+ */
+Material.combine = function(valueA, combineA, valueB, combineB){
+    switch(Math.max(combineA, combineB)){
+    case Material.COMBINE_AVERAGE:
+        return (valueA + valueB) * 0.5;
+    case Material.COMBINE_MIN:
+        return Math.min(valueA, valueB);
+    case Material.COMBINE_MAX:
+        return Math.max(valueA, valueB);
+    default:
+        return valueA * valueB;
+    }
+};
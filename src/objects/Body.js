@@ -8,6 +8,8 @@ var Quaternion = require('../math/Quaternion');
 var Material = require('../material/Material');
 var AABB = require('../collision/AABB');
 var Box = require('../shapes/Box');
+var Ray = require('../collision/Ray');
+var RaycastResult = require('../collision/RaycastResult');
 
 /**
  * Base class for all body types.
@@ -33,6 +35,10 @@ var Box = require('../shapes/Box');
  * @param {Vec3} [options.linearFactor]
  * @param {Vec3} [options.angularFactor]
  * @param {Shape} [options.shape]
+ * @param {number} [options.ccdSpeedThreshold=-1]
+ * @param {number} [options.ccdIterations=10]
+ * @param {boolean} [options.sensor=false]
+ * @param {Vec3} [options.surfaceVelocity]
  * @example
  *     var body = new Body({
  *         mass: 1
@@ -89,6 +95,25 @@ function Body(options){
      */
 	this.collisionResponse = true;
 
+    /**
+     * Makes the body a sensor, also known as a trigger volume. Sensors do not collide with anything. Instead, the world checks which bodies and shapes overlap the sensor, and dispatches triggerEnter, triggerStay and triggerExit events. Raycasts and other queries skip sensors, unless they are told not to check the collision response. See also Shape.sensor.
+     * @property {Boolean} sensor
+     * @default false
+     */
+    this.sensor = !!options.sensor;
+
+    /**
+     * The bodies that overlap the sensor shapes of this body, as of the last step.
+     * @property {Array} overlappingBodies
+     */
+    this.overlappingBodies = [];
+
+    /**
+     * The shapes of other bodies that overlap the sensor shapes of this body, as of the last step.
+     * @property {Array} overlappingShapes
+     */
+    this.overlappingShapes = [];
+
     /**
      * World space position of the body.
      * @property position
@@ -217,6 +242,13 @@ function Body(options){
 
     this._wakeUpAfterNarrowphase = false;
 
+    /**
+     * A body in the island that this body fell asleep with. The bodies of a sleeping island are woken up together.
+     * @property {Body} sleepIslandRoot
+     * @private
+     */
+    this.sleepIslandRoot = null;
+
     /**
      * World space rotational force on the body, around center of mass.
      * @property {Vec3} torque
@@ -349,6 +381,15 @@ function Body(options){
         this.angularFactor.copy(options.angularFactor);
     }
 
+    /**
+     * Velocity of the surface of the body, relative to the body and in its local coordinates. The friction in the contacts of the body will try to reach this velocity, which is useful for conveyor belts and treadmills. Only the part of it that is tangential to the contact is used.
+     * @property {Vec3} surfaceVelocity
+     */
+    this.surfaceVelocity = new Vec3();
+    if(options.surfaceVelocity){
+        this.surfaceVelocity.copy(options.surfaceVelocity);
+    }
+
     /**
      * World space bounding box of the body and its shapes.
      * @property aabb
@@ -372,6 +413,20 @@ function Body(options){
 
     this.wlambda = new Vec3();
 
+    /**
+     * Continuous collision detection is enabled for the body when its speed is larger than this value. When enabled, the shapes of the body are swept from their previous pose to the new pose after integration, and the body is stopped at the first time of impact. Set to a negative number to disable.
+     * @property {Number} ccdSpeedThreshold
+     * @default -1
+     */
+    this.ccdSpeedThreshold = typeof(options.ccdSpeedThreshold) !== 'undefined' ? options.ccdSpeedThreshold : -1;
+
+    /**
+     * The number of bisection iterations used to refine the time of impact in continuous collision detection.
+     * @property {Number} ccdIterations
+     * @default 10
+     */
+    this.ccdIterations = typeof(options.ccdIterations) !== 'undefined' ? options.ccdIterations : 10;
+
     if(options.shape){
         this.addShape(options.shape);
     }
@@ -439,6 +494,14 @@ Body.SLEEPING = 2;
 
 Body.idCounter = 0;
 
+/**
+ * Maximum number of poses that are sampled along a sweep in continuous collision detection.
+ * @static
+ * @property CCD_MAX_SAMPLES
+ * @type {Number}
+ */
+Body.CCD_MAX_SAMPLES = 256;
+
 /**
  * Dispatched after a sleeping body has woken up.
  * @event wakeup
@@ -493,6 +556,19 @@ Body.sleepEvent = {
  * @param {Number} time The world time in seconds
  */
 Body.prototype.sleepTick = function(time){
+    if(this.updateSleepyState(time)){
+        this.sleep(); // Sleeping
+        this.dispatchEvent(Body.sleepEvent);
+    }
+};
+
+/**
+ * Update the sleepy state of the body, without putting it to sleep. The World uses this to put whole islands of bodies to sleep at once.
+ * @method updateSleepyState
+ * @param {Number} time The world time in seconds
+ * @return {boolean} True if the body has been sleepy for longer than .sleepTimeLimit, and is ready to fall asleep.
+ */
+Body.prototype.updateSleepyState = function(time){
     if(this.allowSleep){
         var sleepState = this.sleepState;
         var speedSquared = this.velocity.norm2() + this.angularVelocity.norm2();
@@ -504,10 +580,10 @@ Body.prototype.sleepTick = function(time){
         } else if(sleepState===Body.SLEEPY && speedSquared > speedLimitSquared){
             this.wakeUp(); // Wake up
         } else if(sleepState===Body.SLEEPY && (time - this.timeLastSleepy ) > this.sleepTimeLimit){
-            this.sleep(); // Sleeping
-            this.dispatchEvent(Body.sleepEvent);
+            return true;
         }
     }
+    return false;
 };
 
 /**
@@ -923,6 +999,228 @@ Body.prototype.integrate = function(dt, quatNormalize, quatNormalizeFast){
 
     this.aabbNeedsUpdate = true;
 
+    // Continuous collision detection
+    if(this.ccdSpeedThreshold >= 0 && this.world && this.type === Body.DYNAMIC){
+        var ccdSpeedThreshold = this.ccdSpeedThreshold;
+        if(velo.lengthSquared() >= ccdSpeedThreshold * ccdSpeedThreshold){
+            this.integrateToTimeOfImpact();
+        }
+    }
+
     // Update world inertia
     this.updateInertiaWorld();
 };
+
+var integrateToTimeOfImpact_endPosition = new Vec3();
+var integrateToTimeOfImpact_endQuaternion = new Quaternion();
+var integrateToTimeOfImpact_startPosition = new Vec3();
+var integrateToTimeOfImpact_startQuaternion = new Quaternion();
+var integrateToTimeOfImpact_sweptAABB = new AABB();
+var integrateToTimeOfImpact_candidates = [];
+var integrateToTimeOfImpact_overlapping = [];
+var integrateToTimeOfImpact_ray = new Ray();
+var integrateToTimeOfImpact_result = new RaycastResult();
+
+/**
+ * Sweep the body from its previous pose to its current pose and move it back to the first time of impact with another body. The velocity is not changed, the resulting contact is handled by the narrowphase in the next step. Bodies that the body already overlaps at the start of the sweep are only checked against the path of the body center. This is done automatically during integration for bodies with .ccdSpeedThreshold enabled.
+ *
+ * The sweep is done by sampling poses along the path, with a step length that is small enough not to skip past any thin obstacle, and then refining the time of impact by bisection (see .ccdIterations). Bodies without any volume, for example a body with a single Particle, are swept using a ray from the previous to the current position instead.
+ *
+ * @method integrateToTimeOfImpact
+ * @return {Boolean} True if the body was moved back to a time of impact.
+ */
+Body.prototype.integrateToTimeOfImpact = function(){
+    var world = this.world;
+    if(!world || !this.collisionResponse || this.sensor){
+        return false;
+    }
+
+    var narrowphase = world.narrowphase,
+        startPosition = integrateToTimeOfImpact_startPosition,
+        startQuaternion = integrateToTimeOfImpact_startQuaternion,
+        endPosition = integrateToTimeOfImpact_endPosition,
+        endQuaternion = integrateToTimeOfImpact_endQuaternion,
+        sweptAABB = integrateToTimeOfImpact_sweptAABB,
+        candidates = integrateToTimeOfImpact_candidates,
+        overlapping = integrateToTimeOfImpact_overlapping,
+        i;
+
+    startPosition.copy(this.previousPosition);
+    startQuaternion.copy(this.previousQuaternion);
+    endPosition.copy(this.position);
+    endQuaternion.copy(this.quaternion);
+
+    // Get the AABB of the whole sweep
+    this.computeAABB();
+    sweptAABB.copy(this.aabb);
+    this.position.copy(startPosition);
+    this.quaternion.copy(startQuaternion);
+    this.computeAABB();
+    sweptAABB.extend(this.aabb);
+
+    // Collect the bodies that may be hit. The bodies that already overlap at the start pose are handled by the narrowphase, but the body center is still swept against them so it cannot pass through them.
+    candidates.length = 0;
+    overlapping.length = 0;
+    world.broadphase.aabbQuery(world, sweptAABB, candidates);
+    for(i = candidates.length - 1; i >= 0; i--){
+        var b = candidates[i];
+        if(b === this || !b.collisionResponse || b.sensor || !world.broadphase.needBroadphaseCollision(this, b)){
+            candidates.splice(i, 1);
+        } else if(narrowphase.bodiesOverlap(this, b)){
+            candidates.splice(i, 1);
+            overlapping.push(b);
+        }
+    }
+
+    var innerRadius = Infinity;
+    for(i = 0; i < this.shapes.length; i++){
+        var r = this.shapes[i].getInnerRadius();
+        if(r > 0 && r < innerRadius){
+            innerRadius = r;
+        }
+    }
+
+    var toi = -1;
+    if(innerRadius === Infinity){
+        // The body has no volume to sweep, use a ray for all bodies
+        for(i = 0; i < overlapping.length; i++){
+            candidates.push(overlapping[i]);
+        }
+        toi = this.raycastTimeOfImpact(startPosition, endPosition, candidates);
+    } else {
+        if(candidates.length){
+            toi = this.sampleTimeOfImpact(startPosition, startQuaternion, endPosition, endQuaternion, innerRadius, candidates);
+        }
+        if(overlapping.length){
+            var rayToi = this.raycastTimeOfImpact(startPosition, endPosition, overlapping);
+            if(rayToi >= 0 && (toi < 0 || rayToi < toi)){
+                toi = rayToi;
+            }
+        }
+    }
+
+    if(toi >= 0){
+        startPosition.lerp(endPosition, toi, this.position);
+        startQuaternion.slerp(endQuaternion, toi, this.quaternion);
+    } else {
+        this.position.copy(endPosition);
+        this.quaternion.copy(endQuaternion);
+    }
+    this.aabbNeedsUpdate = true;
+    candidates.length = 0;
+    overlapping.length = 0;
+
+    return toi >= 0;
+};
+
+/**
+ * Move the body to a pose along a sweep and check if it overlaps any of the given bodies.
+ * @private
+ * @method overlapsAtTime
+ * @param  {Vec3} startPosition
+ * @param  {Quaternion} startQuaternion
+ * @param  {Vec3} endPosition
+ * @param  {Quaternion} endQuaternion
+ * @param  {Number} t Sweep fraction, between 0 and 1.
+ * @param  {Array} bodies
+ * @return {Boolean}
+ */
+Body.prototype.overlapsAtTime = function(startPosition, startQuaternion, endPosition, endQuaternion, t, bodies){
+    var narrowphase = this.world.narrowphase;
+
+    startPosition.lerp(endPosition, t, this.position);
+    startQuaternion.slerp(endQuaternion, t, this.quaternion);
+
+    for(var i = 0; i < bodies.length; i++){
+        if(narrowphase.bodiesOverlap(this, bodies[i])){
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Find the time of impact by sampling the sweep and refining the first overlap by bisection. Returns the sweep fraction of the impact, or -1 if nothing was hit. The returned pose overlaps the hit body slightly, so that the narrowphase picks up the contact.
+ * @private
+ * @method sampleTimeOfImpact
+ * @param  {Vec3} startPosition
+ * @param  {Quaternion} startQuaternion
+ * @param  {Vec3} endPosition
+ * @param  {Quaternion} endQuaternion
+ * @param  {Number} innerRadius Smallest inner radius of the shapes of the body.
+ * @param  {Array} bodies
+ * @return {Number}
+ */
+Body.prototype.sampleTimeOfImpact = function(startPosition, startQuaternion, endPosition, endQuaternion, innerRadius, bodies){
+    // Largest distance any point on the body moves during the sweep
+    var dot = Math.abs(
+        startQuaternion.x * endQuaternion.x +
+        startQuaternion.y * endQuaternion.y +
+        startQuaternion.z * endQuaternion.z +
+        startQuaternion.w * endQuaternion.w
+    );
+    var angle = 2 * Math.acos(Math.min(dot, 1));
+    var motion = startPosition.distanceTo(endPosition) + angle * this.boundingRadius;
+
+    var numSamples = Math.min(Math.ceil(motion / innerRadius), Body.CCD_MAX_SAMPLES);
+    var lower = 0,
+        upper = -1;
+    for(var i = 1; i <= numSamples; i++){
+        var t = i / numSamples;
+        if(this.overlapsAtTime(startPosition, startQuaternion, endPosition, endQuaternion, t, bodies)){
+            upper = t;
+            break;
+        }
+        lower = t;
+    }
+
+    if(upper < 0){
+        return -1;
+    }
+
+    for(var j = 0; j < this.ccdIterations; j++){
+        var mid = (lower + upper) / 2;
+        if(this.overlapsAtTime(startPosition, startQuaternion, endPosition, endQuaternion, mid, bodies)){
+            upper = mid;
+        } else {
+            lower = mid;
+        }
+    }
+
+    return upper;
+};
+
+/**
+ * Find the time of impact by casting a ray from the start position to the end position. Returns the sweep fraction of the impact, or -1 if nothing was hit.
+ * @private
+ * @method raycastTimeOfImpact
+ * @param  {Vec3} startPosition
+ * @param  {Vec3} endPosition
+ * @param  {Array} bodies
+ * @return {Number}
+ */
+Body.prototype.raycastTimeOfImpact = function(startPosition, endPosition, bodies){
+    var ray = integrateToTimeOfImpact_ray,
+        result = integrateToTimeOfImpact_result;
+
+    var length = startPosition.distanceTo(endPosition);
+    if(length === 0){
+        return -1;
+    }
+
+    ray.from.copy(startPosition);
+    ray.to.copy(endPosition);
+    ray.mode = Ray.CLOSEST;
+    ray.skipBackfaces = true;
+    ray.result = result;
+    ray.hasHit = false;
+    result.reset();
+    ray._updateDirection();
+    ray.intersectBodies(bodies);
+
+    if(!result.hasHit){
+        return -1;
+    }
+
+    return Math.min(result.distance / length, 1);
+};
@@ -0,0 +1,565 @@
+var Body = require('./Body');
+var Capsule = require('../shapes/Capsule');
+var Vec3 = require('../math/Vec3');
+var Transform = require('../math/Transform');
+var ShapeCastResult = require('../collision/ShapeCastResult');
+var RaycastResult = require('../collision/RaycastResult');
+
+module.exports = CharacterController;
+
+/**
+ * Kinematic character controller. Moves a kinematic body with a capsule or sphere shape by sweeping the shape through the world, instead of letting the solver resolve its contacts. This gives stable movement on slopes and steps.
+ *
+ * The controller updates itself before each world step, see .update().
+ *
+ * @class CharacterController
+ * @constructor
+ * @param {object} [options]
+ * @param {Shape} [options.shape] A Capsule or a Sphere. Defaults to a Capsule with radius 0.3 and height 1.2.
+ * @param {Vec3} [options.position]
+ * @param {Vec3} [options.up] The up direction. The capsule is aligned with it.
+ * @param {Number} [options.stepHeight=0.35] Max height of steps that the character can walk up.
+ * @param {Number} [options.maxSlopeAngle=PI/4] Max angle in radians of slopes that the character can walk on.
+ * @param {Number} [options.skinWidth=0.02] The distance that the character keeps to other shapes.
+ * @param {Number} [options.jumpSpeed=5]
+ * @param {Number} [options.mass=80] Used when pushing dynamic bodies, and for the weight on dynamic ground.
+ * @param {Number} [options.collisionFilterGroup=1]
+ * @param {Number} [options.collisionFilterMask=-1]
+ * @example
+ *     var character = new CharacterController({
+ *         position: new Vec3(0, 0, 1)
+ *     });
+ *     character.addToWorld(world);
+ *
+ *     // In the game loop
+ *     character.setWalkVelocity(new Vec3(2, 0, 0));
+ *     if(jumpKeyPressed){
+ *         character.jump();
+ *     }
+ *     world.step(1 / 60);
+ */
+function CharacterController(options){
+    options = options || {};
+
+    /**
+     * @property {Vec3} up
+     */
+    this.up = options.up ? options.up.clone() : new Vec3(0, 0, 1);
+    this.up.normalize();
+
+    /**
+     * @property {Shape} shape
+     */
+    this.shape = options.shape || new Capsule(0.3, 1.2);
+
+    /**
+     * @property {Number} stepHeight
+     */
+    this.stepHeight = typeof(options.stepHeight) !== 'undefined' ? options.stepHeight : 0.35;
+
+    /**
+     * @property {Number} maxSlopeAngle
+     */
+    this.maxSlopeAngle = typeof(options.maxSlopeAngle) !== 'undefined' ? options.maxSlopeAngle : Math.PI / 4;
+
+    /**
+     * @property {Number} skinWidth
+     */
+    this.skinWidth = typeof(options.skinWidth) !== 'undefined' ? options.skinWidth : 0.02;
+
+    /**
+     * @property {Number} jumpSpeed
+     */
+    this.jumpSpeed = typeof(options.jumpSpeed) !== 'undefined' ? options.jumpSpeed : 5;
+
+    /**
+     * @property {Number} mass
+     */
+    this.mass = typeof(options.mass) !== 'undefined' ? options.mass : 80;
+
+    /**
+     * Max number of sweeps when sliding along surfaces, per update.
+     * @property {Number} maxIterations
+     */
+    this.maxIterations = 4;
+
+    /**
+     * The kinematic body of the character.
+     * @property {Body} body
+     */
+    var body = this.body = new Body({
+        mass: 0,
+        type: Body.KINEMATIC,
+        position: options.position,
+        collisionFilterGroup: options.collisionFilterGroup,
+        collisionFilterMask: options.collisionFilterMask
+    });
+    body.allowSleep = false;
+    body.quaternion.setFromVectors(new Vec3(0, 0, 1), this.up);
+    body.addShape(this.shape);
+
+    /**
+     * The velocity that the character tries to walk with. The up component is ignored.
+     * @property {Vec3} walkVelocity
+     */
+    this.walkVelocity = new Vec3();
+
+    /**
+     * Velocity along the up direction, from jumping and falling.
+     * @property {Number} verticalVelocity
+     */
+    this.verticalVelocity = 0;
+
+    /**
+     * True if the character is standing on a walkable surface.
+     * @property {boolean} onGround
+     */
+    this.onGround = false;
+
+    /**
+     * The body that the character is standing on, or null.
+     * @property {Body} groundBody
+     */
+    this.groundBody = null;
+
+    /**
+     * Normal of the ground surface. Only valid if .onGround is true.
+     * @property {Vec3} groundNormal
+     */
+    this.groundNormal = new Vec3();
+
+    /**
+     * The point where the character touches the ground. Only valid if .onGround is true.
+     * @property {Vec3} groundPoint
+     */
+    this.groundPoint = new Vec3();
+
+    /**
+     * @property {World} world
+     */
+    this.world = null;
+
+    this.preStepCallback = null;
+
+    /**
+     * Set by .move() if the character stepped up and landed on a surface that is too steep.
+     * @property {boolean} steppedOntoSteep
+     * @private
+     */
+    this.steppedOntoSteep = false;
+}
+
+/**
+ * Add the character to the world.
+ * @method addToWorld
+ * @param {World} world
+ */
+CharacterController.prototype.addToWorld = function(world){
+    var that = this;
+    world.addBody(this.body);
+    this.preStepCallback = function(){
+        that.update(world.dt);
+    };
+    world.addEventListener('preStep', this.preStepCallback);
+    this.world = world;
+};
+
+/**
+ * Remove the character from the world.
+ * @method removeFromWorld
+ * @param {World} world
+ */
+CharacterController.prototype.removeFromWorld = function(world){
+    world.remove(this.body);
+    world.removeEventListener('preStep', this.preStepCallback);
+    this.world = null;
+};
+
+/**
+ * @method setWalkVelocity
+ * @param {Vec3} velocity
+ */
+CharacterController.prototype.setWalkVelocity = function(velocity){
+    this.walkVelocity.copy(velocity);
+};
+
+/**
+ * Jump, if the character is on the ground.
+ * @method jump
+ * @param {Number} [speed] Defaults to .jumpSpeed.
+ * @return {boolean} True if the character jumped.
+ */
+CharacterController.prototype.jump = function(speed){
+    if(!this.onGround){
+        return false;
+    }
+    this.verticalVelocity = typeof(speed) !== 'undefined' ? speed : this.jumpSpeed;
+    this.onGround = false;
+    this.groundBody = null;
+    return true;
+};
+
+/**
+ * Check if a surface with the given normal is flat enough to walk on.
+ * @method isWalkable
+ * @param {Vec3} normal
+ * @return {boolean}
+ */
+CharacterController.prototype.isWalkable = function(normal){
+    return normal.dot(this.up) >= Math.cos(this.maxSlopeAngle) - 1e-6;
+};
+
+var update_position = new Vec3();
+var update_start = new Vec3();
+var update_walk = new Vec3();
+var update_tmp = new Vec3();
+var update_relativePoint = new Vec3();
+
+/**
+ * Move the character one time step. Called automatically in each world step, after the solver and before the bodies are integrated. The velocity of the kinematic body is set so that the integration moves it to the new position.
+ * @method update
+ * @param {Number} dt
+ */
+CharacterController.prototype.update = function(dt){
+    var body = this.body,
+        world = this.world,
+        up = this.up,
+        position = update_position,
+        start = update_start,
+        walk = update_walk,
+        tmp = update_tmp;
+
+    if(!world || dt <= 0){
+        return;
+    }
+
+    // Don't let the sweeps hit the character itself
+    var collisionResponse = body.collisionResponse;
+    body.collisionResponse = false;
+
+    position.copy(body.position);
+    this.depenetrate(position);
+
+    // Ride the ground body
+    var wasOnGround = this.onGround;
+    if(wasOnGround && this.groundBody){
+        var ground = this.groundBody;
+        this.groundPoint.vsub(ground.position, tmp);
+        ground.angularVelocity.cross(tmp, tmp);
+        tmp.vadd(ground.velocity, tmp);
+        tmp.scale(dt, tmp);
+        position.vadd(tmp, position);
+
+        // Weight of the character
+        if(ground.type === Body.DYNAMIC){
+            world.gravity.scale(this.mass, tmp);
+            this.groundPoint.vsub(ground.position, update_relativePoint);
+            ground.applyForce(tmp, update_relativePoint);
+        }
+    }
+
+    // Gravity and jumping
+    if(wasOnGround){
+        this.verticalVelocity = Math.max(this.verticalVelocity, 0);
+    } else {
+        this.verticalVelocity += world.gravity.dot(up) * dt;
+    }
+    var verticalMove = this.verticalVelocity * dt;
+
+    // Walk motion in the plane perpendicular to up
+    up.scale(this.walkVelocity.dot(up), tmp);
+    this.walkVelocity.vsub(tmp, walk);
+    walk.scale(dt, walk);
+
+    // Try stepping up first. If the character ends up on a steep surface, retry without the step.
+    start.copy(position);
+    var canStep = wasOnGround && verticalMove <= 0 && this.stepHeight > 0 && walk.lengthSquared() > 0;
+    this.move(position, walk, verticalMove, canStep ? this.stepHeight : 0, wasOnGround, dt);
+    if(canStep && this.steppedOntoSteep){
+        position.copy(start);
+        this.move(position, walk, verticalMove, 0, wasOnGround, dt);
+    }
+
+    // Let the world integrate the kinematic body to the new position
+    position.vsub(body.position, body.velocity);
+    body.velocity.scale(1 / dt, body.velocity);
+    body.angularVelocity.set(0, 0, 0);
+
+    body.collisionResponse = collisionResponse;
+};
+
+var move_motion = new Vec3();
+var move_tmp = new Vec3();
+var move_result = new ShapeCastResult();
+
+/**
+ * Step up, slide along the walk motion, then step down to the ground.
+ * @method move
+ * @private
+ * @param {Vec3} position Will be updated.
+ * @param {Vec3} walk
+ * @param {Number} verticalMove
+ * @param {Number} stepHeight
+ * @param {boolean} wasOnGround
+ * @param {Number} dt
+ */
+CharacterController.prototype.move = function(position, walk, verticalMove, stepHeight, wasOnGround, dt){
+    var up = this.up,
+        skinWidth = this.skinWidth,
+        motion = move_motion,
+        result = move_result;
+
+    this.steppedOntoSteep = false;
+
+    // Up
+    var upMove = stepHeight + Math.max(verticalMove, 0),
+        moved = 0;
+    if(upMove > 0){
+        up.scale(upMove, motion);
+        moved = upMove;
+        if(this.sweep(position, motion, result)){
+            moved = Math.max(result.distance - skinWidth, 0);
+            if(verticalMove > 0 && moved < upMove){
+                // Hit the ceiling
+                this.verticalVelocity = 0;
+            }
+        }
+        up.scale(moved, motion);
+        position.vadd(motion, position);
+    }
+
+    // Sideways
+    this.slide(position, walk, dt);
+
+    // Down
+    var downMove = Math.min(moved, stepHeight) + Math.max(-verticalMove, 0),
+        snap = wasOnGround && verticalMove <= 0 ? this.stepHeight : 0,
+        castLength = downMove + snap + skinWidth;
+
+    this.onGround = false;
+    this.groundBody = null;
+
+    up.scale(-castLength, motion);
+    var hit = this.sweep(position, motion, result);
+    if(hit){
+        this.getSurfaceNormal(position, result, result.hitNormalWorld);
+    }
+    if(hit && (result.distance <= downMove + skinWidth || this.isWalkable(result.hitNormalWorld))){
+        var distance = Math.max(result.distance - skinWidth, 0);
+        up.scale(-distance, motion);
+        position.vadd(motion, position);
+
+        if(this.isWalkable(result.hitNormalWorld)){
+            this.onGround = true;
+            this.groundBody = result.body;
+            this.groundNormal.copy(result.hitNormalWorld);
+            this.groundPoint.copy(result.hitPointWorld);
+            this.verticalVelocity = 0;
+        } else {
+            // Slide down the steep surface
+            this.steppedOntoSteep = stepHeight > 0;
+            up.scale(-(downMove - distance), motion);
+            result.hitNormalWorld.scale(motion.dot(result.hitNormalWorld), move_tmp);
+            motion.vsub(move_tmp, motion);
+            this.slide(position, motion, dt);
+        }
+    } else {
+        up.scale(-downMove, motion);
+        position.vadd(motion, position);
+    }
+};
+
+var getSurfaceNormal_from = new Vec3();
+var getSurfaceNormal_to = new Vec3();
+var getSurfaceNormal_offset = new Vec3();
+var getSurfaceNormal_result = new RaycastResult();
+
+/**
+ * The normal of a shape cast hit is the direction between the closest points, which is tilted when the rounded bottom of the character hits an edge, for example at the top of a step. Get the normal of the surface beyond the edge instead, using a short ray.
+ * @method getSurfaceNormal
+ * @private
+ * @param {Vec3} position The position of the character.
+ * @param {ShapeCastResult} hit
+ * @param {Vec3} target
+ */
+CharacterController.prototype.getSurfaceNormal = function(position, hit, target){
+    var up = this.up,
+        skinWidth = this.skinWidth,
+        from = getSurfaceNormal_from,
+        to = getSurfaceNormal_to,
+        offset = getSurfaceNormal_offset,
+        result = getSurfaceNormal_result;
+
+    if(this.isWalkable(hit.hitNormalWorld)){
+        target.copy(hit.hitNormalWorld);
+        return;
+    }
+
+    // Start the ray a bit above the hit point, on the far side from the character
+    hit.hitPointWorld.vsub(position, offset);
+    up.scale(offset.dot(up), from);
+    offset.vsub(from, offset);
+    offset.normalize();
+    offset.scale(skinWidth, offset);
+    up.scale(skinWidth, from);
+    from.vadd(offset, from);
+    from.vadd(hit.hitPointWorld, from);
+    up.scale(-3 * skinWidth, to);
+    to.vadd(from, to);
+
+    result.reset();
+    this.world.raycastClosest(from, to, {
+        collisionFilterGroup: this.body.collisionFilterGroup,
+        collisionFilterMask: this.body.collisionFilterMask
+    }, result);
+    if(result.hasHit && result.body === hit.body){
+        target.copy(result.hitNormalWorld);
+    } else {
+        target.copy(hit.hitNormalWorld);
+    }
+};
+
+var slide_remaining = new Vec3();
+var slide_normal = new Vec3();
+var slide_tmp = new Vec3();
+var slide_result = new ShapeCastResult();
+
+/**
+ * Move along a motion vector, and slide along the surfaces that are hit. Dynamic bodies that are hit are pushed.
+ * @method slide
+ * @private
+ * @param {Vec3} position Will be updated.
+ * @param {Vec3} motion
+ * @param {Number} dt
+ */
+CharacterController.prototype.slide = function(position, motion, dt){
+    var remaining = slide_remaining,
+        normal = slide_normal,
+        tmp = slide_tmp,
+        result = slide_result,
+        up = this.up;
+
+    remaining.copy(motion);
+    for(var i = 0; i < this.maxIterations && remaining.lengthSquared() > 1e-12; i++){
+        if(!this.sweep(position, remaining, result)){
+            position.vadd(remaining, position);
+            break;
+        }
+
+        // Move to the hit, keeping the skin width to the surface
+        remaining.scale(result.timeOfImpact, tmp);
+        position.vadd(tmp, position);
+        result.hitNormalWorld.scale(this.skinWidth, tmp);
+        position.vadd(tmp, position);
+        remaining.scale(1 - result.timeOfImpact, remaining);
+
+        normal.copy(result.hitNormalWorld);
+        if(result.body.type === Body.DYNAMIC){
+            this.push(result.body, result.hitPointWorld, normal, remaining, dt);
+        }
+
+        // Don't climb surfaces that are too steep
+        if(!this.isWalkable(normal)){
+            up.scale(normal.dot(up), tmp);
+            normal.vsub(tmp, normal);
+            if(normal.normalize() === 0){
+                break;
+            }
+        }
+
+        var into = remaining.dot(normal);
+        if(into < 0){
+            normal.scale(into, tmp);
+            remaining.vsub(tmp, remaining);
+        }
+    }
+};
+
+var push_impulse = new Vec3();
+var push_relativePoint = new Vec3();
+
+/**
+ * Push a dynamic body that the character walks into.
+ * @method push
+ * @private
+ * @param {Body} body
+ * @param {Vec3} point
+ * @param {Vec3} normal Pointing from the body towards the character.
+ * @param {Vec3} motion The motion of the character that was blocked by the body.
+ * @param {Number} dt
+ */
+CharacterController.prototype.push = function(body, point, normal, motion, dt){
+    var speed = -motion.dot(normal) / dt,
+        bodySpeed = -body.velocity.dot(normal);
+    if(speed <= bodySpeed){
+        return;
+    }
+
+    // Impulse that makes the body move with the character, as if the character had the given mass
+    var impulse = (speed - bodySpeed) * this.mass * body.mass / (this.mass + body.mass);
+    normal.scale(-impulse, push_impulse);
+    point.vsub(body.position, push_relativePoint);
+    body.wakeUp();
+    body.applyImpulse(push_impulse, push_relativePoint);
+};
+
+var sweep_from = new Transform();
+var sweep_to = new Transform();
+
+/**
+ * Sweep the character shape from a position along a motion vector.
+ * @method sweep
+ * @private
+ * @param {Vec3} position
+ * @param {Vec3} motion
+ * @param {ShapeCastResult} result
+ * @return {boolean} True if something was hit.
+ */
+CharacterController.prototype.sweep = function(position, motion, result){
+    var body = this.body;
+    sweep_from.position.copy(position);
+    sweep_from.quaternion.copy(body.quaternion);
+    position.vadd(motion, sweep_to.position);
+    sweep_to.quaternion.copy(body.quaternion);
+    return this.world.convexCast(this.shape, sweep_from, sweep_to, {
+        collisionFilterGroup: body.collisionFilterGroup,
+        collisionFilterMask: body.collisionFilterMask
+    }, result);
+};
+
+var depenetrate_overlaps = [];
+var depenetrate_tmp = new Vec3();
+
+/**
+ * Push the character out of the shapes it overlaps, for example after a platform moved into it.
+ * @method depenetrate
+ * @private
+ * @param {Vec3} position Will be updated.
+ */
+CharacterController.prototype.depenetrate = function(position){
+    var overlaps = depenetrate_overlaps,
+        body = this.body;
+
+    overlaps.length = 0;
+    this.world.overlapShape(this.shape, position, body.quaternion, {
+        collisionFilterGroup: body.collisionFilterGroup,
+        collisionFilterMask: body.collisionFilterMask,
+        contacts: true
+    }, overlaps);
+
+    // Push out along the deepest contact of each overlap
+    for(var i = 0; i < overlaps.length; i++){
+        var contacts = overlaps[i].contacts,
+            deepest = null;
+        for(var j = 0; j < contacts.length; j++){
+            if(contacts[j].depth > 0 && (!deepest || contacts[j].depth > deepest.depth)){
+                deepest = contacts[j];
+            }
+        }
+        if(deepest){
+            deepest.normal.scale(deepest.depth + this.skinWidth, depenetrate_tmp);
+            position.vadd(depenetrate_tmp, position);
+        }
+    }
+    overlaps.length = 0;
+};
@@ -0,0 +1,294 @@
+var Body = require('./Body');
+var Capsule = require('../shapes/Capsule');
+var Vec3 = require('../math/Vec3');
+var Quaternion = require('../math/Quaternion');
+var ConeTwistConstraint = require('../constraints/ConeTwistConstraint');
+var HingeConstraint = require('../constraints/HingeConstraint');
+
+module.exports = Ragdoll;
+
+/**
+ * Ragdoll helper class. Builds capsule bodies and joint constraints from a bone hierarchy.
+ *
+ * Each bone is a capsule that starts at the end of its parent (plus an optional offset) and extends along its direction. All positions and directions are given in the rest pose, relative to the ragdoll position. A bone is attached to its parent by a ConeTwistConstraint or a HingeConstraint at the start of the bone.
+ *
+ * @class Ragdoll
+ * @constructor
+ * @param {object} options
+ * @param {Array} options.bones Bone descriptions, parents before children.
+ * @param {String} options.bones[].name
+ * @param {String} [options.bones[].parent] Name of the parent bone. The root bone has no parent.
+ * @param {Vec3} [options.bones[].offset] Offset of the bone start, from the end of the parent bone. For the root bone, the offset from the ragdoll position.
+ * @param {Vec3} [options.bones[].direction] Direction of the bone. Defaults to the direction of the parent, or (0,0,1) for the root.
+ * @param {Number} options.bones[].length Length of the bone, including the capsule ends.
+ * @param {Number} options.bones[].radius
+ * @param {Number} options.bones[].mass
+ * @param {object} [options.bones[].joint] The joint to the parent bone.
+ * @param {String} [options.bones[].joint.type='coneTwist'] 'coneTwist' or 'hinge'.
+ * @param {Number} [options.bones[].joint.angle=PI/4] Cone angle, for coneTwist joints.
+ * @param {Number} [options.bones[].joint.twistAngle=PI/8] Twist angle, for coneTwist joints.
+ * @param {Vec3} [options.bones[].joint.axis] Hinge axis, for hinge joints.
+ * @param {Number} [options.bones[].joint.lowerLimit] Lower hinge angle limit, see HingeConstraint.getAngle().
+ * @param {Number} [options.bones[].joint.upperLimit] Upper hinge angle limit.
+ * @param {Vec3} [options.position]
+ * @param {Material} [options.material]
+ * @param {Number} [options.collisionFilterGroup=1]
+ * @param {Number} [options.collisionFilterMask=-1]
+ * @example
+ *     var ragdoll = new Ragdoll({
+ *         position: new Vec3(0, 0, 1),
+ *         bones: [
+ *             { name: 'torso', length: 0.6, radius: 0.15, mass: 20 },
+ *             { name: 'head', parent: 'torso', length: 0.3, radius: 0.12, mass: 5 },
+ *             { name: 'upperArm', parent: 'torso', offset: new Vec3(0.2, 0, -0.1), direction: new Vec3(1, 0, 0), length: 0.3, radius: 0.05, mass: 2 },
+ *             { name: 'lowerArm', parent: 'upperArm', length: 0.3, radius: 0.05, mass: 2, joint: { type: 'hinge', axis: new Vec3(0, 0, 1), lowerLimit: -2, upperLimit: 0 } }
+ *         ]
+ *     });
+ *     ragdoll.addToWorld(world);
+ */
+function Ragdoll(options){
+    options = options || {};
+
+    var position = options.position ? options.position.clone() : new Vec3();
+
+    /**
+     * The bones, in the same order as in the description. Each bone has the properties name, parent (the parent bone or null), body, constraint (the joint to the parent or null), length, radius, restPosition (the start of the bone in the rest pose) and restQuaternion.
+     * @property {Array} bones
+     */
+    this.bones = [];
+
+    /**
+     * @property {Array} bodies
+     */
+    this.bodies = [];
+
+    /**
+     * @property {Array} constraints
+     */
+    this.constraints = [];
+
+    /**
+     * The world that the ragdoll was added to.
+     * @property {World} world
+     */
+    this.world = null;
+
+    /**
+     * @property {object} boneMap
+     * @private
+     */
+    this.boneMap = {};
+
+    var descriptions = options.bones || [];
+    for(var i = 0; i < descriptions.length; i++){
+        this.addBone(descriptions[i], position, options);
+    }
+}
+
+var zAxis = new Vec3(0, 0, 1);
+
+/**
+ * @method addBone
+ * @private
+ * @param {object} description
+ * @param {Vec3} position
+ * @param {object} options
+ */
+Ragdoll.prototype.addBone = function(description, position, options){
+    var parent = null;
+    if(typeof(description.parent) !== 'undefined'){
+        parent = this.boneMap[description.parent];
+        if(!parent){
+            throw new Error('Parent bone "' + description.parent + '" of "' + description.name + '" not found. Parents must be given before their children.');
+        }
+    }
+
+    var direction = description.direction ? description.direction.clone() : new Vec3(0, 0, 1);
+    if(!description.direction && parent){
+        parent.restQuaternion.vmult(zAxis, direction);
+    }
+    direction.normalize();
+
+    var length = description.length,
+        radius = description.radius,
+        start = new Vec3(),
+        center = new Vec3();
+
+    if(parent){
+        parent.restQuaternion.vmult(new Vec3(0, 0, parent.length), start);
+        start.vadd(parent.restPosition, start);
+    } else {
+        start.copy(position);
+    }
+    if(description.offset){
+        start.vadd(description.offset, start);
+    }
+    direction.scale(length / 2, center);
+    center.vadd(start, center);
+
+    var body = new Body({
+        mass: description.mass,
+        position: center,
+        material: options.material,
+        collisionFilterGroup: options.collisionFilterGroup,
+        collisionFilterMask: options.collisionFilterMask
+    });
+    body.quaternion.setFromVectors(zAxis, direction);
+    body.addShape(new Capsule(radius, Math.max(length - 2 * radius, 0)));
+
+    var bone = {
+        name: description.name,
+        parent: parent,
+        body: body,
+        constraint: null,
+        length: length,
+        radius: radius,
+        restPosition: start,
+        restQuaternion: body.quaternion.clone()
+    };
+
+    if(parent){
+        bone.constraint = createJoint(parent, bone, description.joint || {});
+        this.constraints.push(bone.constraint);
+    }
+
+    this.bones.push(bone);
+    this.bodies.push(body);
+    this.boneMap[bone.name] = bone;
+};
+
+function createJoint(parent, bone, joint){
+    var parentBody = parent.body,
+        body = bone.body,
+        pivotA = new Vec3(),
+        pivotB = new Vec3(0, 0, -bone.length / 2),
+        constraint;
+
+    parentBody.pointToLocalFrame(bone.restPosition, pivotA);
+
+    if(joint.type === 'hinge'){
+        var axis = joint.axis ? joint.axis.clone() : new Vec3(1, 0, 0),
+            axisA = new Vec3(),
+            axisB = new Vec3();
+        axis.normalize();
+        parentBody.vectorToLocalFrame(axis, axisA);
+        body.vectorToLocalFrame(axis, axisB);
+        constraint = new HingeConstraint(parentBody, body, {
+            pivotA: pivotA,
+            pivotB: pivotB,
+            axisA: axisA,
+            axisB: axisB,
+            lowerLimit: joint.lowerLimit,
+            upperLimit: joint.upperLimit
+        });
+        constraint.collideConnected = false;
+    } else {
+        var coneAxis = new Vec3();
+        parentBody.vectorToLocalFrame(bone.restQuaternion.vmult(zAxis), coneAxis);
+        constraint = new ConeTwistConstraint(parentBody, body, {
+            pivotA: pivotA,
+            pivotB: pivotB,
+            axisA: coneAxis,
+            axisB: new Vec3(0, 0, 1),
+            angle: typeof(joint.angle) !== 'undefined' ? joint.angle : Math.PI / 4,
+            twistAngle: typeof(joint.twistAngle) !== 'undefined' ? joint.twistAngle : Math.PI / 8
+        });
+    }
+
+    return constraint;
+}
+
+/**
+ * Get a bone by name.
+ * @method getBone
+ * @param {String} name
+ * @return {object} The bone, or undefined if not found.
+ */
+Ragdoll.prototype.getBone = function(name){
+    return this.boneMap[name];
+};
+
+/**
+ * Add the ragdoll bodies and constraints to the world.
+ * @method addToWorld
+ * @param {World} world
+ */
+Ragdoll.prototype.addToWorld = function(world){
+    var bodies = this.bodies,
+        constraints = this.constraints;
+
+    for (var i = 0; i < bodies.length; i++) {
+        world.addBody(bodies[i]);
+    }
+
+    for (var i = 0; i < constraints.length; i++) {
+        world.addConstraint(constraints[i]);
+    }
+
+    this.world = world;
+};
+
+/**
+ * Remove the ragdoll bodies and constraints from the world.
+ * @method removeFromWorld
+ * @param {World} world
+ */
+Ragdoll.prototype.removeFromWorld = function(world){
+    var bodies = this.bodies,
+        constraints = this.constraints;
+
+    for (var i = 0; i < bodies.length; i++) {
+        world.remove(bodies[i]);
+    }
+
+    for (var i = 0; i < constraints.length; i++) {
+        world.removeConstraint(constraints[i]);
+    }
+
+    this.world = null;
+};
+
+var Ragdoll_getBoneTransform_head = new Vec3();
+
+/**
+ * Get the current world transform of a bone. The position is the start of the bone, and the quaternion rotates the local Z axis to the bone direction.
+ * @method getBoneTransform
+ * @param {object|String} bone A bone, or the name of a bone.
+ * @param {Transform} target
+ * @return {Transform} The target.
+ */
+Ragdoll.prototype.getBoneTransform = function(bone, target){
+    if(typeof(bone) === 'string'){
+        bone = this.boneMap[bone];
+    }
+    var head = Ragdoll_getBoneTransform_head;
+    head.set(0, 0, -bone.length / 2);
+    bone.body.pointToWorldFrame(head, target.position);
+    target.quaternion.copy(bone.body.quaternion);
+    return target;
+};
+
+var Ragdoll_getSkinningTransform_restInverse = new Quaternion();
+var Ragdoll_getSkinningTransform_tmp = new Vec3();
+
+/**
+ * Get the transform that moves a point from the rest pose to the current pose of a bone. Use it to skin a mesh that was modeled in the rest pose: currentPoint = quaternion * restPoint + position.
+ * @method getSkinningTransform
+ * @param {object|String} bone A bone, or the name of a bone.
+ * @param {Transform} target
+ * @return {Transform} The target.
+ */
+Ragdoll.prototype.getSkinningTransform = function(bone, target){
+    if(typeof(bone) === 'string'){
+        bone = this.boneMap[bone];
+    }
+    var restInverse = Ragdoll_getSkinningTransform_restInverse,
+        tmp = Ragdoll_getSkinningTransform_tmp;
+
+    this.getBoneTransform(bone, target);
+    bone.restQuaternion.conjugate(restInverse);
+    target.quaternion.mult(restInverse, target.quaternion);
+    target.quaternion.vmult(bone.restPosition, tmp);
+    target.position.vsub(tmp, target.position);
+    return target;
+};
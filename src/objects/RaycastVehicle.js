@@ -132,6 +132,7 @@ RaycastVehicle.prototype.addToWorld = function(world){
         that.updateVehicle(world.dt);
     };
     world.addEventListener('preStep', this.preStepCallback);
+    world.vehicles.push(this);
     this.world = world;
 };
 
@@ -285,6 +286,10 @@ RaycastVehicle.prototype.removeFromWorld = function(world){
     var constraints = this.constraints;
     world.remove(this.chassisBody);
     world.removeEventListener('preStep', this.preStepCallback);
+    var idx = world.vehicles.indexOf(this);
+    if(idx !== -1){
+        world.vehicles.splice(idx, 1);
+    }
     this.world = null;
 };
 
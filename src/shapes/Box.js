@@ -130,6 +130,11 @@ Box.prototype.updateBoundingSphereRadius = function(){
     this.boundingSphereRadius = this.halfExtents.norm();
 };
 
+Box.prototype.getInnerRadius = function(){
+    var he = this.halfExtents;
+    return Math.min(he.x, he.y, he.z);
+};
+
 var worldCornerTempPos = new Vec3();
 var worldCornerTempNeg = new Vec3();
 Box.prototype.forEachWorldCorner = function(pos,quat,callback){
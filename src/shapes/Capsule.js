@@ -0,0 +1,145 @@
+module.exports = Capsule;
+
+var Shape = require('./Shape');
+var Vec3 = require('../math/Vec3');
+
+/**
+ * A capsule shape: a cylinder with a hemisphere at each end. The capsule is aligned along the local Z axis, like the Cylinder, and is centered at the local origin.
+ * @class Capsule
+ * @constructor
+ * @extends Shape
+ * @param {Number} [radius=1] The radius of the capsule, a non-negative number.
+ * @param {Number} [height=1] The distance between the centers of the two hemispheres, a non-negative number.
+ * @example
+ *     // A capsule that is 1.8 units tall in total
+ *     var capsuleShape = new Capsule(0.3, 1.2);
+ *     var characterBody = new Body({ mass: 70, fixedRotation: true });
+ *     characterBody.addShape(capsuleShape);
+ */
+function Capsule(radius, height){
+    Shape.call(this, {
+        type: Shape.types.CAPSULE
+    });
+
+    /**
+     * @property {Number} radius
+     */
+    this.radius = radius !== undefined ? radius : 1.0;
+
+    /**
+     * Length of the cylindrical part of the capsule.
+     * @property {Number} height
+     */
+    this.height = height !== undefined ? height : 1.0;
+
+    if(this.radius < 0){
+        throw new Error('The capsule radius cannot be negative.');
+    }
+    if(this.height < 0){
+        throw new Error('The capsule height cannot be negative.');
+    }
+
+    this.updateBoundingSphereRadius();
+}
+Capsule.prototype = new Shape();
+Capsule.prototype.constructor = Capsule;
+
+/**
+ * @method calculateLocalInertia
+ * @param  {Number} mass
+ * @param  {Vec3} target
+ * @return {Vec3}
+ */
+Capsule.prototype.calculateLocalInertia = function(mass,target){
+    target = target || new Vec3();
+    var r = this.radius,
+        h = this.height,
+        r2 = r * r,
+        cylinderVolume = Math.PI * r2 * h,
+        sphereVolume = 4.0 * Math.PI * r2 * r / 3.0,
+        totalVolume = cylinderVolume + sphereVolume;
+
+    // Distribute the mass over the cylinder and the two hemispheres
+    var cylinderMass = totalVolume > 0 ? mass * cylinderVolume / totalVolume : 0;
+    var sphereMass = mass - cylinderMass;
+
+    var axial = cylinderMass * r2 / 2.0 + sphereMass * 2.0 * r2 / 5.0;
+    var transverse =
+        cylinderMass * (r2 / 4.0 + h * h / 12.0) +
+        sphereMass * (2.0 * r2 / 5.0 + h * h / 4.0 + 3.0 * h * r / 8.0);
+
+    target.x = transverse;
+    target.y = transverse;
+    target.z = axial;
+    return target;
+};
+
+Capsule.prototype.volume = function(){
+    var r = this.radius;
+    return Math.PI * r * r * this.height + 4.0 * Math.PI * r * r * r / 3.0;
+};
+
+Capsule.prototype.updateBoundingSphereRadius = function(){
+    this.boundingSphereRadius = this.radius + this.height / 2;
+};
+
+Capsule.prototype.getInnerRadius = function(){
+    return this.radius;
+};
+
+/**
+ * Get the two end points of the capsule center segment, in the local frame.
+ * @method getLocalEndPoints
+ * @param  {Vec3} a Will be set to the bottom end point (negative Z).
+ * @param  {Vec3} b Will be set to the top end point (positive Z).
+ */
+Capsule.prototype.getLocalEndPoints = function(a, b){
+    var halfHeight = this.height / 2;
+    a.set(0, 0, -halfHeight);
+    b.set(0, 0, halfHeight);
+};
+
+/**
+ * Get the two end points of the capsule center segment, transformed by the given position and quaternion.
+ * @method getWorldEndPoints
+ * @param  {Vec3} pos
+ * @param  {Quaternion} quat
+ * @param  {Vec3} a Will be set to the bottom end point.
+ * @param  {Vec3} b Will be set to the top end point.
+ */
+Capsule.prototype.getWorldEndPoints = function(pos, quat, a, b){
+    this.getLocalEndPoints(a, b);
+    quat.vmult(a, a);
+    quat.vmult(b, b);
+    a.vadd(pos, a);
+    b.vadd(pos, b);
+};
+
+var calculateWorldAABB_a = new Vec3();
+var calculateWorldAABB_b = new Vec3();
+
+/**
+ * @method calculateWorldAABB
+ * @param {Vec3}        pos
+ * @param {Quaternion}  quat
+ * @param {Vec3}        min
+ * @param {Vec3}        max
+ */
+Capsule.prototype.calculateWorldAABB = function(pos,quat,min,max){
+    var a = calculateWorldAABB_a,
+        b = calculateWorldAABB_b,
+        r = this.radius;
+
+    this.getWorldEndPoints(pos, quat, a, b);
+
+    min.set(
+        Math.min(a.x, b.x) - r,
+        Math.min(a.y, b.y) - r,
+        Math.min(a.z, b.z) - r
+    );
+    max.set(
+        Math.max(a.x, b.x) + r,
+        Math.max(a.y, b.y) + r,
+        Math.max(a.z, b.z) + r
+    );
+};
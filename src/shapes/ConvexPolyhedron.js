@@ -722,6 +722,22 @@ ConvexPolyhedron.prototype.updateBoundingSphereRadius = function(){
     this.boundingSphereRadius = Math.sqrt(max2);
 };
 
+/**
+ * Get the smallest distance from the local origin to the face planes. Returns zero if the origin is not inside the hull.
+ * @method getInnerRadius
+ * @return {Number}
+ */
+ConvexPolyhedron.prototype.getInnerRadius = function(){
+    var radius = Infinity;
+    for(var i=0; i < this.faces.length; i++){
+        var d = this.faceNormals[i].dot(this.vertices[this.faces[i][0]]);
+        if(d < radius){
+            radius = d;
+        }
+    }
+    return radius > 0 && radius !== Infinity ? radius : 0;
+};
+
 var tempWorldVertex = new Vec3();
 
 /**
@@ -14,6 +14,7 @@ var Material = require('../material/Material');
  * @param {number} [options.collisionFilterMask=-1]
  * @param {number} [options.collisionResponse=true]
  * @param {number} [options.material=null]
+ * @param {boolean} [options.sensor=false]
  * @author schteppe
  */
 function Shape(options){
@@ -45,6 +46,13 @@ function Shape(options){
      */
     this.collisionResponse = options.collisionResponse ? options.collisionResponse : true;
 
+    /**
+     * Makes the shape a sensor. Sensor shapes do not collide, but report overlaps through the trigger events of the world. See Body.sensor.
+     * @property {boolean} sensor
+     * @default false
+     */
+    this.sensor = !!options.sensor;
+
     /**
      * @property {Number} collisionFilterGroup
      */
@@ -95,6 +103,15 @@ Shape.prototype.calculateLocalInertia = function(mass,target){
     throw "calculateLocalInertia() not implemented for shape type "+this.type;
 };
 
+/**
+ * Get the radius of the largest sphere, centered at the shape origin, that fits inside the shape. Used when sweeping shapes, to know how far the shape can move without skipping past anything. Shapes without a well defined inside return zero.
+ * @method getInnerRadius
+ * @return {Number}
+ */
+Shape.prototype.getInnerRadius = function(){
+    return 0;
+};
+
 Shape.idCounter = 0;
 
 /**
@@ -112,6 +129,7 @@ Shape.types = {
     HEIGHTFIELD:32,
     PARTICLE:64,
     CYLINDER:128,
-    TRIMESH:256
+    TRIMESH:256,
+    CAPSULE:512
 };
 
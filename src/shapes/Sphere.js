@@ -47,6 +47,10 @@ Sphere.prototype.updateBoundingSphereRadius = function(){
     this.boundingSphereRadius = this.radius;
 };
 
+Sphere.prototype.getInnerRadius = function(){
+    return this.radius;
+};
+
 Sphere.prototype.calculateWorldAABB = function(pos,quat,min,max){
     var r = this.radius;
     var axes = ['x','y','z'];
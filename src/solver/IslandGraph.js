@@ -0,0 +1,177 @@
+module.exports = IslandGraph;
+
+var Body = require('../objects/Body');
+
+/**
+ * Connectivity graph of bodies, linked by equations. Used to split the bodies into islands: groups of bodies that interact with each other. Static bodies are never part of an island, so they do not link islands together.
+ * @class IslandGraph
+ * @constructor
+ * @example
+ *     graph.reset(world.bodies);
+ *     for(var i = 0; i < equations.length; i++){
+ *         graph.addEquation(equations[i]);
+ *     }
+ *     var bodies = [], eqs = [];
+ *     while(graph.nextIsland(bodies, eqs)){
+ *         // Do something with the island
+ *     }
+ */
+function IslandGraph(){
+
+    /**
+     * One node per body, in the same order as .bodies.
+     * @property {Array} nodes
+     */
+    this.nodes = [];
+
+    /**
+     * @property {Array} nodePool
+     * @private
+     */
+    this.nodePool = [];
+
+    /**
+     * @property {Array} bodies
+     */
+    this.bodies = [];
+
+    // Create needed nodes, reuse if possible
+    while(this.nodePool.length < 128){
+        this.nodePool.push(this.createNode());
+    }
+}
+
+var STATIC = Body.STATIC;
+function getUnvisitedNode(nodes){
+    var Nnodes = nodes.length;
+    for(var i=0; i!==Nnodes; i++){
+        var node = nodes[i];
+        if(!node.visited && !(node.body.type & STATIC)){
+            return node;
+        }
+    }
+    return false;
+}
+
+var queue = [];
+function bfs(root,visitFunc,bds,eqs){
+    queue.push(root);
+    root.visited = true;
+    visitFunc(root,bds,eqs);
+    while(queue.length) {
+        var node = queue.pop();
+        // Loop over unvisited child nodes
+        var child;
+        while((child = getUnvisitedNode(node.children))) {
+            child.visited = true;
+            visitFunc(child,bds,eqs);
+            queue.push(child);
+        }
+    }
+}
+
+function visitFunc(node,bds,eqs){
+    bds.push(node.body);
+    var Neqs = node.eqs.length;
+    for(var i=0; i!==Neqs; i++){
+        var eq = node.eqs[i];
+        if(eqs.indexOf(eq) === -1){
+            eqs.push(eq);
+        }
+    }
+}
+
+/**
+ * @method createNode
+ * @private
+ * @return {object}
+ */
+IslandGraph.prototype.createNode = function(){
+    return { body:null, children:[], eqs:[], visited:false };
+};
+
+/**
+ * Remove all links, and create one unlinked node per body.
+ * @method reset
+ * @param {Array} bodies
+ */
+IslandGraph.prototype.reset = function(bodies){
+    var nodes=this.nodes,
+        nodePool=this.nodePool,
+        Nbodies=bodies.length;
+
+    // Create needed nodes, reuse if possible
+    while(nodePool.length < Nbodies){
+        nodePool.push(this.createNode());
+    }
+    nodes.length = Nbodies;
+    for (var i = 0; i < Nbodies; i++) {
+        nodes[i] = nodePool[i];
+    }
+
+    // Reset node values
+    for(var i=0; i!==Nbodies; i++){
+        var node = nodes[i];
+        node.body = bodies[i];
+        node.children.length = 0;
+        node.eqs.length = 0;
+        node.visited = false;
+    }
+
+    this.bodies = bodies;
+};
+
+/**
+ * Link the two bodies of an equation.
+ * @method addEquation
+ * @param {Equation} eq
+ */
+IslandGraph.prototype.addEquation = function(eq){
+    var bodies=this.bodies,
+        i=bodies.indexOf(eq.bi),
+        j=bodies.indexOf(eq.bj);
+    if(i === -1 || j === -1){
+        return;
+    }
+    var ni=this.nodes[i],
+        nj=this.nodes[j];
+    ni.children.push(nj);
+    ni.eqs.push(eq);
+    nj.children.push(ni);
+    nj.eqs.push(eq);
+};
+
+/**
+ * Link two bodies without an equation.
+ * @method connect
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ */
+IslandGraph.prototype.connect = function(bodyA, bodyB){
+    var bodies=this.bodies,
+        i=bodies.indexOf(bodyA),
+        j=bodies.indexOf(bodyB);
+    if(i === -1 || j === -1){
+        return;
+    }
+    this.nodes[i].children.push(this.nodes[j]);
+    this.nodes[j].children.push(this.nodes[i]);
+};
+
+/**
+ * Get the next island that has not been visited yet.
+ * @method nextIsland
+ * @param {Array} bodies The bodies of the island are put in this array.
+ * @param {Array} equations The equations of the island are put in this array.
+ * @return {boolean} False if there were no more islands.
+ */
+IslandGraph.prototype.nextIsland = function(bodies, equations){
+    var child = getUnvisitedNode(this.nodes);
+    bodies.length = 0;
+    equations.length = 0;
+    if(!child){
+        return false;
+    }
+    bfs(child, visitFunc, bodies, equations);
+    return true;
+};
@@ -220,14 +220,12 @@ OctreeNode.prototype.rayQuery = function(ray, treeTransform, result) {
  * @method removeEmptyNodes
  */
 OctreeNode.prototype.removeEmptyNodes = function() {
-    var queue = [this];
-    while (queue.length) {
-        var node = queue.pop();
-        for (var i = node.children.length - 1; i >= 0; i--) {
-            if(!node.children[i].data.length){
-                node.children.splice(i, 1);
-            }
+    // Depth first, so that parents of emptied nodes can be removed too
+    for (var i = this.children.length - 1; i >= 0; i--) {
+        var child = this.children[i];
+        child.removeEmptyNodes();
+        if(!child.data.length && !child.children.length){
+            this.children.splice(i, 1);
         }
-        Array.prototype.push.apply(queue, node.children);
     }
 };
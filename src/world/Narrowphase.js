@@ -12,6 +12,7 @@ var Solver = require('../solver/Solver');
 var Vec3Pool = require('../utils/Vec3Pool');
 var ContactEquation = require('../equations/ContactEquation');
 var FrictionEquation = require('../equations/FrictionEquation');
+var Material = require('../material/Material');
 
 /**
  * Helper class for the World. Generates ContactEquations.
@@ -85,7 +86,7 @@ Narrowphase.prototype.createContactEquation = function(bi, bj, si, sj, overrideS
     var matA = si.material || bi.material;
     var matB = sj.material || bj.material;
     if(matA && matB && matA.restitution >= 0 && matB.restitution >= 0){
-        c.restitution = matA.restitution * matB.restitution;
+        c.restitution = Material.combine(matA.restitution, matA.restitutionCombine, matB.restitution, matB.restitutionCombine);
     }
 
     c.si = overrideShapeA || si;
@@ -94,6 +95,8 @@ Narrowphase.prototype.createContactEquation = function(bi, bj, si, sj, overrideS
     return c;
 };
 
+var createFrictionEquationsFromContact_surfaceVelocity = new Vec3();
+
 Narrowphase.prototype.createFrictionEquationsFromContact = function(contactEquation, outArray){
     var bodyA = contactEquation.bi;
     var bodyB = contactEquation.bj;
@@ -103,13 +106,7 @@ Narrowphase.prototype.createFrictionEquationsFromContact = function(contactEquat
     var world = this.world;
     var cm = this.currentContactMaterial;
 
-    // If friction or restitution were specified in the material, use them
-    var friction = cm.friction;
-    var matA = shapeA.material || bodyA.material;
-    var matB = shapeB.material || bodyB.material;
-    if(matA && matB && matA.friction >= 0 && matB.friction >= 0){
-        friction = matA.friction * matB.friction;
-    }
+    var friction = this.getFriction(bodyA, bodyB, shapeA, shapeB);
 
     if(friction > 0){
 
@@ -137,6 +134,11 @@ Narrowphase.prototype.createFrictionEquationsFromContact = function(contactEquat
         // Construct tangents
         contactEquation.ni.tangents(c1.t, c2.t);
 
+        // Drive the contact towards the relative surface velocity instead of zero
+        var surfaceVelocity = this.getSurfaceVelocity(bodyA, bodyB, shapeA, shapeB, createFrictionEquationsFromContact_surfaceVelocity);
+        c1.targetVelocity = surfaceVelocity.dot(c1.t);
+        c2.targetVelocity = surfaceVelocity.dot(c2.t);
+
         // Set spook params
         c1.setSpookParams(cm.frictionEquationStiffness, cm.frictionEquationRelaxation, world.dt);
         c2.setSpookParams(cm.frictionEquationStiffness, cm.frictionEquationRelaxation, world.dt);
@@ -151,7 +153,57 @@ Narrowphase.prototype.createFrictionEquationsFromContact = function(contactEquat
     return false;
 };
 
+/**
+ * Get the friction coefficient between two shapes, using the current contact material. If friction was specified in the materials of the shapes (or their bodies), it is used instead.
+ * @method getFriction
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {Shape} shapeA
+ * @param {Shape} shapeB
+ * @return {Number}
+ */
+Narrowphase.prototype.getFriction = function(bodyA, bodyB, shapeA, shapeB){
+    var friction = this.currentContactMaterial.friction;
+    var matA = shapeA.material || bodyA.material;
+    var matB = shapeB.material || bodyB.material;
+    if(matA && matB && matA.friction >= 0 && matB.friction >= 0){
+        friction = Material.combine(matA.friction, matA.frictionCombine, matB.friction, matB.frictionCombine);
+    }
+    return friction;
+};
+
+var getSurfaceVelocity_v = new Vec3();
+
+/**
+ * Get the velocity of the surface of shapeA relative to the surface of shapeB, in world space. It is the sum of the surface velocities of the bodies and the current contact material.
+ * @method getSurfaceVelocity
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {Shape} shapeA
+ * @param {Shape} shapeB
+ * @param {Vec3} result
+ * @return {Vec3} The result vector.
+ */
+Narrowphase.prototype.getSurfaceVelocity = function(bodyA, bodyB, shapeA, shapeB, result){
+    var v = getSurfaceVelocity_v;
+
+    bodyA.quaternion.vmult(bodyA.surfaceVelocity, result);
+    bodyB.quaternion.vmult(bodyB.surfaceVelocity, v);
+    result.vsub(v, result);
+
+    var cm = this.currentContactMaterial;
+    var matA = shapeA.material || bodyA.material;
+    if(cm.materials[1] === matA && cm.materials[0] !== matA){
+        result.vsub(cm.surfaceVelocity, result);
+    } else {
+        result.vadd(cm.surfaceVelocity, result);
+    }
+
+    return result;
+};
+
 var averageNormal = new Vec3();
+var createFrictionFromAverage_surfaceVelocity = new Vec3();
 var averageContactPointA = new Vec3();
 var averageContactPointB = new Vec3();
 
@@ -194,6 +246,10 @@ Narrowphase.prototype.createFrictionFromAverage = function(numContacts){
     f2.rj.copy(f1.rj);
     averageNormal.normalize();
     averageNormal.tangents(f1.t, f2.t);
+
+    var surfaceVelocity = this.getSurfaceVelocity(bodyA, bodyB, c.si, c.sj, createFrictionFromAverage_surfaceVelocity);
+    f1.targetVelocity = surfaceVelocity.dot(f1.t);
+    f2.targetVelocity = surfaceVelocity.dot(f2.t);
     // return eq;
 };
 
@@ -276,20 +332,41 @@ Narrowphase.prototype.getContacts = function(p1, p2, world, result, oldcontacts,
 
                 this.currentContactMaterial = shapeContactMaterial || bodyContactMaterial || world.defaultContactMaterial;
 
+                // Sensors only need to know if the shapes overlap
+                var sensor = bi.sensor || bj.sensor || si.sensor || sj.sensor;
+                var numContacts = result.length,
+                    numFrictionEquations = frictionResult.length;
+
                 // Get contacts
                 var resolver = this[si.type | sj.type];
                 if(resolver){
                     var retval = false;
                     if (si.type < sj.type) {
-                        retval = resolver.call(this, si, sj, xi, xj, qi, qj, bi, bj, si, sj, justTest);
+                        retval = resolver.call(this, si, sj, xi, xj, qi, qj, bi, bj, si, sj, justTest || sensor);
                     } else {
-                        retval = resolver.call(this, sj, si, xj, xi, qj, qi, bj, bi, si, sj, justTest);
+                        retval = resolver.call(this, sj, si, xj, xi, qj, qi, bj, bi, si, sj, justTest || sensor);
                     }
 
-                    if(retval && justTest){
+                    if(sensor){
+                        // Some shape pairs generate contacts even when just testing. Put them back in the pools.
+                        if(result.length > numContacts || frictionResult.length > numFrictionEquations){
+                            retval = true;
+                        }
+                        while(result.length > numContacts){
+                            this.contactPointPool.push(result.pop());
+                        }
+                        while(frictionResult.length > numFrictionEquations){
+                            this.frictionEquationPool.push(frictionResult.pop());
+                        }
+                        if(retval){
+                            world.addTriggerOverlap(si, sj);
+                        }
+                    } else if(retval && justTest){
                         // Register overlap
                         world.shapeOverlapKeeper.set(si.id, sj.id);
                         world.bodyOverlapKeeper.set(bi.id, bj.id);
+                    } else if(result.length > numContacts && world.hasAnyEventListener('preSolve')){
+                        this.emitPreSolveEvents(numContacts, numFrictionEquations);
                     }
                 }
             }
@@ -297,6 +374,231 @@ Narrowphase.prototype.getContacts = function(p1, p2, world, result, oldcontacts,
     }
 };
 
+var emitPreSolveEvents_event = {
+        type: 'preSolve',
+        bodyA: null,
+        bodyB: null,
+        shapeA: null,
+        shapeB: null,
+        contact: null,
+        frictionEquations: [],
+        enabled: true,
+        friction: 0,
+        restitution: 0,
+        stiffness: 0,
+        relaxation: 0,
+        surfaceVelocity: new Vec3()
+    };
+
+/**
+ * Dispatch a preSolve event on the world for each of the contacts that were generated for the current shape pair, and apply the changes that the listeners made to the event.
+ * @method emitPreSolveEvents
+ * @private
+ * @param {Number} firstContact Index of the first new contact in .result.
+ * @param {Number} firstFrictionEquation Index of the first new friction equation in .frictionResult.
+ */
+Narrowphase.prototype.emitPreSolveEvents = function(firstContact, firstFrictionEquation){
+    var event = emitPreSolveEvents_event,
+        world = this.world,
+        cm = this.currentContactMaterial,
+        numContacts = this.result.length - firstContact,
+        numFrictionEquations = this.frictionResult.length - firstFrictionEquation,
+        g = world.gravity.length(),
+        // With friction reduction, all contacts of the shape pair share the same friction equations
+        sharedFriction = numFrictionEquations !== 2 * numContacts,
+        anyEnabled = false;
+
+    for(var i=0; i<numContacts; i++){
+        var c = this.result[firstContact + i],
+            frictionEquations = event.frictionEquations;
+
+        frictionEquations.length = 0;
+        if(sharedFriction){
+            for(var j=firstFrictionEquation; j<this.frictionResult.length; j++){
+                frictionEquations.push(this.frictionResult[j]);
+            }
+        } else {
+            frictionEquations.push(
+                this.frictionResult[firstFrictionEquation + 2 * i],
+                this.frictionResult[firstFrictionEquation + 2 * i + 1]
+            );
+        }
+
+        var friction = this.getFriction(c.bi, c.bj, c.si, c.sj);
+
+        event.bodyA = c.bi;
+        event.bodyB = c.bj;
+        event.shapeA = c.si;
+        event.shapeB = c.sj;
+        event.contact = c;
+        event.enabled = c.enabled;
+        event.friction = friction;
+        event.restitution = c.restitution;
+        event.stiffness = cm.contactEquationStiffness;
+        event.relaxation = cm.contactEquationRelaxation;
+        this.getSurfaceVelocity(c.bi, c.bj, c.si, c.sj, event.surfaceVelocity);
+
+        world.dispatchEvent(event);
+
+        c.enabled = event.enabled;
+        c.restitution = event.restitution;
+        if(event.stiffness !== cm.contactEquationStiffness || event.relaxation !== cm.contactEquationRelaxation){
+            c.setSpookParams(event.stiffness, event.relaxation, world.dt);
+        }
+        anyEnabled = anyEnabled || c.enabled;
+
+        var reducedMass = c.bi.invMass + c.bj.invMass;
+        if(reducedMass > 0){
+            reducedMass = 1 / reducedMass;
+        }
+        for(var j=0; j<frictionEquations.length; j++){
+            var f = frictionEquations[j];
+            if(event.friction !== friction){
+                f.maxForce = event.friction * g * reducedMass;
+                f.minForce = -f.maxForce;
+            }
+            f.targetVelocity = event.surfaceVelocity.dot(f.t);
+            f.enabled = sharedFriction ? anyEnabled : c.enabled;
+        }
+    }
+
+    event.bodyA = event.bodyB = event.shapeA = event.shapeB = event.contact = null;
+    event.frictionEquations.length = 0;
+};
+
+/**
+ * Check if two bodies overlap in their current poses, without generating any contacts. Shape collision filters are respected, and sensor shapes and shapes without collision response are skipped, but the body collision filters and types are not checked.
+ * @method bodiesOverlap
+ * @param  {Body} bi
+ * @param  {Body} bj
+ * @return {Boolean}
+ */
+Narrowphase.prototype.bodiesOverlap = function(bi, bj){
+    var qi = tmpQuat1;
+    var qj = tmpQuat2;
+    var xi = tmpVec1;
+    var xj = tmpVec2;
+
+    for (var i = 0; i < bi.shapes.length; i++) {
+        bi.quaternion.mult(bi.shapeOrientations[i], qi);
+        bi.quaternion.vmult(bi.shapeOffsets[i], xi);
+        xi.vadd(bi.position, xi);
+        var si = bi.shapes[i];
+        if(!si.collisionResponse || si.sensor){
+            continue;
+        }
+
+        for (var j = 0; j < bj.shapes.length; j++) {
+            bj.quaternion.mult(bj.shapeOrientations[j], qj);
+            bj.quaternion.vmult(bj.shapeOffsets[j], xj);
+            xj.vadd(bj.position, xj);
+            var sj = bj.shapes[j];
+
+            if(!sj.collisionResponse || sj.sensor){
+                continue;
+            }
+
+            if(!((si.collisionFilterMask & sj.collisionFilterGroup) && (sj.collisionFilterMask & si.collisionFilterGroup))){
+                continue;
+            }
+
+            if(xi.distanceTo(xj) > si.boundingSphereRadius + sj.boundingSphereRadius){
+                continue;
+            }
+
+            if(this.shapesOverlap(si, xi, qi, bi, sj, xj, qj, bj)){
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+var shapesOverlap_result = [];
+
+/**
+ * Check if two shapes overlap, given their world transforms. No contacts are generated.
+ * @method shapesOverlap
+ * @param  {Shape}      si
+ * @param  {Vec3}       xi
+ * @param  {Quaternion} qi
+ * @param  {Body}       bi
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qj
+ * @param  {Body}       bj
+ * @return {Boolean}
+ */
+Narrowphase.prototype.shapesOverlap = function(si, xi, qi, bi, sj, xj, qj, bj){
+    var result = shapesOverlap_result;
+    var overlaps = this.shapeContacts(si, xi, qi, bi, sj, xj, qj, bj, true, result);
+    this.releaseContacts(result);
+    return overlaps;
+};
+
+var shapeContacts_frictionResult = [];
+
+/**
+ * Generate contacts between two shapes, given their world transforms. This can be used outside of the world step, the contacts of the step are left untouched. The contact equations are taken from the internal pool, give them back using .releaseContacts() when done.
+ * @method shapeContacts
+ * @param  {Shape}      si
+ * @param  {Vec3}       xi
+ * @param  {Quaternion} qi
+ * @param  {Body}       bi
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qj
+ * @param  {Body}       bj
+ * @param  {Boolean}    justTest If true, only check for overlap. Note that some shape pairs generate contacts anyway.
+ * @param  {Array}      result Array to append the ContactEquations to.
+ * @return {Boolean}    True if the shapes overlap.
+ */
+Narrowphase.prototype.shapeContacts = function(si, xi, qi, bi, sj, xj, qj, bj, justTest, result){
+    var resolver = this[si.type | sj.type];
+    if(!resolver){
+        return false;
+    }
+
+    var oldResult = this.result,
+        oldFrictionResult = this.frictionResult,
+        oldContactMaterial = this.currentContactMaterial,
+        frictionResult = shapeContacts_frictionResult,
+        numContacts = result.length;
+
+    this.result = result;
+    this.frictionResult = frictionResult;
+    this.currentContactMaterial = this.world.defaultContactMaterial;
+
+    var retval;
+    if (si.type < sj.type) {
+        retval = resolver.call(this, si, sj, xi, xj, qi, qj, bi, bj, si, sj, justTest);
+    } else {
+        retval = resolver.call(this, sj, si, xj, xi, qj, qi, bj, bi, si, sj, justTest);
+    }
+
+    while(frictionResult.length){
+        this.frictionEquationPool.push(frictionResult.pop());
+    }
+
+    this.result = oldResult;
+    this.frictionResult = oldFrictionResult;
+    this.currentContactMaterial = oldContactMaterial;
+
+    return !!retval || result.length > numContacts;
+};
+
+/**
+ * Give contact equations back to the internal pool, and empty the array.
+ * @method releaseContacts
+ * @param  {Array} contacts
+ */
+Narrowphase.prototype.releaseContacts = function(contacts){
+    while(contacts.length){
+        this.contactPointPool.push(contacts.pop());
+    }
+};
+
 var numWarnings = 0;
 var maxWarnings = 10;
 
@@ -808,7 +1110,8 @@ Narrowphase.prototype.sphereBox = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justT
         // The normal/distance dot product tells which side of the plane we are
         var dot = box_to_sphere.dot(ns);
 
-        if(dot<h+R && dot>0){
+        // The sphere center can be exactly at the box center, where all dot products are zero
+        if(dot<h+R && dot>=0){
             // Intersects plane. Now check the other two dimensions
             var ns1 = sphereBox_ns1;
             var ns2 = sphereBox_ns2;
@@ -1393,93 +1696,76 @@ Narrowphase.prototype.convexConvex = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,ju
 };
 
 
+var convexTrimesh_localPos = new Vec3();
+var convexTrimesh_localQuat = new Quaternion();
+var convexTrimesh_localAABB = new AABB();
+var convexTrimesh_triangles = [];
+var convexTrimesh_va = new Vec3();
+var convexTrimesh_vb = new Vec3();
+var convexTrimesh_vc = new Vec3();
+var convexTrimesh_centroid = new Vec3();
+var convexTrimesh_trianglePos = new Vec3();
+var convexTrimesh_sepAxis = new Vec3();
+var convexTrimesh_q = new Vec3();
+
 /**
- * @method convexTrimesh
- * @param  {Array}      result
- * @param  {Shape}      si
- * @param  {Shape}      sj
- * @param  {Vec3}       xi
- * @param  {Vec3}       xj
- * @param  {Quaternion} qi
- * @param  {Quaternion} qj
- * @param  {Body}       bi
- * @param  {Body}       bj
+ * Create a flat, two-sided convex polyhedron with three vertices. Used for colliding trimesh triangles with convex shapes.
+ * @private
+ * @return {ConvexPolyhedron}
  */
-// Narrowphase.prototype[Shape.types.CONVEXPOLYHEDRON | Shape.types.TRIMESH] =
-// Narrowphase.prototype.convexTrimesh = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,faceListA,faceListB){
-//     var sepAxis = convexConvex_sepAxis;
-
-//     if(xi.distanceTo(xj) > si.boundingSphereRadius + sj.boundingSphereRadius){
-//         return;
-//     }
-
-//     // Construct a temp hull for each triangle
-//     var hullB = new ConvexPolyhedron();
-
-//     hullB.faces = [[0,1,2]];
-//     var va = new Vec3();
-//     var vb = new Vec3();
-//     var vc = new Vec3();
-//     hullB.vertices = [
-//         va,
-//         vb,
-//         vc
-//     ];
-
-//     for (var i = 0; i < sj.indices.length / 3; i++) {
-
-//         var triangleNormal = new Vec3();
-//         sj.getNormal(i, triangleNormal);
-//         hullB.faceNormals = [triangleNormal];
-
-//         sj.getTriangleVertices(i, va, vb, vc);
-
-//         var d = si.testSepAxis(triangleNormal, hullB, xi, qi, xj, qj);
-//         if(!d){
-//             triangleNormal.scale(-1, triangleNormal);
-//             d = si.testSepAxis(triangleNormal, hullB, xi, qi, xj, qj);
-
-//             if(!d){
-//                 continue;
-//             }
-//         }
-
-//         var res = [];
-//         var q = convexConvex_q;
-//         si.clipAgainstHull(xi,qi,hullB,xj,qj,triangleNormal,-100,100,res);
-//         for(var j = 0; j !== res.length; j++){
-//             var r = this.createContactEquation(bi,bj,si,sj,rsi,rsj),
-//                 ri = r.ri,
-//                 rj = r.rj;
-//             r.ni.copy(triangleNormal);
-//             r.ni.negate(r.ni);
-//             res[j].normal.negate(q);
-//             q.mult(res[j].depth, q);
-//             res[j].point.vadd(q, ri);
-//             rj.copy(res[j].point);
-
-//             // Contact points are in world coordinates. Transform back to relative
-//             ri.vsub(xi,ri);
-//             rj.vsub(xj,rj);
-
-//             // Make relative to bodies
-//             ri.vadd(xi, ri);
-//             ri.vsub(bi.position, ri);
-//             rj.vadd(xj, rj);
-//             rj.vsub(bj.position, rj);
-
-//             result.push(r);
-//         }
-//     }
-// };
+function createTriangleHull(){
+    var hull = new ConvexPolyhedron(
+        [new Vec3(), new Vec3(), new Vec3()],
+        [[0,1,2], [2,1,0]]
+    );
+    hull.uniqueEdges = [new Vec3(), new Vec3(), new Vec3()];
+    return hull;
+}
 
-var particlePlane_normal = new Vec3();
-var particlePlane_relpos = new Vec3();
-var particlePlane_projected = new Vec3();
+/**
+ * Update a triangle hull with new vertices. The hull is centered at the triangle centroid.
+ * @private
+ * @param  {ConvexPolyhedron} hull     A hull from createTriangleHull()
+ * @param  {Vec3}             va
+ * @param  {Vec3}             vb
+ * @param  {Vec3}             vc
+ * @param  {Vec3}             centroid Will be set to the centroid of the triangle.
+ * @return {Boolean} False if the triangle is degenerate.
+ */
+function setTriangleHull(hull, va, vb, vc, centroid){
+    var vertices = hull.vertices,
+        edges = hull.uniqueEdges,
+        normal = hull.faceNormals[0];
+
+    va.vadd(vb, centroid);
+    centroid.vadd(vc, centroid);
+    centroid.scale(1 / 3, centroid);
+    va.vsub(centroid, vertices[0]);
+    vb.vsub(centroid, vertices[1]);
+    vc.vsub(centroid, vertices[2]);
+
+    vb.vsub(va, edges[0]);
+    vc.vsub(vb, edges[1]);
+    va.vsub(vc, edges[2]);
+    edges[0].cross(edges[1], normal);
+    if(normal.norm2() === 0){
+        return false;
+    }
+    normal.normalize();
+    normal.negate(hull.faceNormals[1]);
+    edges[0].normalize();
+    edges[1].normalize();
+    edges[2].normalize();
+    hull.updateBoundingSphereRadius();
+
+    return true;
+}
+
+var convexTrimesh_triangleHull = createTriangleHull();
 
 /**
- * @method particlePlane
- * @param  {Array}      result
+ * Collide a convex polyhedron with a trimesh. The triangles overlapping the convex are fetched using the trimesh octree, and each of them is collided as a flat, two-sided convex polyhedron.
+ * @method convexTrimesh
  * @param  {Shape}      si
  * @param  {Shape}      sj
  * @param  {Vec3}       xi
@@ -1489,43 +1775,159 @@ var particlePlane_projected = new Vec3();
  * @param  {Body}       bi
  * @param  {Body}       bj
  */
-Narrowphase.prototype[Shape.types.PLANE | Shape.types.PARTICLE] =
-Narrowphase.prototype.planeParticle = function(sj,si,xj,xi,qj,qi,bj,bi,rsi,rsj,justTest){
-    var normal = particlePlane_normal;
-    normal.set(0,0,1);
-    bj.quaternion.vmult(normal,normal); // Turn normal according to plane orientation
-    var relpos = particlePlane_relpos;
-    xi.vsub(bj.position,relpos);
-    var dot = normal.dot(relpos);
-    if(dot <= 0.0){
+Narrowphase.prototype[Shape.types.CONVEXPOLYHEDRON | Shape.types.TRIMESH] =
+Narrowphase.prototype.convexTrimesh = function(
+    convexShape,
+    trimeshShape,
+    convexPos,
+    trimeshPos,
+    convexQuat,
+    trimeshQuat,
+    convexBody,
+    trimeshBody,
+    rsi,
+    rsj,
+    justTest
+){
+    var localPos = convexTrimesh_localPos,
+        localQuat = convexTrimesh_localQuat,
+        localAABB = convexTrimesh_localAABB,
+        triangles = convexTrimesh_triangles,
+        va = convexTrimesh_va,
+        vb = convexTrimesh_vb,
+        vc = convexTrimesh_vc,
+        centroid = convexTrimesh_centroid,
+        trianglePos = convexTrimesh_trianglePos,
+        sepAxis = convexTrimesh_sepAxis,
+        q = convexTrimesh_q,
+        hull = convexTrimesh_triangleHull,
+        normal = hull.faceNormals[0],
+        numContacts = 0;
+
+    // Get the convex AABB in the trimesh frame
+    Transform.pointToLocalFrame(trimeshPos, trimeshQuat, convexPos, localPos);
+    trimeshQuat.conjugate(localQuat);
+    localQuat.mult(convexQuat, localQuat);
+    convexShape.calculateWorldAABB(localPos, localQuat, localAABB.lowerBound, localAABB.upperBound);
+
+    trimeshShape.getTrianglesInAABB(localAABB, triangles);
+
+    for(var i=0, N=triangles.length; i!==N; i++){
+        trimeshShape.getTriangleVertices(triangles[i], va, vb, vc);
+        if(!setTriangleHull(hull, va, vb, vc, centroid)){
+            continue;
+        }
 
-        if(justTest){
-            return true;
+        Transform.pointToWorldFrame(trimeshPos, trimeshQuat, centroid, trianglePos);
+
+        if(convexPos.distanceTo(trianglePos) > convexShape.boundingSphereRadius + hull.boundingSphereRadius){
+            continue;
         }
 
-        var r = this.createContactEquation(bi,bj,si,sj,rsi,rsj);
-        r.ni.copy(normal); // Contact normal is the plane normal
-        r.ni.negate(r.ni);
-        r.ri.set(0,0,0); // Center of particle
+        if(!convexShape.findSeparatingAxis(hull, convexPos, convexQuat, trianglePos, trimeshQuat, sepAxis)){
+            continue;
+        }
 
-        // Get particle position projected on plane
-        var projected = particlePlane_projected;
-        normal.mult(normal.dot(xi),projected);
-        xi.vsub(projected,projected);
-        //projected.vadd(bj.position,projected);
+        // Always push out along the triangle normal. Edge axes would make the convex snag on the internal edges of the mesh.
+        Transform.vectorToWorldFrame(trimeshQuat, normal, sepAxis);
+        convexPos.vsub(trianglePos, q);
+        if(sepAxis.dot(q) < 0){
+            sepAxis.negate(sepAxis);
+        }
 
-        // rj is now the projected world position minus plane position
-        r.rj.copy(projected);
-        this.result.push(r);
-        this.createFrictionEquationsFromContact(r, this.frictionResult);
+        var res = [];
+        convexShape.clipAgainstHull(convexPos, convexQuat, hull, trianglePos, trimeshQuat, sepAxis, -100, 100, res);
+        for(var j = 0; j !== res.length; j++){
+            if(justTest){
+                triangles.length = 0;
+                return true;
+            }
+
+            // Triangles sharing an edge or vertex give the same contact points, skip the duplicates
+            if(this.hasContactPoint(trimeshBody, res[j].point, numContacts)){
+                continue;
+            }
+
+            var r = this.createContactEquation(convexBody, trimeshBody, convexShape, trimeshShape, rsi, rsj),
+                ri = r.ri,
+                rj = r.rj;
+            sepAxis.negate(r.ni);
+            res[j].normal.negate(q);
+            q.mult(res[j].depth, q);
+            res[j].point.vadd(q, ri);
+            rj.copy(res[j].point);
+
+            // Contact points are in world coordinates. Make relative to bodies
+            ri.vsub(convexBody.position, ri);
+            rj.vsub(trimeshBody.position, rj);
+
+            this.result.push(r);
+            numContacts++;
+            if(!this.enableFrictionReduction){
+                this.createFrictionEquationsFromContact(r, this.frictionResult);
+            }
+        }
+    }
+
+    triangles.length = 0;
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
     }
 };
 
-var particleSphere_normal = new Vec3();
+var hasContactPoint_point = new Vec3();
 
 /**
- * @method particleSphere
- * @param  {Array}      result
+ * Check if any of the last added contacts has the given contact point on body j.
+ * @method hasContactPoint
+ * @private
+ * @param  {Body}    bj
+ * @param  {Vec3}    point        World point.
+ * @param  {Number}  numContacts  Number of contacts to check, counted from the end of the result array.
+ * @return {Boolean}
+ */
+Narrowphase.prototype.hasContactPoint = function(bj, point, numContacts){
+    var result = this.result,
+        p = hasContactPoint_point;
+    for(var i=result.length - numContacts; i<result.length; i++){
+        result[i].rj.vadd(bj.position, p);
+        if(p.distanceSquared(point) < 1e-10){
+            return true;
+        }
+    }
+    return false;
+};
+
+Narrowphase.prototype[Shape.types.BOX | Shape.types.TRIMESH] =
+Narrowphase.prototype.boxTrimesh = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justTest){
+    si.convexPolyhedronRepresentation.material = si.material;
+    si.convexPolyhedronRepresentation.collisionResponse = si.collisionResponse;
+    return this.convexTrimesh(si.convexPolyhedronRepresentation,sj,xi,xj,qi,qj,bi,bj,si,sj,justTest);
+};
+
+var trimeshTrimesh_localPos = new Vec3();
+var trimeshTrimesh_localQuat = new Quaternion();
+var trimeshTrimesh_aabb = new AABB();
+var trimeshTrimesh_trianglesA = [];
+var trimeshTrimesh_trianglesB = [];
+var trimeshTrimesh_va = new Vec3();
+var trimeshTrimesh_vb = new Vec3();
+var trimeshTrimesh_vc = new Vec3();
+var trimeshTrimesh_points = [trimeshTrimesh_va, trimeshTrimesh_vb, trimeshTrimesh_vc];
+var trimeshTrimesh_worldA = [new Vec3(), new Vec3(), new Vec3()];
+var trimeshTrimesh_worldB = [new Vec3(), new Vec3(), new Vec3()];
+var trimeshTrimesh_centroidA = new Vec3();
+var trimeshTrimesh_centroidB = new Vec3();
+var trimeshTrimesh_posA = new Vec3();
+var trimeshTrimesh_posB = new Vec3();
+var trimeshTrimesh_sepAxis = new Vec3();
+var trimeshTrimesh_hullA = createTriangleHull();
+var trimeshTrimesh_hullB = createTriangleHull();
+
+/**
+ * Collide two trimeshes. The triangles of the first mesh that overlap the second mesh are fetched using the octree of the first mesh. For each of these, the overlapping triangles in the second mesh are fetched from its octree, and each triangle pair is collided using the separating axis theorem.
+ * @method trimeshTrimesh
  * @param  {Shape}      si
  * @param  {Shape}      sj
  * @param  {Vec3}       xi
@@ -1535,31 +1937,476 @@ var particleSphere_normal = new Vec3();
  * @param  {Body}       bi
  * @param  {Body}       bj
  */
-Narrowphase.prototype[Shape.types.PARTICLE | Shape.types.SPHERE] =
-Narrowphase.prototype.sphereParticle = function(sj,si,xj,xi,qj,qi,bj,bi,rsi,rsj,justTest){
-    // The normal is the unit vector from sphere center to particle center
-    var normal = particleSphere_normal;
-    normal.set(0,0,1);
-    xi.vsub(xj,normal);
-    var lengthSquared = normal.norm2();
+Narrowphase.prototype[Shape.types.TRIMESH] =
+Narrowphase.prototype.trimeshTrimesh = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justTest){
+    var localPos = trimeshTrimesh_localPos,
+        localQuat = trimeshTrimesh_localQuat,
+        aabb = trimeshTrimesh_aabb,
+        trianglesA = trimeshTrimesh_trianglesA,
+        trianglesB = trimeshTrimesh_trianglesB,
+        va = trimeshTrimesh_va,
+        vb = trimeshTrimesh_vb,
+        vc = trimeshTrimesh_vc,
+        points = trimeshTrimesh_points,
+        worldA = trimeshTrimesh_worldA,
+        worldB = trimeshTrimesh_worldB,
+        centroidA = trimeshTrimesh_centroidA,
+        centroidB = trimeshTrimesh_centroidB,
+        posA = trimeshTrimesh_posA,
+        posB = trimeshTrimesh_posB,
+        sepAxis = trimeshTrimesh_sepAxis,
+        hullA = trimeshTrimesh_hullA,
+        hullB = trimeshTrimesh_hullB,
+        numContacts = 0;
 
-    if(lengthSquared <= sj.radius * sj.radius){
-        if(justTest){
-            return true;
-        }
-        var r = this.createContactEquation(bi,bj,si,sj,rsi,rsj);
-        normal.normalize();
-        r.rj.copy(normal);
-        r.rj.mult(sj.radius,r.rj);
-        r.ni.copy(normal); // Contact normal
-        r.ni.negate(r.ni);
-        r.ri.set(0,0,0); // Center of particle
-        this.result.push(r);
-        this.createFrictionEquationsFromContact(r, this.frictionResult);
+    if(xi.distanceTo(xj) > si.boundingSphereRadius + sj.boundingSphereRadius){
+        return;
     }
-};
 
-// WIP
+    // Get the triangles of mesh i that overlap the AABB of mesh j
+    Transform.pointToLocalFrame(xi, qi, xj, localPos);
+    qi.conjugate(localQuat);
+    localQuat.mult(qj, localQuat);
+    sj.calculateWorldAABB(localPos, localQuat, aabb.lowerBound, aabb.upperBound);
+    trianglesA.length = 0;
+    si.getTrianglesInAABB(aabb, trianglesA);
+
+    for(var i=0, Ni=trianglesA.length; i!==Ni; i++){
+        si.getTriangleVertices(trianglesA[i], va, vb, vc);
+        if(!setTriangleHull(hullA, va, vb, vc, centroidA)){
+            continue;
+        }
+        Transform.pointToWorldFrame(xi, qi, centroidA, posA);
+
+        // Get the triangles of mesh j that overlap the triangle
+        for(var k=0; k!==3; k++){
+            Transform.pointToWorldFrame(xi, qi, points[k], worldA[k]);
+            Transform.pointToLocalFrame(xj, qj, worldA[k], points[k]);
+        }
+        aabb.setFromPoints(points);
+        trianglesB.length = 0;
+        sj.getTrianglesInAABB(aabb, trianglesB);
+
+        for(var j=0, Nj=trianglesB.length; j!==Nj; j++){
+            sj.getTriangleVertices(trianglesB[j], va, vb, vc);
+            if(!setTriangleHull(hullB, va, vb, vc, centroidB)){
+                continue;
+            }
+            Transform.pointToWorldFrame(xj, qj, centroidB, posB);
+
+            if(posA.distanceTo(posB) > hullA.boundingSphereRadius + hullB.boundingSphereRadius){
+                continue;
+            }
+
+            if(!hullA.findSeparatingAxis(hullB, posA, qi, posB, qj, sepAxis)){
+                continue;
+            }
+
+            if(justTest){
+                trianglesA.length = trianglesB.length = 0;
+                return true;
+            }
+
+            for(var k=0; k!==3; k++){
+                Transform.pointToWorldFrame(xj, qj, points[k], worldB[k]);
+            }
+
+            numContacts += this.triangleTriangleContacts(worldA, worldB, qi, qj, hullA, hullB, sepAxis, bi, bj, si, sj, rsi, rsj, numContacts);
+        }
+    }
+
+    trianglesA.length = trianglesB.length = 0;
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
+    }
+};
+
+var triangleTriangleContacts_normal = new Vec3();
+var triangleTriangleContacts_normalA = new Vec3();
+var triangleTriangleContacts_refNormal = new Vec3();
+
+/**
+ * Add contacts between two overlapping triangles. The triangle whose normal is most aligned with the separating axis is used as reference.
+ * @method triangleTriangleContacts
+ * @private
+ * @param  {Array}            worldA  The three world vertices of the triangle on body i.
+ * @param  {Array}            worldB  The three world vertices of the triangle on body j.
+ * @param  {Quaternion}       qi
+ * @param  {Quaternion}       qj
+ * @param  {ConvexPolyhedron} hullA   Triangle hull for triangle A.
+ * @param  {ConvexPolyhedron} hullB   Triangle hull for triangle B.
+ * @param  {Vec3}             sepAxis Separating axis, as given by ConvexPolyhedron.findSeparatingAxis.
+ * @param  {Number}           numContacts Number of contacts added so far for this shape pair, used to skip duplicates.
+ * @return {Number} Number of added contacts.
+ */
+Narrowphase.prototype.triangleTriangleContacts = function(worldA, worldB, qi, qj, hullA, hullB, sepAxis, bi, bj, si, sj, rsi, rsj, numContacts){
+    var normal = triangleTriangleContacts_normal,
+        normalA = triangleTriangleContacts_normalA,
+        refNormal = triangleTriangleContacts_refNormal;
+
+    // Contact normal, from i to j
+    sepAxis.negate(normal);
+
+    // Choose the reference triangle, and let its normal point towards the incident triangle
+    qi.vmult(hullA.faceNormals[0], normalA);
+    var dotA = normalA.dot(normal);
+    qj.vmult(hullB.faceNormals[0], refNormal);
+    var dotB = refNormal.dot(normal);
+
+    if(Math.abs(dotA) >= Math.abs(dotB)){
+        refNormal.copy(normalA);
+        if(dotA < 0){
+            refNormal.negate(refNormal);
+        }
+        return this.clipTriangleContacts(worldA, refNormal, worldB, true, normal, bi, bj, si, sj, rsi, rsj, numContacts);
+    } else {
+        if(dotB > 0){
+            refNormal.negate(refNormal);
+        }
+        return this.clipTriangleContacts(worldB, refNormal, worldA, false, normal, bi, bj, si, sj, rsi, rsj, numContacts);
+    }
+};
+
+var clipTriangleContacts_sideNormal = new Vec3();
+var clipTriangleContacts_refCentroid = new Vec3();
+var clipTriangleContacts_tmp = new Vec3();
+var clipTriangleContacts_pointOnRef = new Vec3();
+var clipTriangleContacts_polygonIn = [];
+var clipTriangleContacts_polygonOut = [];
+for(var i=0; i!==9; i++){
+    clipTriangleContacts_polygonIn.push(new Vec3());
+    clipTriangleContacts_polygonOut.push(new Vec3());
+}
+
+/**
+ * Clip an incident triangle against the side planes of a reference triangle, and add a contact for each clipped point behind the reference triangle.
+ * @method clipTriangleContacts
+ * @private
+ * @param  {Array}   ref         The three world vertices of the reference triangle.
+ * @param  {Vec3}    refNormal   Normal of the reference triangle, pointing towards the incident triangle.
+ * @param  {Array}   inc         The three world vertices of the incident triangle.
+ * @param  {Boolean} refIsI      True if the reference triangle belongs to body i.
+ * @param  {Vec3}    normal      Contact normal, pointing from body i to body j.
+ * @param  {Number}  numContacts Number of contacts added so far for this shape pair, used to skip duplicates.
+ * @param  {Boolean} [justTest]  If true, no contacts are added, and 1 is returned if there would be any.
+ * @return {Number} Number of added contacts.
+ */
+Narrowphase.prototype.clipTriangleContacts = function(ref, refNormal, inc, refIsI, normal, bi, bj, si, sj, rsi, rsj, numContacts, justTest){
+    var sideNormal = clipTriangleContacts_sideNormal,
+        refCentroid = clipTriangleContacts_refCentroid,
+        tmp = clipTriangleContacts_tmp,
+        pointOnRef = clipTriangleContacts_pointOnRef,
+        polygonIn = clipTriangleContacts_polygonIn,
+        polygonOut = clipTriangleContacts_polygonOut,
+        added = 0;
+
+    ref[0].vadd(ref[1], refCentroid);
+    refCentroid.vadd(ref[2], refCentroid);
+    refCentroid.scale(1 / 3, refCentroid);
+
+    var numIn = 3;
+    for(var k=0; k!==3; k++){
+        polygonIn[k].copy(inc[k]);
+    }
+    for(var e=0; e!==3 && numIn; e++){
+        var r0 = ref[e];
+        var r1 = ref[(e + 1) % 3];
+        r1.vsub(r0, tmp);
+        tmp.cross(refNormal, sideNormal);
+        refCentroid.vsub(r0, tmp);
+        if(sideNormal.dot(tmp) > 0){
+            sideNormal.negate(sideNormal);
+        }
+
+        var numOut = 0;
+        for(var k=0; k!==numIn; k++){
+            var p0 = polygonIn[k];
+            var p1 = polygonIn[(k + 1) % numIn];
+            p0.vsub(r0, tmp);
+            var d0 = sideNormal.dot(tmp);
+            p1.vsub(r0, tmp);
+            var d1 = sideNormal.dot(tmp);
+            if(d0 <= 0){
+                polygonOut[numOut++].copy(p0);
+            }
+            if((d0 < 0 && d1 > 0) || (d0 > 0 && d1 < 0)){
+                p0.lerp(p1, d0 / (d0 - d1), polygonOut[numOut++]);
+            }
+        }
+
+        // Swap buffers
+        var swap = polygonIn;
+        polygonIn = polygonOut;
+        polygonOut = swap;
+        numIn = numOut;
+    }
+
+    // Keep the points that are behind the reference triangle
+    for(var k=0; k!==numIn; k++){
+        var p = polygonIn[k];
+        p.vsub(ref[0], tmp);
+        var depth = refNormal.dot(tmp);
+        if(depth > 0){
+            continue;
+        }
+        if(justTest){
+            return 1;
+        }
+        p.addScaledVector(-depth, refNormal, pointOnRef);
+
+        var pointI = refIsI ? pointOnRef : p;
+        var pointJ = refIsI ? p : pointOnRef;
+        if(this.hasContactPoint(bj, pointJ, numContacts + added)){
+            continue;
+        }
+
+        var r = this.createContactEquation(bi, bj, si, sj, rsi, rsj);
+        r.ni.copy(normal);
+        pointI.vsub(bi.position, r.ri);
+        pointJ.vsub(bj.position, r.rj);
+        this.result.push(r);
+        added++;
+        if(!this.enableFrictionReduction){
+            this.createFrictionEquationsFromContact(r, this.frictionResult);
+        }
+    }
+
+    return added;
+};
+
+var heightfieldTrimesh_localPos = new Vec3();
+var heightfieldTrimesh_localQuat = new Quaternion();
+var heightfieldTrimesh_aabb = new AABB();
+var heightfieldTrimesh_triangles = [];
+var heightfieldTrimesh_normal = new Vec3();
+var heightfieldTrimesh_tmp = new Vec3();
+var heightfieldTrimesh_hfTriangle = [new Vec3(), new Vec3(), new Vec3()];
+var heightfieldTrimesh_meshTriangle = [new Vec3(), new Vec3(), new Vec3()];
+var heightfieldTrimesh_points = [new Vec3(), new Vec3(), new Vec3(), new Vec3(), new Vec3(), new Vec3()];
+
+/**
+ * Collide a heightfield with a trimesh. Walks the heightfield cells covered by the trimesh AABB. The trimesh triangles below each heightfield triangle are clipped against it, and the clipped points that are below the heightfield surface are pushed out along the surface normal.
+ * @method heightfieldTrimesh
+ * @param  {Shape}      hfShape
+ * @param  {Shape}      trimeshShape
+ * @param  {Vec3}       hfPos
+ * @param  {Vec3}       trimeshPos
+ * @param  {Quaternion} hfQuat
+ * @param  {Quaternion} trimeshQuat
+ * @param  {Body}       hfBody
+ * @param  {Body}       trimeshBody
+ */
+Narrowphase.prototype[Shape.types.HEIGHTFIELD | Shape.types.TRIMESH] =
+Narrowphase.prototype.heightfieldTrimesh = function(
+    hfShape,
+    trimeshShape,
+    hfPos,
+    trimeshPos,
+    hfQuat,
+    trimeshQuat,
+    hfBody,
+    trimeshBody,
+    rsi,
+    rsj,
+    justTest
+){
+    var data = hfShape.data,
+        w = hfShape.elementSize,
+        localPos = heightfieldTrimesh_localPos,
+        localQuat = heightfieldTrimesh_localQuat,
+        aabb = heightfieldTrimesh_aabb,
+        triangles = heightfieldTrimesh_triangles,
+        normal = heightfieldTrimesh_normal,
+        tmp = heightfieldTrimesh_tmp,
+        hfTriangle = heightfieldTrimesh_hfTriangle,
+        meshTriangle = heightfieldTrimesh_meshTriangle,
+        points = heightfieldTrimesh_points,
+        numContacts = 0;
+
+    // Get the trimesh AABB in the heightfield frame
+    Transform.pointToLocalFrame(hfPos, hfQuat, trimeshPos, localPos);
+    hfQuat.conjugate(localQuat);
+    localQuat.mult(trimeshQuat, localQuat);
+    trimeshShape.calculateWorldAABB(localPos, localQuat, aabb.lowerBound, aabb.upperBound);
+
+    // Distance to look for trimesh triangles below the heightfield surface
+    var depth = aabb.upperBound.z - aabb.lowerBound.z;
+
+    // Get the index of the data points to test against
+    var iMinX = Math.floor(aabb.lowerBound.x / w) - 1,
+        iMaxX = Math.ceil(aabb.upperBound.x / w) + 1,
+        iMinY = Math.floor(aabb.lowerBound.y / w) - 1,
+        iMaxY = Math.ceil(aabb.upperBound.y / w) + 1;
+
+    // Bail out if we are out of the terrain
+    if(iMaxX < 0 || iMaxY < 0 || iMinX > data.length || iMinY > data[0].length){
+        return;
+    }
+
+    // Clamp index to edges
+    if(iMinX < 0){ iMinX = 0; }
+    if(iMaxX < 0){ iMaxX = 0; }
+    if(iMinY < 0){ iMinY = 0; }
+    if(iMaxY < 0){ iMaxY = 0; }
+    if(iMinX >= data.length){ iMinX = data.length - 1; }
+    if(iMaxX >= data.length){ iMaxX = data.length - 1; }
+    if(iMaxY >= data[0].length){ iMaxY = data[0].length - 1; }
+    if(iMinY >= data[0].length){ iMinY = data[0].length - 1; }
+
+    var minMax = [];
+    hfShape.getRectMinMax(iMinX, iMinY, iMaxX, iMaxY, minMax);
+
+    // Bail out if we can't touch the bounding height box
+    if(aabb.lowerBound.z > minMax[1]){
+        return;
+    }
+
+    for(var i = iMinX; i < iMaxX; i++){
+        for(var j = iMinY; j < iMaxY; j++){
+            for(var k = 0; k !== 2; k++){
+                hfShape.getTriangle(i, j, k === 1, hfTriangle[0], hfTriangle[1], hfTriangle[2]);
+
+                // Get the trimesh triangles in the region below the heightfield triangle
+                for(var l = 0; l !== 3; l++){
+                    points[l].copy(hfTriangle[l]);
+                    points[l + 3].set(hfTriangle[l].x, hfTriangle[l].y, hfTriangle[l].z - depth);
+                }
+                for(var l = 0; l !== 6; l++){
+                    Transform.pointToWorldFrame(hfPos, hfQuat, points[l], points[l]);
+                    Transform.pointToLocalFrame(trimeshPos, trimeshQuat, points[l], points[l]);
+                }
+                aabb.setFromPoints(points);
+                triangles.length = 0;
+                trimeshShape.getTrianglesInAABB(aabb, triangles);
+                if(!triangles.length){
+                    continue;
+                }
+
+                // Surface normal, pointing up from the heightfield
+                hfTriangle[1].vsub(hfTriangle[0], normal);
+                hfTriangle[2].vsub(hfTriangle[0], tmp);
+                normal.cross(tmp, normal);
+                normal.normalize();
+                if(normal.z < 0){
+                    normal.negate(normal);
+                }
+                Transform.vectorToWorldFrame(hfQuat, normal, normal);
+                for(var l = 0; l !== 3; l++){
+                    Transform.pointToWorldFrame(hfPos, hfQuat, hfTriangle[l], hfTriangle[l]);
+                }
+
+                for(var t = 0, N = triangles.length; t !== N; t++){
+                    trimeshShape.getTriangleVertices(triangles[t], meshTriangle[0], meshTriangle[1], meshTriangle[2]);
+                    for(var l = 0; l !== 3; l++){
+                        Transform.pointToWorldFrame(trimeshPos, trimeshQuat, meshTriangle[l], meshTriangle[l]);
+                    }
+
+                    var added = this.clipTriangleContacts(hfTriangle, normal, meshTriangle, true, normal, hfBody, trimeshBody, hfShape, trimeshShape, rsi, rsj, numContacts, justTest);
+                    if(justTest && added){
+                        triangles.length = 0;
+                        return true;
+                    }
+                    numContacts += added;
+                }
+            }
+        }
+    }
+
+    triangles.length = 0;
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
+    }
+};
+
+var particlePlane_normal = new Vec3();
+var particlePlane_relpos = new Vec3();
+var particlePlane_projected = new Vec3();
+
+/**
+ * @method particlePlane
+ * @param  {Array}      result
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.PLANE | Shape.types.PARTICLE] =
+Narrowphase.prototype.planeParticle = function(sj,si,xj,xi,qj,qi,bj,bi,rsi,rsj,justTest){
+    var normal = particlePlane_normal;
+    normal.set(0,0,1);
+    bj.quaternion.vmult(normal,normal); // Turn normal according to plane orientation
+    var relpos = particlePlane_relpos;
+    xi.vsub(bj.position,relpos);
+    var dot = normal.dot(relpos);
+    if(dot <= 0.0){
+
+        if(justTest){
+            return true;
+        }
+
+        var r = this.createContactEquation(bi,bj,si,sj,rsi,rsj);
+        r.ni.copy(normal); // Contact normal is the plane normal
+        r.ni.negate(r.ni);
+        r.ri.set(0,0,0); // Center of particle
+
+        // Get particle position projected on plane
+        var projected = particlePlane_projected;
+        normal.mult(normal.dot(xi),projected);
+        xi.vsub(projected,projected);
+        //projected.vadd(bj.position,projected);
+
+        // rj is now the projected world position minus plane position
+        r.rj.copy(projected);
+        this.result.push(r);
+        this.createFrictionEquationsFromContact(r, this.frictionResult);
+    }
+};
+
+var particleSphere_normal = new Vec3();
+
+/**
+ * @method particleSphere
+ * @param  {Array}      result
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.PARTICLE | Shape.types.SPHERE] =
+Narrowphase.prototype.sphereParticle = function(sj,si,xj,xi,qj,qi,bj,bi,rsi,rsj,justTest){
+    // The normal is the unit vector from sphere center to particle center
+    var normal = particleSphere_normal;
+    normal.set(0,0,1);
+    xi.vsub(xj,normal);
+    var lengthSquared = normal.norm2();
+
+    if(lengthSquared <= sj.radius * sj.radius){
+        if(justTest){
+            return true;
+        }
+        var r = this.createContactEquation(bi,bj,si,sj,rsi,rsj);
+        normal.normalize();
+        r.rj.copy(normal);
+        r.rj.mult(sj.radius,r.rj);
+        r.ni.copy(normal); // Contact normal
+        r.ni.negate(r.ni);
+        r.ri.set(0,0,0); // Center of particle
+        this.result.push(r);
+        this.createFrictionEquationsFromContact(r, this.frictionResult);
+    }
+};
+
+// WIP
 var cqj = new Quaternion();
 var convexParticle_local = new Vec3();
 var convexParticle_normal = new Vec3();
@@ -1862,3 +2709,986 @@ Narrowphase.prototype.sphereHeightfield = function (
         }
     }
 };
+
+var segment_d1 = new Vec3();
+var segment_d2 = new Vec3();
+var segment_r = new Vec3();
+
+/**
+ * Get the closest point on the segment [a, b] to a point p.
+ * @private
+ * @param  {Vec3} p
+ * @param  {Vec3} a
+ * @param  {Vec3} b
+ * @param  {Vec3} target
+ * @return {Number} The segment parameter of the closest point, between 0 (at a) and 1 (at b).
+ */
+function closestPointOnSegment(p, a, b, target){
+    var d = segment_d1;
+    b.vsub(a, d);
+    var len2 = d.norm2();
+    var t = 0;
+    if(len2 > 0){
+        p.vsub(a, target);
+        t = Math.max(0, Math.min(1, target.dot(d) / len2));
+    }
+    a.addScaledVector(t, d, target);
+    return t;
+}
+
+/**
+ * Get the closest points between the segments [p1, q1] and [p2, q2].
+ * @private
+ * @param  {Vec3} p1
+ * @param  {Vec3} q1
+ * @param  {Vec3} p2
+ * @param  {Vec3} q2
+ * @param  {Vec3} c1 The closest point on the first segment.
+ * @param  {Vec3} c2 The closest point on the second segment.
+ * @return {Number} The squared distance between c1 and c2.
+ * @see Real-Time Collision Detection by Christer Ericson, section 5.1.9
+ */
+function closestPointsOnSegments(p1, q1, p2, q2, c1, c2){
+    var d1 = segment_d1,
+        d2 = segment_d2,
+        r = segment_r,
+        eps = 1e-12,
+        s, t;
+
+    q1.vsub(p1, d1);
+    q2.vsub(p2, d2);
+    p1.vsub(p2, r);
+
+    var a = d1.dot(d1),
+        e = d2.dot(d2),
+        f = d2.dot(r);
+
+    if(a <= eps && e <= eps){
+        s = t = 0;
+    } else if(a <= eps){
+        s = 0;
+        t = Math.max(0, Math.min(1, f / e));
+    } else {
+        var c = d1.dot(r);
+        if(e <= eps){
+            t = 0;
+            s = Math.max(0, Math.min(1, -c / a));
+        } else {
+            var b = d1.dot(d2),
+                denom = a * e - b * b;
+            s = denom > eps ? Math.max(0, Math.min(1, (b * f - c * e) / denom)) : 0;
+            t = (b * s + f) / e;
+            if(t < 0){
+                t = 0;
+                s = Math.max(0, Math.min(1, -c / a));
+            } else if(t > 1){
+                t = 1;
+                s = Math.max(0, Math.min(1, (b - c) / a));
+            }
+        }
+    }
+
+    p1.addScaledVector(s, d1, c1);
+    p2.addScaledVector(t, d2, c2);
+    return c1.distanceSquared(c2);
+}
+
+/**
+ * Create a contact between two spheres. Used by all capsule collision functions, since a capsule is a sphere swept along a segment.
+ * @private
+ * @param  {Vec3}   centerI
+ * @param  {Number} radiusI
+ * @param  {Vec3}   centerJ
+ * @param  {Number} radiusJ
+ * @param  {Vec3}   fallbackNormal Normal to use if the sphere centers coincide.
+ * @return {ContactEquation}
+ */
+function createSphereSphereContact(centerI, radiusI, centerJ, radiusJ, fallbackNormal, bi, bj, si, sj, rsi, rsj){
+    var r = this.createContactEquation(bi,bj,si,sj,rsi,rsj);
+
+    centerJ.vsub(centerI, r.ni);
+    if(r.ni.norm2() > 1e-12){
+        r.ni.normalize();
+    } else {
+        r.ni.copy(fallbackNormal);
+    }
+
+    centerI.addScaledVector(radiusI, r.ni, r.ri);
+    r.ri.vsub(bi.position, r.ri);
+
+    centerJ.addScaledVector(-radiusJ, r.ni, r.rj);
+    r.rj.vsub(bj.position, r.rj);
+
+    this.result.push(r);
+    return r;
+}
+
+var sphereCapsule_a = new Vec3();
+var sphereCapsule_b = new Vec3();
+var sphereCapsule_closest = new Vec3();
+var sphereCapsule_fallback = new Vec3();
+
+/**
+ * @method sphereCapsule
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.SPHERE | Shape.types.CAPSULE] =
+Narrowphase.prototype.sphereCapsule = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justTest){
+    var a = sphereCapsule_a,
+        b = sphereCapsule_b,
+        closest = sphereCapsule_closest,
+        radiusSum = si.radius + sj.radius;
+
+    sj.getWorldEndPoints(xj, qj, a, b);
+    closestPointOnSegment(xi, a, b, closest);
+
+    if(xi.distanceSquared(closest) >= radiusSum * radiusSum){
+        return;
+    }
+
+    if(justTest){
+        return true;
+    }
+
+    // If the sphere center is on the capsule axis, push it out sideways
+    var fallback = sphereCapsule_fallback;
+    fallback.set(1,0,0);
+    qj.vmult(fallback, fallback);
+
+    var r = createSphereSphereContact.call(this, xi, si.radius, closest, sj.radius, fallback, bi, bj, si, sj, rsi, rsj);
+    this.createFrictionEquationsFromContact(r, this.frictionResult);
+};
+
+var planeCapsule_normal = new Vec3();
+var planeCapsule_ends = [new Vec3(), new Vec3()];
+var planeCapsule_relpos = new Vec3();
+
+/**
+ * @method planeCapsule
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.PLANE | Shape.types.CAPSULE] =
+Narrowphase.prototype.planeCapsule = function(
+    planeShape,
+    capsuleShape,
+    planePos,
+    capsulePos,
+    planeQuat,
+    capsuleQuat,
+    planeBody,
+    capsuleBody,
+    rsi,
+    rsj,
+    justTest
+){
+    var normal = planeCapsule_normal,
+        ends = planeCapsule_ends,
+        relpos = planeCapsule_relpos,
+        radius = capsuleShape.radius,
+        numEnds = capsuleShape.height > 0 ? 2 : 1,
+        numContacts = 0;
+
+    normal.set(0,0,1);
+    planeQuat.vmult(normal, normal); // Turn normal according to plane
+
+    capsuleShape.getWorldEndPoints(capsulePos, capsuleQuat, ends[0], ends[1]);
+
+    for(var i=0; i!==numEnds; i++){
+        var end = ends[i];
+        end.vsub(planePos, relpos);
+        var dist = normal.dot(relpos);
+
+        if(dist > radius){
+            continue;
+        }
+
+        if(justTest){
+            return true;
+        }
+
+        var r = this.createContactEquation(planeBody, capsuleBody, planeShape, capsuleShape, rsi, rsj);
+        r.ni.copy(normal); // Contact normal is the plane normal, out from the plane
+
+        // ri is the end point projected on the plane
+        end.addScaledVector(-dist, normal, r.ri);
+        r.ri.vsub(planeBody.position, r.ri);
+
+        // rj is the deepest point of the end cap
+        end.addScaledVector(-radius, normal, r.rj);
+        r.rj.vsub(capsuleBody.position, r.rj);
+
+        this.result.push(r);
+        numContacts++;
+        if(!this.enableFrictionReduction){
+            this.createFrictionEquationsFromContact(r, this.frictionResult);
+        }
+    }
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
+    }
+};
+
+Narrowphase.prototype[Shape.types.BOX | Shape.types.CAPSULE] =
+Narrowphase.prototype.boxCapsule = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justTest){
+    si.convexPolyhedronRepresentation.material = si.material;
+    si.convexPolyhedronRepresentation.collisionResponse = si.collisionResponse;
+    return this.convexCapsule(si.convexPolyhedronRepresentation,sj,xi,xj,qi,qj,bi,bj,si,sj,justTest);
+};
+
+var convexCapsule_a = new Vec3();
+var convexCapsule_b = new Vec3();
+var convexCapsule_dir = new Vec3();
+var convexCapsule_axis = new Vec3();
+var convexCapsule_bestAxis = new Vec3();
+var convexCapsule_witness = new Vec3();
+var convexCapsule_bestWitness = new Vec3();
+var convexCapsule_edge = new Vec3();
+var convexCapsule_hullPoint = new Vec3();
+var convexCapsule_capsulePoint = new Vec3();
+var convexCapsule_sideNormal = new Vec3();
+var convexCapsule_faceCenter = new Vec3();
+var convexCapsule_clipped = [new Vec3(), new Vec3()];
+var convexCapsule_worldVertices = [];
+var convexCapsule_worldNormals = [];
+var convexCapsule_minMax = [];
+var convexCapsule_best = { minOverlap: Infinity, face: -1, hasWitness: false };
+
+/**
+ * Project the world vertices onto an axis and return the overlap with a capsule segment.
+ * @private
+ * @return {Number} The overlap, with the capsule on the positive side of the axis. Negative if separated.
+ */
+function convexCapsuleOverlap(worldVertices, numVertices, axis, a, b, radius, minMax){
+    var hullMin = Infinity,
+        hullMax = -Infinity;
+    for(var i=0; i!==numVertices; i++){
+        var d = worldVertices[i].dot(axis);
+        if(d < hullMin){ hullMin = d; }
+        if(d > hullMax){ hullMax = d; }
+    }
+    var da = a.dot(axis),
+        db = b.dot(axis);
+    minMax[0] = hullMin;
+    minMax[1] = hullMax;
+    minMax[2] = Math.min(da, db) - radius;
+    minMax[3] = Math.max(da, db) + radius;
+    return hullMax - minMax[2];
+}
+
+/**
+ * Test convexCapsule_axis as a separating axis. Keeps the axis with the smallest overlap in convexCapsule_bestAxis and convexCapsule_best.
+ * @private
+ * @return {Boolean} False if the axis separates the shapes.
+ */
+function convexCapsuleTestAxis(worldVertices, numVertices, a, b, radius, faceIndex, useWitness){
+    var axis = convexCapsule_axis,
+        minMax = convexCapsule_minMax,
+        best = convexCapsule_best;
+    if(axis.norm2() < 1e-12){
+        return true;
+    }
+    axis.normalize();
+    var overlapPositive = convexCapsuleOverlap(worldVertices, numVertices, axis, a, b, radius, minMax);
+    var overlapNegative = minMax[3] - minMax[0];
+    if(overlapPositive < 0 || overlapNegative < 0){
+        return false;
+    }
+    var overlap = Math.min(overlapPositive, overlapNegative);
+    if(overlap < best.minOverlap){
+        best.minOverlap = overlap;
+        best.face = faceIndex;
+        best.hasWitness = useWitness;
+
+        // Let the axis point from the hull towards the capsule
+        if(overlapPositive <= overlapNegative){
+            convexCapsule_bestAxis.copy(axis);
+        } else {
+            axis.negate(convexCapsule_bestAxis);
+        }
+        if(useWitness){
+            convexCapsule_bestWitness.copy(convexCapsule_witness);
+        }
+    }
+    return true;
+}
+
+/**
+ * Collide a convex polyhedron with a capsule. Uses the separating axis theorem with the hull face normals, the edge-segment cross products and the closest-feature directions as candidate axes.
+ * @method convexCapsule
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.CONVEXPOLYHEDRON | Shape.types.CAPSULE] =
+Narrowphase.prototype.convexCapsule = function(
+    convexShape,
+    capsuleShape,
+    convexPos,
+    capsulePos,
+    convexQuat,
+    capsuleQuat,
+    convexBody,
+    capsuleBody,
+    rsi,
+    rsj,
+    justTest
+){
+    var a = convexCapsule_a,
+        b = convexCapsule_b,
+        dir = convexCapsule_dir,
+        axis = convexCapsule_axis,
+        bestAxis = convexCapsule_bestAxis,
+        witness = convexCapsule_witness,
+        bestWitness = convexCapsule_bestWitness,
+        edge = convexCapsule_edge,
+        hullPoint = convexCapsule_hullPoint,
+        worldVertices = convexCapsule_worldVertices,
+        worldNormals = convexCapsule_worldNormals,
+        radius = capsuleShape.radius,
+        vertices = convexShape.vertices,
+        faces = convexShape.faces,
+        numVertices = vertices.length,
+        numFaces = faces.length;
+
+    if(convexPos.distanceTo(capsulePos) > convexShape.boundingSphereRadius + capsuleShape.boundingSphereRadius){
+        return;
+    }
+
+    capsuleShape.getWorldEndPoints(capsulePos, capsuleQuat, a, b);
+    b.vsub(a, dir);
+
+    // Transform the hull to world space
+    while(worldVertices.length < numVertices){
+        worldVertices.push(new Vec3());
+    }
+    for(var i=0; i!==numVertices; i++){
+        convexQuat.vmult(vertices[i], worldVertices[i]);
+        worldVertices[i].vadd(convexPos, worldVertices[i]);
+    }
+    while(worldNormals.length < numFaces){
+        worldNormals.push(new Vec3());
+    }
+    for(var i=0; i!==numFaces; i++){
+        convexQuat.vmult(convexShape.faceNormals[i], worldNormals[i]);
+    }
+
+    var best = convexCapsule_best;
+    best.minOverlap = Infinity;
+    best.face = -1;
+    best.hasWitness = false;
+
+    // Face normals
+    for(var i=0; i!==numFaces; i++){
+        axis.copy(worldNormals[i]);
+        if(!convexCapsuleTestAxis(worldVertices, numVertices, a, b, radius, i, false)){
+            return;
+        }
+    }
+
+    // Edges
+    for(var i=0; i!==numFaces; i++){
+        var face = faces[i];
+        for(var j=0, Nverts=face.length; j!==Nverts; j++){
+            var v0 = worldVertices[face[j]];
+            var v1 = worldVertices[face[(j + 1) % Nverts]];
+            v1.vsub(v0, edge);
+
+            closestPointsOnSegments(a, b, v0, v1, witness, hullPoint);
+
+            // Edge cross segment direction
+            edge.cross(dir, axis);
+            if(!convexCapsuleTestAxis(worldVertices, numVertices, a, b, radius, -1, true)){
+                return;
+            }
+
+            // Direction between the closest points of the edge and the segment
+            witness.vsub(hullPoint, axis);
+            if(!convexCapsuleTestAxis(worldVertices, numVertices, a, b, radius, -1, true)){
+                return;
+            }
+        }
+    }
+
+    // Vertices
+    for(var i=0; i!==numVertices; i++){
+        closestPointOnSegment(worldVertices[i], a, b, witness);
+        witness.vsub(worldVertices[i], axis);
+        if(!convexCapsuleTestAxis(worldVertices, numVertices, a, b, radius, -1, true)){
+            return;
+        }
+    }
+
+    if(justTest){
+        return true;
+    }
+
+    // Project the hull on the contact axis to get the hull surface level
+    var hullMax = -Infinity;
+    for(var i=0; i!==numVertices; i++){
+        hullMax = Math.max(hullMax, worldVertices[i].dot(bestAxis));
+    }
+
+    var clipped = convexCapsule_clipped;
+    var numPoints = 0;
+    var bestFace = best.face,
+        hasWitness = best.hasWitness;
+
+    if(!hasWitness && bestFace !== -1){
+        // Face contact: clip the segment against the side planes of the face to get up to two contact points
+        var face = faces[bestFace];
+        var faceNormal = worldNormals[bestFace];
+        var faceCenter = convexCapsule_faceCenter;
+        var sideNormal = convexCapsule_sideNormal;
+        var tMin = 0, tMax = 1;
+
+        faceCenter.setZero();
+        for(var j=0; j!==face.length; j++){
+            faceCenter.vadd(worldVertices[face[j]], faceCenter);
+        }
+        faceCenter.scale(1 / face.length, faceCenter);
+
+        for(var j=0, Nverts=face.length; j!==Nverts && tMin <= tMax; j++){
+            var v0 = worldVertices[face[j]];
+            var v1 = worldVertices[face[(j + 1) % Nverts]];
+            v1.vsub(v0, edge);
+            edge.cross(faceNormal, sideNormal);
+            faceCenter.vsub(v0, axis);
+            if(sideNormal.dot(axis) > 0){
+                sideNormal.negate(sideNormal);
+            }
+
+            // Keep the part of the segment that is behind the side plane
+            a.vsub(v0, axis);
+            var distA = sideNormal.dot(axis);
+            var denom = sideNormal.dot(dir);
+            if(Math.abs(denom) < 1e-12){
+                if(distA > 0){
+                    tMax = -1;
+                }
+                continue;
+            }
+            var t = -distA / denom;
+            if(denom > 0){
+                tMax = Math.min(tMax, t);
+            } else {
+                tMin = Math.max(tMin, t);
+            }
+        }
+
+        if(tMin <= tMax){
+            a.addScaledVector(tMin, dir, clipped[0]);
+            numPoints = 1;
+            if(tMax - tMin > 1e-6){
+                a.addScaledVector(tMax, dir, clipped[1]);
+                numPoints = 2;
+            }
+        }
+    }
+
+    if(!numPoints){
+        // Single contact at the deepest point of the segment along the axis
+        if(hasWitness){
+            clipped[0].copy(bestWitness);
+        } else {
+            var da = a.dot(bestAxis),
+                db = b.dot(bestAxis);
+            if(Math.abs(da - db) < 1e-6){
+                a.lerp(b, 0.5, clipped[0]);
+            } else {
+                clipped[0].copy(da < db ? a : b);
+            }
+        }
+        numPoints = 1;
+    }
+
+    var numContacts = 0;
+    for(var i=0; i!==numPoints; i++){
+        var capsulePoint = convexCapsule_capsulePoint;
+        clipped[i].addScaledVector(-radius, bestAxis, capsulePoint);
+        var depth = hullMax - capsulePoint.dot(bestAxis);
+        if(depth < 0){
+            continue;
+        }
+
+        var r = this.createContactEquation(convexBody, capsuleBody, convexShape, capsuleShape, rsi, rsj);
+        r.ni.copy(bestAxis);
+
+        capsulePoint.addScaledVector(depth, bestAxis, r.ri);
+        r.ri.vsub(convexBody.position, r.ri);
+
+        capsulePoint.vsub(capsuleBody.position, r.rj);
+
+        this.result.push(r);
+        numContacts++;
+        if(!this.enableFrictionReduction){
+            this.createFrictionEquationsFromContact(r, this.frictionResult);
+        }
+    }
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
+    }
+};
+
+var heightfieldCapsule_localPos = new Vec3();
+var heightfieldCapsule_worldPillarOffset = new Vec3();
+
+/**
+ * @method heightfieldCapsule
+ */
+Narrowphase.prototype[Shape.types.HEIGHTFIELD | Shape.types.CAPSULE] =
+Narrowphase.prototype.heightfieldCapsule = function(
+    hfShape,
+    capsuleShape,
+    hfPos,
+    capsulePos,
+    hfQuat,
+    capsuleQuat,
+    hfBody,
+    capsuleBody,
+    rsi,
+    rsj,
+    justTest
+){
+    var data = hfShape.data,
+        w = hfShape.elementSize,
+        radius = capsuleShape.boundingSphereRadius,
+        worldPillarOffset = heightfieldCapsule_worldPillarOffset;
+
+    // Get capsule position to heightfield local!
+    var localCapsulePos = heightfieldCapsule_localPos;
+    Transform.pointToLocalFrame(hfPos, hfQuat, capsulePos, localCapsulePos);
+
+    // Get the index of the data points to test against
+    var iMinX = Math.floor((localCapsulePos.x - radius) / w) - 1,
+        iMaxX = Math.ceil((localCapsulePos.x + radius) / w) + 1,
+        iMinY = Math.floor((localCapsulePos.y - radius) / w) - 1,
+        iMaxY = Math.ceil((localCapsulePos.y + radius) / w) + 1;
+
+    // Bail out if we are out of the terrain
+    if(iMaxX < 0 || iMaxY < 0 || iMinX > data.length || iMinY > data[0].length){
+        return;
+    }
+
+    // Clamp index to edges
+    if(iMinX < 0){ iMinX = 0; }
+    if(iMaxX < 0){ iMaxX = 0; }
+    if(iMinY < 0){ iMinY = 0; }
+    if(iMaxY < 0){ iMaxY = 0; }
+    if(iMinX >= data.length){ iMinX = data.length - 1; }
+    if(iMaxX >= data.length){ iMaxX = data.length - 1; }
+    if(iMaxY >= data[0].length){ iMaxY = data[0].length - 1; }
+    if(iMinY >= data[0].length){ iMinY = data[0].length - 1; }
+
+    var minMax = [];
+    hfShape.getRectMinMax(iMinX, iMinY, iMaxX, iMaxY, minMax);
+    var min = minMax[0];
+    var max = minMax[1];
+
+    // Bail out if we can't touch the bounding height box
+    if(localCapsulePos.z - radius > max || localCapsulePos.z + radius < min){
+        return;
+    }
+
+    for(var i = iMinX; i < iMaxX; i++){
+        for(var j = iMinY; j < iMaxY; j++){
+
+            var intersecting = false;
+
+            // Lower triangle
+            hfShape.getConvexTrianglePillar(i, j, false);
+            Transform.pointToWorldFrame(hfPos, hfQuat, hfShape.pillarOffset, worldPillarOffset);
+            if (capsulePos.distanceTo(worldPillarOffset) < hfShape.pillarConvex.boundingSphereRadius + capsuleShape.boundingSphereRadius) {
+                intersecting = this.convexCapsule(hfShape.pillarConvex, capsuleShape, worldPillarOffset, capsulePos, hfQuat, capsuleQuat, hfBody, capsuleBody, rsi, rsj, justTest);
+            }
+
+            if(justTest && intersecting){
+                return true;
+            }
+
+            // Upper triangle
+            hfShape.getConvexTrianglePillar(i, j, true);
+            Transform.pointToWorldFrame(hfPos, hfQuat, hfShape.pillarOffset, worldPillarOffset);
+            if (capsulePos.distanceTo(worldPillarOffset) < hfShape.pillarConvex.boundingSphereRadius + capsuleShape.boundingSphereRadius) {
+                intersecting = this.convexCapsule(hfShape.pillarConvex, capsuleShape, worldPillarOffset, capsulePos, hfQuat, capsuleQuat, hfBody, capsuleBody, rsi, rsj, justTest);
+            }
+
+            if(justTest && intersecting){
+                return true;
+            }
+        }
+    }
+};
+
+var particleCapsule_a = new Vec3();
+var particleCapsule_b = new Vec3();
+var particleCapsule_closest = new Vec3();
+var particleCapsule_fallback = new Vec3();
+
+/**
+ * @method particleCapsule
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.PARTICLE | Shape.types.CAPSULE] =
+Narrowphase.prototype.particleCapsule = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justTest){
+    var a = particleCapsule_a,
+        b = particleCapsule_b,
+        closest = particleCapsule_closest;
+
+    sj.getWorldEndPoints(xj, qj, a, b);
+    closestPointOnSegment(xi, a, b, closest);
+
+    if(xi.distanceSquared(closest) >= sj.radius * sj.radius){
+        return;
+    }
+
+    if(justTest){
+        return true;
+    }
+
+    var fallback = particleCapsule_fallback;
+    fallback.set(-1,0,0);
+    qj.vmult(fallback, fallback);
+
+    var r = createSphereSphereContact.call(this, xi, 0, closest, sj.radius, fallback, bi, bj, si, sj, rsi, rsj);
+    this.createFrictionEquationsFromContact(r, this.frictionResult);
+};
+
+var trimeshCapsule_localA = new Vec3();
+var trimeshCapsule_localB = new Vec3();
+var trimeshCapsule_localAABB = new AABB();
+var trimeshCapsule_triangles = [];
+var trimeshCapsule_va = new Vec3();
+var trimeshCapsule_vb = new Vec3();
+var trimeshCapsule_vc = new Vec3();
+var trimeshCapsule_normal = new Vec3();
+var trimeshCapsule_relpos = new Vec3();
+var trimeshCapsule_projected = new Vec3();
+var trimeshCapsule_contactNormal = new Vec3();
+var trimeshCapsule_segmentPoint = new Vec3();
+var trimeshCapsule_trianglePoint = new Vec3();
+var trimeshCapsule_edgeSegmentPoint = new Vec3();
+var trimeshCapsule_edgeTrianglePoint = new Vec3();
+var trimeshCapsule_faceSegmentPoints = [];
+var trimeshCapsule_hasFaceContact = [];
+
+/**
+ * Collide a trimesh with a capsule. The end caps are tested against the triangle faces. Then the capsule segment is tested against the edges of the other triangles, except near the face contacts, so that the internal edges of a flat mesh do not tilt the contact normal.
+ * @method trimeshCapsule
+ * @param  {Shape}      trimeshShape
+ * @param  {Shape}      capsuleShape
+ * @param  {Vec3}       trimeshPos
+ * @param  {Vec3}       capsulePos
+ * @param  {Quaternion} trimeshQuat
+ * @param  {Quaternion} capsuleQuat
+ * @param  {Body}       trimeshBody
+ * @param  {Body}       capsuleBody
+ */
+Narrowphase.prototype[Shape.types.TRIMESH | Shape.types.CAPSULE] =
+Narrowphase.prototype.trimeshCapsule = function(
+    trimeshShape,
+    capsuleShape,
+    trimeshPos,
+    capsulePos,
+    trimeshQuat,
+    capsuleQuat,
+    trimeshBody,
+    capsuleBody,
+    rsi,
+    rsj,
+    justTest
+){
+    var localA = trimeshCapsule_localA,
+        localB = trimeshCapsule_localB,
+        localAABB = trimeshCapsule_localAABB,
+        triangles = trimeshCapsule_triangles,
+        va = trimeshCapsule_va,
+        vb = trimeshCapsule_vb,
+        vc = trimeshCapsule_vc,
+        normal = trimeshCapsule_normal,
+        relpos = trimeshCapsule_relpos,
+        projected = trimeshCapsule_projected,
+        contactNormal = trimeshCapsule_contactNormal,
+        segmentPoint = trimeshCapsule_segmentPoint,
+        trianglePoint = trimeshCapsule_trianglePoint,
+        radius = capsuleShape.radius,
+        numEnds = capsuleShape.height > 0 ? 2 : 1,
+        numContacts = 0;
+
+    // Get the capsule segment in the trimesh frame
+    capsuleShape.getWorldEndPoints(capsulePos, capsuleQuat, localA, localB);
+    Transform.pointToLocalFrame(trimeshPos, trimeshQuat, localA, localA);
+    Transform.pointToLocalFrame(trimeshPos, trimeshQuat, localB, localB);
+
+    localAABB.lowerBound.set(
+        Math.min(localA.x, localB.x) - radius,
+        Math.min(localA.y, localB.y) - radius,
+        Math.min(localA.z, localB.z) - radius
+    );
+    localAABB.upperBound.set(
+        Math.max(localA.x, localB.x) + radius,
+        Math.max(localA.y, localB.y) + radius,
+        Math.max(localA.z, localB.z) + radius
+    );
+
+    trimeshShape.getTrianglesInAABB(localAABB, triangles);
+
+    var faceSegmentPoints = trimeshCapsule_faceSegmentPoints,
+        hasFaceContact = trimeshCapsule_hasFaceContact,
+        numFaceContacts = 0,
+        N = triangles.length,
+        i, j;
+
+    hasFaceContact.length = N;
+    for(i=0; i!==N; i++){
+        trimeshShape.getTriangleVertices(triangles[i], va, vb, vc);
+        trimeshShape.getNormal(triangles[i], normal);
+        hasFaceContact[i] = false;
+
+        // End caps against the triangle face
+        for(j=0; j!==numEnds; j++){
+            var end = j ? localB : localA;
+            end.vsub(va, relpos);
+            var dist = normal.dot(relpos);
+            if(Math.abs(dist) >= radius){
+                continue;
+            }
+
+            end.addScaledVector(-dist, normal, projected);
+            if(!Ray.pointInTriangle(projected, va, vb, vc)){
+                continue;
+            }
+
+            if(justTest){
+                triangles.length = hasFaceContact.length = 0;
+                return true;
+            }
+
+            if(numFaceContacts === faceSegmentPoints.length){
+                faceSegmentPoints.push(new Vec3());
+            }
+            faceSegmentPoints[numFaceContacts++].copy(end);
+            hasFaceContact[i] = true;
+
+            contactNormal.copy(normal);
+            if(dist < 0){
+                contactNormal.negate(contactNormal);
+            }
+            trianglePoint.copy(projected);
+            segmentPoint.copy(end);
+            this.trimeshCapsuleContact(trimeshShape, capsuleShape, trimeshPos, trimeshQuat, trimeshBody, capsuleBody, trianglePoint, segmentPoint, contactNormal, rsi, rsj);
+        }
+    }
+    numContacts += numFaceContacts;
+
+    for(i=0; i!==N; i++){
+        if(hasFaceContact[i]){
+            continue;
+        }
+        trimeshShape.getTriangleVertices(triangles[i], va, vb, vc);
+
+        // Segment against the triangle edges
+        var minDist2 = radius * radius;
+        var found = false;
+        for(j=0; j!==3; j++){
+            var e0 = j === 0 ? va : (j === 1 ? vb : vc);
+            var e1 = j === 0 ? vb : (j === 1 ? vc : va);
+            var dist2 = closestPointsOnSegments(localA, localB, e0, e1, trimeshCapsule_edgeSegmentPoint, trimeshCapsule_edgeTrianglePoint);
+            if(dist2 < minDist2 && dist2 > 1e-12){
+                minDist2 = dist2;
+                segmentPoint.copy(trimeshCapsule_edgeSegmentPoint);
+                trianglePoint.copy(trimeshCapsule_edgeTrianglePoint);
+                found = true;
+            }
+        }
+
+        if(!found){
+            continue;
+        }
+
+        // Skip edges near a face contact, for example the internal edges of a flat mesh. They would give a tilted normal.
+        for(j=0; j!==numFaceContacts; j++){
+            if(faceSegmentPoints[j].distanceSquared(segmentPoint) < radius * radius){
+                found = false;
+                break;
+            }
+        }
+
+        if(!found){
+            continue;
+        }
+
+        if(justTest){
+            triangles.length = hasFaceContact.length = 0;
+            return true;
+        }
+
+        segmentPoint.vsub(trianglePoint, contactNormal);
+        contactNormal.normalize();
+        this.trimeshCapsuleContact(trimeshShape, capsuleShape, trimeshPos, trimeshQuat, trimeshBody, capsuleBody, trianglePoint, segmentPoint, contactNormal, rsi, rsj);
+        numContacts++;
+    }
+
+    hasFaceContact.length = 0;
+    triangles.length = 0;
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
+    }
+};
+
+/**
+ * Add a contact between a trimesh and a capsule, given the contact points and normal in the local trimesh frame.
+ * @method trimeshCapsuleContact
+ * @private
+ * @param  {Trimesh}    trimeshShape
+ * @param  {Capsule}    capsuleShape
+ * @param  {Vec3}       trimeshPos
+ * @param  {Quaternion} trimeshQuat
+ * @param  {Body}       trimeshBody
+ * @param  {Body}       capsuleBody
+ * @param  {Vec3}       trianglePoint   Contact point on the triangle. Will be transformed to world space.
+ * @param  {Vec3}       segmentPoint    Closest point on the capsule segment. Will be transformed to world space.
+ * @param  {Vec3}       normal          Contact normal, pointing from the triangle to the capsule. Will be transformed to world space.
+ */
+Narrowphase.prototype.trimeshCapsuleContact = function(trimeshShape, capsuleShape, trimeshPos, trimeshQuat, trimeshBody, capsuleBody, trianglePoint, segmentPoint, normal, rsi, rsj){
+    var r = this.createContactEquation(trimeshBody, capsuleBody, trimeshShape, capsuleShape, rsi, rsj);
+
+    Transform.vectorToWorldFrame(trimeshQuat, normal, r.ni);
+
+    Transform.pointToWorldFrame(trimeshPos, trimeshQuat, trianglePoint, trianglePoint);
+    trianglePoint.vsub(trimeshBody.position, r.ri);
+
+    Transform.pointToWorldFrame(trimeshPos, trimeshQuat, segmentPoint, segmentPoint);
+    segmentPoint.addScaledVector(-capsuleShape.radius, r.ni, r.rj);
+    r.rj.vsub(capsuleBody.position, r.rj);
+
+    this.result.push(r);
+    if(!this.enableFrictionReduction){
+        this.createFrictionEquationsFromContact(r, this.frictionResult);
+    }
+};
+
+var capsuleCapsule_a1 = new Vec3();
+var capsuleCapsule_b1 = new Vec3();
+var capsuleCapsule_a2 = new Vec3();
+var capsuleCapsule_b2 = new Vec3();
+var capsuleCapsule_c1 = new Vec3();
+var capsuleCapsule_c2 = new Vec3();
+var capsuleCapsule_d1 = new Vec3();
+var capsuleCapsule_d2 = new Vec3();
+var capsuleCapsule_cross = new Vec3();
+var capsuleCapsule_fallback = new Vec3();
+var capsuleCapsule_delta = new Vec3();
+
+/**
+ * @method capsuleCapsule
+ * @param  {Shape}      si
+ * @param  {Shape}      sj
+ * @param  {Vec3}       xi
+ * @param  {Vec3}       xj
+ * @param  {Quaternion} qi
+ * @param  {Quaternion} qj
+ * @param  {Body}       bi
+ * @param  {Body}       bj
+ */
+Narrowphase.prototype[Shape.types.CAPSULE] =
+Narrowphase.prototype.capsuleCapsule = function(si,sj,xi,xj,qi,qj,bi,bj,rsi,rsj,justTest){
+    var a1 = capsuleCapsule_a1,
+        b1 = capsuleCapsule_b1,
+        a2 = capsuleCapsule_a2,
+        b2 = capsuleCapsule_b2,
+        c1 = capsuleCapsule_c1,
+        c2 = capsuleCapsule_c2,
+        d1 = capsuleCapsule_d1,
+        d2 = capsuleCapsule_d2,
+        cross = capsuleCapsule_cross,
+        delta = capsuleCapsule_delta,
+        fallback = capsuleCapsule_fallback,
+        radiusSum = si.radius + sj.radius;
+
+    si.getWorldEndPoints(xi, qi, a1, b1);
+    sj.getWorldEndPoints(xj, qj, a2, b2);
+
+    var dist2 = closestPointsOnSegments(a1, b1, a2, b2, c1, c2);
+    if(dist2 >= radiusSum * radiusSum){
+        return;
+    }
+
+    if(justTest){
+        return true;
+    }
+
+    xj.vsub(xi, fallback);
+    if(fallback.norm2() > 1e-12){
+        fallback.normalize();
+    } else {
+        fallback.set(1,0,0);
+    }
+
+    // Parallel capsules get two contacts, at the ends of the overlapping part
+    b1.vsub(a1, d1);
+    b2.vsub(a2, d2);
+    d1.cross(d2, cross);
+    var len1Squared = d1.norm2();
+    var numContacts = 0;
+    if(len1Squared > 0 && d2.norm2() > 0 && cross.norm2() < 1e-6 * len1Squared * d2.norm2()){
+        a2.vsub(a1, delta);
+        var s0 = Math.max(0, Math.min(1, delta.dot(d1) / len1Squared));
+        b2.vsub(a1, delta);
+        var s1 = Math.max(0, Math.min(1, delta.dot(d1) / len1Squared));
+        if(Math.abs(s1 - s0) * Math.sqrt(len1Squared) > 1e-6){
+            for(var k=0; k!==2; k++){
+                a1.addScaledVector(k ? s1 : s0, d1, c1);
+                closestPointOnSegment(c1, a2, b2, c2);
+                if(c1.distanceSquared(c2) >= radiusSum * radiusSum){
+                    continue;
+                }
+                var r = createSphereSphereContact.call(this, c1, si.radius, c2, sj.radius, fallback, bi, bj, si, sj, rsi, rsj);
+                numContacts++;
+                if(!this.enableFrictionReduction){
+                    this.createFrictionEquationsFromContact(r, this.frictionResult);
+                }
+            }
+        }
+    }
+
+    if(!numContacts){
+        var r = createSphereSphereContact.call(this, c1, si.radius, c2, sj.radius, fallback, bi, bj, si, sj, rsi, rsj);
+        numContacts++;
+        if(!this.enableFrictionReduction){
+            this.createFrictionEquationsFromContact(r, this.frictionResult);
+        }
+    }
+
+    if(this.enableFrictionReduction && numContacts){
+        this.createFrictionFromAverage(numContacts);
+    }
+};
@@ -0,0 +1,980 @@
+function Serializer(){}
+
+module.exports = Serializer;
+
+var World = require('./World');
+var Vec3 = require('../math/Vec3');
+var Quaternion = require('../math/Quaternion');
+var Body = require('../objects/Body');
+var Spring = require('../objects/Spring');
+var RaycastVehicle = require('../objects/RaycastVehicle');
+var Material = require('../material/Material');
+var ContactMaterial = require('../material/ContactMaterial');
+var Shape = require('../shapes/Shape');
+var Sphere = require('../shapes/Sphere');
+var Plane = require('../shapes/Plane');
+var Box = require('../shapes/Box');
+var ConvexPolyhedron = require('../shapes/ConvexPolyhedron');
+var Particle = require('../shapes/Particle');
+var Heightfield = require('../shapes/Heightfield');
+var Trimesh = require('../shapes/Trimesh');
+var Capsule = require('../shapes/Capsule');
+var PointToPointConstraint = require('../constraints/PointToPointConstraint');
+var DistanceConstraint = require('../constraints/DistanceConstraint');
+var HingeConstraint = require('../constraints/HingeConstraint');
+var LockConstraint = require('../constraints/LockConstraint');
+var ConeTwistConstraint = require('../constraints/ConeTwistConstraint');
+var Generic6DofConstraint = require('../constraints/Generic6DofConstraint');
+var Generic6DofSpringConstraint = require('../constraints/Generic6DofSpringConstraint');
+var SliderConstraint = require('../constraints/SliderConstraint');
+var NaiveBroadphase = require('../collision/NaiveBroadphase');
+var SAPBroadphase = require('../collision/SAPBroadphase');
+var GridBroadphase = require('../collision/GridBroadphase');
+var DynamicAABBTreeBroadphase = require('../collision/DynamicAABBTreeBroadphase');
+var GSSolver = require('../solver/GSSolver');
+var SplitSolver = require('../solver/SplitSolver');
+
+/**
+ * The version of the serialized format. Increased when the format changes.
+ * Version 2 added the sleep island root of each body.
+ * @static
+ * @property {Number} VERSION
+ */
+Serializer.VERSION = 2;
+
+var BODY_VEC3_PROPERTIES = [
+    'position', 'previousPosition', 'interpolatedPosition', 'initPosition',
+    'velocity', 'initVelocity', 'angularVelocity', 'initAngularVelocity',
+    'force', 'torque', 'linearFactor', 'angularFactor', 'inertia', 'invInertia', 'surfaceVelocity'
+];
+var BODY_QUATERNION_PROPERTIES = [
+    'quaternion', 'previousQuaternion', 'interpolatedQuaternion', 'initQuaternion'
+];
+var BODY_VALUE_PROPERTIES = [
+    'type', 'mass', 'invMass', 'collisionFilterGroup', 'collisionFilterMask', 'collisionResponse',
+    'linearDamping', 'angularDamping', 'allowSleep', 'sleepState', 'sleepSpeedLimit', 'sleepTimeLimit',
+    'timeLastSleepy', 'fixedRotation', 'ccdSpeedThreshold', 'ccdIterations', 'sensor'
+];
+var EQUATION_VALUE_PROPERTIES = [
+    'minForce', 'maxForce', 'enabled', 'a', 'b', 'eps',
+    'restitution', 'maxAngle', 'angle', 'targetVelocity'
+];
+var WHEEL_VEC3_PROPERTIES = [
+    'chassisConnectionPointLocal', 'chassisConnectionPointWorld', 'directionLocal', 'directionWorld', 'axleLocal', 'axleWorld'
+];
+var WHEEL_VALUE_PROPERTIES = [
+    'maxSuspensionTravel', 'customSlidingRotationalSpeed', 'useCustomSlidingRotationalSpeed', 'sliding',
+    'suspensionRestLength', 'suspensionMaxLength', 'radius', 'suspensionStiffness', 'dampingCompression',
+    'dampingRelaxation', 'frictionSlip', 'steering', 'rotation', 'deltaRotation', 'rollInfluence',
+    'maxSuspensionForce', 'engineForce', 'brake', 'isFrontWheel', 'clippedInvContactDotSuspension',
+    'suspensionRelativeVelocity', 'suspensionForce', 'skidInfo', 'suspensionLength', 'sideImpulse',
+    'forwardImpulse', 'isInContact'
+];
+var CONTACT_MATERIAL_PROPERTIES = [
+    'friction', 'restitution', 'contactEquationStiffness', 'contactEquationRelaxation',
+    'frictionEquationStiffness', 'frictionEquationRelaxation'
+];
+
+/**
+ * Serialize a world into a plain object that can be passed to JSON.stringify(). All bodies and their shapes, materials and contact materials, constraints, springs and raycast vehicles added to the world are included, together with the world settings and the state needed to continue the simulation exactly where it was.
+ *
+ * Callbacks, event listeners and subsystems are not serialized. Cylinders are serialized as convex polyhedra.
+ *
+ * @static
+ * @method toJSON
+ * @param  {World} world
+ * @return {Object}
+ */
+Serializer.toJSON = function(world){
+    var materials = [],
+        json = {
+            version: Serializer.VERSION,
+            gravity: v2a(world.gravity),
+            allowSleep: world.allowSleep,
+            quatNormalizeSkip: world.quatNormalizeSkip,
+            quatNormalizeFast: world.quatNormalizeFast,
+            constraintFeedback: world.constraintFeedback,
+            deterministic: world.deterministic,
+            time: world.time,
+            stepnumber: world.stepnumber,
+            default_dt: world.default_dt,
+            dt: world.dt,
+            accumulator: world.accumulator,
+            broadphase: serializeBroadphase(world.broadphase),
+            solver: serializeSolver(world.solver),
+            materials: null,
+            defaultMaterial: getMaterialIndex(materials, world.defaultMaterial),
+            defaultContactMaterial: serializeContactMaterial(materials, world.defaultContactMaterial),
+            worldMaterials: [],
+            contactMaterials: [],
+            bodies: [],
+            constraints: [],
+            springs: [],
+            vehicles: []
+        },
+        i;
+
+    for(i = 0; i < world.materials.length; i++){
+        json.worldMaterials.push(getMaterialIndex(materials, world.materials[i]));
+    }
+    for(i = 0; i < world.contactmaterials.length; i++){
+        json.contactMaterials.push(serializeContactMaterial(materials, world.contactmaterials[i]));
+    }
+    for(i = 0; i < world.bodies.length; i++){
+        json.bodies.push(serializeBody(materials, world.bodies[i], world.bodies));
+    }
+    for(i = 0; i < world.constraints.length; i++){
+        json.constraints.push(serializeConstraint(world, world.constraints[i]));
+    }
+    for(i = 0; i < world.springs.length; i++){
+        json.springs.push(serializeSpring(world, world.springs[i]));
+    }
+    for(i = 0; i < world.vehicles.length; i++){
+        json.vehicles.push(serializeVehicle(world, world.vehicles[i]));
+    }
+
+    // Materials are collected while serializing the rest, and referenced by index
+    json.materials = materials.map(serializeMaterial);
+
+    return json;
+};
+
+/**
+ * Create a new world from an object created by .toJSON().
+ * @static
+ * @method fromJSON
+ * @param  {Object} json
+ * @return {World}
+ */
+Serializer.fromJSON = function(json){
+    if(json.version !== Serializer.VERSION){
+        throw new Error('Unsupported serialization version: ' + json.version);
+    }
+
+    var materials = [],
+        i;
+    for(i = 0; i < json.materials.length; i++){
+        materials.push(deserializeMaterial(json.materials[i]));
+    }
+
+    var world = new World({
+        gravity: a2v(json.gravity),
+        allowSleep: json.allowSleep,
+        quatNormalizeSkip: json.quatNormalizeSkip,
+        quatNormalizeFast: json.quatNormalizeFast,
+        constraintFeedback: json.constraintFeedback,
+        deterministic: json.deterministic,
+        broadphase: deserializeBroadphase(json.broadphase),
+        solver: deserializeSolver(json.solver)
+    });
+    world.time = json.time;
+    world.stepnumber = json.stepnumber;
+    world.default_dt = json.default_dt;
+    world.dt = json.dt;
+    world.accumulator = json.accumulator;
+    world.defaultMaterial = materials[json.defaultMaterial];
+    world.defaultContactMaterial = deserializeContactMaterial(materials, json.defaultContactMaterial);
+
+    for(i = 0; i < json.worldMaterials.length; i++){
+        world.addMaterial(materials[json.worldMaterials[i]]);
+    }
+    for(i = 0; i < json.contactMaterials.length; i++){
+        world.addContactMaterial(deserializeContactMaterial(materials, json.contactMaterials[i]));
+    }
+    for(i = 0; i < json.bodies.length; i++){
+        world.addBody(deserializeBody(materials, json.bodies[i]));
+    }
+    for(i = 0; i < json.constraints.length; i++){
+        world.addConstraint(deserializeConstraint(world, json.constraints[i]));
+    }
+    for(i = 0; i < json.springs.length; i++){
+        world.addSpring(deserializeSpring(world, json.springs[i]));
+    }
+    for(i = 0; i < json.vehicles.length; i++){
+        deserializeVehicle(world, json.vehicles[i]).addToWorld(world);
+    }
+
+    // Adding bodies and constraints resets some of the body state, so it is restored last
+    for(i = 0; i < json.bodies.length; i++){
+        restoreBodyState(world.bodies[i], json.bodies[i], world.bodies);
+    }
+
+    return world;
+};
+
+/**
+ * Serialize a single body. Materials are referenced by their index in the materials array; new materials are added to it.
+ * @static
+ * @method bodyToJSON
+ * @param  {Array} materials
+ * @param  {Body} body
+ * @param  {Array} [bodies] If given, the sleep island root of the body is stored as an index in this array.
+ * @return {Object}
+ */
+Serializer.bodyToJSON = function(materials, body, bodies){
+    return serializeBody(materials, body, bodies);
+};
+
+/**
+ * Create a body from an object created by .bodyToJSON(). The velocities and the rest of the simulation state are not set until .restoreBodyState() is called, which should be done after adding the body to a world.
+ * @static
+ * @method bodyFromJSON
+ * @param  {Array} materials
+ * @param  {Object} json
+ * @return {Body}
+ */
+Serializer.bodyFromJSON = function(materials, json){
+    return deserializeBody(materials, json);
+};
+
+/**
+ * Set the simulation state of a body from an object created by .bodyToJSON().
+ * @static
+ * @method restoreBodyState
+ * @param  {Body} body
+ * @param  {Object} json
+ * @param  {Array} [bodies] The bodies that the sleep island root index refers to, in the same order as when serializing. The root must already be in it.
+ */
+Serializer.restoreBodyState = function(body, json, bodies){
+    restoreBodyState(body, json, bodies);
+};
+
+/**
+ * Serialize a single constraint. The bodies are referenced by their index in world.bodies.
+ * @static
+ * @method constraintToJSON
+ * @param  {World} world
+ * @param  {Constraint} constraint
+ * @return {Object}
+ */
+Serializer.constraintToJSON = function(world, constraint){
+    return serializeConstraint(world, constraint);
+};
+
+/**
+ * Create a constraint from an object created by .constraintToJSON().
+ * @static
+ * @method constraintFromJSON
+ * @param  {World} world
+ * @param  {Object} json
+ * @return {Constraint}
+ */
+Serializer.constraintFromJSON = function(world, json){
+    return deserializeConstraint(world, json);
+};
+
+/**
+ * @static
+ * @method materialToJSON
+ * @param  {Material} material
+ * @return {Object}
+ */
+Serializer.materialToJSON = function(material){
+    return serializeMaterial(material);
+};
+
+/**
+ * @static
+ * @method materialFromJSON
+ * @param  {Object} json
+ * @return {Material}
+ */
+Serializer.materialFromJSON = function(json){
+    return deserializeMaterial(json);
+};
+
+/**
+ * @static
+ * @method contactMaterialToJSON
+ * @param  {Array} materials
+ * @param  {ContactMaterial} contactMaterial
+ * @return {Object}
+ */
+Serializer.contactMaterialToJSON = function(materials, contactMaterial){
+    return serializeContactMaterial(materials, contactMaterial);
+};
+
+/**
+ * @static
+ * @method contactMaterialFromJSON
+ * @param  {Array} materials
+ * @param  {Object} json
+ * @return {ContactMaterial}
+ */
+Serializer.contactMaterialFromJSON = function(materials, json){
+    return deserializeContactMaterial(materials, json);
+};
+
+// JSON can't represent NaN and Infinity, so those are stored as strings
+function encodeNumber(x){
+    return typeof(x) === 'number' && !isFinite(x) ? String(x) : x;
+}
+
+function decodeNumber(x){
+    return typeof(x) === 'string' ? Number(x) : x;
+}
+
+function v2a(v){
+    return [encodeNumber(v.x), encodeNumber(v.y), encodeNumber(v.z)];
+}
+
+function a2v(a, v){
+    v = v || new Vec3();
+    v.set(decodeNumber(a[0]), decodeNumber(a[1]), decodeNumber(a[2]));
+    return v;
+}
+
+function q2a(q){
+    return [q.x, q.y, q.z, q.w];
+}
+
+function a2q(a, q){
+    q = q || new Quaternion();
+    q.set(a[0], a[1], a[2], a[3]);
+    return q;
+}
+
+function getMaterialIndex(materials, material){
+    if(!material){
+        return -1;
+    }
+    var index = materials.indexOf(material);
+    if(index === -1){
+        index = materials.length;
+        materials.push(material);
+    }
+    return index;
+}
+
+function getBodyIndex(world, body){
+    if(!body){
+        return -1;
+    }
+    var index = world.bodies.indexOf(body);
+    if(index === -1){
+        throw new Error('Cannot serialize a reference to a body that is not in the world.');
+    }
+    return index;
+}
+
+function getBody(world, index){
+    return index === -1 ? null : world.bodies[index];
+}
+
+function serializeMaterial(material){
+    return {
+        name: material.name,
+        friction: material.friction,
+        restitution: material.restitution,
+        frictionCombine: material.frictionCombine,
+        restitutionCombine: material.restitutionCombine
+    };
+}
+
+function deserializeMaterial(json){
+    var material = new Material(json.name);
+    material.friction = json.friction;
+    material.restitution = json.restitution;
+    material.frictionCombine = json.frictionCombine;
+    material.restitutionCombine = json.restitutionCombine;
+    return material;
+}
+
+function serializeContactMaterial(materials, contactMaterial){
+    var json = {
+        materials: [
+            getMaterialIndex(materials, contactMaterial.materials[0]),
+            getMaterialIndex(materials, contactMaterial.materials[1])
+        ]
+    };
+    for(var i = 0; i < CONTACT_MATERIAL_PROPERTIES.length; i++){
+        var key = CONTACT_MATERIAL_PROPERTIES[i];
+        json[key] = encodeNumber(contactMaterial[key]);
+    }
+    json.surfaceVelocity = v2a(contactMaterial.surfaceVelocity);
+    return json;
+}
+
+function deserializeContactMaterial(materials, json){
+    var options = {};
+    for(var i = 0; i < CONTACT_MATERIAL_PROPERTIES.length; i++){
+        var key = CONTACT_MATERIAL_PROPERTIES[i];
+        options[key] = decodeNumber(json[key]);
+    }
+    options.surfaceVelocity = a2v(json.surfaceVelocity);
+    return new ContactMaterial(materials[json.materials[0]], materials[json.materials[1]], options);
+}
+
+function serializeBroadphase(broadphase){
+    var json = {
+        useBoundingBoxes: broadphase.useBoundingBoxes
+    };
+    if(broadphase instanceof NaiveBroadphase){
+        json.type = 'NaiveBroadphase';
+    } else if(broadphase instanceof SAPBroadphase){
+        json.type = 'SAPBroadphase';
+        json.axisIndex = broadphase.axisIndex;
+    } else if(broadphase instanceof GridBroadphase){
+        json.type = 'GridBroadphase';
+        json.aabbMin = v2a(broadphase.aabbMin);
+        json.aabbMax = v2a(broadphase.aabbMax);
+        json.nx = broadphase.nx;
+        json.ny = broadphase.ny;
+        json.nz = broadphase.nz;
+    } else if(broadphase instanceof DynamicAABBTreeBroadphase){
+        json.type = 'DynamicAABBTreeBroadphase';
+        json.margin = broadphase.margin;
+    } else {
+        throw new Error('Cannot serialize broadphase: unknown type.');
+    }
+    return json;
+}
+
+function deserializeBroadphase(json){
+    var broadphase;
+    switch(json.type){
+    case 'NaiveBroadphase':
+        broadphase = new NaiveBroadphase();
+        break;
+    case 'SAPBroadphase':
+        broadphase = new SAPBroadphase();
+        broadphase.axisIndex = json.axisIndex;
+        break;
+    case 'GridBroadphase':
+        broadphase = new GridBroadphase(a2v(json.aabbMin), a2v(json.aabbMax), json.nx, json.ny, json.nz);
+        break;
+    case 'DynamicAABBTreeBroadphase':
+        broadphase = new DynamicAABBTreeBroadphase({ margin: json.margin });
+        break;
+    default:
+        throw new Error('Cannot deserialize broadphase of type ' + json.type);
+    }
+    broadphase.useBoundingBoxes = json.useBoundingBoxes;
+    return broadphase;
+}
+
+function serializeSolver(solver){
+    var json = {
+        iterations: solver.iterations,
+        tolerance: solver.tolerance
+    };
+    if(solver instanceof GSSolver){
+        json.type = 'GSSolver';
+    } else if(solver instanceof SplitSolver){
+        json.type = 'SplitSolver';
+        json.subsolver = serializeSolver(solver.subsolver);
+    } else {
+        throw new Error('Cannot serialize solver: unknown type.');
+    }
+    return json;
+}
+
+function deserializeSolver(json){
+    var solver;
+    switch(json.type){
+    case 'GSSolver':
+        solver = new GSSolver();
+        break;
+    case 'SplitSolver':
+        solver = new SplitSolver(deserializeSolver(json.subsolver));
+        break;
+    default:
+        throw new Error('Cannot deserialize solver of type ' + json.type);
+    }
+    solver.iterations = json.iterations;
+    solver.tolerance = json.tolerance;
+    return solver;
+}
+
+function serializeShape(materials, shape){
+    var json = {
+        type: shape.type,
+        collisionResponse: shape.collisionResponse,
+        sensor: shape.sensor,
+        collisionFilterGroup: shape.collisionFilterGroup,
+        collisionFilterMask: shape.collisionFilterMask,
+        material: getMaterialIndex(materials, shape.material)
+    };
+
+    switch(shape.type){
+    case Shape.types.SPHERE:
+        json.radius = shape.radius;
+        break;
+
+    case Shape.types.CAPSULE:
+        json.radius = shape.radius;
+        json.height = shape.height;
+        break;
+
+    case Shape.types.BOX:
+        json.halfExtents = v2a(shape.halfExtents);
+        break;
+
+    case Shape.types.CONVEXPOLYHEDRON:
+        json.vertices = shape.vertices.map(v2a);
+        json.faces = shape.faces.map(function(face){ return face.slice(); });
+        json.uniqueAxes = shape.uniqueAxes ? shape.uniqueAxes.map(v2a) : null;
+        break;
+
+    case Shape.types.HEIGHTFIELD:
+        json.data = shape.data.map(function(row){ return row.slice(); });
+        json.elementSize = shape.elementSize;
+        json.minValue = shape.minValue;
+        json.maxValue = shape.maxValue;
+        break;
+
+    case Shape.types.TRIMESH:
+        json.vertices = Array.prototype.slice.call(shape.vertices);
+        json.indices = Array.prototype.slice.call(shape.indices);
+        json.scale = v2a(shape.scale);
+        break;
+
+    case Shape.types.PLANE:
+    case Shape.types.PARTICLE:
+        break;
+
+    default:
+        throw new Error('Cannot serialize shape of type ' + shape.type);
+    }
+
+    return json;
+}
+
+function deserializeShape(materials, json){
+    var shape;
+    switch(json.type){
+    case Shape.types.SPHERE:
+        shape = new Sphere(json.radius);
+        break;
+
+    case Shape.types.CAPSULE:
+        shape = new Capsule(json.radius, json.height);
+        break;
+
+    case Shape.types.BOX:
+        shape = new Box(a2v(json.halfExtents));
+        break;
+
+    case Shape.types.CONVEXPOLYHEDRON:
+        shape = new ConvexPolyhedron(
+            json.vertices.map(function(a){ return a2v(a); }),
+            json.faces,
+            json.uniqueAxes ? json.uniqueAxes.map(function(a){ return a2v(a); }) : null
+        );
+        break;
+
+    case Shape.types.HEIGHTFIELD:
+        shape = new Heightfield(json.data, {
+            elementSize: json.elementSize,
+            minValue: json.minValue,
+            maxValue: json.maxValue
+        });
+        break;
+
+    case Shape.types.TRIMESH:
+        shape = new Trimesh(json.vertices, json.indices);
+        shape.setScale(a2v(json.scale));
+        break;
+
+    case Shape.types.PLANE:
+        shape = new Plane();
+        break;
+
+    case Shape.types.PARTICLE:
+        shape = new Particle();
+        break;
+
+    default:
+        throw new Error('Cannot deserialize shape of type ' + json.type);
+    }
+
+    shape.collisionResponse = json.collisionResponse;
+    shape.sensor = !!json.sensor;
+    shape.collisionFilterGroup = json.collisionFilterGroup;
+    shape.collisionFilterMask = json.collisionFilterMask;
+    shape.material = json.material === -1 ? null : materials[json.material];
+
+    return shape;
+}
+
+function serializeBody(materials, body, bodies){
+    var json = {
+        material: getMaterialIndex(materials, body.material),
+        sleepIslandRoot: bodies && body.sleepIslandRoot ? bodies.indexOf(body.sleepIslandRoot) : -1,
+        shapes: [],
+        shapeOffsets: [],
+        shapeOrientations: []
+    };
+
+    var i, key;
+    for(i = 0; i < BODY_VALUE_PROPERTIES.length; i++){
+        key = BODY_VALUE_PROPERTIES[i];
+        json[key] = encodeNumber(body[key]);
+    }
+    for(i = 0; i < BODY_VEC3_PROPERTIES.length; i++){
+        key = BODY_VEC3_PROPERTIES[i];
+        json[key] = v2a(body[key]);
+    }
+    for(i = 0; i < BODY_QUATERNION_PROPERTIES.length; i++){
+        key = BODY_QUATERNION_PROPERTIES[i];
+        json[key] = q2a(body[key]);
+    }
+    json.invInertiaWorld = body.invInertiaWorld.elements.map(encodeNumber);
+    for(i = 0; i < body.shapes.length; i++){
+        json.shapes.push(serializeShape(materials, body.shapes[i]));
+        json.shapeOffsets.push(v2a(body.shapeOffsets[i]));
+        json.shapeOrientations.push(q2a(body.shapeOrientations[i]));
+    }
+
+    return json;
+}
+
+function deserializeBody(materials, json){
+    var body = new Body({
+        mass: json.mass,
+        type: json.type,
+        position: a2v(json.position),
+        quaternion: a2q(json.quaternion),
+        material: json.material === -1 ? null : materials[json.material]
+    });
+
+    for(var i = 0; i < json.shapes.length; i++){
+        body.addShape(
+            deserializeShape(materials, json.shapes[i]),
+            a2v(json.shapeOffsets[i]),
+            a2q(json.shapeOrientations[i])
+        );
+    }
+
+    return body;
+}
+
+function restoreBodyState(body, json, bodies){
+    var i, key;
+    for(i = 0; i < BODY_VALUE_PROPERTIES.length; i++){
+        key = BODY_VALUE_PROPERTIES[i];
+        body[key] = decodeNumber(json[key]);
+    }
+    for(i = 0; i < BODY_VEC3_PROPERTIES.length; i++){
+        key = BODY_VEC3_PROPERTIES[i];
+        a2v(json[key], body[key]);
+    }
+    for(i = 0; i < BODY_QUATERNION_PROPERTIES.length; i++){
+        key = BODY_QUATERNION_PROPERTIES[i];
+        a2q(json[key], body[key]);
+    }
+
+    // The inertia is restored as is, since .updateMassProperties() depends on the orientation of the body
+    body.invInertiaWorld.elements = json.invInertiaWorld.map(decodeNumber);
+    body.updateSolveMassProperties();
+    body.aabbNeedsUpdate = true;
+
+    // Keeps the sleeping bodies of an island together, so that they wake up at the same time
+    body.sleepIslandRoot = bodies && json.sleepIslandRoot >= 0 ? bodies[json.sleepIslandRoot] : null;
+}
+
+function serializeConstraint(world, constraint){
+    var json = {
+        bodyA: getBodyIndex(world, constraint.bodyA),
+        bodyB: getBodyIndex(world, constraint.bodyB),
+        collideConnected: constraint.collideConnected,
+        breakingImpulseThreshold: constraint.breakingImpulseThreshold,
+        equations: []
+    };
+
+    // Constraints that enable their equations in .update() also have an enabled flag
+    if(typeof(constraint.enabled) === 'boolean'){
+        json.enabled = constraint.enabled;
+    }
+
+    // Subclasses first
+    if(constraint instanceof Generic6DofConstraint){
+        json.type = constraint instanceof Generic6DofSpringConstraint ? 'Generic6DofSpringConstraint' : 'Generic6DofConstraint';
+        json.pivotA = v2a(constraint.pivotA);
+        json.pivotB = v2a(constraint.pivotB);
+        json.quaternionA = q2a(constraint.quaternionA);
+        json.quaternionB = q2a(constraint.quaternionB);
+        json.modes = constraint.modes.slice();
+        json.lowerLimits = constraint.lowerLimits.map(encodeNumber);
+        json.upperLimits = constraint.upperLimits.map(encodeNumber);
+        json.motorEnabled = constraint.motorEnabled.slice();
+        if(constraint instanceof Generic6DofSpringConstraint){
+            json.springEnabled = constraint.springEnabled.slice();
+            json.stiffness = constraint.stiffness.map(encodeNumber);
+            json.damping = constraint.damping.map(encodeNumber);
+            json.equilibriumPoints = constraint.equilibriumPoints.map(encodeNumber);
+        }
+    } else if(constraint instanceof SliderConstraint){
+        json.type = 'SliderConstraint';
+        json.pivotA = v2a(constraint.pivotA);
+        json.pivotB = v2a(constraint.pivotB);
+        json.axisA = v2a(constraint.axisA);
+        json.axisB = v2a(constraint.axisB);
+        json.perpendicularA = v2a(constraint.perpendicularA);
+        json.perpendicularB = v2a(constraint.perpendicularB);
+        json.lowerLimit = constraint.lowerLimit;
+        json.upperLimit = constraint.upperLimit;
+        json.motorEnabled = constraint.motorEnabled;
+        json.rotationLock = constraint.rotationLock;
+    } else if(constraint instanceof LockConstraint){
+        json.type = 'LockConstraint';
+        json.pivotA = v2a(constraint.pivotA);
+        json.pivotB = v2a(constraint.pivotB);
+        json.xA = v2a(constraint.xA);
+        json.xB = v2a(constraint.xB);
+        json.yA = v2a(constraint.yA);
+        json.yB = v2a(constraint.yB);
+        json.zA = v2a(constraint.zA);
+        json.zB = v2a(constraint.zB);
+    } else if(constraint instanceof HingeConstraint){
+        json.type = 'HingeConstraint';
+        json.pivotA = v2a(constraint.pivotA);
+        json.pivotB = v2a(constraint.pivotB);
+        json.axisA = v2a(constraint.axisA);
+        json.axisB = v2a(constraint.axisB);
+        json.referenceA = v2a(constraint.referenceA);
+        json.referenceB = v2a(constraint.referenceB);
+        json.lowerLimit = constraint.lowerLimit;
+        json.upperLimit = constraint.upperLimit;
+        json.limitRestitution = constraint.limitRestitution;
+        json.limitStiffness = constraint.limitStiffness;
+        json.limitRelaxation = constraint.limitRelaxation;
+        json.motorEnabled = constraint.motorEnabled;
+    } else if(constraint instanceof ConeTwistConstraint){
+        json.type = 'ConeTwistConstraint';
+        json.pivotA = v2a(constraint.pivotA);
+        json.pivotB = v2a(constraint.pivotB);
+        json.axisA = v2a(constraint.axisA);
+        json.axisB = v2a(constraint.axisB);
+        json.angle = constraint.angle;
+        json.twistAngle = constraint.twistAngle;
+    } else if(constraint instanceof PointToPointConstraint){
+        json.type = 'PointToPointConstraint';
+        json.pivotA = v2a(constraint.pivotA);
+        json.pivotB = v2a(constraint.pivotB);
+    } else if(constraint instanceof DistanceConstraint){
+        json.type = 'DistanceConstraint';
+        json.distance = constraint.distance;
+    } else {
+        throw new Error('Cannot serialize constraint: unknown type.');
+    }
+
+    for(var i = 0; i < constraint.equations.length; i++){
+        json.equations.push(serializeEquation(constraint.equations[i]));
+    }
+
+    return json;
+}
+
+function deserializeConstraint(world, json){
+    var bodyA = getBody(world, json.bodyA),
+        bodyB = getBody(world, json.bodyB),
+        constraint,
+        i;
+
+    switch(json.type){
+    case 'Generic6DofSpringConstraint':
+    case 'Generic6DofConstraint':
+        var frameOptions = {
+            pivotA: a2v(json.pivotA),
+            pivotB: a2v(json.pivotB),
+            quaternionA: a2q(json.quaternionA),
+            quaternionB: a2q(json.quaternionB)
+        };
+        if(json.type === 'Generic6DofConstraint'){
+            constraint = new Generic6DofConstraint(bodyA, bodyB, frameOptions);
+        } else {
+            constraint = new Generic6DofSpringConstraint(bodyA, bodyB, frameOptions);
+        }
+        for(i = 0; i < 6; i++){
+            constraint.modes[i] = json.modes[i];
+            constraint.lowerLimits[i] = decodeNumber(json.lowerLimits[i]);
+            constraint.upperLimits[i] = decodeNumber(json.upperLimits[i]);
+            constraint.motorEnabled[i] = json.motorEnabled[i];
+            if(json.springEnabled){
+                constraint.springEnabled[i] = json.springEnabled[i];
+                constraint.stiffness[i] = decodeNumber(json.stiffness[i]);
+                constraint.damping[i] = decodeNumber(json.damping[i]);
+                constraint.equilibriumPoints[i] = decodeNumber(json.equilibriumPoints[i]);
+            }
+        }
+        break;
+
+    case 'SliderConstraint':
+        constraint = new SliderConstraint(bodyA, bodyB, {
+            pivotA: a2v(json.pivotA),
+            pivotB: a2v(json.pivotB),
+            axisA: a2v(json.axisA),
+            axisB: a2v(json.axisB),
+            lowerLimit: json.lowerLimit,
+            upperLimit: json.upperLimit,
+            rotationLock: json.rotationLock
+        });
+        a2v(json.axisA, constraint.axisA);
+        a2v(json.axisB, constraint.axisB);
+        a2v(json.perpendicularA, constraint.perpendicularA);
+        a2v(json.perpendicularB, constraint.perpendicularB);
+        constraint.motorEnabled = json.motorEnabled;
+        break;
+
+    case 'LockConstraint':
+        constraint = new LockConstraint(bodyA, bodyB);
+        a2v(json.pivotA, constraint.pivotA);
+        a2v(json.pivotB, constraint.pivotB);
+        a2v(json.xA, constraint.xA);
+        a2v(json.xB, constraint.xB);
+        a2v(json.yA, constraint.yA);
+        a2v(json.yB, constraint.yB);
+        a2v(json.zA, constraint.zA);
+        a2v(json.zB, constraint.zB);
+        break;
+
+    case 'HingeConstraint':
+        constraint = new HingeConstraint(bodyA, bodyB, {
+            pivotA: a2v(json.pivotA),
+            pivotB: a2v(json.pivotB),
+            axisA: a2v(json.axisA),
+            axisB: a2v(json.axisB),
+            lowerLimit: json.lowerLimit,
+            upperLimit: json.upperLimit,
+            limitRestitution: json.limitRestitution,
+            limitStiffness: json.limitStiffness,
+            limitRelaxation: json.limitRelaxation
+        });
+        // The axes are normalized by the constructor, make sure they are the same
+        a2v(json.axisA, constraint.axisA);
+        a2v(json.axisB, constraint.axisB);
+        a2v(json.referenceA, constraint.referenceA);
+        a2v(json.referenceB, constraint.referenceB);
+        constraint.motorEnabled = json.motorEnabled;
+        break;
+
+    case 'ConeTwistConstraint':
+        constraint = new ConeTwistConstraint(bodyA, bodyB, {
+            pivotA: a2v(json.pivotA),
+            pivotB: a2v(json.pivotB),
+            axisA: a2v(json.axisA),
+            axisB: a2v(json.axisB),
+            angle: json.angle,
+            twistAngle: json.twistAngle
+        });
+        break;
+
+    case 'PointToPointConstraint':
+        constraint = new PointToPointConstraint(bodyA, a2v(json.pivotA), bodyB, a2v(json.pivotB));
+        break;
+
+    case 'DistanceConstraint':
+        constraint = new DistanceConstraint(bodyA, bodyB, json.distance);
+        break;
+
+    default:
+        throw new Error('Cannot deserialize constraint of type ' + json.type);
+    }
+
+    constraint.collideConnected = json.collideConnected;
+    constraint.breakingImpulseThreshold = json.breakingImpulseThreshold;
+    if(typeof(json.enabled) === 'boolean'){
+        constraint.enabled = json.enabled;
+    }
+
+    for(i = 0; i < json.equations.length; i++){
+        deserializeEquation(json.equations[i], constraint.equations[i]);
+    }
+
+    return constraint;
+}
+
+function serializeEquation(equation){
+    var json = {};
+    for(var i = 0; i < EQUATION_VALUE_PROPERTIES.length; i++){
+        var key = EQUATION_VALUE_PROPERTIES[i];
+        if(typeof(equation[key]) !== 'undefined'){
+            json[key] = encodeNumber(equation[key]);
+        }
+    }
+    return json;
+}
+
+function deserializeEquation(json, equation){
+    for(var key in json){
+        equation[key] = decodeNumber(json[key]);
+    }
+}
+
+function serializeSpring(world, spring){
+    return {
+        bodyA: getBodyIndex(world, spring.bodyA),
+        bodyB: getBodyIndex(world, spring.bodyB),
+        restLength: spring.restLength,
+        stiffness: spring.stiffness,
+        damping: spring.damping,
+        localAnchorA: v2a(spring.localAnchorA),
+        localAnchorB: v2a(spring.localAnchorB)
+    };
+}
+
+function deserializeSpring(world, json){
+    var spring = new Spring(getBody(world, json.bodyA), getBody(world, json.bodyB), {
+        localAnchorA: a2v(json.localAnchorA),
+        localAnchorB: a2v(json.localAnchorB)
+    });
+    spring.restLength = json.restLength;
+    spring.stiffness = json.stiffness;
+    spring.damping = json.damping;
+    return spring;
+}
+
+function serializeVehicle(world, vehicle){
+    var json = {
+        chassisBody: getBodyIndex(world, vehicle.chassisBody),
+        indexRightAxis: vehicle.indexRightAxis,
+        indexForwardAxis: vehicle.indexForwardAxis,
+        indexUpAxis: vehicle.indexUpAxis,
+        sliding: vehicle.sliding,
+        wheelInfos: []
+    };
+
+    for(var i = 0; i < vehicle.wheelInfos.length; i++){
+        var wheel = vehicle.wheelInfos[i],
+            wheelJSON = {},
+            j, key;
+        for(j = 0; j < WHEEL_VALUE_PROPERTIES.length; j++){
+            key = WHEEL_VALUE_PROPERTIES[j];
+            wheelJSON[key] = encodeNumber(wheel[key]);
+        }
+        for(j = 0; j < WHEEL_VEC3_PROPERTIES.length; j++){
+            key = WHEEL_VEC3_PROPERTIES[j];
+            wheelJSON[key] = v2a(wheel[key]);
+        }
+        json.wheelInfos.push(wheelJSON);
+    }
+
+    return json;
+}
+
+function deserializeVehicle(world, json){
+    var vehicle = new RaycastVehicle({
+        chassisBody: getBody(world, json.chassisBody),
+        indexRightAxis: json.indexRightAxis,
+        indexForwardAxis: json.indexForwardAxis,
+        indexUpAxis: json.indexUpAxis
+    });
+    vehicle.sliding = json.sliding;
+
+    for(var i = 0; i < json.wheelInfos.length; i++){
+        var wheelJSON = json.wheelInfos[i],
+            wheel = vehicle.wheelInfos[vehicle.addWheel()],
+            j, key;
+        for(j = 0; j < WHEEL_VALUE_PROPERTIES.length; j++){
+            key = WHEEL_VALUE_PROPERTIES[j];
+            wheel[key] = decodeNumber(wheelJSON[key]);
+        }
+        for(j = 0; j < WHEEL_VEC3_PROPERTIES.length; j++){
+            key = WHEEL_VEC3_PROPERTIES[j];
+            a2v(wheelJSON[key], wheel[key]);
+        }
+    }
+
+    return vehicle;
+}
@@ -0,0 +1,632 @@
+/* global SharedArrayBuffer */
+module.exports = WorkerWorld;
+
+var EventTarget = require('../utils/EventTarget');
+var Vec3 = require('../math/Vec3');
+var RaycastResult = require('../collision/RaycastResult');
+var Serializer = require('./Serializer');
+var WorkerWorldHost = require('./WorkerWorldHost');
+
+/**
+ * A proxy for a World that is stepped in a Web Worker, or in a Node.js worker thread. The worker should create a WorkerWorldHost, which owns the real World.
+ *
+ * Bodies and constraints are created on the main thread as usual, and are copied to the worker when added. After each step, the worker sends back the transforms and velocities of all bodies, which are written into the bodies on the main thread. The main thread bodies should be treated as read-only; use the methods of the WorkerWorld to change them.
+ *
+ * Commands are queued and sent to the worker together with the next step or raycast, in the order they were made.
+ *
+ * @class WorkerWorld
+ * @constructor
+ * @extends EventTarget
+ * @param {object} options
+ * @param {Worker} options.worker A Web Worker or a worker_threads Worker, running a WorkerWorldHost.
+ * @param {Vec3} [options.gravity]
+ * @param {boolean} [options.allowSleep]
+ * @param {boolean} [options.quatNormalizeFast]
+ * @param {number} [options.quatNormalizeSkip]
+ * @param {boolean} [options.deterministic]
+ * @param {boolean} [options.useSharedArrayBuffer] Share the body state with the worker through a SharedArrayBuffer. Defaults to true if SharedArrayBuffer is available, otherwise the state is transferred back and forth in a Float32Array.
+ * @example
+ *     // worker.js
+ *     var CANNON = require('cannon');
+ *     new CANNON.WorkerWorldHost(require('worker_threads').parentPort);
+ *
+ *     // main.js
+ *     var Worker = require('worker_threads').Worker;
+ *     var world = new CANNON.WorkerWorld({
+ *         worker: new Worker('./worker.js'),
+ *         gravity: new CANNON.Vec3(0, 0, -9.82)
+ *     });
+ *     world.addBody(sphereBody);
+ *     world.addEventListener('postStep', function(){
+ *         console.log(sphereBody.position.z);
+ *     });
+ *     world.step(1 / 60);
+ */
+function WorkerWorld(options){
+    EventTarget.apply(this);
+
+    /**
+     * @property {Worker} worker
+     */
+    this.worker = options.worker;
+
+    /**
+     * The bodies added to the world, in the same order as in the World of the worker.
+     * @property {Array} bodies
+     */
+    this.bodies = [];
+
+    /**
+     * @property {Array} constraints
+     */
+    this.constraints = [];
+
+    /**
+     * @property {Object} idToBodyMap
+     * @private
+     */
+    this.idToBodyMap = {};
+
+    /**
+     * The simulation time of the World in the worker, as of the last finished step.
+     * @property {Number} time
+     */
+    this.time = 0;
+
+    /**
+     * @property {Number} stepnumber
+     */
+    this.stepnumber = 0;
+
+    /**
+     * True while the worker is stepping. Calls to .step() are skipped until the step is done.
+     * @property {Boolean} stepping
+     */
+    this.stepping = false;
+
+    /**
+     * @property {Boolean} useSharedArrayBuffer
+     * @readonly
+     */
+    this.useSharedArrayBuffer = typeof(options.useSharedArrayBuffer) !== 'undefined' ? options.useSharedArrayBuffer : typeof(SharedArrayBuffer) !== 'undefined';
+
+    /**
+     * Body state written by the worker after each step. See WorkerWorldHost.STRIDE for the layout.
+     * @property {Float32Array} state
+     * @private
+     */
+    this.state = null;
+
+    /**
+     * Commands waiting to be sent to the worker.
+     * @property {Array} commands
+     * @private
+     */
+    this.commands = [];
+
+    /**
+     * All materials that were sent to the worker, in the same order as in the worker.
+     * @property {Array} materials
+     * @private
+     */
+    this.materials = [];
+
+    /**
+     * Time that passed while the worker was busy, added to the next step.
+     * @property {Number} skippedTime
+     * @private
+     */
+    this.skippedTime = 0;
+
+    /**
+     * Set when a body is removed while the worker is stepping. The body order of the state sent back by that step is then outdated.
+     * @property {Boolean} removedWhileStepping
+     * @private
+     */
+    this.removedWhileStepping = false;
+
+    /**
+     * @property {Object} raycastCallbacks
+     * @private
+     */
+    this.raycastCallbacks = {};
+
+    /**
+     * @property {Number} raycastIdCounter
+     * @private
+     */
+    this.raycastIdCounter = 0;
+
+    this.commands.push({
+        type: 'init',
+        gravity: options.gravity ? [options.gravity.x, options.gravity.y, options.gravity.z] : undefined,
+        allowSleep: options.allowSleep,
+        quatNormalizeFast: options.quatNormalizeFast,
+        quatNormalizeSkip: options.quatNormalizeSkip,
+        deterministic: options.deterministic
+    });
+
+    var that = this;
+    WorkerWorldHost.addMessageListener(this.worker, function(message){
+        that.handleMessage(message);
+    });
+    WorkerWorldHost.addErrorListener(this.worker, function(error){
+        that.handleError(error);
+    });
+}
+WorkerWorld.prototype = new EventTarget();
+WorkerWorld.prototype.constructor = WorkerWorld;
+
+var WorkerWorld_postStepEvent = { type: 'postStep' };
+
+/**
+ * Dispatched when a constraint was broken in the worker. See Constraint.breakingImpulseThreshold.
+ * @event constraintBroken
+ * @param {Constraint} constraint The constraint, which has been removed from the world.
+ * @param {Number} impulse The impulse that broke the constraint.
+ */
+var WorkerWorld_constraintBrokenEvent = { type: 'constraintBroken', constraint: null, impulse: 0 };
+
+/**
+ * Dispatched when the worker failed, for example when the WorkerWorldHost threw an exception. The current step is then given up, so .step() can be called again. If there is no listener, the error is thrown.
+ * @event error
+ * @param {Error} error
+ */
+var WorkerWorld_errorEvent = { type: 'error', error: null };
+
+/**
+ * Add a body to the worker world. The body, its shapes and materials are copied to the worker.
+ * @method addBody
+ * @param {Body} body
+ */
+WorkerWorld.prototype.addBody = function(body){
+    if(this.bodies.indexOf(body) !== -1){
+        return;
+    }
+    body.index = this.bodies.length;
+    this.bodies.push(body);
+    this.idToBodyMap[body.id] = body;
+
+    // Serialized after adding, since the body can be the root of its own sleep island
+    var numMaterials = this.materials.length;
+    var json = Serializer.bodyToJSON(this.materials, body, this.bodies);
+    this.commands.push({
+        type: 'addBody',
+        id: body.id,
+        materials: this.getNewMaterials(numMaterials),
+        body: json
+    });
+};
+
+/**
+ * Remove a body from the worker world.
+ * @method removeBody
+ * @param {Body} body
+ */
+WorkerWorld.prototype.removeBody = function(body){
+    var index = this.bodies.indexOf(body);
+    if(index === -1){
+        return;
+    }
+    this.commands.push({ type: 'removeBody', index: index });
+    this.bodies.splice(index, 1);
+    for(var i=index; i<this.bodies.length; i++){
+        this.bodies[i].index = i;
+    }
+    body.index = -1;
+    delete this.idToBodyMap[body.id];
+    if(this.stepping){
+        this.removedWhileStepping = true;
+    }
+};
+
+/**
+ * Add a constraint to the worker world. Its bodies must have been added first.
+ * @method addConstraint
+ * @param {Constraint} constraint
+ */
+WorkerWorld.prototype.addConstraint = function(constraint){
+    if(this.constraints.indexOf(constraint) !== -1){
+        return;
+    }
+    this.commands.push({
+        type: 'addConstraint',
+        id: constraint.id,
+        constraint: Serializer.constraintToJSON(this, constraint)
+    });
+    this.constraints.push(constraint);
+};
+
+/**
+ * Remove a constraint from the worker world.
+ * @method removeConstraint
+ * @param {Constraint} constraint
+ */
+WorkerWorld.prototype.removeConstraint = function(constraint){
+    var index = this.constraints.indexOf(constraint);
+    if(index === -1){
+        return;
+    }
+    this.commands.push({ type: 'removeConstraint', id: constraint.id });
+    this.constraints.splice(index, 1);
+};
+
+/**
+ * Add a contact material to the worker world.
+ * @method addContactMaterial
+ * @param {ContactMaterial} contactMaterial
+ */
+WorkerWorld.prototype.addContactMaterial = function(contactMaterial){
+    var numMaterials = this.materials.length;
+    var json = Serializer.contactMaterialToJSON(this.materials, contactMaterial);
+    this.commands.push({
+        type: 'addContactMaterial',
+        materials: this.getNewMaterials(numMaterials),
+        contactMaterial: json
+    });
+};
+
+/**
+ * @method setGravity
+ * @param {Vec3} gravity
+ */
+WorkerWorld.prototype.setGravity = function(gravity){
+    this.commands.push({ type: 'setGravity', gravity: [gravity.x, gravity.y, gravity.z] });
+};
+
+/**
+ * Apply force to a body in the worker. See Body.applyForce().
+ * @method applyForce
+ * @param {Body} body
+ * @param {Vec3} force The amount of force to add.
+ * @param {Vec3} [relativePoint] A point relative to the center of mass to apply the force on.
+ */
+WorkerWorld.prototype.applyForce = function(body, force, relativePoint){
+    this.pushBodyCommand('applyForce', body, force, relativePoint);
+};
+
+/**
+ * Apply impulse to a body in the worker. See Body.applyImpulse().
+ * @method applyImpulse
+ * @param {Body} body
+ * @param {Vec3} impulse The amount of impulse to add.
+ * @param {Vec3} [relativePoint] A point relative to the center of mass to apply the impulse on.
+ */
+WorkerWorld.prototype.applyImpulse = function(body, impulse, relativePoint){
+    this.pushBodyCommand('applyImpulse', body, impulse, relativePoint);
+};
+
+/**
+ * Move a body to a new position, without any interpolation. The body is woken up.
+ * @method setPosition
+ * @param {Body} body
+ * @param {Vec3} position
+ */
+WorkerWorld.prototype.setPosition = function(body, position){
+    this.pushBodyCommand('setPosition', body, position);
+    body.position.copy(position);
+    body.interpolatedPosition.copy(position);
+};
+
+/**
+ * Set the orientation of a body. The body is woken up.
+ * @method setQuaternion
+ * @param {Body} body
+ * @param {Quaternion} quaternion
+ */
+WorkerWorld.prototype.setQuaternion = function(body, quaternion){
+    this.pushBodyCommand('setQuaternion', body, quaternion);
+    body.quaternion.copy(quaternion);
+    body.interpolatedQuaternion.copy(quaternion);
+};
+
+/**
+ * Set the velocity of a body. The body is woken up.
+ * @method setVelocity
+ * @param {Body} body
+ * @param {Vec3} velocity
+ */
+WorkerWorld.prototype.setVelocity = function(body, velocity){
+    this.pushBodyCommand('setVelocity', body, velocity);
+    body.velocity.copy(velocity);
+};
+
+/**
+ * Set the angular velocity of a body. The body is woken up.
+ * @method setAngularVelocity
+ * @param {Body} body
+ * @param {Vec3} angularVelocity
+ */
+WorkerWorld.prototype.setAngularVelocity = function(body, angularVelocity){
+    this.pushBodyCommand('setAngularVelocity', body, angularVelocity);
+    body.angularVelocity.copy(angularVelocity);
+};
+
+/**
+ * Step the World in the worker. See World.step(). The bodies are updated and the postStep event is dispatched when the worker is done. If the worker is still busy with the previous step, nothing is sent, and timeSinceLastCalled is added to the next step instead.
+ * @method step
+ * @param {Number} dt
+ * @param {Number} [timeSinceLastCalled]
+ * @param {Number} [maxSubSteps=10]
+ * @return {Boolean} True if the step was sent to the worker.
+ */
+WorkerWorld.prototype.step = function(dt, timeSinceLastCalled, maxSubSteps){
+    if(this.stepping){
+        this.skippedTime += timeSinceLastCalled || 0;
+        return false;
+    }
+
+    var N = this.bodies.length,
+        state = this.state,
+        length = N * WorkerWorldHost.STRIDE,
+        transfer = [];
+
+    // Make room for the state of all bodies
+    if(!state || state.length < length){
+        length = Math.max(length, 2 * (state ? state.length : 0));
+        if(this.useSharedArrayBuffer){
+            state = new Float32Array(new SharedArrayBuffer(length * 4));
+        } else {
+            state = new Float32Array(length);
+        }
+        this.state = state;
+    }
+    if(!this.useSharedArrayBuffer){
+        transfer.push(state.buffer);
+        this.state = null;
+    }
+
+    this.commands.push({
+        type: 'step',
+        dt: dt,
+        timeSinceLastCalled: typeof(timeSinceLastCalled) !== 'undefined' ? timeSinceLastCalled + this.skippedTime : undefined,
+        maxSubSteps: maxSubSteps,
+        state: state
+    });
+    this.skippedTime = 0;
+    this.stepping = true;
+    this.removedWhileStepping = false;
+    this.flush(transfer);
+
+    return true;
+};
+
+/**
+ * Ray cast against all bodies in the worker. The callback is called for each hit with a RaycastResult, when the worker has answered. See World.raycastAll().
+ * @method raycastAll
+ * @param  {Vec3} from
+ * @param  {Vec3} to
+ * @param  {Object} options See World.raycastAll().
+ * @param  {Function} callback
+ */
+WorkerWorld.prototype.raycastAll = function(from, to, options, callback){
+    this.raycast('raycastAll', from, to, options, function(results){
+        for(var i=0; i<results.length; i++){
+            callback(results[i]);
+        }
+    });
+};
+
+/**
+ * Ray cast against the bodies in the worker, and stop at the first hit. The callback is called with a RaycastResult when the worker has answered. See World.raycastAny().
+ * @method raycastAny
+ * @param  {Vec3} from
+ * @param  {Vec3} to
+ * @param  {Object} options See World.raycastAny().
+ * @param  {Function} callback
+ */
+WorkerWorld.prototype.raycastAny = function(from, to, options, callback){
+    this.raycast('raycastAny', from, to, options, function(results){
+        callback(results[0] || new RaycastResult());
+    });
+};
+
+/**
+ * Ray cast against the bodies in the worker, and get the closest hit. The callback is called with a RaycastResult when the worker has answered. See World.raycastClosest().
+ * @method raycastClosest
+ * @param  {Vec3} from
+ * @param  {Vec3} to
+ * @param  {Object} options See World.raycastClosest().
+ * @param  {Function} callback
+ */
+WorkerWorld.prototype.raycastClosest = function(from, to, options, callback){
+    this.raycast('raycastClosest', from, to, options, function(results){
+        callback(results[0] || new RaycastResult());
+    });
+};
+
+/**
+ * Send the queued commands to the worker. Done automatically by .step() and the raycast methods.
+ * @method flush
+ * @param {Array} [transfer] Objects to transfer to the worker.
+ */
+WorkerWorld.prototype.flush = function(transfer){
+    if(!this.commands.length){
+        return;
+    }
+    this.worker.postMessage({ commands: this.commands }, transfer || []);
+    this.commands = [];
+};
+
+/**
+ * Stop the worker.
+ * @method terminate
+ */
+WorkerWorld.prototype.terminate = function(){
+    this.worker.terminate();
+};
+
+/**
+ * @method raycast
+ * @private
+ * @param {String} method
+ * @param {Vec3} from
+ * @param {Vec3} to
+ * @param {Object} options
+ * @param {Function} callback Called with an array of RaycastResults.
+ */
+WorkerWorld.prototype.raycast = function(method, from, to, options, callback){
+    var id = this.raycastIdCounter++;
+    this.raycastCallbacks[id] = callback;
+    this.commands.push({
+        type: 'raycast',
+        id: id,
+        method: method,
+        from: [from.x, from.y, from.z],
+        to: [to.x, to.y, to.z],
+        options: {
+            collisionFilterMask: options.collisionFilterMask,
+            collisionFilterGroup: options.collisionFilterGroup,
+            skipBackfaces: options.skipBackfaces,
+            checkCollisionResponse: options.checkCollisionResponse
+        }
+    });
+    this.flush();
+};
+
+/**
+ * @method pushBodyCommand
+ * @private
+ * @param {String} type
+ * @param {Body} body
+ * @param {Vec3|Quaternion} value
+ * @param {Vec3} [point]
+ */
+WorkerWorld.prototype.pushBodyCommand = function(type, body, value, point){
+    var index = this.bodies.indexOf(body);
+    if(index === -1){
+        throw new Error('The body has not been added to the WorkerWorld.');
+    }
+    this.commands.push({
+        type: type,
+        index: index,
+        value: value instanceof Vec3 ? [value.x, value.y, value.z] : [value.x, value.y, value.z, value.w],
+        point: point ? [point.x, point.y, point.z] : undefined
+    });
+};
+
+/**
+ * Get the materials that were added to .materials since it had the given length.
+ * @method getNewMaterials
+ * @private
+ * @param {Number} start
+ * @return {Array}
+ */
+WorkerWorld.prototype.getNewMaterials = function(start){
+    var json = [];
+    for(var i=start; i<this.materials.length; i++){
+        json.push(Serializer.materialToJSON(this.materials[i]));
+    }
+    return json;
+};
+
+/**
+ * @method handleError
+ * @private
+ * @param {Error} error
+ */
+WorkerWorld.prototype.handleError = function(error){
+    this.stepping = false;
+    if(!this.hasAnyEventListener('error')){
+        throw error;
+    }
+    WorkerWorld_errorEvent.error = error;
+    this.dispatchEvent(WorkerWorld_errorEvent);
+    WorkerWorld_errorEvent.error = null;
+};
+
+/**
+ * @method handleMessage
+ * @private
+ * @param {Object} message
+ */
+WorkerWorld.prototype.handleMessage = function(message){
+    switch(message.type){
+    case 'step':
+        this.time = message.time;
+        this.stepnumber = message.stepnumber;
+        if(!this.useSharedArrayBuffer){
+            this.state = message.state;
+        }
+        if(!this.removedWhileStepping){
+            this.readState(message.numBodies);
+        }
+        this.stepping = false;
+        this.dispatchEvent(WorkerWorld_postStepEvent);
+        break;
+
+    case 'raycast':
+        var callback = this.raycastCallbacks[message.id];
+        delete this.raycastCallbacks[message.id];
+        var results = [];
+        for(var i=0; i<message.hits.length; i++){
+            results.push(this.createRaycastResult(message.hits[i]));
+        }
+        callback(results);
+        break;
+
+    case 'constraintBroken':
+        for(var i=0; i<this.constraints.length; i++){
+            var constraint = this.constraints[i];
+            if(constraint.id === message.id){
+                this.constraints.splice(i, 1);
+                constraint.disable();
+                WorkerWorld_constraintBrokenEvent.constraint = constraint;
+                WorkerWorld_constraintBrokenEvent.impulse = message.impulse;
+                this.dispatchEvent(WorkerWorld_constraintBrokenEvent);
+                WorkerWorld_constraintBrokenEvent.constraint = null;
+                break;
+            }
+        }
+        break;
+    }
+};
+
+/**
+ * Copy the body state written by the worker into the bodies.
+ * @method readState
+ * @private
+ * @param {Number} numBodies Number of bodies in the World of the worker when the state was written.
+ */
+WorkerWorld.prototype.readState = function(numBodies){
+    var state = this.state,
+        bodies = this.bodies,
+        stride = WorkerWorldHost.STRIDE,
+        N = Math.min(numBodies, bodies.length);
+
+    // Bodies added after the step was sent are not in the state yet
+
+    for(var i=0; i!==N; i++){
+        var b = bodies[i],
+            j = i * stride;
+        b.position.set(state[j], state[j+1], state[j+2]);
+        b.quaternion.set(state[j+3], state[j+4], state[j+5], state[j+6]);
+        b.interpolatedPosition.set(state[j+7], state[j+8], state[j+9]);
+        b.interpolatedQuaternion.set(state[j+10], state[j+11], state[j+12], state[j+13]);
+        b.velocity.set(state[j+14], state[j+15], state[j+16]);
+        b.angularVelocity.set(state[j+17], state[j+18], state[j+19]);
+        b.sleepState = state[j+20];
+        b.aabbNeedsUpdate = true;
+    }
+};
+
+/**
+ * @method createRaycastResult
+ * @private
+ * @param {Object} hit
+ * @return {RaycastResult}
+ */
+WorkerWorld.prototype.createRaycastResult = function(hit){
+    var result = new RaycastResult(),
+        body = this.idToBodyMap[hit.body] || null;
+    result.rayFromWorld.set(hit.rayFromWorld[0], hit.rayFromWorld[1], hit.rayFromWorld[2]);
+    result.rayToWorld.set(hit.rayToWorld[0], hit.rayToWorld[1], hit.rayToWorld[2]);
+    result.hitNormalWorld.set(hit.hitNormalWorld[0], hit.hitNormalWorld[1], hit.hitNormalWorld[2]);
+    result.hitPointWorld.set(hit.hitPointWorld[0], hit.hitPointWorld[1], hit.hitPointWorld[2]);
+    result.hasHit = true;
+    result.body = body;
+    result.shape = body ? body.shapes[hit.shape] || null : null;
+    result.hitFaceIndex = hit.hitFaceIndex;
+    result.distance = hit.distance;
+    return result;
+};
@@ -0,0 +1,365 @@
+/* global SharedArrayBuffer */
+module.exports = WorkerWorldHost;
+
+var World = require('./World');
+var Vec3 = require('../math/Vec3');
+var Quaternion = require('../math/Quaternion');
+var RaycastResult = require('../collision/RaycastResult');
+var Serializer = require('./Serializer');
+
+/**
+ * Runs the World of a WorkerWorld. Create one inside the worker, and give it the port to talk to the main thread through.
+ * @class WorkerWorldHost
+ * @constructor
+ * @param {Object} port The global scope of a Web Worker, or the parentPort of a worker_threads worker.
+ * @example
+ *     // In a Web Worker
+ *     importScripts('cannon.js');
+ *     new CANNON.WorkerWorldHost(self);
+ */
+function WorkerWorldHost(port){
+
+    /**
+     * @property {Object} port
+     */
+    this.port = port;
+
+    /**
+     * The world, created when the WorkerWorld sends its settings.
+     * @property {World} world
+     */
+    this.world = null;
+
+    /**
+     * The bodies, in the same order as in the WorkerWorld. Used instead of world.bodies, so that body indices agree with the main thread.
+     * @property {Array} bodies
+     * @private
+     */
+    this.bodies = [];
+
+    /**
+     * The ids of the bodies on the main thread, in the same order as .bodies.
+     * @property {Array} bodyIds
+     * @private
+     */
+    this.bodyIds = [];
+
+    /**
+     * Constraints, by their id on the main thread.
+     * @property {Object} constraints
+     * @private
+     */
+    this.constraints = {};
+
+    /**
+     * All materials that were sent from the main thread.
+     * @property {Array} materials
+     * @private
+     */
+    this.materials = [];
+
+    var that = this;
+    this._constraintBrokenHandler = function(e){
+        for(var id in that.constraints){
+            if(that.constraints[id] === e.constraint){
+                delete that.constraints[id];
+                that.port.postMessage({
+                    type: 'constraintBroken',
+                    id: Number(id),
+                    impulse: e.impulse
+                });
+                break;
+            }
+        }
+    };
+
+    WorkerWorldHost.addMessageListener(port, function(message){
+        that.handleMessage(message);
+    });
+}
+
+/**
+ * Number of floats per body in the state array: position (3), quaternion (4), interpolated position (3), interpolated quaternion (4), velocity (3), angular velocity (3) and sleep state (1).
+ * @static
+ * @property {Number} STRIDE
+ */
+WorkerWorldHost.STRIDE = 21;
+
+/**
+ * Listen to messages from a worker or a port. Handles both the EventEmitter style of Node.js and the DOM style of the browser.
+ * @static
+ * @method addMessageListener
+ * @param {Object} target
+ * @param {Function} callback Called with the message data.
+ */
+WorkerWorldHost.addMessageListener = function(target, callback){
+    if(target.on){
+        target.on('message', callback);
+    } else {
+        target.addEventListener('message', function(e){
+            callback(e.data);
+        });
+    }
+};
+
+/**
+ * Listen to errors of a worker: uncaught exceptions, and messages that could not be deserialized. Handles both the EventEmitter style of Node.js and the DOM style of the browser.
+ * @static
+ * @method addErrorListener
+ * @param {Object} target
+ * @param {Function} callback Called with an Error.
+ */
+WorkerWorldHost.addErrorListener = function(target, callback){
+    var types = ['error', 'messageerror'];
+    for(var i=0; i<types.length; i++){
+        if(target.on){
+            target.on(types[i], callback);
+        } else {
+            target.addEventListener(types[i], onErrorEvent);
+        }
+    }
+    function onErrorEvent(e){
+        callback(e.error || new Error(e.message || 'Could not deserialize the message from the worker.'));
+    }
+};
+
+/**
+ * @method handleMessage
+ * @private
+ * @param {Object} message
+ */
+WorkerWorldHost.prototype.handleMessage = function(message){
+    var commands = message.commands;
+    for(var i=0; i<commands.length; i++){
+        this.handleCommand(commands[i]);
+    }
+};
+
+var handleCommand_vec = new Vec3();
+var handleCommand_point = new Vec3();
+var handleCommand_quat = new Quaternion();
+
+/**
+ * @method handleCommand
+ * @private
+ * @param {Object} command
+ */
+WorkerWorldHost.prototype.handleCommand = function(command){
+    var world = this.world,
+        body = typeof(command.index) === 'number' ? this.bodies[command.index] : null,
+        vec = handleCommand_vec,
+        point = handleCommand_point;
+
+    if(command.value && command.value.length === 3){
+        vec.set(command.value[0], command.value[1], command.value[2]);
+    }
+    if(command.point){
+        point.set(command.point[0], command.point[1], command.point[2]);
+    } else {
+        point.set(0, 0, 0);
+    }
+
+    switch(command.type){
+
+    case 'init':
+        world = this.world = new World({
+            gravity: command.gravity ? new Vec3(command.gravity[0], command.gravity[1], command.gravity[2]) : undefined,
+            allowSleep: command.allowSleep,
+            quatNormalizeFast: command.quatNormalizeFast,
+            quatNormalizeSkip: command.quatNormalizeSkip,
+            deterministic: command.deterministic
+        });
+        world.addEventListener('constraintBroken', this._constraintBrokenHandler);
+        break;
+
+    case 'addBody':
+        this.addMaterials(command.materials);
+        body = Serializer.bodyFromJSON(this.materials, command.body);
+        world.addBody(body);
+        this.bodies.push(body);
+        this.bodyIds.push(command.id);
+        Serializer.restoreBodyState(body, command.body, this.bodies);
+        break;
+
+    case 'removeBody':
+        world.removeBody(body);
+        this.bodies.splice(command.index, 1);
+        this.bodyIds.splice(command.index, 1);
+        break;
+
+    case 'addConstraint':
+        var constraint = Serializer.constraintFromJSON(this, command.constraint);
+        this.constraints[command.id] = constraint;
+        world.addConstraint(constraint);
+        break;
+
+    case 'removeConstraint':
+        if(this.constraints[command.id]){
+            world.removeConstraint(this.constraints[command.id]);
+            delete this.constraints[command.id];
+        }
+        break;
+
+    case 'addContactMaterial':
+        this.addMaterials(command.materials);
+        world.addContactMaterial(Serializer.contactMaterialFromJSON(this.materials, command.contactMaterial));
+        break;
+
+    case 'setGravity':
+        world.gravity.set(command.gravity[0], command.gravity[1], command.gravity[2]);
+        break;
+
+    case 'applyForce':
+        body.applyForce(vec, point);
+        body.wakeUp();
+        break;
+
+    case 'applyImpulse':
+        body.applyImpulse(vec, point);
+        body.wakeUp();
+        break;
+
+    case 'setPosition':
+        body.position.copy(vec);
+        body.previousPosition.copy(vec);
+        body.interpolatedPosition.copy(vec);
+        body.aabbNeedsUpdate = true;
+        body.wakeUp();
+        break;
+
+    case 'setQuaternion':
+        var q = handleCommand_quat;
+        q.set(command.value[0], command.value[1], command.value[2], command.value[3]);
+        body.quaternion.copy(q);
+        body.previousQuaternion.copy(q);
+        body.interpolatedQuaternion.copy(q);
+        body.aabbNeedsUpdate = true;
+        body.wakeUp();
+        break;
+
+    case 'setVelocity':
+        body.velocity.copy(vec);
+        body.wakeUp();
+        break;
+
+    case 'setAngularVelocity':
+        body.angularVelocity.copy(vec);
+        body.wakeUp();
+        break;
+
+    case 'step':
+        world.step(command.dt, command.timeSinceLastCalled, command.maxSubSteps);
+
+        // The state array is reallocated by the main thread when it is too small
+        var state = command.state;
+        this.writeState(state);
+        var transfer = [];
+        if(!(typeof(SharedArrayBuffer) !== 'undefined' && state.buffer instanceof SharedArrayBuffer)){
+            transfer.push(state.buffer);
+        }
+        this.port.postMessage({
+            type: 'step',
+            time: world.time,
+            stepnumber: world.stepnumber,
+            numBodies: this.bodies.length,
+            state: state
+        }, transfer);
+        break;
+
+    case 'raycast':
+        var hits = [],
+            from = new Vec3(command.from[0], command.from[1], command.from[2]),
+            to = new Vec3(command.to[0], command.to[1], command.to[2]),
+            options = command.options,
+            result;
+        if(command.method === 'raycastAll'){
+            var that = this;
+            world.raycastAll(from, to, options, function(result){
+                hits.push(that.serializeRaycastResult(result));
+            });
+        } else {
+            result = new RaycastResult();
+            if(world[command.method](from, to, options, result)){
+                hits.push(this.serializeRaycastResult(result));
+            }
+        }
+        this.port.postMessage({
+            type: 'raycast',
+            id: command.id,
+            hits: hits
+        });
+        break;
+
+    default:
+        throw new Error('Unknown WorkerWorld command: ' + command.type);
+    }
+};
+
+/**
+ * Write the state of all bodies into an array, in the layout described by .STRIDE.
+ * @method writeState
+ * @param {Float32Array} state
+ */
+WorkerWorldHost.prototype.writeState = function(state){
+    var bodies = this.bodies,
+        stride = WorkerWorldHost.STRIDE,
+        N = Math.min(bodies.length, Math.floor(state.length / stride));
+
+    for(var i=0; i!==N; i++){
+        var b = bodies[i],
+            j = i * stride;
+        state[j   ] = b.position.x;
+        state[j+1 ] = b.position.y;
+        state[j+2 ] = b.position.z;
+        state[j+3 ] = b.quaternion.x;
+        state[j+4 ] = b.quaternion.y;
+        state[j+5 ] = b.quaternion.z;
+        state[j+6 ] = b.quaternion.w;
+        state[j+7 ] = b.interpolatedPosition.x;
+        state[j+8 ] = b.interpolatedPosition.y;
+        state[j+9 ] = b.interpolatedPosition.z;
+        state[j+10] = b.interpolatedQuaternion.x;
+        state[j+11] = b.interpolatedQuaternion.y;
+        state[j+12] = b.interpolatedQuaternion.z;
+        state[j+13] = b.interpolatedQuaternion.w;
+        state[j+14] = b.velocity.x;
+        state[j+15] = b.velocity.y;
+        state[j+16] = b.velocity.z;
+        state[j+17] = b.angularVelocity.x;
+        state[j+18] = b.angularVelocity.y;
+        state[j+19] = b.angularVelocity.z;
+        state[j+20] = b.sleepState;
+    }
+};
+
+/**
+ * @method addMaterials
+ * @private
+ * @param {Array} json
+ */
+WorkerWorldHost.prototype.addMaterials = function(json){
+    for(var i=0; i<json.length; i++){
+        this.materials.push(Serializer.materialFromJSON(json[i]));
+    }
+};
+
+/**
+ * @method serializeRaycastResult
+ * @private
+ * @param {RaycastResult} result
+ * @return {Object}
+ */
+WorkerWorldHost.prototype.serializeRaycastResult = function(result){
+    var body = result.body,
+        index = this.bodies.indexOf(body);
+    return {
+        rayFromWorld: [result.rayFromWorld.x, result.rayFromWorld.y, result.rayFromWorld.z],
+        rayToWorld: [result.rayToWorld.x, result.rayToWorld.y, result.rayToWorld.z],
+        hitNormalWorld: [result.hitNormalWorld.x, result.hitNormalWorld.y, result.hitNormalWorld.z],
+        hitPointWorld: [result.hitPointWorld.x, result.hitPointWorld.y, result.hitPointWorld.z],
+        body: index === -1 ? -1 : this.bodyIds[index],
+        shape: body ? body.shapes.indexOf(result.shape) : -1,
+        hitFaceIndex: result.hitFaceIndex,
+        distance: result.distance
+    };
+};
@@ -6,6 +6,7 @@ var Shape = require('../shapes/Shape');
 var Vec3 = require('../math/Vec3');
 var Quaternion = require('../math/Quaternion');
 var GSSolver = require('../solver/GSSolver');
+var IslandGraph = require('../solver/IslandGraph');
 var ContactEquation = require('../equations/ContactEquation');
 var FrictionEquation = require('../equations/FrictionEquation');
 var Narrowphase = require('./Narrowphase');
@@ -17,9 +18,14 @@ var ContactMaterial = require('../material/ContactMaterial');
 var Body = require('../objects/Body');
 var TupleDictionary = require('../utils/TupleDictionary');
 var RaycastResult = require('../collision/RaycastResult');
+var ShapeCastResult = require('../collision/ShapeCastResult');
 var AABB = require('../collision/AABB');
 var Ray = require('../collision/Ray');
 var NaiveBroadphase = require('../collision/NaiveBroadphase');
+var Sphere = require('../shapes/Sphere');
+var Box = require('../shapes/Box');
+var Transform = require('../math/Transform');
+var Serializer = require('./Serializer');
 
 /**
  * The physics world
@@ -33,6 +39,8 @@ var NaiveBroadphase = require('../collision/NaiveBroadphase');
  * @param {Solver} [options.solver]
  * @param {boolean} [options.quatNormalizeFast]
  * @param {number} [options.quatNormalizeSkip]
+ * @param {boolean} [options.constraintFeedback=false]
+ * @param {boolean} [options.deterministic=false]
  */
 function World(options){
     options = options || {};
@@ -45,7 +53,7 @@ function World(options){
     this.dt = -1;
 
     /**
-     * Makes bodies go to sleep when they've been inactive
+     * Makes bodies go to sleep when they've been inactive. Bodies that are connected by contacts or constraints form an island, which falls asleep and wakes up as a whole.
      * @property allowSleep
      * @type {Boolean}
      * @default false
@@ -78,6 +86,24 @@ function World(options){
      */
     this.quatNormalizeFast = options.quatNormalizeFast !== undefined ? options.quatNormalizeFast : false;
 
+    /**
+     * Set to true to record the applied impulse, forces and torques of all constraints after each step. See Constraint.appliedImpulse.
+     * @property constraintFeedback
+     * @type {Boolean}
+     * @default false
+     */
+    this.constraintFeedback = options.constraintFeedback !== undefined ? options.constraintFeedback : false;
+
+    /**
+     * Set to true to get identical results across runs, given identical inputs. The broadphase pairs are then sorted by body index, which makes the order of the contacts and of the solver equations independent of the broadphase internals, of the ids of bodies and equations (which are counted globally, across worlds) and of the object pools. Costs some performance.
+     *
+     * The bodies, constraints and materials must still be added in the same order, and the same JavaScript engine must be used, since Math functions may differ between engines. See .getStateHash().
+     * @property deterministic
+     * @type {Boolean}
+     * @default false
+     */
+    this.deterministic = options.deterministic !== undefined ? options.deterministic : false;
+
     /**
      * The wall-clock time since simulation start
      * @property time
@@ -153,6 +179,33 @@ function World(options){
     this.bodyOverlapKeeper = new OverlapKeeper();
     this.shapeOverlapKeeper = new OverlapKeeper();
 
+    /**
+     * Keeps track of the shape pairs that overlap a sensor. See Body.sensor.
+     * @property {OverlapKeeper} triggerOverlapKeeper
+     */
+    this.triggerOverlapKeeper = new OverlapKeeper();
+
+    /**
+     * Shape pairs that overlap a sensor in the current step, stored as [sensorShape, otherShape, ...].
+     * @property {Array} triggerPairs
+     * @private
+     */
+    this.triggerPairs = [];
+
+    /**
+     * Shape pairs that overlapped a sensor in the previous step.
+     * @property {Array} triggerPairsPrevious
+     * @private
+     */
+    this.triggerPairsPrevious = [];
+
+    /**
+     * Bodies with a non-empty .overlappingBodies list.
+     * @property {Array} triggerBodies
+     * @private
+     */
+    this.triggerBodies = [];
+
     /**
      * All added materials
      * @property materials
@@ -172,6 +225,13 @@ function World(options){
      */
     this.contactMaterialTable = new TupleDictionary();
 
+    /**
+     * ContactMaterials that were made from the friction and restitution of two Materials, by .getContactMaterial().
+     * @property {TupleDictionary} combinedContactMaterialTable
+     * @private
+     */
+    this.combinedContactMaterialTable = new TupleDictionary();
+
     this.defaultMaterial = new Material("default");
 
     /**
@@ -211,6 +271,20 @@ function World(options){
      */
     this.subsystems = [];
 
+    /**
+     * All springs in the world. Their forces are applied before each step.
+     * @property springs
+     * @type {Array}
+     */
+    this.springs = [];
+
+    /**
+     * All RaycastVehicles added to the world.
+     * @property vehicles
+     * @type {Array}
+     */
+    this.vehicles = [];
+
     /**
      * Dispatched after a body has been added to the world.
      * @event addBody
@@ -243,14 +317,52 @@ var tmpArray1 = [];
 var tmpRay = new Ray();
 
 /**
- * Get the contact material between materials m1 and m2
+ * Get the contact material between materials m1 and m2. If none was added for the two materials, a ContactMaterial that was added for one of them and .defaultMaterial is used. If both have one, the one of the material with the lowest id is used. If there is no such ContactMaterial either, but both materials have a friction or restitution, a ContactMaterial is made from their values using their combine rules, and the rest of its settings are taken from .defaultContactMaterial.
  * @method getContactMaterial
  * @param {Material} m1
  * @param {Material} m2
  * @return {ContactMaterial} The contact material if it was found.
  */
 World.prototype.getContactMaterial = function(m1,m2){
-    return this.contactMaterialTable.get(m1.id,m2.id); //this.contactmaterials[this.mats2cmat[i+j*this.materials.length]];
+    var table = this.contactMaterialTable,
+        defaultId = this.defaultMaterial.id;
+
+    var cm = table.get(m1.id, m2.id);
+    if(cm){
+        return cm;
+    }
+
+    // If both materials have one with the default material, use the one of the material with the lowest id, so the argument order does not matter
+    var first = m1.id < m2.id ? m1 : m2,
+        second = first === m1 ? m2 : m1;
+    cm = table.get(first.id, defaultId) || table.get(second.id, defaultId);
+    if(cm){
+        return cm;
+    }
+
+    var hasFriction = m1.friction >= 0 && m2.friction >= 0,
+        hasRestitution = m1.restitution >= 0 && m2.restitution >= 0;
+    if(!hasFriction && !hasRestitution){
+        return undefined;
+    }
+
+    var dcm = this.defaultContactMaterial;
+    cm = this.combinedContactMaterialTable.get(m1.id, m2.id);
+    if(!cm){
+        cm = new ContactMaterial(m1, m2);
+        this.combinedContactMaterialTable.set(m1.id, m2.id, cm);
+    }
+
+    // Update the values each time, in case the materials or the default contact material have changed
+    cm.friction = hasFriction ? Material.combine(m1.friction, m1.frictionCombine, m2.friction, m2.frictionCombine) : dcm.friction;
+    cm.restitution = hasRestitution ? Material.combine(m1.restitution, m1.restitutionCombine, m2.restitution, m2.restitutionCombine) : dcm.restitution;
+    cm.contactEquationStiffness = dcm.contactEquationStiffness;
+    cm.contactEquationRelaxation = dcm.contactEquationRelaxation;
+    cm.frictionEquationStiffness = dcm.frictionEquationStiffness;
+    cm.frictionEquationRelaxation = dcm.frictionEquationRelaxation;
+    cm.surfaceVelocity.copy(dcm.surfaceVelocity);
+
+    return cm;
 };
 
 /**
@@ -275,6 +387,30 @@ World.prototype.collisionMatrixTick = function(){
 
     this.bodyOverlapKeeper.tick();
     this.shapeOverlapKeeper.tick();
+    this.triggerOverlapKeeper.tick();
+
+    var tempPairs = this.triggerPairsPrevious;
+    this.triggerPairsPrevious = this.triggerPairs;
+    this.triggerPairs = tempPairs;
+    this.triggerPairs.length = 0;
+};
+
+/**
+ * Register that a shape overlaps a sensor. Called by the narrowphase.
+ * @method addTriggerOverlap
+ * @private
+ * @param {Shape} shapeA
+ * @param {Shape} shapeB
+ */
+World.prototype.addTriggerOverlap = function(shapeA, shapeB){
+    // Put the sensor first
+    if(!(shapeA.sensor || shapeA.body.sensor)){
+        var temp = shapeA;
+        shapeA = shapeB;
+        shapeB = temp;
+    }
+    this.triggerOverlapKeeper.set(shapeA.id, shapeB.id);
+    this.triggerPairs.push(shapeA, shapeB);
 };
 
 /**
@@ -326,6 +462,353 @@ World.prototype.removeConstraint = function(c){
     }
 };
 
+/**
+ * Add a spring to the simulation. Its force will be applied after gravity in each step.
+ * @method addSpring
+ * @param {Spring} s
+ */
+World.prototype.addSpring = function(s){
+    this.springs.push(s);
+};
+
+/**
+ * Removes a spring
+ * @method removeSpring
+ * @param {Spring} s
+ */
+World.prototype.removeSpring = function(s){
+    var idx = this.springs.indexOf(s);
+    if(idx!==-1){
+        this.springs.splice(idx,1);
+    }
+};
+
+/**
+ * Serialize the world into a plain object that can be stringified to JSON.
+ * @method toJSON
+ * @return {Object}
+ * @see Serializer.toJSON
+ */
+World.prototype.toJSON = function(){
+    return Serializer.toJSON(this);
+};
+
+/**
+ * Create a world from an object created by .toJSON().
+ * @static
+ * @method fromJSON
+ * @param {Object} json
+ * @return {World}
+ * @see Serializer.fromJSON
+ */
+World.fromJSON = function(json){
+    return Serializer.fromJSON(json);
+};
+
+/**
+ * Version of the state buffer format used by .saveState().
+ * @static
+ * @property {Number} STATE_VERSION
+ */
+World.STATE_VERSION = 3;
+
+/**
+ * Maximum number of poses that are sampled along a sweep in .convexCast(). Longer sweeps are sampled more sparsely, so thin objects may be missed.
+ * @static
+ * @property CONVEX_CAST_MAX_SAMPLES
+ * @type {Number}
+ */
+World.CONVEX_CAST_MAX_SAMPLES = 256;
+
+// position, previousPosition, interpolatedPosition, velocity, angularVelocity, force, torque,
+// quaternion, previousQuaternion, interpolatedQuaternion, sleepState, timeLastSleepy, sleepIslandRoot, invInertiaWorld
+var BODY_STATE_SIZE = 7 * 3 + 3 * 4 + 3 + 9;
+var STATE_HEADER_SIZE = 6;
+
+/**
+ * Save the dynamic state of the world into a compact buffer. This includes the body positions, orientations, velocities, forces and sleep states, the collision matrices, the overlap keepers, the sensor overlaps, the broadphase ordering and the wheel rotations of the vehicles. There is no contact warm starting data to store, since the solver starts from zero each step.
+ *
+ * Only the state that changes while stepping is saved: the buffer can only be restored into the same world, with the same bodies, constraints and settings. Use .toJSON() to serialize the full world.
+ *
+ * @method saveState
+ * @param {Float64Array} [target] An array to reuse. It is only used if its length matches the needed state size.
+ * @return {Float64Array}
+ * @example
+ *     var state = world.saveState();
+ *     world.step(1 / 60);
+ *     world.restoreState(state); // Back to where we were
+ */
+World.prototype.saveState = function(target){
+    var bodies = this.bodies,
+        N = bodies.length,
+        axisList = this.broadphase.axisList || [],
+        size = STATE_HEADER_SIZE + N * BODY_STATE_SIZE,
+        i, j;
+
+    size += 1 + this.collisionMatrix.matrix.length;
+    size += 1 + this.collisionMatrixPrevious.matrix.length;
+    size += 1 + this.bodyOverlapKeeper.current.length;
+    size += 1 + this.bodyOverlapKeeper.previous.length;
+    size += 1 + this.shapeOverlapKeeper.current.length;
+    size += 1 + this.shapeOverlapKeeper.previous.length;
+    size += 1 + this.triggerOverlapKeeper.current.length;
+    size += 1 + this.triggerOverlapKeeper.previous.length;
+    size += 1 + 2 * this.triggerPairs.length;
+    size += 1 + 2 * this.triggerPairsPrevious.length;
+    size += 1 + axisList.length;
+    size += 1;
+    for(i = 0; i !== this.vehicles.length; i++){
+        size += 2 * this.vehicles[i].wheelInfos.length;
+    }
+
+    var state = target && target.length === size ? target : new Float64Array(size);
+
+    state[0] = World.STATE_VERSION;
+    state[1] = N;
+    state[2] = this.time;
+    state[3] = this.stepnumber;
+    state[4] = this.accumulator;
+    state[5] = this.dt;
+
+    var offset = STATE_HEADER_SIZE;
+    for(i = 0; i !== N; i++){
+        var b = bodies[i];
+        offset = writeVec3(state, offset, b.position);
+        offset = writeVec3(state, offset, b.previousPosition);
+        offset = writeVec3(state, offset, b.interpolatedPosition);
+        offset = writeVec3(state, offset, b.velocity);
+        offset = writeVec3(state, offset, b.angularVelocity);
+        offset = writeVec3(state, offset, b.force);
+        offset = writeVec3(state, offset, b.torque);
+        offset = writeQuaternion(state, offset, b.quaternion);
+        offset = writeQuaternion(state, offset, b.previousQuaternion);
+        offset = writeQuaternion(state, offset, b.interpolatedQuaternion);
+        state[offset++] = b.sleepState;
+        state[offset++] = b.timeLastSleepy;
+        state[offset++] = b.sleepIslandRoot ? bodies.indexOf(b.sleepIslandRoot) : -1;
+        offset = writeArray(state, offset, b.invInertiaWorld.elements, 9);
+    }
+
+    offset = writeList(state, offset, this.collisionMatrix.matrix);
+    offset = writeList(state, offset, this.collisionMatrixPrevious.matrix);
+    offset = writeList(state, offset, this.bodyOverlapKeeper.current);
+    offset = writeList(state, offset, this.bodyOverlapKeeper.previous);
+    offset = writeList(state, offset, this.shapeOverlapKeeper.current);
+    offset = writeList(state, offset, this.shapeOverlapKeeper.previous);
+    offset = writeList(state, offset, this.triggerOverlapKeeper.current);
+    offset = writeList(state, offset, this.triggerOverlapKeeper.previous);
+    offset = writeShapeList(state, offset, this.triggerPairs, bodies);
+    offset = writeShapeList(state, offset, this.triggerPairsPrevious, bodies);
+
+    // The broadphase order decides the contact order, which the solver result depends on
+    state[offset++] = axisList.length;
+    for(i = 0; i !== axisList.length; i++){
+        state[offset++] = axisList[i].index;
+    }
+
+    state[offset++] = this.vehicles.length;
+    for(i = 0; i !== this.vehicles.length; i++){
+        var wheelInfos = this.vehicles[i].wheelInfos;
+        for(j = 0; j !== wheelInfos.length; j++){
+            state[offset++] = wheelInfos[j].rotation;
+            state[offset++] = wheelInfos[j].deltaRotation;
+        }
+    }
+
+    return state;
+};
+
+/**
+ * Restore a state saved using .saveState(). The world must contain the same bodies as when the state was saved.
+ * @method restoreState
+ * @param {Float64Array|ArrayBuffer} state
+ */
+World.prototype.restoreState = function(state){
+    if(state instanceof ArrayBuffer){
+        state = new Float64Array(state);
+    }
+
+    var bodies = this.bodies,
+        N = bodies.length,
+        axisList = this.broadphase.axisList,
+        i, j;
+
+    if(state[0] !== World.STATE_VERSION){
+        throw new Error('Unsupported state version: ' + state[0]);
+    }
+    if(state[1] !== N){
+        throw new Error('The state has ' + state[1] + ' bodies, but the world has ' + N + '.');
+    }
+
+    this.time = state[2];
+    this.stepnumber = state[3];
+    this.accumulator = state[4];
+    this.dt = state[5];
+
+    var offset = STATE_HEADER_SIZE;
+    for(i = 0; i !== N; i++){
+        var b = bodies[i];
+        offset = readVec3(state, offset, b.position);
+        offset = readVec3(state, offset, b.previousPosition);
+        offset = readVec3(state, offset, b.interpolatedPosition);
+        offset = readVec3(state, offset, b.velocity);
+        offset = readVec3(state, offset, b.angularVelocity);
+        offset = readVec3(state, offset, b.force);
+        offset = readVec3(state, offset, b.torque);
+        offset = readQuaternion(state, offset, b.quaternion);
+        offset = readQuaternion(state, offset, b.previousQuaternion);
+        offset = readQuaternion(state, offset, b.interpolatedQuaternion);
+        b.sleepState = state[offset++];
+        b.timeLastSleepy = state[offset++];
+        var root = state[offset++];
+        b.sleepIslandRoot = root !== -1 ? bodies[root] : null;
+        offset = readArray(state, offset, b.invInertiaWorld.elements, 9);
+        b._wakeUpAfterNarrowphase = false;
+        b.aabbNeedsUpdate = true;
+    }
+
+    offset = readList(state, offset, this.collisionMatrix.matrix);
+    offset = readList(state, offset, this.collisionMatrixPrevious.matrix);
+    offset = readList(state, offset, this.bodyOverlapKeeper.current);
+    offset = readList(state, offset, this.bodyOverlapKeeper.previous);
+    offset = readList(state, offset, this.shapeOverlapKeeper.current);
+    offset = readList(state, offset, this.shapeOverlapKeeper.previous);
+    offset = readList(state, offset, this.triggerOverlapKeeper.current);
+    offset = readList(state, offset, this.triggerOverlapKeeper.previous);
+    offset = readShapeList(state, offset, this.triggerPairs, bodies);
+    offset = readShapeList(state, offset, this.triggerPairsPrevious, bodies);
+    this.updateTriggerOverlapLists();
+
+    var axisListLength = state[offset++];
+    if(axisList){
+        axisList.length = axisListLength;
+        for(i = 0; i !== axisListLength; i++){
+            axisList[i] = bodies[state[offset++]];
+        }
+    } else {
+        offset += axisListLength;
+    }
+
+    if(state[offset++] !== this.vehicles.length){
+        throw new Error('The number of vehicles in the state does not match the world.');
+    }
+    for(i = 0; i !== this.vehicles.length; i++){
+        var wheelInfos = this.vehicles[i].wheelInfos;
+        for(j = 0; j !== wheelInfos.length; j++){
+            wheelInfos[j].rotation = state[offset++];
+            wheelInfos[j].deltaRotation = state[offset++];
+        }
+    }
+};
+
+function writeVec3(state, offset, v){
+    state[offset] = v.x;
+    state[offset + 1] = v.y;
+    state[offset + 2] = v.z;
+    return offset + 3;
+}
+
+function readVec3(state, offset, v){
+    v.x = state[offset];
+    v.y = state[offset + 1];
+    v.z = state[offset + 2];
+    return offset + 3;
+}
+
+function writeQuaternion(state, offset, q){
+    state[offset] = q.x;
+    state[offset + 1] = q.y;
+    state[offset + 2] = q.z;
+    state[offset + 3] = q.w;
+    return offset + 4;
+}
+
+function readQuaternion(state, offset, q){
+    q.x = state[offset];
+    q.y = state[offset + 1];
+    q.z = state[offset + 2];
+    q.w = state[offset + 3];
+    return offset + 4;
+}
+
+function writeArray(state, offset, array, length){
+    for(var i = 0; i !== length; i++){
+        state[offset + i] = array[i];
+    }
+    return offset + length;
+}
+
+function readArray(state, offset, array, length){
+    for(var i = 0; i !== length; i++){
+        array[i] = state[offset + i];
+    }
+    return offset + length;
+}
+
+// Writes the length of the array followed by its elements
+function writeList(state, offset, array){
+    state[offset] = array.length;
+    return writeArray(state, offset + 1, array, array.length);
+}
+
+function readList(state, offset, array){
+    array.length = state[offset];
+    return readArray(state, offset + 1, array, array.length);
+}
+
+// Shapes are stored as the index of their body and their index in the body
+function writeShapeList(state, offset, shapes, bodies){
+    state[offset++] = shapes.length;
+    for(var i = 0; i !== shapes.length; i++){
+        var shape = shapes[i];
+        state[offset++] = bodies.indexOf(shape.body);
+        state[offset++] = shape.body.shapes.indexOf(shape);
+    }
+    return offset;
+}
+
+function readShapeList(state, offset, shapes, bodies){
+    shapes.length = state[offset++];
+    for(var i = 0; i !== shapes.length; i++){
+        shapes[i] = bodies[state[offset]].shapes[state[offset + 1]];
+        offset += 2;
+    }
+    return offset;
+}
+
+var getStateHash_state = null;
+
+/**
+ * Get a 32 bit hash of the world time and the body states that are saved by .saveState(). Compare the hashes of two worlds to check if their simulations are identical, for example to detect when the clients of a lockstep multiplayer game get out of sync. See .deterministic.
+ *
+ * The bookkeeping that depends on the body ids, like the overlap keepers, is not included, so worlds that were created in different orders can be compared.
+ * @method getStateHash
+ * @return {Number} An unsigned 32 bit integer.
+ * @example
+ *     world.step(1 / 60);
+ *     if(world.getStateHash() !== hashFromServer){
+ *         // Out of sync
+ *     }
+ */
+World.prototype.getStateHash = function(){
+    getStateHash_state = this.saveState(getStateHash_state);
+
+    var state = getStateHash_state,
+        size = STATE_HEADER_SIZE + this.bodies.length * BODY_STATE_SIZE,
+        words = new Uint32Array(state.buffer, state.byteOffset, size * 2),
+        hash = 0x811c9dc5; // FNV-1a
+
+    for(var i = 0; i !== words.length; i++){
+        var word = words[i];
+        for(var j = 0; j !== 4; j++){
+            hash ^= (word >>> (j * 8)) & 0xff;
+            hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24); // hash *= 16777619
+        }
+    }
+
+    return hash >>> 0;
+};
+
 /**
  * Raycast test
  * @method rayTest
@@ -411,6 +894,509 @@ World.prototype.raycastClosest = function(from, to, options, result){
     return tmpRay.intersectWorld(this, options);
 };
 
+var convexCast_aabb = new AABB();
+var convexCast_shapeAABB = new AABB();
+var convexCast_bodies = [];
+var convexCast_candidateBodies = [];
+var convexCast_candidateShapes = [];
+var convexCast_body = new Body();
+var convexCast_contacts = [];
+var convexCast_rayResult = new RaycastResult();
+var convexCast_shapePosition = new Vec3();
+var convexCast_shapeQuaternion = new Quaternion();
+var convexCast_point = new Vec3();
+var convexCast_castPoint = new Vec3();
+var convexCast_normal = new Vec3();
+
+/**
+ * Sweep a convex shape from one transform to another, and return information about the first hit. Shapes that already overlap the cast shape at the start transform are ignored. The cast shape is moved in steps no longer than its inner radius, so it cannot skip past thin objects, and the time of impact is then refined by bisection. At most World.CONVEX_CAST_MAX_SAMPLES steps are used, so very long sweeps take larger steps. Shapes without volume, for example a Particle, are cast using a ray.
+ * @method convexCast
+ * @param  {Shape} shape A convex shape: Sphere, Box, ConvexPolyhedron, Cylinder, Capsule or Particle.
+ * @param  {Transform} fromTransform
+ * @param  {Transform} toTransform
+ * @param  {Object} [options]
+ * @param  {number} [options.collisionFilterMask=-1]
+ * @param  {number} [options.collisionFilterGroup=-1]
+ * @param  {boolean} [options.checkCollisionResponse=true]
+ * @param  {number} [options.precision=0.0001] The accuracy of the time of impact, as a distance. The time of impact is bisected at most 64 times.
+ * @param  {ShapeCastResult} [result]
+ * @return {boolean} True if any body was hit.
+ * @example
+ *     var result = new ShapeCastResult();
+ *     var from = new Transform({ position: new Vec3(0, 0, 10) });
+ *     var to = new Transform({ position: new Vec3(0, 0, -10) });
+ *     if(world.convexCast(new Sphere(0.5), from, to, {}, result)){
+ *         console.log('Hit ' + result.body.id + ' after ' + result.distance);
+ *     }
+ */
+World.prototype.convexCast = function(shape, fromTransform, toTransform, options, result){
+    options = options || {};
+    result = result || new ShapeCastResult();
+    result.reset();
+
+    var collisionFilterMask = typeof(options.collisionFilterMask) !== 'undefined' ? options.collisionFilterMask : -1,
+        collisionFilterGroup = typeof(options.collisionFilterGroup) !== 'undefined' ? options.collisionFilterGroup : -1,
+        checkCollisionResponse = typeof(options.checkCollisionResponse) !== 'undefined' ? options.checkCollisionResponse : true,
+        precision = typeof(options.precision) !== 'undefined' ? options.precision : 0.0001;
+
+    var fromPosition = fromTransform.position,
+        fromQuaternion = fromTransform.quaternion,
+        toPosition = toTransform.position,
+        toQuaternion = toTransform.quaternion,
+        length = fromPosition.distanceTo(toPosition);
+
+    // Shapes without volume are cast as rays
+    var innerRadius = shape.getInnerRadius();
+    if(innerRadius <= 0){
+        var rayResult = convexCast_rayResult;
+        this.raycastClosest(fromPosition, toPosition, {
+            collisionFilterMask: collisionFilterMask,
+            collisionFilterGroup: collisionFilterGroup,
+            skipBackfaces: true
+        }, rayResult);
+        if(rayResult.hasHit){
+            result.hasHit = true;
+            result.hitPointWorld.copy(rayResult.hitPointWorld);
+            result.hitNormalWorld.copy(rayResult.hitNormalWorld);
+            result.body = rayResult.body;
+            result.shape = rayResult.shape;
+            result.distance = rayResult.distance;
+            result.timeOfImpact = length > 0 ? rayResult.distance / length : 0;
+        }
+        return result.hasHit;
+    }
+
+    // Get the candidate shapes, from the bodies in the AABB of the whole sweep
+    var aabb = convexCast_aabb,
+        shapeAABB = convexCast_shapeAABB,
+        bodies = convexCast_bodies,
+        candidateBodies = convexCast_candidateBodies,
+        candidateShapes = convexCast_candidateShapes,
+        castBody = convexCast_body,
+        i, j;
+    shape.calculateWorldAABB(fromPosition, fromQuaternion, aabb.lowerBound, aabb.upperBound);
+    shape.calculateWorldAABB(toPosition, toQuaternion, shapeAABB.lowerBound, shapeAABB.upperBound);
+    aabb.extend(shapeAABB);
+
+    bodies.length = candidateBodies.length = candidateShapes.length = 0;
+    this.broadphase.aabbQuery(this, aabb, bodies);
+
+    castBody.position.copy(fromPosition);
+    castBody.quaternion.copy(fromQuaternion);
+    for(i = 0; i < bodies.length; i++){
+        var body = bodies[i];
+        if((collisionFilterGroup & body.collisionFilterMask) === 0 || (body.collisionFilterGroup & collisionFilterMask) === 0){
+            continue;
+        }
+        if(checkCollisionResponse && (!body.collisionResponse || body.sensor)){
+            continue;
+        }
+        for(j = 0; j < body.shapes.length; j++){
+            var bodyShape = body.shapes[j];
+            if(checkCollisionResponse && (!bodyShape.collisionResponse || bodyShape.sensor)){
+                continue;
+            }
+            if(convexCastOverlaps(this, shape, body, j)){
+                continue;
+            }
+            candidateBodies.push(body);
+            candidateShapes.push(j);
+        }
+    }
+    bodies.length = 0;
+
+    if(candidateShapes.length === 0){
+        return false;
+    }
+
+    // Largest distance any point on the cast shape moves
+    var dot = Math.abs(
+        fromQuaternion.x * toQuaternion.x +
+        fromQuaternion.y * toQuaternion.y +
+        fromQuaternion.z * toQuaternion.z +
+        fromQuaternion.w * toQuaternion.w
+    );
+    var motion = length + 2 * Math.acos(Math.min(dot, 1)) * shape.boundingSphereRadius;
+
+    // Sample the sweep to find an overlapping pose, then refine by bisection
+    var numSamples = Math.min(Math.max(Math.ceil(motion / innerRadius), 1), World.CONVEX_CAST_MAX_SAMPLES);
+    var lower = 0,
+        upper = -1;
+    for(i = 1; i <= numSamples; i++){
+        var t = i / numSamples;
+        if(convexCastSample(this, shape, fromTransform, toTransform, t) !== -1){
+            upper = t;
+            break;
+        }
+        lower = t;
+    }
+
+    if(upper === -1){
+        candidateBodies.length = candidateShapes.length = 0;
+        return false;
+    }
+
+    // The interval can't be halved further than the floating point precision, so a zero precision would loop forever
+    for(j = 0; j < 64 && (upper - lower) * motion > precision; j++){
+        var mid = (lower + upper) / 2;
+        if(convexCastSample(this, shape, fromTransform, toTransform, mid) !== -1){
+            upper = mid;
+        } else {
+            lower = mid;
+        }
+    }
+
+    var hitIndex = convexCastSample(this, shape, fromTransform, toTransform, upper);
+    var hitBody = candidateBodies[hitIndex],
+        hitShapeIndex = candidateShapes[hitIndex];
+
+    result.hasHit = true;
+    result.body = hitBody;
+    result.shape = hitBody.shapes[hitShapeIndex];
+    result.timeOfImpact = lower;
+    result.distance = lower * length;
+
+    // Get the hit point and normal from the deepest contact in the overlapping pose
+    var contacts = convexCast_contacts;
+    var xj = convexCast_shapePosition, qj = convexCast_shapeQuaternion;
+    hitBody.quaternion.mult(hitBody.shapeOrientations[hitShapeIndex], qj);
+    hitBody.quaternion.vmult(hitBody.shapeOffsets[hitShapeIndex], xj);
+    xj.vadd(hitBody.position, xj);
+    this.narrowphase.shapeContacts(shape, castBody.position, castBody.quaternion, castBody, result.shape, xj, qj, hitBody, false, contacts);
+
+    var maxDepth = -Infinity;
+    for(i = 0; i < contacts.length; i++){
+        var depth = getContactInfo(contacts[i], castBody, convexCast_point, convexCast_castPoint, convexCast_normal);
+        if(depth > maxDepth){
+            maxDepth = depth;
+            result.hitPointWorld.copy(convexCast_point);
+            result.hitNormalWorld.copy(convexCast_normal);
+        }
+    }
+    this.narrowphase.releaseContacts(contacts);
+
+    if(maxDepth === -Infinity){
+        // No contact could be generated, fall back to the cast direction
+        toPosition.vsub(fromPosition, result.hitNormalWorld);
+        result.hitNormalWorld.negate(result.hitNormalWorld);
+        result.hitNormalWorld.normalize();
+        result.hitPointWorld.copy(castBody.position);
+    }
+
+    candidateBodies.length = candidateShapes.length = 0;
+
+    return true;
+};
+
+/**
+ * Check if the cast shape, placed at the pose of the convex cast body, overlaps a shape of a body.
+ * @private
+ * @param  {World} world
+ * @param  {Shape} shape
+ * @param  {Body} body
+ * @param  {number} shapeIndex
+ * @return {boolean}
+ */
+function convexCastOverlaps(world, shape, body, shapeIndex){
+    var castBody = convexCast_body,
+        xj = convexCast_shapePosition,
+        qj = convexCast_shapeQuaternion,
+        bodyShape = body.shapes[shapeIndex];
+
+    if(!((shape.collisionFilterMask & bodyShape.collisionFilterGroup) && (bodyShape.collisionFilterMask & shape.collisionFilterGroup))){
+        return false;
+    }
+
+    body.quaternion.mult(body.shapeOrientations[shapeIndex], qj);
+    body.quaternion.vmult(body.shapeOffsets[shapeIndex], xj);
+    xj.vadd(body.position, xj);
+
+    if(castBody.position.distanceTo(xj) > shape.boundingSphereRadius + bodyShape.boundingSphereRadius){
+        return false;
+    }
+
+    return world.narrowphase.shapesOverlap(shape, castBody.position, castBody.quaternion, castBody, bodyShape, xj, qj, body);
+}
+
+/**
+ * Move the convex cast body to a fraction of the sweep and get the index of the first overlapping candidate shape, or -1 if there is none.
+ * @private
+ * @param  {World} world
+ * @param  {Shape} shape
+ * @param  {Transform} fromTransform
+ * @param  {Transform} toTransform
+ * @param  {number} t
+ * @return {number}
+ */
+function convexCastSample(world, shape, fromTransform, toTransform, t){
+    var castBody = convexCast_body,
+        candidateBodies = convexCast_candidateBodies,
+        candidateShapes = convexCast_candidateShapes;
+
+    fromTransform.position.lerp(toTransform.position, t, castBody.position);
+    fromTransform.quaternion.slerp(toTransform.quaternion, t, castBody.quaternion);
+
+    for(var i = 0; i < candidateShapes.length; i++){
+        if(convexCastOverlaps(world, shape, candidateBodies[i], candidateShapes[i])){
+            return i;
+        }
+    }
+    return -1;
+}
+
+var getContactInfo_diff = new Vec3();
+
+/**
+ * Get the contact points, normal and penetration depth of a contact equation, as seen from one of its bodies.
+ * @private
+ * @param  {ContactEquation} c
+ * @param  {Body} body
+ * @param  {Vec3} point Will be set to the contact point on the other body.
+ * @param  {Vec3} bodyPoint Will be set to the contact point on the given body.
+ * @param  {Vec3} normal Will be set to the contact normal, pointing from the other body towards the given body.
+ * @return {number} The penetration depth.
+ */
+function getContactInfo(c, body, point, bodyPoint, normal){
+    if(c.bi === body){
+        c.bi.position.vadd(c.ri, bodyPoint);
+        c.bj.position.vadd(c.rj, point);
+        c.ni.negate(normal);
+    } else {
+        c.bj.position.vadd(c.rj, bodyPoint);
+        c.bi.position.vadd(c.ri, point);
+        normal.copy(c.ni);
+    }
+    point.vsub(bodyPoint, getContactInfo_diff);
+    return getContactInfo_diff.dot(normal);
+}
+
+var overlapShape_body = new Body();
+
+/**
+ * Find the bodies and shapes that overlap a shape at a given pose, without stepping the world. Uses the broadphase .aabbQuery() and the narrowphase in test mode.
+ * @method overlapShape
+ * @param  {Shape} shape
+ * @param  {Vec3} position
+ * @param  {Quaternion} quaternion
+ * @param  {Object} [options]
+ * @param  {number} [options.collisionFilterMask=-1]
+ * @param  {number} [options.collisionFilterGroup=-1]
+ * @param  {boolean} [options.checkCollisionResponse=true]
+ * @param  {boolean} [options.contacts=false] Set to true to also get the contact points and penetration depths of each overlap.
+ * @param  {Array} [result] Array to add the overlaps to. See .contactTest() for the format.
+ * @return {Array} The result array.
+ * @example
+ *     var overlaps = world.overlapShape(new Sphere(1), new Vec3(0, 0, 1), new Quaternion());
+ *     for(var i = 0; i < overlaps.length; i++){
+ *         console.log('Overlapping body ' + overlaps[i].body.id);
+ *     }
+ */
+World.prototype.overlapShape = function(shape, position, quaternion, options, result){
+    options = options || {};
+    result = result || [];
+
+    var body = overlapShape_body;
+    body.position.copy(position);
+    body.quaternion.copy(quaternion);
+    body.collisionFilterGroup = typeof(options.collisionFilterGroup) !== 'undefined' ? options.collisionFilterGroup : -1;
+    body.collisionFilterMask = typeof(options.collisionFilterMask) !== 'undefined' ? options.collisionFilterMask : -1;
+
+    overlapQuery(this, body, shape, position, quaternion, options, result);
+
+    return result;
+};
+
+var contactTest_position = new Vec3();
+var contactTest_quaternion = new Quaternion();
+
+/**
+ * Find the bodies and shapes that overlap a body in its current pose, without stepping the world. The collision filter of the body is used, and the body can be in any world, or in none.
+ *
+ * Each overlap is added to the result as an object with the properties: body (the overlapping Body), shape (the overlapping Shape) and queryShape (the Shape of the queried body, or the shape given to .overlapShape()). If options.contacts is set, each overlap also has a contacts array, with objects with the properties: point (Vec3 on the overlapping shape), queryPoint (Vec3 on the query shape), normal (Vec3 pointing from the overlapping shape towards the query shape) and depth (the penetration depth).
+ *
+ * @method contactTest
+ * @param  {Body} body
+ * @param  {Object} [options]
+ * @param  {boolean} [options.checkCollisionResponse=true]
+ * @param  {boolean} [options.contacts=false] Set to true to also get the contact points and penetration depths of each overlap.
+ * @param  {Array} [result] Array to add the overlaps to.
+ * @return {Array} The result array.
+ */
+World.prototype.contactTest = function(body, options, result){
+    options = options || {};
+    result = result || [];
+
+    var position = contactTest_position,
+        quaternion = contactTest_quaternion;
+    for(var i = 0; i < body.shapes.length; i++){
+        body.quaternion.mult(body.shapeOrientations[i], quaternion);
+        body.quaternion.vmult(body.shapeOffsets[i], position);
+        position.vadd(body.position, position);
+        overlapQuery(this, body, body.shapes[i], position, quaternion, options, result);
+    }
+
+    return result;
+};
+
+var overlapQuery_aabb = new AABB();
+var overlapQuery_bodies = [];
+var overlapQuery_contacts = [];
+var overlapQuery_position = new Vec3();
+var overlapQuery_quaternion = new Quaternion();
+
+/**
+ * Add the overlaps of a shape of a query body to a result array.
+ * @private
+ * @param  {World} world
+ * @param  {Body} queryBody
+ * @param  {Shape} queryShape
+ * @param  {Vec3} position World position of the query shape.
+ * @param  {Quaternion} quaternion World orientation of the query shape.
+ * @param  {Object} options
+ * @param  {Array} result
+ */
+function overlapQuery(world, queryBody, queryShape, position, quaternion, options, result){
+    var checkCollisionResponse = typeof(options.checkCollisionResponse) !== 'undefined' ? options.checkCollisionResponse : true,
+        narrowphase = world.narrowphase,
+        aabb = overlapQuery_aabb,
+        bodies = overlapQuery_bodies,
+        contacts = overlapQuery_contacts,
+        xj = overlapQuery_position,
+        qj = overlapQuery_quaternion;
+
+    if(checkCollisionResponse && !queryShape.collisionResponse){
+        return;
+    }
+
+    queryShape.calculateWorldAABB(position, quaternion, aabb.lowerBound, aabb.upperBound);
+    bodies.length = 0;
+    world.broadphase.aabbQuery(world, aabb, bodies);
+
+    for(var i = 0; i < bodies.length; i++){
+        var body = bodies[i];
+        if(body === queryBody){
+            continue;
+        }
+        if((queryBody.collisionFilterGroup & body.collisionFilterMask) === 0 || (body.collisionFilterGroup & queryBody.collisionFilterMask) === 0){
+            continue;
+        }
+        if(checkCollisionResponse && (!body.collisionResponse || body.sensor)){
+            continue;
+        }
+
+        for(var j = 0; j < body.shapes.length; j++){
+            var shape = body.shapes[j];
+            if(checkCollisionResponse && (!shape.collisionResponse || shape.sensor)){
+                continue;
+            }
+            if(!((queryShape.collisionFilterMask & shape.collisionFilterGroup) && (shape.collisionFilterMask & queryShape.collisionFilterGroup))){
+                continue;
+            }
+
+            body.quaternion.mult(body.shapeOrientations[j], qj);
+            body.quaternion.vmult(body.shapeOffsets[j], xj);
+            xj.vadd(body.position, xj);
+
+            if(position.distanceTo(xj) > queryShape.boundingSphereRadius + shape.boundingSphereRadius){
+                continue;
+            }
+
+            var overlap;
+            if(options.contacts){
+                if(!narrowphase.shapeContacts(queryShape, position, quaternion, queryBody, shape, xj, qj, body, false, contacts)){
+                    continue;
+                }
+                overlap = {
+                    body: body,
+                    shape: shape,
+                    queryShape: queryShape,
+                    contacts: []
+                };
+                for(var k = 0; k < contacts.length; k++){
+                    var contact = {
+                        point: new Vec3(),
+                        queryPoint: new Vec3(),
+                        normal: new Vec3(),
+                        depth: 0
+                    };
+                    contact.depth = getContactInfo(contacts[k], queryBody, contact.point, contact.queryPoint, contact.normal);
+                    overlap.contacts.push(contact);
+                }
+                narrowphase.releaseContacts(contacts);
+            } else {
+                if(!narrowphase.shapesOverlap(queryShape, position, quaternion, queryBody, shape, xj, qj, body)){
+                    continue;
+                }
+                overlap = {
+                    body: body,
+                    shape: shape,
+                    queryShape: queryShape
+                };
+            }
+            result.push(overlap);
+        }
+    }
+
+    bodies.length = 0;
+}
+
+var sphereCast_sphere = new Sphere(1);
+var sphereCast_from = new Transform();
+var sphereCast_to = new Transform();
+
+/**
+ * Sweep a sphere between two points, and return information about the first hit. See .convexCast().
+ * @method sphereCast
+ * @param  {number} radius
+ * @param  {Vec3} from
+ * @param  {Vec3} to
+ * @param  {Object} [options] See .convexCast().
+ * @param  {ShapeCastResult} [result]
+ * @return {boolean} True if any body was hit.
+ */
+World.prototype.sphereCast = function(radius, from, to, options, result){
+    var sphere = sphereCast_sphere;
+    sphere.radius = radius;
+    sphere.updateBoundingSphereRadius();
+    sphereCast_from.position.copy(from);
+    sphereCast_to.position.copy(to);
+    return this.convexCast(sphere, sphereCast_from, sphereCast_to, options, result);
+};
+
+var boxCast_box = new Box(new Vec3(1,1,1));
+var boxCast_from = new Transform();
+var boxCast_to = new Transform();
+
+/**
+ * Sweep a box between two points, and return information about the first hit. See .convexCast().
+ * @method boxCast
+ * @param  {Vec3} halfExtents
+ * @param  {Vec3} from
+ * @param  {Vec3} to
+ * @param  {Object} [options] See .convexCast().
+ * @param  {Quaternion} [options.quaternion] Orientation of the box.
+ * @param  {ShapeCastResult} [result]
+ * @return {boolean} True if any body was hit.
+ */
+World.prototype.boxCast = function(halfExtents, from, to, options, result){
+    var box = boxCast_box;
+    if(!box.halfExtents.almostEquals(halfExtents, 0)){
+        box.halfExtents.copy(halfExtents);
+        box.updateConvexPolyhedronRepresentation();
+        box.updateBoundingSphereRadius();
+    }
+    boxCast_from.position.copy(from);
+    boxCast_to.position.copy(to);
+    if(options && options.quaternion){
+        boxCast_from.quaternion.copy(options.quaternion);
+        boxCast_to.quaternion.copy(options.quaternion);
+    } else {
+        boxCast_from.quaternion.set(0,0,0,1);
+        boxCast_to.quaternion.set(0,0,0,1);
+    }
+    return this.convexCast(box, boxCast_from, boxCast_to, options, result);
+};
+
 /**
  * Remove a rigid body from the simulation.
  * @method remove
@@ -563,6 +1549,17 @@ var
      */
     World_step_preStepEvent = {type:"preStep"},
     World_step_collideEvent = {type:Body.COLLIDE_EVENT_NAME, body:null, contact:null },
+    /**
+     * Dispatched after the solver, when a constraint has been broken. See Constraint.breakingImpulseThreshold.
+     * @event constraintBroken
+     * @param {Constraint} constraint The constraint, which has been disabled and removed from the world.
+     * @param {Number} impulse The impulse that broke the constraint.
+     */
+    World_step_constraintBrokenEvent = {type:"constraintBroken", constraint:null, impulse:0 },
+    World_step_brokenConstraints = [],
+    World_step_brokenImpulses = [],
+    World_step_sleepEquations = [],
+    World_step_approachSpeeds = [],
     World_step_oldContacts = [], // Pools for unused objects
     World_step_frictionEquationPool = [],
     World_step_p1 = [], // Reusable arrays for collision pairs
@@ -619,6 +1616,11 @@ World.prototype.internalStep = function(dt){
         }
     }
 
+    // Add spring forces
+    for(i=0; i!==this.springs.length; i++){
+        this.springs[i].applyForce();
+    }
+
     // Update subsystems
     for(var i=0, Nsubsystems=this.subsystems.length; i!==Nsubsystems; i++){
         this.subsystems[i].update();
@@ -629,6 +1631,9 @@ World.prototype.internalStep = function(dt){
     p1.length = 0; // Clean up pair arrays from last step
     p2.length = 0;
     this.broadphase.collisionPairs(this,p1,p2);
+    if(this.deterministic){
+        this.broadphase.sortPairs(p1,p2);
+    }
     if(doProfiling){ profile.broadphase = performance.now() - profilingStart; }
 
     // Remove constrained pairs with collideConnected == false
@@ -689,41 +1694,28 @@ World.prototype.internalStep = function(dt){
         solver.addEquation(this.frictionEquations[i]);
     }
 
+    // The approach speeds have to be measured before the solver changes the velocities
+    var reportContacts = this.hasAnyEventListener('contactReport');
+    var approachSpeeds = World_step_approachSpeeds;
+    approachSpeeds.length = 0;
+
     var ncontacts = contacts.length;
     for(var k=0; k!==ncontacts; k++){
 
         // Current contact
         var c = contacts[k];
 
+        if(reportContacts){
+            approachSpeeds.push(c.getImpactVelocityAlongNormal());
+        }
+
         // Get current collision indeces
         var bi = c.bi,
             bj = c.bj,
             si = c.si,
             sj = c.sj;
 
-        // Get collision properties
-        var cm;
-        if(bi.material && bj.material){
-            cm = this.getContactMaterial(bi.material,bj.material) || this.defaultContactMaterial;
-        } else {
-            cm = this.defaultContactMaterial;
-        }
-
-        // c.enabled = bi.collisionResponse && bj.collisionResponse && si.collisionResponse && sj.collisionResponse;
-
-        var mu = cm.friction;
-        // c.restitution = cm.restitution;
-
-        // If friction or restitution were specified in the material, use them
-        if(bi.material && bj.material){
-            if(bi.material.friction >= 0 && bj.material.friction >= 0){
-                mu = bi.material.friction * bj.material.friction;
-            }
-
-            if(bi.material.restitution >= 0 && bj.material.restitution >= 0){
-                c.restitution = bi.material.restitution * bj.material.restitution;
-            }
-        }
+        // Friction and restitution were set up by the Narrowphase
 
 		// c.setSpookParams(
   //           cm.contactEquationStiffness,
@@ -817,6 +1809,7 @@ World.prototype.internalStep = function(dt){
     }
 
     this.emitContactEvents();
+    this.emitTriggerEvents();
 
     if(doProfiling){
         profile.makeContactConstraints = performance.now() - profilingStart;
@@ -850,6 +1843,53 @@ World.prototype.internalStep = function(dt){
         profile.solve = performance.now() - profilingStart;
     }
 
+    // Record constraint feedback, and find the constraints that had to apply too much impulse
+    var constraintFeedback = this.constraintFeedback,
+        brokenConstraints = World_step_brokenConstraints,
+        brokenImpulses = World_step_brokenImpulses;
+    for(i=0; i!==Nconstraints; i++){
+        var c = constraints[i];
+        if(constraintFeedback){
+            c.updateFeedback();
+        }
+        // Number.MAX_VALUE and Infinity mean unbreakable
+        if(c.breakingImpulseThreshold < Number.MAX_VALUE){
+            var impulse = c.getAppliedImpulse();
+            if(impulse > c.breakingImpulseThreshold){
+                brokenConstraints.push(c);
+                brokenImpulses.push(impulse);
+            }
+        }
+    }
+
+    // Break them after the loop, since the listeners may remove other constraints
+    for(i=0; i!==brokenConstraints.length; i++){
+        var c = brokenConstraints[i];
+        if(constraints.indexOf(c) === -1){
+            continue;
+        }
+        c.disable();
+        this.removeConstraint(c);
+        World_step_constraintBrokenEvent.constraint = c;
+        World_step_constraintBrokenEvent.impulse = brokenImpulses[i];
+        this.dispatchEvent(World_step_constraintBrokenEvent);
+        World_step_constraintBrokenEvent.constraint = null;
+    }
+    brokenConstraints.length = brokenImpulses.length = 0;
+
+    if(reportContacts){
+        this.emitContactReportEvents(approachSpeeds);
+    }
+
+    // Remember the equations, to find the islands for sleeping
+    var sleepEquations = World_step_sleepEquations;
+    sleepEquations.length = 0;
+    if(this.allowSleep){
+        for(i=0; i!==solver.equations.length; i++){
+            sleepEquations.push(solver.equations[i]);
+        }
+    }
+
     // Remove all contacts from solver
     solver.removeAllEquations();
 
@@ -917,10 +1957,84 @@ World.prototype.internalStep = function(dt){
 
     // Sleeping update
     if(this.allowSleep){
-        for(i=0; i!==N; i++){
-            bodies[i].sleepTick(this.time);
+        this.updateSleepIslands(sleepEquations);
+        sleepEquations.length = 0;
+    }
+};
+
+var updateSleepIslands_graph = new IslandGraph();
+var updateSleepIslands_bodies = [];
+var updateSleepIslands_equations = [];
+
+/**
+ * Update the sleep state of the bodies, island by island. An island is a group of bodies that are connected by contacts and constraints, see IslandGraph. An island falls asleep when all of its bodies are ready to sleep, and a sleeping island is woken up as a whole when one of its bodies is touched by a moving body.
+ * @method updateSleepIslands
+ * @private
+ * @param {Array} equations The equations that were solved in the last step.
+ */
+World.prototype.updateSleepIslands = function(equations){
+    var graph = updateSleepIslands_graph,
+        islandBodies = updateSleepIslands_bodies,
+        islandEquations = updateSleepIslands_equations,
+        bodies = this.bodies,
+        time = this.time,
+        i, b;
+
+    graph.reset(bodies);
+    for(i=0; i!==equations.length; i++){
+        graph.addEquation(equations[i]);
+    }
+
+    // Sleeping bodies are not tested for collisions with each other, keep the bodies that fell asleep together linked
+    for(i=0; i!==bodies.length; i++){
+        b = bodies[i];
+        if(b.sleepIslandRoot){
+            graph.connect(b, b.sleepIslandRoot);
+        }
+    }
+
+    while(graph.nextIsland(islandBodies, islandEquations)){
+        var ready = true,
+            sleeping = false,
+            active = false;
+
+        for(i=0; i!==islandBodies.length; i++){
+            b = islandBodies[i];
+            if(b.sleepState === Body.SLEEPING){
+                sleeping = true;
+                continue;
+            }
+            if(!b.updateSleepyState(time)){
+                ready = false;
+            }
+            var speedSquared = b.velocity.norm2() + b.angularVelocity.norm2();
+            if(b.sleepState === Body.AWAKE && speedSquared >= b.sleepSpeedLimit * b.sleepSpeedLimit){
+                active = true;
+            }
+        }
+
+        if(ready){
+            // Every body is sleeping or ready to sleep
+            for(i=0; i!==islandBodies.length; i++){
+                b = islandBodies[i];
+                b.sleepIslandRoot = islandBodies[0];
+                if(b.sleepState !== Body.SLEEPING){
+                    b.sleep();
+                    b.dispatchEvent(Body.sleepEvent);
+                }
+            }
+        } else if(active){
+            for(i=0; i!==islandBodies.length; i++){
+                b = islandBodies[i];
+                b.sleepIslandRoot = null;
+                if(b.sleepState === Body.SLEEPING){
+                    b.wakeUp();
+                }
+            }
         }
     }
+
+    islandBodies.length = islandEquations.length = 0;
 };
 
 World.prototype.emitContactEvents = (function(){
@@ -1014,6 +2128,319 @@ World.prototype.emitContactEvents = (function(){
     };
 })();
 
+/**
+ * Dispatched when a shape starts to overlap a sensor. The event is dispatched on the world and on the sensor body.
+ * @event triggerEnter
+ * @param {Body} bodyA The sensor body.
+ * @param {Body} bodyB
+ * @param {Shape} shapeA The sensor shape, or a shape of a sensor body.
+ * @param {Shape} shapeB
+ */
+/**
+ * Dispatched in each step that a shape keeps overlapping a sensor. The event is dispatched on the world and on the sensor body.
+ * @event triggerStay
+ * @param {Body} bodyA The sensor body.
+ * @param {Body} bodyB
+ * @param {Shape} shapeA
+ * @param {Shape} shapeB
+ */
+/**
+ * Dispatched when a shape stops overlapping a sensor, or when one of them was removed from the world. The event is dispatched on the world and on the sensor body.
+ * @event triggerExit
+ * @param {Body} bodyA The sensor body.
+ * @param {Body} bodyB
+ * @param {Shape} shapeA
+ * @param {Shape} shapeB
+ */
+var emitTriggerEvents_additions = [],
+    emitTriggerEvents_removals = [],
+    emitTriggerEvents_added = {},
+    emitTriggerEvents_removed = {},
+    emitTriggerEvents_enterEvent = { type: 'triggerEnter', bodyA: null, bodyB: null, shapeA: null, shapeB: null },
+    emitTriggerEvents_stayEvent = { type: 'triggerStay', bodyA: null, bodyB: null, shapeA: null, shapeB: null },
+    emitTriggerEvents_exitEvent = { type: 'triggerExit', bodyA: null, bodyB: null, shapeA: null, shapeB: null };
+
+/**
+ * Dispatch the trigger events, and update the overlap lists of the sensor bodies.
+ * @method emitTriggerEvents
+ * @private
+ */
+World.prototype.emitTriggerEvents = function(){
+    var pairs = this.triggerPairs,
+        previousPairs = this.triggerPairsPrevious,
+        keeper = this.triggerOverlapKeeper,
+        additions = emitTriggerEvents_additions,
+        removals = emitTriggerEvents_removals,
+        added = emitTriggerEvents_added,
+        removed = emitTriggerEvents_removed,
+        i, key;
+
+    // The broadphase skips pairs where both bodies are static or sleeping, those overlaps are still there
+    for(i = 0; i < previousPairs.length; i += 2){
+        var bodyA = previousPairs[i].body,
+            bodyB = previousPairs[i+1].body;
+        if(bodyA.world === this && bodyB.world === this && isStaticOrSleeping(bodyA) && isStaticOrSleeping(bodyB)){
+            this.addTriggerOverlap(previousPairs[i], previousPairs[i+1]);
+        }
+    }
+
+    if(!pairs.length && !previousPairs.length){
+        return;
+    }
+
+    keeper.getDiff(additions, removals);
+    for(i = 0; i < additions.length; i += 2){
+        added[keeper.getKey(additions[i], additions[i+1])] = true;
+    }
+    for(i = 0; i < removals.length; i += 2){
+        removed[keeper.getKey(removals[i], removals[i+1])] = true;
+    }
+
+    for(i = 0; i < previousPairs.length; i += 2){
+        key = keeper.getKey(previousPairs[i].id, previousPairs[i+1].id);
+        if(removed[key]){
+            this.dispatchTriggerEvent(emitTriggerEvents_exitEvent, previousPairs[i], previousPairs[i+1]);
+        }
+    }
+
+    for(i = 0; i < pairs.length; i += 2){
+        key = keeper.getKey(pairs[i].id, pairs[i+1].id);
+        this.dispatchTriggerEvent(added[key] ? emitTriggerEvents_enterEvent : emitTriggerEvents_stayEvent, pairs[i], pairs[i+1]);
+    }
+
+    for(i = 0; i < additions.length; i += 2){
+        delete added[keeper.getKey(additions[i], additions[i+1])];
+    }
+    for(i = 0; i < removals.length; i += 2){
+        delete removed[keeper.getKey(removals[i], removals[i+1])];
+    }
+    additions.length = removals.length = 0;
+
+    this.updateTriggerOverlapLists();
+};
+
+/**
+ * Update the .overlappingBodies and .overlappingShapes lists of the sensor bodies from the current trigger pairs.
+ * @method updateTriggerOverlapLists
+ * @private
+ */
+World.prototype.updateTriggerOverlapLists = function(){
+    var pairs = this.triggerPairs,
+        triggerBodies = this.triggerBodies,
+        i;
+
+    for(i = 0; i < triggerBodies.length; i++){
+        triggerBodies[i].overlappingBodies.length = 0;
+        triggerBodies[i].overlappingShapes.length = 0;
+    }
+    triggerBodies.length = 0;
+    for(i = 0; i < pairs.length; i += 2){
+        addTriggerOverlapToBody(triggerBodies, pairs[i], pairs[i+1]);
+        if(pairs[i+1].sensor || pairs[i+1].body.sensor){
+            addTriggerOverlapToBody(triggerBodies, pairs[i+1], pairs[i]);
+        }
+    }
+};
+
+function isStaticOrSleeping(body){
+    return (body.type & Body.STATIC) !== 0 || body.sleepState === Body.SLEEPING;
+}
+
+function addTriggerOverlapToBody(triggerBodies, sensorShape, shape){
+    var sensorBody = sensorShape.body;
+    if(!sensorBody.overlappingShapes.length){
+        triggerBodies.push(sensorBody);
+    }
+    if(sensorBody.overlappingBodies.indexOf(shape.body) === -1){
+        sensorBody.overlappingBodies.push(shape.body);
+    }
+    if(sensorBody.overlappingShapes.indexOf(shape) === -1){
+        sensorBody.overlappingShapes.push(shape);
+    }
+}
+
+/**
+ * Dispatch a trigger event on the world and the sensor bodies of a shape pair.
+ * @method dispatchTriggerEvent
+ * @private
+ * @param {Object} event
+ * @param {Shape} sensorShape
+ * @param {Shape} shape
+ */
+World.prototype.dispatchTriggerEvent = function(event, sensorShape, shape){
+    event.bodyA = sensorShape.body;
+    event.bodyB = shape.body;
+    event.shapeA = sensorShape;
+    event.shapeB = shape;
+    this.dispatchEvent(event);
+    sensorShape.body.dispatchEvent(event);
+
+    // Both can be sensors
+    if(shape.sensor || shape.body.sensor){
+        event.bodyA = shape.body;
+        event.bodyB = sensorShape.body;
+        event.shapeA = shape;
+        event.shapeB = sensorShape;
+        shape.body.dispatchEvent(event);
+    }
+
+    event.bodyA = event.bodyB = event.shapeA = event.shapeB = null;
+};
+
+/**
+ * Dispatched by the Narrowphase for each new contact, before it is added to the solver. Change the properties of the event to modify the contact, for example to make one-way platforms or surfaces with custom friction. The event object is reused.
+ * @event preSolve
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {Shape} shapeA
+ * @param {Shape} shapeB
+ * @param {ContactEquation} contact The normal of the contact points from bodyA to bodyB.
+ * @param {Array} frictionEquations The FrictionEquations of the contact. If Narrowphase.enableFrictionReduction is on, these are shared by all contacts of the shape pair, and the changes made for the last contact are used.
+ * @param {Boolean} enabled Set to false to disable the contact and its friction.
+ * @param {Number} friction The friction coefficient. Only has an effect if the contact has friction equations, which is the case when the friction coefficient is larger than zero.
+ * @param {Number} restitution
+ * @param {Number} stiffness Stiffness of the contact equation.
+ * @param {Number} relaxation Relaxation of the contact equation.
+ * @param {Vec3} surfaceVelocity Velocity of the surface of bodyA relative to the surface of bodyB, in world space. The friction will try to make bodyB move with this velocity relative to bodyA. Starts as the sum of Body.surfaceVelocity and ContactMaterial.surfaceVelocity.
+ */
+/**
+ * Dispatched once per step for each pair of bodies in contact, after the solver.
+ * The event object, its points and normal are reused, copy them if you need to keep them.
+ * @event contactReport
+ * @param {Body} bodyA
+ * @param {Body} bodyB
+ * @param {Array} contacts The ContactEquations between the two bodies.
+ * @param {Array} points The contact points in world space, halfway between the two surfaces.
+ * @param {Vec3} normal The average contact normal, pointing from bodyA to bodyB.
+ * @param {Number} impulse The total normal impulse that the solver applied.
+ * @param {Number} maxPenetration The largest penetration depth of the contact points.
+ * @param {Number} approachSpeed The largest relative velocity along the normal, before the solver. Positive when the bodies approach each other.
+ * @param {Number} slidingSpeed The average relative tangential velocity in the contact points, after the solver.
+ * @param {Number} rollingSpeed The relative angular velocity perpendicular to the normal, after the solver.
+ */
+var emitContactReportEvents_event = {
+        type: 'contactReport',
+        bodyA: null,
+        bodyB: null,
+        contacts: [],
+        points: [],
+        normal: new Vec3(),
+        impulse: 0,
+        maxPenetration: 0,
+        approachSpeed: 0,
+        slidingSpeed: 0,
+        rollingSpeed: 0
+    },
+    emitContactReportEvents_pointPool = [],
+    emitContactReportEvents_xi = new Vec3(),
+    emitContactReportEvents_xj = new Vec3(),
+    emitContactReportEvents_vi = new Vec3(),
+    emitContactReportEvents_vj = new Vec3(),
+    emitContactReportEvents_n = new Vec3(),
+    emitContactReportEvents_relVel = new Vec3();
+
+/**
+ * Dispatch a contactReport event for each pair of bodies in .contacts. Must be called after the solver.
+ * @method emitContactReportEvents
+ * @private
+ * @param {Array} approachSpeeds The normal velocities of the contacts, measured before the solver.
+ */
+World.prototype.emitContactReportEvents = function(approachSpeeds){
+    var contacts = this.contacts,
+        event = emitContactReportEvents_event,
+        pool = emitContactReportEvents_pointPool,
+        xi = emitContactReportEvents_xi,
+        xj = emitContactReportEvents_xj,
+        vi = emitContactReportEvents_vi,
+        vj = emitContactReportEvents_vj,
+        n = emitContactReportEvents_n,
+        relVel = emitContactReportEvents_relVel,
+        h = this.dt,
+        N = contacts.length,
+        start = 0;
+
+    while(start < N){
+        var bodyA = contacts[start].bi,
+            bodyB = contacts[start].bj;
+
+        // The contacts of a body pair are next to each other, but the bodies may be swapped between shape pairs
+        var end = start + 1;
+        while(end < N && (
+            (contacts[end].bi === bodyA && contacts[end].bj === bodyB) ||
+            (contacts[end].bi === bodyB && contacts[end].bj === bodyA)
+        )){
+            end++;
+        }
+
+        event.bodyA = bodyA;
+        event.bodyB = bodyB;
+        event.contacts.length = event.points.length = 0;
+        event.normal.set(0,0,0);
+        event.impulse = event.slidingSpeed = 0;
+        event.maxPenetration = event.approachSpeed = -Number.MAX_VALUE;
+
+        for(var i=start; i<end; i++){
+            var c = contacts[i];
+
+            xi.copy(c.bi.position).vadd(c.ri, xi);
+            xj.copy(c.bj.position).vadd(c.rj, xj);
+
+            if(pool.length <= event.points.length){
+                pool.push(new Vec3());
+            }
+            var point = pool[event.points.length];
+            xi.vadd(xj, point);
+            point.scale(0.5, point);
+            event.points.push(point);
+            event.contacts.push(c);
+
+            if(c.bi === bodyA){
+                event.normal.vadd(c.ni, event.normal);
+            } else {
+                event.normal.vsub(c.ni, event.normal);
+            }
+
+            if(c.enabled){
+                event.impulse += Math.abs(c.multiplier) * h;
+            }
+
+            xi.vsub(xj, relVel);
+            var penetration = relVel.dot(c.ni);
+            if(penetration > event.maxPenetration){
+                event.maxPenetration = penetration;
+            }
+
+            if(approachSpeeds[i] > event.approachSpeed){
+                event.approachSpeed = approachSpeeds[i];
+            }
+
+            // Tangential part of the relative velocity in the contact point
+            c.bi.getVelocityAtWorldPoint(point, vi);
+            c.bj.getVelocityAtWorldPoint(point, vj);
+            vi.vsub(vj, relVel);
+            c.ni.scale(relVel.dot(c.ni), n);
+            relVel.vsub(n, relVel);
+            event.slidingSpeed += relVel.length();
+        }
+
+        event.normal.normalize();
+        event.slidingSpeed /= end - start;
+
+        // Rolling is the relative rotation about the axes in the contact plane
+        bodyA.angularVelocity.vsub(bodyB.angularVelocity, relVel);
+        event.normal.scale(relVel.dot(event.normal), n);
+        relVel.vsub(n, relVel);
+        event.rollingSpeed = relVel.length();
+
+        this.dispatchEvent(event);
+
+        start = end;
+    }
+
+    event.bodyA = event.bodyB = null;
+    event.contacts.length = event.points.length = 0;
+};
+
 /**
  * Sets all body forces in the world to zero.
  * @method clearForces
@@ -186,6 +186,30 @@ module.exports = {
             })
         );
 
+        test.done();
+    },
+    overlapsSegment: function(test){
+        var a = new AABB({
+            lowerBound: new Vec3(-1,-1,-1),
+            upperBound: new Vec3(1,1,1)
+        });
+
+        // Through the box
+        test.ok(a.overlapsSegment(new Vec3(-2,0,0), new Vec3(2,0,0)));
+
+        // Starts inside
+        test.ok(a.overlapsSegment(new Vec3(0,0,0), new Vec3(5,5,5)));
+
+        // Stops before the box
+        test.ok(!a.overlapsSegment(new Vec3(-5,0,0), new Vec3(-2,0,0)));
+
+        // Parallel to an axis, but outside the box
+        test.ok(!a.overlapsSegment(new Vec3(-2,2,0), new Vec3(2,2,0)));
+
+        // Diagonal, passing a corner
+        test.ok(!a.overlapsSegment(new Vec3(0,3,0), new Vec3(3,0,0)));
+        test.ok(a.overlapsSegment(new Vec3(0,1.5,0), new Vec3(1.5,0,0)));
+
         test.done();
     },
 };
@@ -4,6 +4,8 @@ var Quaternion = require("../src/math/Quaternion");
 var Box =      require('../src/shapes/Box');
 var Sphere =      require('../src/shapes/Sphere');
 var Body =      require('../src/objects/Body');
+var Particle =  require('../src/shapes/Particle');
+var World =     require('../src/world/World');
 
 module.exports = {
     computeAABB : {
@@ -160,4 +162,115 @@ module.exports = {
 
         test.done();
     },
+
+    integrateToTimeOfImpact : {
+        sphere: function(test){
+            var world = createThinWallWorld();
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 0, linearDamping: 0 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            // The sphere should be stopped at the wall, slightly penetrating it
+            test.ok(body.position.x > -0.11 && body.position.x < -0.09, 'sphere should stop at the wall, got ' + body.position.x);
+            test.ok(body.velocity.almostEquals(new Vec3(600,0,0)), 'velocity should be kept');
+            test.done();
+        },
+
+        box: function(test){
+            var world = createThinWallWorld();
+            var body = new Body({ mass: 1, shape: new Box(new Vec3(0.1,0.1,0.1)), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 0 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            test.ok(body.position.x > -0.11 && body.position.x < -0.09, 'box should stop at the wall, got ' + body.position.x);
+            test.done();
+        },
+
+        particle: function(test){
+            var world = createThinWallWorld();
+            var body = new Body({ mass: 1, shape: new Particle(), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 0 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            test.ok(Math.abs(body.position.x + 0.01) < 1e-6, 'particle should stop at the wall surface, got ' + body.position.x);
+            test.done();
+        },
+
+        disabled: function(test){
+            var world = createThinWallWorld();
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0) });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            // Without CCD, the sphere tunnels through the wall
+            test.ok(body.position.x > 4);
+            test.done();
+        },
+
+        belowThreshold: function(test){
+            var world = createThinWallWorld();
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 1000 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            test.ok(body.position.x > 4);
+            test.done();
+        },
+
+        landOnThinFloor: function(test){
+            var world = new World();
+            world.gravity.set(0,0,-10);
+            world.addBody(new Body({ mass: 0, shape: new Box(new Vec3(5,5,0.01)) }));
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(0,0,5), velocity: new Vec3(0,0,-300), ccdSpeedThreshold: 1 });
+            world.addBody(body);
+            for(var i=0; i<120; i++){
+                world.step(1 / 60);
+            }
+
+            // The solver does not remove all of the approaching velocity in one step, the sphere must not tunnel after the first contact either
+            test.ok(Math.abs(body.position.z - 0.11) < 0.01, 'sphere should rest on the floor, got ' + body.position.z);
+            test.done();
+        },
+
+        sensorShape: function(test){
+            var world = createThinWallWorld();
+            world.bodies[0].shapes[0].sensor = true;
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 0 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            // Sensor shapes do not stop the body
+            test.ok(body.position.x > 4);
+            test.done();
+        },
+
+        noCollisionResponse: function(test){
+            var world = createThinWallWorld();
+            world.bodies[0].shapes[0].collisionResponse = false;
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(-5,0,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 0 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            test.ok(body.position.x > 4);
+            test.done();
+        },
+
+        noHit: function(test){
+            var world = createThinWallWorld();
+            var body = new Body({ mass: 1, shape: new Sphere(0.1), position: new Vec3(-5,2,0), velocity: new Vec3(600,0,0), ccdSpeedThreshold: 0 });
+            world.addBody(body);
+            world.step(1 / 60);
+
+            test.ok(body.position.x > 4);
+            test.done();
+        }
+    }
 };
+
+// A world with a thin static wall at x=0 and no gravity
+function createThinWallWorld(){
+    var world = new World();
+    var wall = new Body({ mass: 0, shape: new Box(new Vec3(0.01,1,1)) });
+    world.addBody(wall);
+    return world;
+}
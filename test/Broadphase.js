@@ -0,0 +1,33 @@
+var Body = require('../src/objects/Body');
+var Broadphase = require('../src/collision/Broadphase');
+
+module.exports = {
+    makePairsUnique: function(test){
+        var broadphase = new Broadphase();
+        var a = new Body(), b = new Body(), c = new Body(), d = new Body();
+        var pairs1 = [a, b, a, c, d, a, b];
+        var pairs2 = [b, a, c, d, c, d, d];
+
+        broadphase.makePairsUnique(pairs1, pairs2);
+
+        // All unique pairs are kept, in either order
+        test.equal(pairs1.length, 5);
+        test.equal(pairs2.length, 5);
+        var keys = [];
+        for(var i=0; i<pairs1.length; i++){
+            var id1 = Math.min(pairs1[i].id, pairs2[i].id),
+                id2 = Math.max(pairs1[i].id, pairs2[i].id);
+            keys.push(id1 + ',' + id2);
+        }
+        keys.sort();
+        test.deepEqual(keys, [
+            [a.id, b.id].join(','),
+            [a.id, c.id].join(','),
+            [a.id, d.id].join(','),
+            [b.id, d.id].join(','),
+            [c.id, d.id].join(',')
+        ].sort());
+
+        test.done();
+    }
+};
@@ -0,0 +1,67 @@
+var Vec3 = require('../src/math/Vec3');
+var Quaternion = require('../src/math/Quaternion');
+var Capsule = require('../src/shapes/Capsule');
+
+module.exports = {
+    throwOnWrongDimensions : function(test){
+
+        // These should be all right
+        new Capsule(1, 1);
+        new Capsule(0, 0);
+        new Capsule();
+
+        test.throws(function () {
+            new Capsule(-1, 1);
+        }, Error, 'Should throw on negative radius');
+
+        test.throws(function () {
+            new Capsule(1, -1);
+        }, Error, 'Should throw on negative height');
+
+        test.done();
+    },
+
+    boundingSphereRadius : function(test){
+        var capsule = new Capsule(0.5, 2);
+        test.equal(capsule.boundingSphereRadius, 1.5);
+        test.done();
+    },
+
+    calculateWorldAABB : function(test){
+        var capsule = new Capsule(0.5, 2);
+        var min = new Vec3();
+        var max = new Vec3();
+
+        capsule.calculateWorldAABB(new Vec3(1, 0, 0), new Quaternion(), min, max);
+        test.ok(min.almostEquals(new Vec3(0.5, -0.5, -1.5)));
+        test.ok(max.almostEquals(new Vec3(1.5, 0.5, 1.5)));
+
+        // Lying along the X axis
+        var quat = new Quaternion();
+        quat.setFromAxisAngle(new Vec3(0, 1, 0), Math.PI / 2);
+        capsule.calculateWorldAABB(new Vec3(), quat, min, max);
+        test.ok(min.almostEquals(new Vec3(-1.5, -0.5, -0.5)));
+        test.ok(max.almostEquals(new Vec3(1.5, 0.5, 0.5)));
+
+        test.done();
+    },
+
+    calculateLocalInertia : function(test){
+        // Without height, the inertia should equal that of a sphere
+        var inertia = new Capsule(1, 0).calculateLocalInertia(5);
+        test.ok(inertia.almostEquals(new Vec3(2, 2, 2)));
+
+        // With height, the inertia should be larger along the transverse axes
+        inertia = new Capsule(1, 2).calculateLocalInertia(5);
+        test.ok(inertia.x > inertia.z);
+        test.equal(inertia.x, inertia.y);
+
+        test.done();
+    },
+
+    volume : function(test){
+        var capsule = new Capsule(1, 2);
+        test.ok(Math.abs(capsule.volume() - (2 * Math.PI + 4 * Math.PI / 3)) < 1e-10);
+        test.done();
+    }
+};
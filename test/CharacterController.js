@@ -0,0 +1,246 @@
+var Vec3 = require('../src/math/Vec3');
+var Body = require('../src/objects/Body');
+var Box = require('../src/shapes/Box');
+var Plane = require('../src/shapes/Plane');
+var Capsule = require('../src/shapes/Capsule');
+var World = require('../src/world/World');
+var CharacterController = require('../src/objects/CharacterController');
+
+module.exports = {
+    construct: function(test){
+        var character = new CharacterController();
+        test.ok(character.shape instanceof Capsule);
+        test.equal(character.body.type, Body.KINEMATIC);
+        test.equal(character.body.shapes[0], character.shape);
+        test.ok(character.up.almostEquals(new Vec3(0, 0, 1)));
+        test.equal(character.onGround, false);
+
+        character = new CharacterController({ up: new Vec3(0, 2, 0), stepHeight: 0.5 });
+        test.ok(character.up.almostEquals(new Vec3(0, 1, 0)));
+        test.equal(character.stepHeight, 0.5);
+
+        // The capsule should be aligned with up
+        test.ok(character.body.quaternion.vmult(new Vec3(0, 0, 1)).almostEquals(new Vec3(0, 1, 0)));
+
+        test.done();
+    },
+
+    addRemove: function(test){
+        var world = createWorld();
+        var character = new CharacterController();
+
+        character.addToWorld(world);
+        test.equal(character.world, world);
+        test.notEqual(world.bodies.indexOf(character.body), -1);
+        test.ok(world.hasEventListener('preStep', character.preStepCallback));
+
+        character.removeFromWorld(world);
+        test.equal(character.world, null);
+        test.equal(world.bodies.indexOf(character.body), -1);
+        test.ok(!world.hasEventListener('preStep', character.preStepCallback));
+
+        test.done();
+    },
+
+    isWalkable: function(test){
+        var character = new CharacterController({ maxSlopeAngle: Math.PI / 4 });
+        test.ok(character.isWalkable(new Vec3(0, 0, 1)));
+        test.ok(character.isWalkable(new Vec3(Math.sin(0.7), 0, Math.cos(0.7))));
+        test.ok(!character.isWalkable(new Vec3(Math.sin(0.9), 0, Math.cos(0.9))));
+        test.ok(!character.isWalkable(new Vec3(1, 0, 0)));
+        test.done();
+    },
+
+    fall: function(test){
+        var world = createWorld();
+        var character = new CharacterController({ position: new Vec3(0, 0, 3) });
+        character.addToWorld(world);
+
+        for(var i=0; i<120; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(character.onGround);
+        test.equal(character.groundBody, world.bodies[0]);
+        test.ok(character.groundNormal.almostEquals(new Vec3(0, 0, 1)));
+        test.ok(Math.abs(character.body.position.z - (0.9 + character.skinWidth)) < 0.01);
+
+        test.done();
+    },
+
+    stepUp: function(test){
+        var world = createWorld();
+        addBox(world, new Vec3(2, 0, 0.15), new Vec3(0.5, 2, 0.15));
+        var character = createCharacter(world);
+
+        character.setWalkVelocity(new Vec3(2, 0, 0));
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(character.onGround);
+        test.ok(character.body.position.x > 1.9);
+        test.ok(Math.abs(character.body.position.z - (1.2 + character.skinWidth)) < 0.01);
+
+        // Step down on the other side
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        test.ok(character.onGround);
+        test.ok(character.body.position.x > 3.9);
+        test.ok(Math.abs(character.body.position.z - (0.9 + character.skinWidth)) < 0.01);
+
+        test.done();
+    },
+
+    blockedByWall: function(test){
+        var world = createWorld();
+        addBox(world, new Vec3(2, 0, 1), new Vec3(0.5, 2, 1));
+        var character = createCharacter(world);
+
+        character.setWalkVelocity(new Vec3(2, 0, 0));
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(character.onGround);
+        test.ok(Math.abs(character.body.position.x - (1.5 - 0.3 - character.skinWidth)) < 0.01);
+        test.ok(Math.abs(character.body.position.z - (0.9 + character.skinWidth)) < 0.01);
+
+        // Slide along the wall
+        character.setWalkVelocity(new Vec3(2, 1, 0));
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        test.ok(character.body.position.x < 1.5 - 0.3);
+        test.ok(Math.abs(character.body.position.y - 1) < 0.01);
+
+        test.done();
+    },
+
+    maxSlopeAngle: function(test){
+        // Walk up a gentle slope
+        var world = createWorld();
+        addSlope(world, Math.PI / 6);
+        var character = createCharacter(world);
+        character.setWalkVelocity(new Vec3(2, 0, 0));
+        for(var i=0; i<120; i++){
+            world.step(1 / 60);
+        }
+        test.ok(character.onGround);
+        test.ok(character.body.position.z > 1.5);
+
+        // Can't walk up a steep one
+        world = createWorld();
+        addSlope(world, Math.PI / 3);
+        character = createCharacter(world);
+        character.setWalkVelocity(new Vec3(2, 0, 0));
+        for(var i=0; i<120; i++){
+            world.step(1 / 60);
+        }
+        test.ok(character.onGround);
+        test.ok(character.body.position.x < 2);
+        test.ok(character.body.position.z < 1.2);
+
+        test.done();
+    },
+
+    jump: function(test){
+        var world = createWorld();
+        var character = createCharacter(world);
+
+        test.ok(character.jump());
+        test.ok(!character.onGround);
+
+        // Can't jump in the air
+        test.ok(!character.jump());
+
+        var maxHeight = 0;
+        for(var i=0; i<90; i++){
+            world.step(1 / 60);
+            maxHeight = Math.max(maxHeight, character.body.position.z);
+        }
+
+        // v^2 / (2 * g) = 1.25
+        test.ok(maxHeight > 0.9 + 1.1 && maxHeight < 0.9 + 1.3);
+        test.ok(character.onGround);
+
+        test.done();
+    },
+
+    movingPlatform: function(test){
+        var world = createWorld();
+        var platform = addBox(world, new Vec3(0, 0, 0.5), new Vec3(2, 2, 0.1));
+        platform.type = Body.KINEMATIC;
+        platform.velocity.set(1, 0, 0);
+        var character = new CharacterController({ position: new Vec3(0, 0, 1.52) });
+        character.addToWorld(world);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(character.onGround);
+        test.equal(character.groundBody, platform);
+
+        var x = character.body.position.x;
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        test.ok(character.onGround);
+        test.ok(Math.abs(character.body.position.x - x - 1) < 0.05);
+        test.ok(Math.abs(character.body.position.x - platform.position.x) < 0.1);
+
+        test.done();
+    },
+
+    pushDynamicBody: function(test){
+        var world = createWorld();
+        var box = new Body({ mass: 10, position: new Vec3(1, 0, 0.5) });
+        box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+        world.addBody(box);
+        var character = createCharacter(world);
+
+        character.setWalkVelocity(new Vec3(2, 0, 0));
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(box.position.x > 1.5);
+        test.ok(character.body.position.x > 0.5);
+
+        test.done();
+    }
+};
+
+function createWorld(){
+    var world = new World({ gravity: new Vec3(0, 0, -10) });
+    var ground = new Body({ mass: 0 });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+    return world;
+}
+
+function createCharacter(world){
+    var character = new CharacterController({ position: new Vec3(0, 0, 0.92) });
+    character.addToWorld(world);
+    world.step(1 / 60);
+    return character;
+}
+
+function addBox(world, position, halfExtents){
+    var body = new Body({ mass: 0, position: position });
+    body.addShape(new Box(halfExtents));
+    world.addBody(body);
+    return body;
+}
+
+// A slope that starts at x=1 and rises towards +x
+function addSlope(world, angle){
+    var body = addBox(world, new Vec3(), new Vec3(10, 2, 1));
+    body.quaternion.setFromAxisAngle(new Vec3(0, 1, 0), -angle);
+    body.quaternion.vmult(new Vec3(-10, 0, 1), body.position);
+    body.position.negate(body.position);
+    body.position.x += 1;
+    body.aabbNeedsUpdate = true;
+    return body;
+}
@@ -1,12 +1,21 @@
 var Constraint = require('../src/constraints/Constraint');
 var Equation = require('../src/equations/Equation');
 var Body = require('../src/objects/Body');
+var World = require('../src/world/World');
+var Vec3 = require('../src/math/Vec3');
+var Sphere = require('../src/shapes/Sphere');
+var PointToPointConstraint = require('../src/constraints/PointToPointConstraint');
+var LockConstraint = require('../src/constraints/LockConstraint');
 
 module.exports = {
     construct: function(test){
         var bodyA = new Body();
         var bodyB = new Body();
-        new Constraint(bodyA, bodyB);
+        var c = new Constraint(bodyA, bodyB);
+        test.equal(c.breakingImpulseThreshold, Number.MAX_VALUE);
+
+        c = new Constraint(bodyA, bodyB, { breakingImpulseThreshold: 5 });
+        test.equal(c.breakingImpulseThreshold, 5);
         test.done();
     },
 
@@ -23,7 +32,98 @@ module.exports = {
         c.disable();
         test.ok(!eq.enabled);
 
+        test.done();
+    },
+
+    getAppliedImpulse: function(test){
+        var world = createWorld();
+        var c = new PointToPointConstraint(world.bodies[0], new Vec3(0, 0, 0), world.bodies[1], new Vec3(0, 1, 0));
+
+        test.equal(c.getAppliedImpulse(), 0);
+
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        // Should hold the body up: m * g * dt
+        test.ok(Math.abs(c.getAppliedImpulse() - 10 / 60) < 1e-3);
+
+        c.disable();
+        test.equal(c.getAppliedImpulse(), 0);
+
+        test.done();
+    },
+
+    getAppliedForce: function(test){
+        var world = createWorld();
+        var c = new PointToPointConstraint(world.bodies[0], new Vec3(0, 0, 0), world.bodies[1], new Vec3(0, 1, 0));
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        var force = new Vec3();
+        test.equal(c.getAppliedForce(c.bodyB, force), force);
+        test.ok(force.almostEquals(new Vec3(0, 10, 0), 0.01));
+
+        c.getAppliedForce(c.bodyA, force);
+        test.ok(force.almostEquals(new Vec3(0, -10, 0), 0.01));
+
+        test.done();
+    },
+
+    getAppliedTorque: function(test){
+        var world = createWorld();
+        var body = world.bodies[1];
+        var c = new LockConstraint(world.bodies[0], body);
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            body.torque.set(0, 0, 2);
+            world.step(1 / 60);
+        }
+
+        var torque = new Vec3();
+        test.equal(c.getAppliedTorque(body, torque), torque);
+        test.ok(torque.almostEquals(new Vec3(0, 0, -2), 0.01));
+
+        var force = new Vec3();
+        c.getAppliedForce(body, force);
+        test.ok(Math.abs(force.y - 10) < 0.01);
+
+        test.done();
+    },
+
+    feedback: function(test){
+        var world = createWorld();
+        var c = new PointToPointConstraint(world.bodies[0], new Vec3(0, 0, 0), world.bodies[1], new Vec3(0, 1, 0));
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        // Not recorded by default
+        test.equal(c.appliedImpulse, 0);
+        test.ok(c.appliedForceB.almostZero());
+
+        world.constraintFeedback = true;
+        world.step(1 / 60);
+
+        test.equal(c.appliedImpulse, c.getAppliedImpulse());
+        test.ok(c.appliedForceB.almostEquals(new Vec3(0, 10, 0), 0.01));
+        test.ok(c.appliedForceA.almostEquals(new Vec3(0, -10, 0), 0.01));
+        test.ok(c.appliedTorqueA.almostZero(0.01));
+        test.ok(c.appliedTorqueB.almostZero(0.01));
+
         test.done();
     }
 };
 
+function createWorld(){
+    var world = new World({ gravity: new Vec3(0, -10, 0) });
+    var body = new Body({ mass: 1, position: new Vec3(0, -1, 0) });
+    body.addShape(new Sphere(0.1));
+    world.addBody(new Body({ mass: 0 }));
+    world.addBody(body);
+    return world;
+}
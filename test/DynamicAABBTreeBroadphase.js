@@ -0,0 +1,260 @@
+var Vec3 = require('../src/math/Vec3');
+var Quaternion = require('../src/math/Quaternion');
+var AABB = require('../src/collision/AABB');
+var Body = require('../src/objects/Body');
+var Box = require('../src/shapes/Box');
+var Sphere = require('../src/shapes/Sphere');
+var Plane = require('../src/shapes/Plane');
+var World = require('../src/world/World');
+var NaiveBroadphase = require('../src/collision/NaiveBroadphase');
+var DynamicAABBTreeBroadphase = require('../src/collision/DynamicAABBTreeBroadphase');
+
+module.exports = {
+    construct: function(test){
+        var broadphase = new DynamicAABBTreeBroadphase();
+        test.equal(broadphase.margin, 0.1);
+        test.equal(broadphase.root, null);
+        test.ok(broadphase.useBoundingBoxes);
+
+        broadphase = new DynamicAABBTreeBroadphase({ margin: 0.5 });
+        test.equal(broadphase.margin, 0.5);
+
+        test.done();
+    },
+
+    addRemove: function(test){
+        var broadphase = new DynamicAABBTreeBroadphase();
+        var world = new World({ broadphase: broadphase });
+        var bodies = [];
+        for(var i=0; i<20; i++){
+            var body = createBody(new Vec3(i, 0, 0));
+            bodies.push(body);
+            world.addBody(body);
+            checkTree(test, broadphase, world.bodies);
+        }
+        test.ok(broadphase.root.height <= 6);
+
+        for(i=0; i<bodies.length; i+=2){
+            world.removeBody(bodies[i]);
+            checkTree(test, broadphase, world.bodies);
+        }
+        test.equal(broadphase.leaves[bodies[0].id], undefined);
+
+        while(world.bodies.length){
+            world.removeBody(world.bodies[0]);
+        }
+        test.equal(broadphase.root, null);
+
+        test.done();
+    },
+
+    setWorld: function(test){
+        var world = new World();
+        world.addBody(createBody(new Vec3(0, 0, 0)));
+        world.addBody(createBody(new Vec3(1, 0, 0)));
+
+        var broadphase = new DynamicAABBTreeBroadphase();
+        world.broadphase = broadphase;
+        broadphase.setWorld(world);
+        checkTree(test, broadphase, world.bodies);
+
+        // Move to another world
+        var otherWorld = new World();
+        otherWorld.addBody(createBody(new Vec3(0, 0, 0)));
+        broadphase.setWorld(otherWorld);
+        checkTree(test, broadphase, otherWorld.bodies);
+
+        world.addBody(createBody(new Vec3(2, 0, 0)));
+        checkTree(test, broadphase, otherWorld.bodies);
+
+        test.done();
+    },
+
+    collisionPairs: function(test){
+        var world = createRandomWorld(new DynamicAABBTreeBroadphase());
+        var naive = new NaiveBroadphase();
+        naive.useBoundingBoxes = true;
+        var p1 = [], p2 = [], q1 = [], q2 = [];
+
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+
+            p1.length = p2.length = q1.length = q2.length = 0;
+            world.broadphase.collisionPairs(world, p1, p2);
+            naive.collisionPairs(world, q1, q2);
+            test.deepEqual(getPairKeys(p1, p2), getPairKeys(q1, q2));
+        }
+
+        checkTree(test, world.broadphase, world.bodies);
+        test.done();
+    },
+
+    moveBody: function(test){
+        var world = new World({ broadphase: new DynamicAABBTreeBroadphase() });
+        var a = createBody(new Vec3(0, 0, 0));
+        var b = createBody(new Vec3(5, 0, 0));
+        world.addBody(a);
+        world.addBody(b);
+
+        var p1 = [], p2 = [];
+        world.broadphase.collisionPairs(world, p1, p2);
+        test.equal(p1.length, 0);
+
+        // Move outside the fattened AABB
+        b.position.set(0.5, 0, 0);
+        b.aabbNeedsUpdate = true;
+        world.broadphase.dirty = true;
+        world.broadphase.collisionPairs(world, p1, p2);
+        test.equal(p1.length, 1);
+        test.ok(world.broadphase.leaves[b.id].aabb.contains(b.aabb));
+
+        test.done();
+    },
+
+    aabbQuery: function(test){
+        var world = createRandomWorld(new DynamicAABBTreeBroadphase());
+        var naive = new NaiveBroadphase();
+        for(var i=0; i<30; i++){
+            world.step(1 / 60);
+        }
+
+        var aabb = new AABB({
+            lowerBound: new Vec3(-2, -2, 0),
+            upperBound: new Vec3(1, 2, 3)
+        });
+        var result = [];
+        test.equal(world.broadphase.aabbQuery(world, aabb, result), result);
+        test.ok(result.length > 0);
+        test.deepEqual(getIds(result), getIds(naive.aabbQuery(world, aabb, [])));
+
+        test.done();
+    },
+
+    rayQuery: function(test){
+        var world = createRandomWorld(new DynamicAABBTreeBroadphase());
+        for(var i=0; i<30; i++){
+            world.step(1 / 60);
+        }
+
+        // Compare with a world that tests every body
+        var from = new Vec3(-6, -1, 0.5),
+            to = new Vec3(6, 1, 2);
+        var hits = [];
+        world.raycastAll(from, to, {}, function(result){
+            hits.push(result.body.id);
+        });
+        world.broadphase = new NaiveBroadphase();
+        var expected = [];
+        world.raycastAll(from, to, {}, function(result){
+            expected.push(result.body.id);
+        });
+        test.ok(expected.length > 1);
+        test.deepEqual(hits.sort(), expected.sort());
+
+        // Only bodies along the segment should be returned
+        var broadphase = new DynamicAABBTreeBroadphase();
+        world.broadphase = broadphase;
+        broadphase.setWorld(world);
+        var ray = { from: new Vec3(100, 0, 0.3), to: new Vec3(101, 0, 0.3) };
+        test.equal(broadphase.rayQuery(world, ray, []).length, 0);
+        ray.to.set(-100, 0, 0.3);
+        test.ok(broadphase.rayQuery(world, ray, []).length > 0);
+
+        test.done();
+    },
+
+    restoreState: function(test){
+        var world = createRandomWorld(new DynamicAABBTreeBroadphase());
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        // The tree is not part of the state, so it has a different shape after restoring
+        var state = world.saveState();
+        for(i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        var positions = world.bodies.map(function(body){ return body.position.toArray(); });
+
+        world.restoreState(state);
+        for(i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        test.deepEqual(world.bodies.map(function(body){ return body.position.toArray(); }), positions);
+
+        test.done();
+    }
+};
+
+function createBody(position){
+    var body = new Body({ mass: 1, position: position });
+    body.addShape(new Sphere(0.5));
+    return body;
+}
+
+function createRandomWorld(broadphase){
+    var world = new World({
+        gravity: new Vec3(0, 0, -10),
+        broadphase: broadphase
+    });
+    var ground = new Body({ mass: 0 });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+
+    // Pseudo random, to get the same world each time
+    var seed = 1;
+    function random(){
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    }
+
+    for(var i=0; i<40; i++){
+        var body = new Body({
+            mass: 1,
+            position: new Vec3(random() * 10 - 5, random() * 4 - 2, random() * 5 + 0.5),
+            velocity: new Vec3(random() * 4 - 2, random() * 4 - 2, 0)
+        });
+        body.addShape(i % 2 ? new Sphere(0.2 + random() * 0.5) : new Box(new Vec3(0.5, 0.3, 0.2)));
+        body.quaternion.setFromAxisAngle(new Vec3(0, 0, 1), random());
+        world.addBody(body);
+    }
+    return world;
+}
+
+function getPairKeys(p1, p2){
+    var keys = [];
+    for(var i=0; i<p1.length; i++){
+        var i1 = p1[i].id, i2 = p2[i].id;
+        keys.push(Math.min(i1, i2) + ',' + Math.max(i1, i2));
+    }
+    return keys.sort();
+}
+
+function getIds(bodies){
+    return bodies.map(function(body){ return body.id; }).sort();
+}
+
+// Check the parent links, heights, balance and AABBs of the tree, and that it contains the bodies
+function checkTree(test, broadphase, bodies){
+    var leafCount = 0;
+    function checkNode(node, parent){
+        test.equal(node.parent, parent);
+        if(!node.child1){
+            test.equal(node.height, 0);
+            test.equal(broadphase.leaves[node.body.id], node);
+            test.ok(node.aabb.contains(node.body.aabb));
+            leafCount++;
+            return;
+        }
+        checkNode(node.child1, node);
+        checkNode(node.child2, node);
+        test.equal(node.height, 1 + Math.max(node.child1.height, node.child2.height));
+        test.ok(Math.abs(node.child1.height - node.child2.height) <= 1);
+        test.ok(node.aabb.contains(node.child1.aabb));
+        test.ok(node.aabb.contains(node.child2.aabb));
+    }
+    if(broadphase.root){
+        checkNode(broadphase.root, null);
+    }
+    test.equal(leafCount, bodies.length);
+}
@@ -0,0 +1,271 @@
+var Vec3 = require('../src/math/Vec3');
+var Quaternion = require('../src/math/Quaternion');
+var Box = require('../src/shapes/Box');
+var Body = require('../src/objects/Body');
+var World = require('../src/world/World');
+var Generic6DofConstraint = require('../src/constraints/Generic6DofConstraint');
+var Generic6DofSpringConstraint = require('../src/constraints/Generic6DofSpringConstraint');
+
+module.exports = {
+    construct: function(test){
+        var bodyA = new Body({ mass: 1, position: new Vec3(1, 0, 0) });
+        var bodyB = new Body({ mass: 1, position: new Vec3(-1, 0, 0) });
+        var c = new Generic6DofConstraint(bodyA, bodyB, { maxForce: 123 });
+
+        test.equal(c.equations.length, 24);
+        for(var i=0; i<6; i++){
+            test.equal(c.modes[i], Generic6DofConstraint.LOCKED);
+            test.equal(c.lockEquations[i].maxForce, 123);
+            test.equal(c.lockEquations[i].minForce, -123);
+            test.equal(c.lowerLimitEquations[i].minForce, 0);
+        }
+
+        // Frame B defaults to the current frame A
+        test.ok(c.pivotB.almostEquals(new Vec3(2, 0, 0)));
+        test.equal(c.getPosition(Generic6DofConstraint.LINEAR_X), 0);
+
+        test.done();
+    },
+
+    setLimits: function(test){
+        var c = new Generic6DofConstraint(new Body(), new Body(), {
+            linearLowerLimit: new Vec3(1, -1, 0),
+            linearUpperLimit: new Vec3(-1, 1, 0)
+        });
+        test.equal(c.modes[Generic6DofConstraint.LINEAR_X], Generic6DofConstraint.FREE);
+        test.equal(c.modes[Generic6DofConstraint.LINEAR_Y], Generic6DofConstraint.LIMITED);
+        test.equal(c.modes[Generic6DofConstraint.LINEAR_Z], Generic6DofConstraint.LOCKED);
+
+        c.setLimits(Generic6DofConstraint.ANGULAR_X, -0.5, 0.5);
+        test.equal(c.modes[Generic6DofConstraint.ANGULAR_X], Generic6DofConstraint.LIMITED);
+        test.equal(c.upperLimits[Generic6DofConstraint.ANGULAR_X], 0.5);
+
+        test.done();
+    },
+
+    getPosition: function(test){
+        var bodyA = new Body({ mass: 0 });
+        var bodyB = new Body({ mass: 1 });
+        var c = new Generic6DofConstraint(bodyA, bodyB);
+
+        bodyB.position.set(0.2, -0.3, 0);
+        bodyB.quaternion.setFromAxisAngle(new Vec3(0, 0, 1), 0.4);
+
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.LINEAR_X) - 0.2) < 1e-6);
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.LINEAR_Y) + 0.3) < 1e-6);
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.ANGULAR_Z) - 0.4) < 1e-6);
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.ANGULAR_X)) < 1e-6);
+
+        bodyB.quaternion.setFromAxisAngle(new Vec3(1, 0, 0), -0.7);
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.ANGULAR_X) + 0.7) < 1e-6);
+
+        test.done();
+    },
+
+    locked: function(test){
+        var world = createWorld(new Vec3(0, -10, 0));
+        var c = new Generic6DofConstraint(world.bodies[0], world.bodies[1], {
+            pivotA: new Vec3(0, 0, 0),
+            pivotB: new Vec3(0, 1, 0)
+        });
+        world.addConstraint(c);
+        world.bodies[1].angularVelocity.set(1, 2, 3);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].position.almostEquals(new Vec3(0, -1, 0), 0.01));
+        for(var i=0; i<6; i++){
+            test.ok(Math.abs(c.getPosition(i)) < 0.01);
+        }
+
+        test.done();
+    },
+
+    slider: function(test){
+        var world = createWorld(new Vec3());
+        var c = new Generic6DofConstraint(world.bodies[0], world.bodies[1], {
+            linearLowerLimit: new Vec3(1, 0, 0),
+            linearUpperLimit: new Vec3(-1, 0, 0)
+        });
+        world.addConstraint(c);
+        world.bodies[1].velocity.set(1, 1, 0);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].position.x > 0.5);
+        test.ok(Math.abs(world.bodies[1].position.y) < 0.01);
+
+        test.done();
+    },
+
+    linearLimits: function(test){
+        var world = createWorld(new Vec3(-10, 0, 0));
+        var c = new Generic6DofConstraint(world.bodies[0], world.bodies[1], {
+            linearLowerLimit: new Vec3(-0.5, 0, 0),
+            linearUpperLimit: new Vec3(0.5, 0, 0)
+        });
+        world.addConstraint(c);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.LINEAR_X) + 0.5) < 0.01);
+
+        world.gravity.set(10, 0, 0);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.LINEAR_X) - 0.5) < 0.01);
+
+        test.done();
+    },
+
+    angularLimits: function(test){
+        var world = createWorld(new Vec3());
+        var c = new Generic6DofConstraint(world.bodies[0], world.bodies[1], {
+            angularLowerLimit: new Vec3(0, 0, -0.5),
+            angularUpperLimit: new Vec3(0, 0, 0.5)
+        });
+        world.addConstraint(c);
+        world.bodies[1].angularVelocity.set(0, 0, 3);
+
+        var min = 0, max = 0;
+        for(var i=0; i<120; i++){
+            world.step(1 / 60);
+            var angle = c.getPosition(Generic6DofConstraint.ANGULAR_Z);
+            min = Math.min(angle, min);
+            max = Math.max(angle, max);
+        }
+
+        // Should bounce off both limits
+        test.ok(max > 0.45 && max < 0.55);
+        test.ok(min < -0.45 && min > -0.55);
+        test.ok(world.bodies[1].angularVelocity.almostEquals(new Vec3(0, 0, world.bodies[1].angularVelocity.z), 1e-6));
+
+        test.done();
+    },
+
+    angularMotor: function(test){
+        var world = createWorld(new Vec3());
+        var c = new Generic6DofConstraint(world.bodies[0], world.bodies[1], {
+            angularLowerLimit: new Vec3(0, 1, 0),
+            angularUpperLimit: new Vec3(0, -1, 0)
+        });
+        c.enableMotor(Generic6DofConstraint.ANGULAR_Y);
+        c.setMotorSpeed(Generic6DofConstraint.ANGULAR_Y, 2);
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].angularVelocity.almostEquals(new Vec3(0, 2, 0), 0.01));
+        test.ok(c.getPosition(Generic6DofConstraint.ANGULAR_Y) > 0);
+
+        test.done();
+    },
+
+    linearMotor: function(test){
+        var world = createWorld(new Vec3(0, 0, -10));
+        var c = new Generic6DofConstraint(world.bodies[0], world.bodies[1], {
+            linearLowerLimit: new Vec3(0, 0, 1),
+            linearUpperLimit: new Vec3(0, 0, -1)
+        });
+        c.enableMotor(Generic6DofConstraint.LINEAR_Z);
+        c.setMotorSpeed(Generic6DofConstraint.LINEAR_Z, 1);
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].velocity.almostEquals(new Vec3(0, 0, 1), 0.01));
+
+        // A weak motor can't lift the body
+        c.setMotorMaxForce(Generic6DofConstraint.LINEAR_Z, 0.1);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].velocity.z < 0);
+
+        test.done();
+    },
+
+    enableDisable: function(test){
+        var bodyA = new Body({ mass: 1, position: new Vec3(1, 0, 0) });
+        var bodyB = new Body({ mass: 1, position: new Vec3(-1, 0, 0) });
+        var c = new Generic6DofConstraint(bodyA, bodyB);
+
+        c.disable();
+        c.update();
+        for(var i=0; i<c.equations.length; i++){
+            test.ok(!c.equations[i].enabled);
+        }
+
+        c.enable();
+        c.update();
+        test.ok(c.lockEquations[0].enabled);
+        test.ok(!c.lowerLimitEquations[0].enabled);
+
+        test.done();
+    },
+
+    spring: function(test){
+        var world = createWorld(new Vec3(0, -10, 0));
+        var c = new Generic6DofSpringConstraint(world.bodies[0], world.bodies[1], {
+            linearLowerLimit: new Vec3(0, 1, 0),
+            linearUpperLimit: new Vec3(0, -1, 0)
+        });
+        c.enableSpring(Generic6DofConstraint.LINEAR_Y);
+        c.setStiffness(Generic6DofConstraint.LINEAR_Y, 100);
+        c.setDamping(Generic6DofConstraint.LINEAR_Y, 10);
+        world.addConstraint(c);
+
+        test.equal(c.equations.length, 30);
+
+        for(var i=0; i<300; i++){
+            world.step(1 / 60);
+        }
+
+        // The spring should stretch m * g / k
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.LINEAR_Y) + 0.1) < 0.001);
+
+        c.setEquilibriumPoint(Generic6DofConstraint.LINEAR_Y, 1);
+        for(var i=0; i<300; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.LINEAR_Y) - 0.9) < 0.001);
+
+        test.done();
+    },
+
+    angularSpring: function(test){
+        var world = createWorld(new Vec3());
+        var c = new Generic6DofSpringConstraint(world.bodies[0], world.bodies[1], {
+            angularLowerLimit: new Vec3(1, 0, 0),
+            angularUpperLimit: new Vec3(-1, 0, 0)
+        });
+        c.enableSpring(Generic6DofConstraint.ANGULAR_X);
+        c.setStiffness(Generic6DofConstraint.ANGULAR_X, 10);
+        c.setDamping(Generic6DofConstraint.ANGULAR_X, 1);
+        c.setEquilibriumPoint(Generic6DofConstraint.ANGULAR_X, 0.3);
+        world.addConstraint(c);
+        for(var i=0; i<300; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getPosition(Generic6DofConstraint.ANGULAR_X) - 0.3) < 0.01);
+
+        test.done();
+    }
+};
+
+function createWorld(gravity){
+    var world = new World({ gravity: gravity });
+    world.addBody(new Body({ mass: 0 }));
+    world.addBody(new Body({ mass: 1, shape: new Box(new Vec3(0.5, 0.5, 0.5)) }));
+    return world;
+}
@@ -1,6 +1,8 @@
 var Vec3 = require('../src/math/Vec3');
 var HingeConstraint = require('../src/constraints/HingeConstraint');
 var Body = require('../src/objects/Body');
+var Box = require('../src/shapes/Box');
+var World = require('../src/world/World');
 
 module.exports = {
     construct: function(test){
@@ -8,7 +10,7 @@ module.exports = {
         var bodyB = new Body({ mass: 1, position: new Vec3(-1, 0, 0) });
         var c = new HingeConstraint(bodyA, bodyB, { maxForce: 123 });
 
-        test.equal(c.equations.length, 6); // 5 actually, and 1 for the motor
+        test.equal(c.equations.length, 8); // 5 actually, 1 for the motor and 2 for the limits
 
         test.equal(c.equations[0].maxForce, 123);
         test.equal(c.equations[1].maxForce, 123);
@@ -24,6 +26,10 @@ module.exports = {
         test.equal(c.equations[4].minForce, -123);
         test.equal(c.equations[5].minForce, -123);
 
+        test.equal(c.lowerLimitEquation.minForce, 0);
+        test.equal(c.upperLimitEquation.minForce, 0);
+        test.equal(c.lowerLimitEquation.maxForce, 123);
+
         test.done();
     },
 
@@ -72,7 +78,164 @@ module.exports = {
         c.setMotorMaxForce(100);
         test.equal(c.motorEquation.maxForce, 100);
 
+        test.done();
+    },
+
+    getAngle: function(test){
+        var bodyA = new Body({ mass: 0 });
+        var bodyB = new Body({ mass: 1 });
+        var c = new HingeConstraint(bodyA, bodyB, {
+            axisA: new Vec3(0, 0, 1),
+            axisB: new Vec3(0, 0, 1)
+        });
+
+        test.equal(c.getAngle(), 0);
+
+        bodyA.quaternion.setFromAxisAngle(new Vec3(0, 0, 1), 0.5);
+        test.ok(Math.abs(c.getAngle() - 0.5) < 1e-6);
+
+        bodyB.quaternion.setFromAxisAngle(new Vec3(0, 0, 1), 3);
+        test.ok(Math.abs(c.getAngle() - (0.5 - 3)) < 1e-6);
+
+        // Wraps around to [-PI, PI]
+        bodyA.quaternion.setFromAxisAngle(new Vec3(0, 0, 1), -1);
+        test.ok(Math.abs(c.getAngle() - (-1 - 3 + 2 * Math.PI)) < 1e-6);
+
+        test.done();
+    },
+
+    getAngularVelocity: function(test){
+        var world = createWorld();
+        var c = world.constraints[0];
+        c.enableMotor();
+        c.setMotorSpeed(1);
+        for(var i=0; i<30; i++){
+            world.step(1 / 60);
+        }
+
+        // Positive motor speed should increase the angle
+        test.ok(Math.abs(c.getAngularVelocity() - 1) < 0.01);
+        test.ok(Math.abs(c.getAngle() - 0.5) < 0.01);
+
+        test.done();
+    },
+
+    limits: function(test){
+        var world = createWorld();
+        var c = world.constraints[0];
+        c.setLimits(-0.5, 0.5);
+        world.bodies[1].angularVelocity.set(0, 0, 3);
+
+        var min = 0, max = 0;
+        for(var i=0; i<120; i++){
+            world.step(1 / 60);
+            var angle = c.getAngle();
+            min = Math.min(angle, min);
+            max = Math.max(angle, max);
+        }
+
+        // Should bounce off both limits
+        test.ok(min < -0.45 && min > -0.6);
+        test.ok(max > 0.45 && max < 0.6);
+
+        test.done();
+    },
+
+    limitsWithMotor: function(test){
+        var world = createWorld();
+        var c = world.constraints[0];
+        c.setLimits(-0.5, 0.5);
+        c.enableMotor();
+        c.setMotorSpeed(-1);
+        for(var i=0; i<120; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getAngle() + 0.5) < 0.01);
+        test.ok(Math.abs(c.getAngularVelocity()) < 0.01);
+
+        test.done();
+    },
+
+    disableWithLimits: function(test){
+        var world = createWorld();
+        var c = world.constraints[0];
+        c.setLimits(-0.1, 0.1);
+        c.disable();
+        world.bodies[1].angularVelocity.set(0, 0, -1);
+
+        for(var i=0; i<30; i++){
+            world.step(1 / 60);
+            test.ok(!c.lowerLimitEquation.enabled && !c.upperLimitEquation.enabled);
+        }
+
+        // Rotates freely past the limit
+        test.ok(Math.abs(c.getAngle()) > 0.4);
+
+        // The limits work again when enabled
+        c.enable();
+        test.ok(!c.motorEquation.enabled);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        test.ok(Math.abs(c.getAngle()) < 0.15);
+
+        test.done();
+    },
+
+    limitRestitution: function(test){
+        var velocities = [0, 1].map(function(restitution){
+            var world = createWorld();
+            var c = world.constraints[0];
+            c.setLimits(-0.5, 0.5);
+            c.limitRestitution = restitution;
+            world.bodies[1].angularVelocity.set(0, 0, 3);
+            for(var i=0; i<15; i++){
+                world.step(1 / 60);
+            }
+            return c.getAngularVelocity();
+        });
+
+        // The hinge should bounce back from the lower limit
+        test.ok(velocities[0] < 1);
+        test.ok(velocities[1] > 2.5);
+
+        test.done();
+    },
+
+    limitSoftness: function(test){
+        var velocities = [false, true].map(function(soft){
+            var world = createWorld();
+            var c = world.constraints[0];
+            c.setLimits(-0.5, 0.5);
+            if(soft){
+                c.limitStiffness = 1e5;
+                c.limitRelaxation = 10;
+            }
+            world.bodies[1].angularVelocity.set(0, 0, 3);
+            for(var i=0; i<15; i++){
+                world.step(1 / 60);
+            }
+            return c.getAngularVelocity();
+        });
+
+        // A soft limit corrects the overshoot more slowly
+        test.ok(velocities[1] > 0);
+        test.ok(velocities[1] < velocities[0]);
+
         test.done();
     }
 };
 
+function createWorld(){
+    var world = new World();
+    world.addBody(new Body({ mass: 0 }));
+    var body = new Body({ mass: 1 });
+    body.addShape(new Box(new Vec3(0.5, 0.1, 0.1)));
+    world.addBody(body);
+    world.addConstraint(new HingeConstraint(world.bodies[0], body, {
+        axisA: new Vec3(0, 0, 1),
+        axisB: new Vec3(0, 0, 1)
+    }));
+    return world;
+}
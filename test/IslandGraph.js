@@ -0,0 +1,61 @@
+var IslandGraph = require('../src/solver/IslandGraph');
+var Equation = require('../src/equations/Equation');
+var Body = require('../src/objects/Body');
+
+module.exports = {
+    nextIsland: function(test){
+        var ground = new Body({ mass: 0 });
+        var a = new Body({ mass: 1 });
+        var b = new Body({ mass: 1 });
+        var c = new Body({ mass: 1 });
+        var d = new Body({ mass: 1 });
+        var bodies = [ground, a, b, c, d];
+        var eqAB = new Equation(a, b);
+        var eqGroundB = new Equation(ground, b);
+        var eqGroundC = new Equation(ground, c);
+
+        var graph = new IslandGraph();
+        graph.reset(bodies);
+        graph.addEquation(eqAB);
+        graph.addEquation(eqGroundB);
+        graph.addEquation(eqGroundC);
+
+        var islandBodies = [], islandEquations = [];
+
+        // Static bodies don't link islands
+        test.ok(graph.nextIsland(islandBodies, islandEquations));
+        test.deepEqual(islandBodies, [a, b]);
+        test.equal(islandEquations.length, 2);
+        test.ok(islandEquations.indexOf(eqAB) !== -1);
+        test.ok(islandEquations.indexOf(eqGroundB) !== -1);
+
+        test.ok(graph.nextIsland(islandBodies, islandEquations));
+        test.deepEqual(islandBodies, [c]);
+        test.deepEqual(islandEquations, [eqGroundC]);
+
+        test.ok(graph.nextIsland(islandBodies, islandEquations));
+        test.deepEqual(islandBodies, [d]);
+        test.deepEqual(islandEquations, []);
+
+        test.ok(!graph.nextIsland(islandBodies, islandEquations));
+        test.equal(islandBodies.length, 0);
+
+        test.done();
+    },
+
+    connect: function(test){
+        var a = new Body({ mass: 1 });
+        var b = new Body({ mass: 1 });
+        var graph = new IslandGraph();
+        graph.reset([a, b]);
+        graph.connect(a, b);
+
+        var islandBodies = [], islandEquations = [];
+        test.ok(graph.nextIsland(islandBodies, islandEquations));
+        test.deepEqual(islandBodies, [a, b]);
+        test.equal(islandEquations.length, 0);
+        test.ok(!graph.nextIsland(islandBodies, islandEquations));
+
+        test.done();
+    }
+};
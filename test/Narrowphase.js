@@ -1,9 +1,14 @@
 var Vec3 = require("../src/math/Vec3");
 var Quaternion = require("../src/math/Quaternion");
 var Box = require('../src/shapes/Box');
-var Heightfield = require('../src/shapes/heightfield');
+var Heightfield = require('../src/shapes/Heightfield');
 var Narrowphase = require('../src/world/Narrowphase');
 var Sphere = require('../src/shapes/Sphere');
+var Capsule = require('../src/shapes/Capsule');
+var Plane = require('../src/shapes/Plane');
+var Particle = require('../src/shapes/Particle');
+var Trimesh = require('../src/shapes/Trimesh');
+var Cylinder = require('../src/shapes/Cylinder');
 var Body = require('../src/objects/Body');
 var ContactMaterial = require('../src/material/ContactMaterial');
 var World = require('../src/world/World');
@@ -63,9 +68,291 @@ module.exports = {
         test.done();
     },
 
+    sphereCapsule : function(test){
+        var cg = createNarrowphase();
+        var sphereShape = new Sphere(1);
+        var capsuleShape = new Capsule(0.5, 2);
+        var sphereBody = new Body({ mass: 1, shape: sphereShape });
+        var capsuleBody = new Body({ mass: 1, shape: capsuleShape });
+
+        // Touching the side of the capsule
+        cg.sphereCapsule(sphereShape, capsuleShape, new Vec3(1.4, 0, 0.5), new Vec3(), new Quaternion(), new Quaternion(), sphereBody, capsuleBody);
+        test.equal(cg.result.length, 1);
+        test.ok(cg.result[0].ni.almostEquals(new Vec3(-1, 0, 0)));
+
+        // Above the capsule
+        cg.result.length = 0;
+        test.ok(cg.sphereCapsule(sphereShape, capsuleShape, new Vec3(0, 0, 2.4), new Vec3(), new Quaternion(), new Quaternion(), sphereBody, capsuleBody, null, null, true));
+        test.equal(cg.result.length, 0);
+
+        // Not touching
+        test.ok(!cg.sphereCapsule(sphereShape, capsuleShape, new Vec3(0, 0, 2.6), new Vec3(), new Quaternion(), new Quaternion(), sphereBody, capsuleBody, null, null, true));
+
+        test.done();
+    },
+
+    planeCapsule : function(test){
+        var cg = createNarrowphase();
+        var planeShape = new Plane();
+        var capsuleShape = new Capsule(0.5, 2);
+        var planeBody = new Body({ mass: 0, shape: planeShape });
+        var capsuleBody = new Body({ mass: 1, shape: capsuleShape });
+
+        // Lying on the plane, along the X axis
+        var quat = new Quaternion();
+        quat.setFromAxisAngle(new Vec3(0, 1, 0), Math.PI / 2);
+        cg.planeCapsule(planeShape, capsuleShape, new Vec3(), new Vec3(0, 0, 0.4), new Quaternion(), quat, planeBody, capsuleBody);
+        test.equal(cg.result.length, 2);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        // Standing on the plane
+        cg.result.length = 0;
+        cg.planeCapsule(planeShape, capsuleShape, new Vec3(), new Vec3(0, 0, 1.4), new Quaternion(), new Quaternion(), planeBody, capsuleBody);
+        test.equal(cg.result.length, 1);
+
+        test.done();
+    },
+
+    boxCapsule : function(test){
+        var cg = createNarrowphase();
+        var boxShape = new Box(new Vec3(2, 2, 0.5));
+        var capsuleShape = new Capsule(0.5, 2);
+        var boxBody = new Body({ mass: 0, shape: boxShape });
+        var capsuleBody = new Body({ mass: 1, shape: capsuleShape });
+
+        // Lying on top of the box, along the X axis
+        var quat = new Quaternion();
+        quat.setFromAxisAngle(new Vec3(0, 1, 0), Math.PI / 2);
+        cg.boxCapsule(boxShape, capsuleShape, new Vec3(), new Vec3(0, 0, 0.9), new Quaternion(), quat, boxBody, capsuleBody);
+        test.equal(cg.result.length, 2);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        // Standing on a corner of the box
+        cg.result.length = 0;
+        cg.boxCapsule(boxShape, capsuleShape, new Vec3(), new Vec3(2.2, 2.2, 1.9), new Quaternion(), new Quaternion(), boxBody, capsuleBody);
+        test.equal(cg.result.length, 1);
+
+        // Separated
+        cg.result.length = 0;
+        test.ok(!cg.boxCapsule(boxShape, capsuleShape, new Vec3(), new Vec3(2.6, 0, 0), new Quaternion(), new Quaternion(), boxBody, capsuleBody, null, null, true));
+
+        test.done();
+    },
+
+    heightfieldCapsule : function(test){
+        var cg = createNarrowphase();
+        var hfShape = createHeightfield();
+        var capsuleShape = new Capsule(0.1, 0.5);
+        var quat = new Quaternion();
+        quat.setFromAxisAngle(new Vec3(0, 1, 0), Math.PI / 2);
+        cg.heightfieldCapsule(hfShape, capsuleShape, new Vec3(), new Vec3(1.5, 1.5, 0.05), new Quaternion(), quat, new Body(1, hfShape), new Body(1, capsuleShape));
+        test.ok(cg.result.length > 0);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        test.done();
+    },
+
+    particleCapsule : function(test){
+        var cg = createNarrowphase();
+        var particleShape = new Particle();
+        var capsuleShape = new Capsule(0.5, 2);
+        cg.particleCapsule(particleShape, capsuleShape, new Vec3(0.4, 0, 0), new Vec3(), new Quaternion(), new Quaternion(), new Body({ mass: 1, shape: particleShape }), new Body({ mass: 1, shape: capsuleShape }));
+        test.equal(cg.result.length, 1);
+        test.ok(cg.result[0].ni.almostEquals(new Vec3(-1, 0, 0)));
+
+        test.done();
+    },
+
+    trimeshCapsule : function(test){
+        var cg = createNarrowphase();
+        var trimeshShape = new Trimesh([-5,-5,0, 5,-5,0, 5,5,0, -5,5,0], [0,1,2, 0,2,3]);
+        var capsuleShape = new Capsule(0.5, 2);
+        var trimeshBody = new Body({ mass: 0, shape: trimeshShape });
+        var capsuleBody = new Body({ mass: 1, shape: capsuleShape });
+
+        // Lying on the mesh, on a single triangle
+        var quat = new Quaternion();
+        quat.setFromAxisAngle(new Vec3(1, 0, 0), Math.PI / 2);
+        cg.trimeshCapsule(trimeshShape, capsuleShape, new Vec3(), new Vec3(3, 0, 0.4), new Quaternion(), quat, trimeshBody, capsuleBody);
+        test.equal(cg.result.length, 2);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        // Touching the edge of the mesh from the side
+        cg.result.length = 0;
+        cg.trimeshCapsule(trimeshShape, capsuleShape, new Vec3(), new Vec3(5.4, 0, 0), new Quaternion(), new Quaternion(), trimeshBody, capsuleBody);
+        test.equal(cg.result.length, 1);
+        test.ok(cg.result[0].ni.almostEquals(new Vec3(1, 0, 0)));
+
+        test.done();
+    },
+
+    trimeshCapsuleInternalEdges : function(test){
+        var cg = createNarrowphase();
+        var trimeshShape = new Trimesh([-5,-5,0, 5,-5,0, 5,5,0, -5,5,0], [0,1,2, 0,2,3]);
+        var capsuleShape = new Capsule(0.5, 2);
+        var trimeshBody = new Body({ mass: 0, shape: trimeshShape });
+        var capsuleBody = new Body({ mass: 1, shape: capsuleShape });
+
+        // Standing next to the shared edge of the two triangles
+        cg.trimeshCapsule(trimeshShape, capsuleShape, new Vec3(), new Vec3(0.1, 0, 1.4), new Quaternion(), new Quaternion(), trimeshBody, capsuleBody);
+        test.equal(cg.result.length, 1);
+        test.ok(cg.result[0].ni.almostEquals(new Vec3(0, 0, 1)));
+
+        // Should land upright and stay at rest on the mesh, like on a plane
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+        world.addBody(new Body({ mass: 0, shape: trimeshShape }));
+        var body = new Body({ mass: 1, shape: capsuleShape, position: new Vec3(0.1, 0, 2) });
+        world.addBody(body);
+        for(var i=0; i<300; i++){
+            world.step(1 / 60);
+        }
+        test.ok(body.position.almostEquals(new Vec3(0.1, 0, 1.5), 0.05));
+
+        test.done();
+    },
+
+    boxTrimesh : function(test){
+        var cg = createNarrowphase();
+        var boxShape = new Box(new Vec3(0.5, 0.5, 0.5));
+        var trimeshShape = createGridTrimesh();
+        var boxBody = new Body({ mass: 1, shape: boxShape });
+        var trimeshBody = new Body({ mass: 0, shape: trimeshShape });
+
+        // Resting inside a single triangle
+        var smallBoxShape = new Box(new Vec3(0.1, 0.1, 0.1));
+        cg.boxTrimesh(smallBoxShape, trimeshShape, new Vec3(1.7, 0.25, 0.09), new Vec3(), new Quaternion(), new Quaternion(), boxBody, trimeshBody);
+        test.equal(cg.result.length, 4);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, -1)));
+        }
+
+        // Resting on a vertex shared by several triangles should not give duplicate contacts
+        cg.result.length = 0;
+        cg.boxTrimesh(boxShape, trimeshShape, new Vec3(0, 0, 0.49), new Vec3(), new Quaternion(), new Quaternion(), boxBody, trimeshBody);
+        for(var i=0; i<cg.result.length; i++){
+            for(var j=0; j<i; j++){
+                test.ok(!cg.result[i].rj.almostEquals(cg.result[j].rj, 1e-6));
+            }
+        }
+        test.ok(cg.result.length >= 4);
+
+        // Above the mesh
+        test.ok(!cg.boxTrimesh(boxShape, trimeshShape, new Vec3(0, 0, 0.6), new Vec3(), new Quaternion(), new Quaternion(), boxBody, trimeshBody, null, null, true));
+
+        test.done();
+    },
+
+    convexTrimesh : function(test){
+        var cg = createNarrowphase();
+        var cylinderShape = new Cylinder(0.5, 0.5, 1, 8);
+        var trimeshShape = createGridTrimesh();
+        var cylinderBody = new Body({ mass: 1, shape: cylinderShape });
+        var trimeshBody = new Body({ mass: 0, shape: trimeshShape });
+
+        // Standing on the mesh. The cylinder is aligned along its local Z axis.
+        test.ok(cg.convexTrimesh(cylinderShape, trimeshShape, new Vec3(0.3, 0.2, 0.49), new Vec3(), new Quaternion(), new Quaternion(), cylinderBody, trimeshBody, null, null, true));
+        cg.convexTrimesh(cylinderShape, trimeshShape, new Vec3(0.3, 0.2, 0.49), new Vec3(), new Quaternion(), new Quaternion(), cylinderBody, trimeshBody);
+        test.ok(cg.result.length >= 3);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, -1)));
+        }
+
+        // Below the mesh, the contact normal should be flipped
+        cg.result.length = 0;
+        cg.convexTrimesh(cylinderShape, trimeshShape, new Vec3(0.3, 0.2, -0.49), new Vec3(), new Quaternion(), new Quaternion(), cylinderBody, trimeshBody);
+        test.ok(cg.result.length >= 3);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        test.done();
+    },
+
+    trimeshTrimesh : function(test){
+        var cg = createNarrowphase();
+        var groundShape = createGridTrimesh();
+        var boxShape = createBoxTrimesh(0.5);
+        var groundBody = new Body({ mass: 0, shape: groundShape });
+        var boxBody = new Body({ mass: 1, shape: boxShape });
+
+        // Box mesh resting on the grid
+        cg.trimeshTrimesh(groundShape, boxShape, new Vec3(), new Vec3(0.3, 0.2, 0.49), new Quaternion(), new Quaternion(), groundBody, boxBody);
+        test.ok(cg.result.length >= 4);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        // Above the grid
+        test.ok(!cg.trimeshTrimesh(groundShape, boxShape, new Vec3(), new Vec3(0.3, 0.2, 0.6), new Quaternion(), new Quaternion(), groundBody, boxBody, null, null, true));
+
+        test.done();
+    },
+
+    heightfieldTrimesh : function(test){
+        var cg = createNarrowphase();
+        var hfShape = createHeightfield();
+        var boxShape = createBoxTrimesh(0.5);
+        var hfBody = new Body({ mass: 0, shape: hfShape });
+        var boxBody = new Body({ mass: 1, shape: boxShape });
+
+        // Box mesh resting on the heightfield
+        cg.heightfieldTrimesh(hfShape, boxShape, new Vec3(), new Vec3(3.3, 3.2, 0.49), new Quaternion(), new Quaternion(), hfBody, boxBody);
+        test.ok(cg.result.length >= 4);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(0, 0, 1)));
+        }
+
+        // Above the heightfield
+        test.ok(!cg.heightfieldTrimesh(hfShape, boxShape, new Vec3(), new Vec3(3.3, 3.2, 0.6), new Quaternion(), new Quaternion(), hfBody, boxBody, null, null, true));
+
+        test.done();
+    },
+
+    capsuleCapsule : function(test){
+        var cg = createNarrowphase();
+        var capsuleShape = new Capsule(0.5, 2);
+        var bodyA = new Body({ mass: 1, shape: capsuleShape });
+        var bodyB = new Body({ mass: 1, shape: capsuleShape });
+
+        // Parallel
+        cg.capsuleCapsule(capsuleShape, capsuleShape, new Vec3(), new Vec3(0.9, 0, 0.5), new Quaternion(), new Quaternion(), bodyA, bodyB);
+        test.equal(cg.result.length, 2);
+        for(var i=0; i<cg.result.length; i++){
+            test.ok(cg.result[i].ni.almostEquals(new Vec3(1, 0, 0)));
+        }
+
+        // Crossing
+        cg.result.length = 0;
+        var quat = new Quaternion();
+        quat.setFromAxisAngle(new Vec3(1, 0, 0), Math.PI / 2);
+        cg.capsuleCapsule(capsuleShape, capsuleShape, new Vec3(), new Vec3(0.9, 0, 0), new Quaternion(), quat, bodyA, bodyB);
+        test.equal(cg.result.length, 1);
+        test.ok(cg.result[0].ni.almostEquals(new Vec3(1, 0, 0)));
+
+        // Separated
+        test.ok(!cg.capsuleCapsule(capsuleShape, capsuleShape, new Vec3(), new Vec3(1.1, 0, 0), new Quaternion(), new Quaternion(), bodyA, bodyB, null, null, true));
+
+        test.done();
+    },
 
 };
 
+function createNarrowphase(){
+    var world = new World();
+    var cg = new Narrowphase(world);
+    cg.currentContactMaterial = new ContactMaterial();
+    cg.result = [];
+    return cg;
+}
+
 function createHeightfield(){
     var matrix = [];
     var size = 20;
@@ -80,4 +367,43 @@ function createHeightfield(){
     });
 
     return hfShape;
-}
\ No newline at end of file
+}
+
+function createGridTrimesh(){
+    // A flat 10x10 grid in the XY plane, centered at the origin
+    var size = 10;
+    var vertices = [];
+    var indices = [];
+    for(var i = 0; i <= size; i++){
+        for(var j = 0; j <= size; j++){
+            vertices.push(i - size / 2, j - size / 2, 0);
+        }
+    }
+    for(var i = 0; i < size; i++){
+        for(var j = 0; j < size; j++){
+            var a = i * (size + 1) + j;
+            var b = a + 1;
+            var c = a + size + 1;
+            var d = c + 1;
+            indices.push(a, c, d, a, d, b);
+        }
+    }
+    return new Trimesh(vertices, indices);
+}
+
+function createBoxTrimesh(halfExtent){
+    var h = halfExtent;
+    var vertices = [
+        -h,-h,-h,   h,-h,-h,   h,h,-h,   -h,h,-h,
+        -h,-h,h,    h,-h,h,    h,h,h,    -h,h,h
+    ];
+    var indices = [
+        0,2,1, 0,3,2, // -z
+        4,5,6, 4,6,7, // +z
+        0,1,5, 0,5,4, // -y
+        1,2,6, 1,6,5, // +x
+        2,3,7, 2,7,6, // +y
+        3,0,4, 3,4,7  // -x
+    ];
+    return new Trimesh(vertices, indices);
+}
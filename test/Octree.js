@@ -99,7 +99,29 @@ module.exports = {
         tree.aabbQuery(new AABB({ lowerBound: new Vec3(0,0,0), upperBound: new Vec3(1,1,1) }), result);
         test.deepEqual(result, [123]);
 
+        test.done();
+    },
+
+    removeEmptyNodes: function(test){
+        var aabb = new AABB({
+            lowerBound: new Vec3(-1, -1, -1),
+            upperBound: new Vec3(1, 1, 1)
+        });
+        var tree = new Octree(aabb);
+
+        // Ends up deep in the lower corner, with no data in the nodes above it
+        var nodeAABB = new AABB({
+            lowerBound: new Vec3(-1, -1, -1),
+            upperBound: new Vec3(-1, -1, -1)
+        });
+        tree.insert(nodeAABB, 123);
+        tree.removeEmptyNodes();
+
+        var result = [];
+        tree.aabbQuery(aabb, result);
+        test.deepEqual(result, [123]);
+        test.equal(tree.children.length, 1);
+
         test.done();
     }
 };
-
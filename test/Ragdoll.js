@@ -0,0 +1,165 @@
+var Vec3 = require('../src/math/Vec3');
+var Quaternion = require('../src/math/Quaternion');
+var Transform = require('../src/math/Transform');
+var Body = require('../src/objects/Body');
+var Plane = require('../src/shapes/Plane');
+var Capsule = require('../src/shapes/Capsule');
+var World = require('../src/world/World');
+var Ragdoll = require('../src/objects/Ragdoll');
+var ConeTwistConstraint = require('../src/constraints/ConeTwistConstraint');
+var HingeConstraint = require('../src/constraints/HingeConstraint');
+
+module.exports = {
+    construct: function(test){
+        var ragdoll = createRagdoll();
+
+        test.equal(ragdoll.bones.length, 5);
+        test.equal(ragdoll.bodies.length, 5);
+        test.equal(ragdoll.constraints.length, 4);
+
+        var torso = ragdoll.getBone('torso');
+        test.equal(torso.parent, null);
+        test.equal(torso.constraint, null);
+        test.ok(torso.body.shapes[0] instanceof Capsule);
+        test.equal(torso.body.mass, 20);
+        test.ok(torso.body.position.almostEquals(new Vec3(0, 0, 1.3)));
+
+        var head = ragdoll.getBone('head');
+        test.equal(head.parent, torso);
+        test.ok(head.constraint instanceof ConeTwistConstraint);
+        test.ok(head.restPosition.almostEquals(new Vec3(0, 0, 1.6)));
+        test.ok(head.body.position.almostEquals(new Vec3(0, 0, 1.75)));
+
+        var upperArm = ragdoll.getBone('upperArm');
+        test.ok(upperArm.restPosition.almostEquals(new Vec3(0.2, 0, 1.5)));
+        test.ok(upperArm.body.position.almostEquals(new Vec3(0.35, 0, 1.5)));
+
+        // Inherits the direction of the parent
+        var lowerArm = ragdoll.getBone('lowerArm');
+        test.ok(lowerArm.constraint instanceof HingeConstraint);
+        test.ok(lowerArm.body.position.almostEquals(new Vec3(0.65, 0, 1.5)));
+        test.equal(lowerArm.constraint.lowerLimit, -2);
+        test.equal(lowerArm.constraint.upperLimit, 0);
+
+        test.equal(ragdoll.getBone('foo'), undefined);
+
+        test.done();
+    },
+
+    missingParent: function(test){
+        test.throws(function(){
+            new Ragdoll({
+                bones: [
+                    { name: 'head', parent: 'torso', length: 0.3, radius: 0.1, mass: 1 }
+                ]
+            });
+        });
+        test.done();
+    },
+
+    addRemove: function(test){
+        var world = new World();
+        var ragdoll = createRagdoll();
+
+        ragdoll.addToWorld(world);
+        test.equal(world.bodies.length, 5);
+        test.equal(world.constraints.length, 4);
+        test.equal(ragdoll.world, world);
+
+        ragdoll.removeFromWorld(world);
+        test.equal(world.bodies.length, 0);
+        test.equal(world.constraints.length, 0);
+        test.equal(ragdoll.world, null);
+
+        test.done();
+    },
+
+    getBoneTransform: function(test){
+        var ragdoll = createRagdoll();
+        var transform = new Transform();
+
+        var upperArm = ragdoll.getBone('upperArm');
+        test.equal(ragdoll.getBoneTransform('upperArm', transform), transform);
+        test.ok(transform.position.almostEquals(upperArm.restPosition));
+        test.ok(transform.vectorToWorldFrame(new Vec3(0, 0, 1)).almostEquals(new Vec3(1, 0, 0)));
+
+        upperArm.body.position.set(1, 2, 3);
+        ragdoll.getBoneTransform(upperArm, transform);
+        test.ok(transform.position.almostEquals(new Vec3(0.85, 2, 3)));
+
+        test.done();
+    },
+
+    getSkinningTransform: function(test){
+        var ragdoll = createRagdoll();
+        var transform = new Transform();
+
+        // Identity in the rest pose
+        ragdoll.getSkinningTransform('head', transform);
+        test.ok(transform.position.almostZero());
+        test.ok(transform.pointToWorld(new Vec3(1, 2, 3)).almostEquals(new Vec3(1, 2, 3)));
+
+        // Move the head body and check that a point on it follows
+        var head = ragdoll.getBone('head');
+        var restPoint = new Vec3(0.1, 0, 1.8);
+        var localPoint = head.body.pointToLocalFrame(restPoint);
+        var rotation = new Quaternion();
+        rotation.setFromAxisAngle(new Vec3(1, 0, 0), 0.5);
+        rotation.mult(head.body.quaternion, head.body.quaternion);
+        head.body.position.set(1, 2, 3);
+
+        ragdoll.getSkinningTransform(head, transform);
+        test.ok(transform.pointToWorld(restPoint).almostEquals(head.body.pointToWorldFrame(localPoint)));
+
+        test.done();
+    },
+
+    simulate: function(test){
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+        var ground = new Body({ mass: 0 });
+        ground.addShape(new Plane());
+        world.addBody(ground);
+
+        var ragdoll = createRagdoll();
+        ragdoll.addToWorld(world);
+        ragdoll.getBone('torso').body.velocity.set(1, 0, 0);
+
+        for(var i=0; i<300; i++){
+            world.step(1 / 60);
+        }
+
+        var transform = new Transform();
+        var pivot = new Vec3();
+        for(i=0; i<ragdoll.bones.length; i++){
+            var bone = ragdoll.bones[i];
+
+            // Should have fallen down
+            test.ok(bone.body.position.z < 0.5);
+
+            // The joints should hold
+            if(bone.parent){
+                bone.parent.body.pointToWorldFrame(bone.constraint.pivotA, pivot);
+                ragdoll.getBoneTransform(bone, transform);
+                test.ok(pivot.almostEquals(transform.position, 0.01));
+            }
+        }
+
+        var elbow = ragdoll.getBone('lowerArm').constraint.getAngle();
+        test.ok(elbow > -2.05 && elbow < 0.05);
+
+        test.done();
+    }
+};
+
+function createRagdoll(){
+    return new Ragdoll({
+        position: new Vec3(0, 0, 1),
+        bones: [
+            { name: 'torso', length: 0.6, radius: 0.15, mass: 20 },
+            { name: 'head', parent: 'torso', length: 0.3, radius: 0.12, mass: 5, joint: { angle: 0.4, twistAngle: 0.3 } },
+            { name: 'upperArm', parent: 'torso', offset: new Vec3(0.2, 0, -0.1), direction: new Vec3(1, 0, 0), length: 0.3, radius: 0.05, mass: 2 },
+            { name: 'lowerArm', parent: 'upperArm', length: 0.3, radius: 0.05, mass: 2, joint: { type: 'hinge', axis: new Vec3(0, 0, 1), lowerLimit: -2, upperLimit: 0 } },
+            { name: 'leg', parent: 'torso', offset: new Vec3(0, 0, -0.6), direction: new Vec3(0, 0, -1), length: 0.8, radius: 0.08, mass: 10 }
+        ]
+    });
+}
@@ -3,12 +3,18 @@ var Mat3 = require("../src/math/Mat3");
 var Quaternion = require("../src/math/Quaternion");
 var Box = require('../src/shapes/Box');
 var Sphere = require('../src/shapes/Sphere');
+var Capsule = require('../src/shapes/Capsule');
 var Trimesh = require('../src/shapes/Trimesh');
 var Plane = require('../src/shapes/Plane');
 var Ray = require('../src/collision/Ray');
 var Body = require('../src/objects/Body');
 var RaycastResult = require('../src/collision/RaycastResult');
 var Heightfield = require('../src/shapes/Heightfield');
+var World = require('../src/world/World');
+var NaiveBroadphase = require('../src/collision/NaiveBroadphase');
+var SAPBroadphase = require('../src/collision/SAPBroadphase');
+var GridBroadphase = require('../src/collision/GridBroadphase');
+var DynamicAABBTreeBroadphase = require('../src/collision/DynamicAABBTreeBroadphase');
 
 module.exports = {
 
@@ -139,6 +145,47 @@ module.exports = {
         test.done();
     },
 
+    capsule: function(test){
+        var r = new Ray(new Vec3(5,0,0), new Vec3(-5, 0, 0));
+        var shape = new Capsule(1, 2);
+        var body = new Body({ mass: 1 });
+        body.addShape(shape);
+
+        // Hit the cylindrical part
+        var result = new RaycastResult();
+        r.intersectBody(body, result);
+        test.equals(result.hasHit, true);
+        test.ok(result.hitPointWorld.almostEquals(new Vec3(1,0,0)));
+        test.ok(result.hitNormalWorld.almostEquals(new Vec3(1,0,0)));
+
+        // Hit the top cap, along the axis
+        result.reset();
+        r.from.set(0, 0, 5);
+        r.to.set(0, 0, -5);
+        r.intersectBody(body, result);
+        test.equals(result.hasHit, true);
+        test.ok(result.hitPointWorld.almostEquals(new Vec3(0,0,2)));
+        test.ok(result.hitNormalWorld.almostEquals(new Vec3(0,0,1)));
+
+        // Miss beside the cap
+        result.reset();
+        r.from.set(5, 0, 2.5);
+        r.to.set(-5, 0, 2.5);
+        r.intersectBody(body, result);
+        test.equals(result.hasHit, false);
+
+        // Rotated capsule, lying along the X axis
+        result.reset();
+        body.quaternion.setFromAxisAngle(new Vec3(0,1,0), Math.PI / 2);
+        r.from.set(5, 0, 0);
+        r.to.set(-5, 0, 0);
+        r.intersectBody(body, result);
+        test.equals(result.hasHit, true);
+        test.ok(result.hitPointWorld.almostEquals(new Vec3(2,0,0)));
+
+        test.done();
+    },
+
     heightfield: function(test){
         var r = new Ray(new Vec3(0, 0, 10), new Vec3(0, 0, -10));
         r.skipBackfaces = true;
@@ -283,6 +330,47 @@ module.exports = {
         test.done();
     },
 
+    intersectWorldBroadphases: function(test){
+        var broadphases = [
+            new SAPBroadphase(),
+            new GridBroadphase(new Vec3(-10, -10, -10), new Vec3(10, 10, 10), 5, 5, 5),
+            new DynamicAABBTreeBroadphase()
+        ];
+        var rays = [
+            [new Vec3(-20, 0.2, 0.5), new Vec3(20, 0.2, 0.5)],
+            [new Vec3(-6, -6, 3), new Vec3(6, 6, 0.2)],
+            [new Vec3(1, 1, 20), new Vec3(1, 1, -20)],
+            [new Vec3(30, 30, 1), new Vec3(30, -30, 1)],
+            [new Vec3(0.5, 0.5, 0.5), new Vec3(0.6, 0.5, 0.5)]
+        ];
+
+        for(var i=0; i<broadphases.length; i++){
+            var world = createRaycastWorld(broadphases[i]);
+            for(var j=0; j<10; j++){
+                world.step(1 / 60);
+            }
+
+            for(var j=0; j<rays.length; j++){
+                var from = rays[j][0],
+                    to = rays[j][1];
+
+                var hits = getHitIds(world, from, to);
+                world.broadphase = new NaiveBroadphase();
+                var expected = getHitIds(world, from, to);
+                world.broadphase = broadphases[i];
+                test.deepEqual(hits, expected);
+
+                // Only the bodies along the ray should be returned
+                var ray = new Ray(from, to);
+                var bodies = world.broadphase.rayQuery(world, ray, []);
+                test.ok(bodies.length >= expected.length);
+                test.ok(bodies.length < world.bodies.length);
+            }
+        }
+
+        test.done();
+    },
+
 };
 
 function createPolyhedron(size){
@@ -291,3 +379,34 @@ function createPolyhedron(size){
     box.updateConvexPolyhedronRepresentation();
     return box.convexPolyhedronRepresentation;
 }
+
+function createRaycastWorld(broadphase){
+    var world = new World({
+        gravity: new Vec3(0, 0, -10),
+        broadphase: broadphase
+    });
+    var ground = new Body({ mass: 0 });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+    for(var x=-4; x<=4; x+=2){
+        for(var y=-4; y<=4; y+=2){
+            var body = new Body({
+                mass: 1,
+                position: new Vec3(x, y, 0.5 + Math.abs(x + y) * 0.5)
+            });
+            body.addShape((x + y) % 4 ? new Sphere(0.5) : new Box(new Vec3(0.5, 0.5, 0.5)));
+            world.addBody(body);
+        }
+    }
+    return world;
+}
+
+function getHitIds(world, from, to){
+    var ids = [];
+    world.raycastAll(from, to, {}, function(result){
+        if(ids.indexOf(result.body.id) === -1){
+            ids.push(result.body.id);
+        }
+    });
+    return ids.sort(function(a, b){ return a - b; });
+}
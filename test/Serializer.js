@@ -0,0 +1,357 @@
+var Vec3 = require("../src/math/Vec3");
+var Quaternion = require("../src/math/Quaternion");
+var Box = require('../src/shapes/Box');
+var Plane = require('../src/shapes/Plane');
+var Sphere = require('../src/shapes/Sphere');
+var Capsule = require('../src/shapes/Capsule');
+var Cylinder = require('../src/shapes/Cylinder');
+var Particle = require('../src/shapes/Particle');
+var Heightfield = require('../src/shapes/Heightfield');
+var Trimesh = require('../src/shapes/Trimesh');
+var ConvexPolyhedron = require('../src/shapes/ConvexPolyhedron');
+var Body = require('../src/objects/Body');
+var Spring = require('../src/objects/Spring');
+var RaycastVehicle = require('../src/objects/RaycastVehicle');
+var Material = require('../src/material/Material');
+var ContactMaterial = require('../src/material/ContactMaterial');
+var PointToPointConstraint = require('../src/constraints/PointToPointConstraint');
+var DistanceConstraint = require('../src/constraints/DistanceConstraint');
+var HingeConstraint = require('../src/constraints/HingeConstraint');
+var LockConstraint = require('../src/constraints/LockConstraint');
+var ConeTwistConstraint = require('../src/constraints/ConeTwistConstraint');
+var Generic6DofConstraint = require('../src/constraints/Generic6DofConstraint');
+var Generic6DofSpringConstraint = require('../src/constraints/Generic6DofSpringConstraint');
+var SliderConstraint = require('../src/constraints/SliderConstraint');
+var SAPBroadphase = require('../src/collision/SAPBroadphase');
+var GridBroadphase = require('../src/collision/GridBroadphase');
+var DynamicAABBTreeBroadphase = require('../src/collision/DynamicAABBTreeBroadphase');
+var GSSolver = require('../src/solver/GSSolver');
+var SplitSolver = require('../src/solver/SplitSolver');
+var World = require('../src/world/World');
+var Serializer = require('../src/world/Serializer');
+
+module.exports = {
+
+    version: function(test){
+        var json = new World().toJSON();
+        test.equal(json.version, Serializer.VERSION);
+
+        json.version = Serializer.VERSION + 1;
+        test.throws(function(){
+            World.fromJSON(json);
+        });
+
+        test.done();
+    },
+
+    settings: function(test){
+        var world = new World({
+            gravity: new Vec3(1, 2, -3),
+            allowSleep: true,
+            deterministic: true,
+            broadphase: new GridBroadphase(new Vec3(-5, -5, -5), new Vec3(5, 5, 5), 3, 4, 5),
+            solver: new SplitSolver(new GSSolver())
+        });
+        world.solver.iterations = 7;
+        world.solver.subsolver.tolerance = 0.1;
+        world.quatNormalizeFast = true;
+        world.quatNormalizeSkip = 2;
+
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+
+        test.ok(copy.gravity.almostEquals(new Vec3(1, 2, -3)));
+        test.ok(copy.allowSleep);
+        test.ok(copy.deterministic);
+        test.ok(copy.quatNormalizeFast);
+        test.equal(copy.quatNormalizeSkip, 2);
+        test.ok(copy.broadphase instanceof GridBroadphase);
+        test.equal(copy.broadphase.nx, 3);
+        test.equal(copy.broadphase.nz, 5);
+        test.ok(copy.broadphase.aabbMax.almostEquals(new Vec3(5, 5, 5)));
+        test.ok(copy.solver instanceof SplitSolver);
+        test.equal(copy.solver.iterations, 7);
+        test.ok(copy.solver.subsolver instanceof GSSolver);
+        test.equal(copy.solver.subsolver.tolerance, 0.1);
+
+        test.done();
+    },
+
+    dynamicAABBTreeBroadphase: function(test){
+        var world = new World({
+            broadphase: new DynamicAABBTreeBroadphase({ margin: 0.5 })
+        });
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+        test.ok(copy.broadphase instanceof DynamicAABBTreeBroadphase);
+        test.equal(copy.broadphase.margin, 0.5);
+        test.done();
+    },
+
+    shapes: function(test){
+        var world = createWorld();
+        world.bodies[0].shapes[0].sensor = true;
+        world.bodies[1].sensor = true;
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+
+        test.equal(copy.bodies.length, world.bodies.length);
+        for(var i = 0; i < world.bodies.length; i++){
+            var a = world.bodies[i],
+                b = copy.bodies[i];
+            test.equal(b.shapes.length, a.shapes.length);
+            test.equal(b.sensor, a.sensor);
+            for(var j = 0; j < a.shapes.length; j++){
+                test.equal(b.shapes[j].type, a.shapes[j].type);
+                test.equal(b.shapes[j].boundingSphereRadius, a.shapes[j].boundingSphereRadius);
+                test.equal(b.shapes[j].sensor, a.shapes[j].sensor);
+                test.ok(b.shapeOffsets[j].almostEquals(a.shapeOffsets[j], 0));
+                test.deepEqual(b.shapeOrientations[j].toArray(), a.shapeOrientations[j].toArray());
+            }
+        }
+
+        test.done();
+    },
+
+    materials: function(test){
+        var world = createWorld();
+        world.contactmaterials[0].surfaceVelocity.set(1, 2, 0);
+        world.bodies[0].surfaceVelocity.set(0, 3, 0);
+        world.bodies[0].material.frictionCombine = Material.COMBINE_MAX;
+        world.bodies[0].material.restitutionCombine = Material.COMBINE_MIN;
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+
+        test.equal(copy.contactmaterials.length, 1);
+        var cm = copy.contactmaterials[0];
+        test.equal(cm.friction, 0.01);
+        test.equal(cm.restitution, 0.5);
+        test.equal(cm.materials[0].name, 'ice');
+        test.equal(copy.getContactMaterial(copy.bodies[1].material, copy.bodies[2].material), cm);
+        test.ok(cm.surfaceVelocity.almostEquals(new Vec3(1, 2, 0), 0));
+        test.ok(copy.bodies[0].surfaceVelocity.almostEquals(new Vec3(0, 3, 0), 0));
+        test.equal(copy.bodies[0].material.frictionCombine, Material.COMBINE_MAX);
+        test.equal(copy.bodies[0].material.restitutionCombine, Material.COMBINE_MIN);
+
+        test.done();
+    },
+
+    objects: function(test){
+        var world = createWorld();
+        world.constraints[6].disable();
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+
+        test.equal(copy.constraints.length, world.constraints.length);
+        test.ok(copy.constraints[2] instanceof HingeConstraint);
+        test.ok(copy.constraints[2].motorEquation.enabled);
+        test.ok(copy.constraints[2].motorEnabled);
+        test.ok(copy.constraints[2].enabled);
+        test.equal(copy.constraints[2].motorEquation.targetVelocity, 2);
+        test.equal(copy.constraints[2].lowerLimit, -1);
+        test.equal(copy.constraints[2].limitRestitution, 0.5);
+        test.equal(copy.constraints[2].getAngle(), world.constraints[2].getAngle());
+        test.ok(copy.constraints[3] instanceof LockConstraint);
+        test.ok(copy.constraints[5] instanceof Generic6DofSpringConstraint);
+        test.equal(copy.constraints[5].modes[Generic6DofConstraint.LINEAR_Z], Generic6DofConstraint.LIMITED);
+        test.equal(copy.constraints[5].stiffness[Generic6DofConstraint.LINEAR_Z], 20);
+        test.ok(copy.constraints[5].motorEnabled[Generic6DofConstraint.ANGULAR_Z]);
+        test.equal(copy.constraints[5].motorEquations[Generic6DofConstraint.ANGULAR_Z].targetVelocity, 1);
+        test.ok(copy.constraints[6] instanceof SliderConstraint);
+        test.equal(copy.constraints[6].upperLimit, 4);
+        test.ok(copy.constraints[6].motorEnabled);
+        test.equal(copy.constraints[6].enabled, false);
+        test.ok(copy.constraints[6].perpendicularB.almostEquals(world.constraints[6].perpendicularB, 0));
+        test.equal(copy.springs.length, 1);
+        test.equal(copy.springs[0].bodyA, copy.bodies[1]);
+        test.equal(copy.springs[0].stiffness, 50);
+        test.equal(copy.vehicles.length, 1);
+        test.equal(copy.vehicles[0].wheelInfos.length, 2);
+        test.equal(copy.vehicles[0].wheelInfos[0].engineForce, 10);
+
+        test.done();
+    },
+
+    deterministic: function(test){
+        var world = createWorld();
+        var i;
+        for(i = 0; i < 30; i++){
+            world.step(1 / 60);
+        }
+
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+        for(i = 0; i < 60; i++){
+            world.step(1 / 60);
+            copy.step(1 / 60);
+        }
+
+        test.equal(copy.time, world.time);
+        for(i = 0; i < world.bodies.length; i++){
+            var a = world.bodies[i],
+                b = copy.bodies[i];
+            test.deepEqual(b.position.toArray(), a.position.toArray());
+            test.deepEqual(b.quaternion.toArray(), a.quaternion.toArray());
+            test.deepEqual(b.velocity.toArray(), a.velocity.toArray());
+            test.deepEqual(b.angularVelocity.toArray(), a.angularVelocity.toArray());
+        }
+
+        test.done();
+    },
+
+    sleepIslands: function(test){
+        var world = new World({ gravity: new Vec3(0, 0, -10), allowSleep: true });
+        world.addBody(new Body({ mass: 0, shape: new Plane() }));
+        for(var i = 0; i < 3; i++){
+            world.addBody(new Body({ mass: 1, position: new Vec3(0, 0, 0.5 + i * 1.01), shape: new Box(new Vec3(0.5, 0.5, 0.5)) }));
+        }
+        for(i = 0; i < 600; i++){
+            world.step(1 / 60);
+        }
+
+        var copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+        for(i = 1; i < 4; i++){
+            test.equal(copy.bodies[i].sleepState, Body.SLEEPING);
+            test.ok(world.bodies[i].sleepIslandRoot);
+            test.equal(copy.bodies[i].sleepIslandRoot, copy.bodies[world.bodies.indexOf(world.bodies[i].sleepIslandRoot)]);
+        }
+
+        // The whole stack should wake up with the bottom box
+        copy.bodies[1].wakeUp();
+        copy.bodies[1].velocity.set(1, 0, 0);
+        copy.step(1 / 60);
+        for(i = 1; i < 4; i++){
+            test.notEqual(copy.bodies[i].sleepState, Body.SLEEPING);
+        }
+
+        test.done();
+    }
+};
+
+function createWorld(){
+    var world = new World({
+        gravity: new Vec3(0, 0, -10),
+        broadphase: new SAPBroadphase()
+    });
+    world.broadphase.axisIndex = 2;
+
+    var ice = new Material('ice');
+    var rubber = new Material('rubber');
+    world.addContactMaterial(new ContactMaterial(ice, rubber, {
+        friction: 0.01,
+        restitution: 0.5
+    }));
+
+    var ground = new Body({ mass: 0, material: ice });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+
+    var box = new Body({ mass: 1, material: rubber, position: new Vec3(0, 0, 2) });
+    box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+    box.addShape(new Sphere(0.3), new Vec3(0.5, 0, 0.5));
+    world.addBody(box);
+
+    var sphere = new Body({ mass: 1, material: ice, position: new Vec3(0.2, 0, 4) });
+    sphere.addShape(new Sphere(0.5));
+    world.addBody(sphere);
+
+    var compound = new Body({ mass: 2, position: new Vec3(3, 0, 2), angularVelocity: new Vec3(1, 2, 3) });
+    var q = new Quaternion();
+    q.setFromAxisAngle(new Vec3(1, 0, 0), Math.PI / 2);
+    compound.addShape(new Cylinder(0.5, 0.5, 1, 8), new Vec3(0, 0, 0), q);
+    compound.addShape(new Capsule(0.2, 1), new Vec3(0, 0, 1));
+    world.addBody(compound);
+
+    var particle = new Body({ mass: 0.1, position: new Vec3(-3, 0, 1) });
+    particle.addShape(new Particle());
+    world.addBody(particle);
+
+    var heightfield = new Body({ mass: 0, position: new Vec3(-6, -6, 0.1) });
+    heightfield.addShape(new Heightfield([[0, 0.5, 0], [0.5, 1, 0.5], [0, 0.5, 0]], { elementSize: 1 }));
+    world.addBody(heightfield);
+
+    var mesh = new Trimesh([0, 0, 0, 2, 0, 0, 2, 2, 0, 0, 2, 0], [0, 1, 2, 0, 2, 3]);
+    mesh.setScale(new Vec3(2, 2, 1));
+    var meshBody = new Body({ mass: 0, position: new Vec3(6, -2, 0.2) });
+    meshBody.addShape(mesh);
+    world.addBody(meshBody);
+
+    var meshSphere = new Body({ mass: 1, position: new Vec3(7, -1, 1.5) });
+    meshSphere.addShape(new Sphere(0.4));
+    world.addBody(meshSphere);
+
+    var tetra = new Body({ mass: 1, position: new Vec3(-6, -5, 3) });
+    tetra.addShape(new ConvexPolyhedron(
+        [new Vec3(0, 0, 0), new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)],
+        [[0, 3, 2], [0, 1, 3], [0, 2, 1], [1, 2, 3]]
+    ));
+    world.addBody(tetra);
+
+    world.addConstraint(new PointToPointConstraint(box, new Vec3(0, 0, 1), sphere, new Vec3(0, 0, -1)));
+    world.addConstraint(new DistanceConstraint(compound, particle, 3));
+    var hinge = new HingeConstraint(compound, tetra, {
+        pivotA: new Vec3(0, 0, 2),
+        axisA: new Vec3(1, 0, 0),
+        pivotB: new Vec3(0, 0, 0),
+        axisB: new Vec3(1, 0, 0)
+    });
+    hinge.enableMotor();
+    hinge.setMotorSpeed(2);
+    hinge.setLimits(-1, 1);
+    hinge.limitRestitution = 0.5;
+    world.addConstraint(hinge);
+    world.addConstraint(new LockConstraint(box, compound));
+    world.addConstraint(new ConeTwistConstraint(sphere, meshSphere, {
+        pivotA: new Vec3(0, 0, 1),
+        pivotB: new Vec3(0, 0, -1),
+        axisA: new Vec3(0, 0, 1),
+        axisB: new Vec3(0, 0, 1),
+        angle: 0.5,
+        twistAngle: 0.3
+    }));
+
+    var dof = new Generic6DofSpringConstraint(meshBody, meshSphere, {
+        linearLowerLimit: new Vec3(0, 0, -1),
+        linearUpperLimit: new Vec3(0, 0, 1),
+        angularLowerLimit: new Vec3(0, 0, 1),
+        angularUpperLimit: new Vec3(0, 0, -1)
+    });
+    dof.enableSpring(Generic6DofConstraint.LINEAR_Z);
+    dof.setStiffness(Generic6DofConstraint.LINEAR_Z, 20);
+    dof.setDamping(Generic6DofConstraint.LINEAR_Z, 1);
+    dof.enableMotor(Generic6DofConstraint.ANGULAR_Z);
+    dof.setMotorSpeed(Generic6DofConstraint.ANGULAR_Z, 1);
+    world.addConstraint(dof);
+
+    var slider = new SliderConstraint(heightfield, tetra, {
+        axisA: new Vec3(0, 0, 1),
+        axisB: new Vec3(0, 0, 1),
+        lowerLimit: 1,
+        upperLimit: 4
+    });
+    slider.enableMotor();
+    slider.setMotorSpeed(0.5);
+    world.addConstraint(slider);
+
+    world.addSpring(new Spring(box, particle, {
+        restLength: 2,
+        stiffness: 50,
+        damping: 2,
+        localAnchorA: new Vec3(0.5, 0, 0)
+    }));
+
+    var chassis = new Body({ mass: 5, position: new Vec3(0, 6, 1) });
+    chassis.addShape(new Box(new Vec3(1, 0.5, 0.25)));
+    var vehicle = new RaycastVehicle({
+        chassisBody: chassis
+    });
+    var wheelOptions = {
+        radius: 0.3,
+        directionLocal: new Vec3(0, 0, -1),
+        axleLocal: new Vec3(0, 1, 0),
+        suspensionRestLength: 0.4
+    };
+    wheelOptions.chassisConnectionPointLocal = new Vec3(1, 0, 0);
+    vehicle.addWheel(wheelOptions);
+    wheelOptions.chassisConnectionPointLocal = new Vec3(-1, 0, 0);
+    vehicle.addWheel(wheelOptions);
+    vehicle.applyEngineForce(10, 0);
+    vehicle.setSteeringValue(0.2, 0);
+    vehicle.addToWorld(world);
+
+    return world;
+}
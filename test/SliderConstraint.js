@@ -0,0 +1,185 @@
+var Vec3 = require('../src/math/Vec3');
+var Box = require('../src/shapes/Box');
+var Body = require('../src/objects/Body');
+var World = require('../src/world/World');
+var SliderConstraint = require('../src/constraints/SliderConstraint');
+
+module.exports = {
+    construct: function(test){
+        var bodyA = new Body({ mass: 1, position: new Vec3(1, 0, 0) });
+        var bodyB = new Body({ mass: 1, position: new Vec3(-1, 0, 0) });
+        var c = new SliderConstraint(bodyA, bodyB, { maxForce: 123 });
+
+        test.equal(c.equations.length, 8);
+        for(var i=0; i<c.equations.length; i++){
+            test.equal(c.equations[i].maxForce, 123);
+        }
+        test.equal(c.equation1.minForce, -123);
+        test.equal(c.lowerLimitEquation.minForce, 0);
+        test.ok(c.rotationLockEquation.enabled);
+        test.ok(!c.motorEquation.enabled);
+
+        test.done();
+    },
+
+    update: function(test){
+        var bodyA = new Body({ mass: 1, position: new Vec3(1, 0, 0) });
+        var bodyB = new Body({ mass: 1, position: new Vec3(-1, 0, 0) });
+        var c = new SliderConstraint(bodyA, bodyB);
+
+        c.update();
+
+        test.equal(c.getPosition(), -2);
+
+        test.done();
+    },
+
+    enableDisableMotor: function(test){
+        var c = new SliderConstraint(new Body(), new Body());
+
+        c.enableMotor();
+        test.ok(c.motorEquation.enabled);
+
+        c.disableMotor();
+        test.ok(!c.motorEquation.enabled);
+
+        test.done();
+    },
+
+    enableDisable: function(test){
+        var c = new SliderConstraint(new Body(), new Body(), { rotationLock: false });
+
+        c.disable();
+        c.update();
+        for(var i=0; i<c.equations.length; i++){
+            test.ok(!c.equations[i].enabled);
+        }
+
+        c.enable();
+        c.update();
+        test.ok(c.equation1.enabled);
+        test.ok(!c.rotationLockEquation.enabled);
+        test.ok(!c.motorEquation.enabled);
+
+        test.done();
+    },
+
+    slide: function(test){
+        var world = createWorld(new Vec3(0, -10, -10));
+        var c = new SliderConstraint(world.bodies[0], world.bodies[1], {
+            axisA: new Vec3(0, 1, 0),
+            axisB: new Vec3(0, 1, 0)
+        });
+        world.addConstraint(c);
+        world.bodies[1].angularVelocity.set(1, 2, 3);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        var body = world.bodies[1];
+        test.ok(body.position.y < -4);
+        test.ok(Math.abs(body.position.x) < 0.01);
+        test.ok(Math.abs(body.position.z) < 0.01);
+        test.ok(Math.abs(body.quaternion.x) < 0.01);
+        test.ok(Math.abs(body.quaternion.y) < 0.01);
+        test.ok(Math.abs(body.quaternion.z) < 0.01);
+        test.ok(Math.abs(c.getPosition() - body.position.y) < 1e-6);
+
+        test.done();
+    },
+
+    rotationLock: function(test){
+        var world = createWorld(new Vec3());
+        var c = new SliderConstraint(world.bodies[0], world.bodies[1], {
+            rotationLock: false
+        });
+        world.addConstraint(c);
+        world.bodies[1].angularVelocity.set(1, 1, 1);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        // Can only rotate around the axis
+        test.ok(world.bodies[1].angularVelocity.almostEquals(new Vec3(world.bodies[1].angularVelocity.x, 0, 0), 0.01));
+        test.ok(world.bodies[1].angularVelocity.x > 0.5);
+
+        // Should rotate back to the initial orientation and stop
+        c.enableRotationLock();
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].angularVelocity.almostZero(0.01));
+        test.ok(Math.abs(world.bodies[1].quaternion.x) < 0.01);
+
+        test.done();
+    },
+
+    limits: function(test){
+        var world = createWorld(new Vec3(-10, 0, 0));
+        var c = new SliderConstraint(world.bodies[0], world.bodies[1], {
+            lowerLimit: -0.5,
+            upperLimit: 0.5
+        });
+        world.addConstraint(c);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getPosition() + 0.5) < 0.01);
+
+        c.setLimits(-0.2, 1);
+        world.gravity.set(10, 0, 0);
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(Math.abs(c.getPosition() - 1) < 0.01);
+
+        test.done();
+    },
+
+    motor: function(test){
+        var world = createWorld(new Vec3(0, 0, -10));
+        var c = new SliderConstraint(world.bodies[0], world.bodies[1], {
+            axisA: new Vec3(0, 0, 1),
+            axisB: new Vec3(0, 0, 1),
+            upperLimit: 1
+        });
+        c.enableMotor();
+        c.setMotorSpeed(2);
+        world.addConstraint(c);
+        for(var i=0; i<10; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(world.bodies[1].velocity.almostEquals(new Vec3(0, 0, 2), 0.01));
+
+        // Should stop at the limit
+        for(var i=0; i<60; i++){
+            world.step(1 / 60);
+        }
+        test.ok(Math.abs(c.getPosition() - 1) < 0.05);
+
+        // The solver limits the impulse per step: a weak motor can't lift the body
+        c.setMotorMaxForce(0.1);
+        c.setMotorSpeed(1);
+        for(var i=0; i<30; i++){
+            world.step(1 / 60);
+        }
+
+        test.ok(c.getPosition() < 1);
+        test.ok(world.bodies[1].velocity.z < 0);
+
+        test.done();
+    }
+};
+
+function createWorld(gravity){
+    var world = new World({ gravity: gravity });
+    world.addBody(new Body({ mass: 0 }));
+    var body = new Body({ mass: 1 });
+    body.addShape(new Box(new Vec3(0.5, 0.2, 0.3)));
+    world.addBody(body);
+    return world;
+}
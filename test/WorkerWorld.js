@@ -0,0 +1,361 @@
+var path = require('path');
+var Worker = require('worker_threads').Worker;
+var Vec3 = require('../src/math/Vec3');
+var Quaternion = require('../src/math/Quaternion');
+var Body = require('../src/objects/Body');
+var Sphere = require('../src/shapes/Sphere');
+var Plane = require('../src/shapes/Plane');
+var Material = require('../src/material/Material');
+var ContactMaterial = require('../src/material/ContactMaterial');
+var DistanceConstraint = require('../src/constraints/DistanceConstraint');
+var World = require('../src/world/World');
+var WorkerWorld = require('../src/world/WorkerWorld');
+var WorkerWorldHost = require('../src/world/WorkerWorldHost');
+
+module.exports = {
+
+    step: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+        addScene(workerWorld);
+        addScene(world);
+
+        test.ok(workerWorld.useSharedArrayBuffer);
+        runSteps(workerWorld, 30, function(){
+            for(var i=0; i<30; i++){
+                world.step(1 / 60);
+            }
+            checkSameState(test, workerWorld, world);
+            test.equal(workerWorld.stepnumber, 30);
+            test.equal(workerWorld.time, world.time);
+            test.ok(workerWorld.bodies[1].position.z < 5);
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    transfer: function(test){
+        var workerWorld = createWorkerWorld(test, { useSharedArrayBuffer: false });
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+        addScene(workerWorld);
+        addScene(world);
+
+        test.equal(workerWorld.useSharedArrayBuffer, false);
+        runSteps(workerWorld, 30, function(){
+            for(var i=0; i<30; i++){
+                world.step(1 / 60);
+            }
+            checkSameState(test, workerWorld, world);
+            test.ok(!(workerWorld.state.buffer instanceof SharedArrayBuffer));
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    skipWhileStepping: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        addScene(workerWorld);
+
+        test.ok(workerWorld.step(1 / 60, 1 / 60));
+        test.equal(workerWorld.step(1 / 60, 1 / 60), false);
+        test.equal(workerWorld.skippedTime, 1 / 60);
+        workerWorld.addEventListener('postStep', function(){
+            test.equal(workerWorld.stepnumber, 1);
+            test.ok(workerWorld.step(1 / 60, 1 / 60));
+            test.equal(workerWorld.skippedTime, 0);
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    bodyCommands: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+        addScene(workerWorld);
+        addScene(world);
+
+        var impulse = new Vec3(1, 2, 0),
+            point = new Vec3(0, 0, 0.5),
+            position = new Vec3(3, 0, 2),
+            velocity = new Vec3(0, 1, 0),
+            angularVelocity = new Vec3(0, 0, 3),
+            quaternion = new Quaternion();
+        quaternion.setFromAxisAngle(new Vec3(0, 0, 1), 0.5);
+
+        workerWorld.setPosition(workerWorld.bodies[2], position);
+        workerWorld.setQuaternion(workerWorld.bodies[2], quaternion);
+        workerWorld.setVelocity(workerWorld.bodies[2], velocity);
+        workerWorld.setAngularVelocity(workerWorld.bodies[2], angularVelocity);
+        workerWorld.applyImpulse(workerWorld.bodies[1], impulse, point);
+        workerWorld.applyForce(workerWorld.bodies[1], impulse, point);
+        test.deepEqual(workerWorld.bodies[2].position, position);
+
+        world.bodies[2].position.copy(position);
+        world.bodies[2].previousPosition.copy(position);
+        world.bodies[2].interpolatedPosition.copy(position);
+        world.bodies[2].quaternion.copy(quaternion);
+        world.bodies[2].previousQuaternion.copy(quaternion);
+        world.bodies[2].interpolatedQuaternion.copy(quaternion);
+        world.bodies[2].velocity.copy(velocity);
+        world.bodies[2].angularVelocity.copy(angularVelocity);
+        world.bodies[1].applyImpulse(impulse, point);
+        world.bodies[1].applyForce(impulse, point);
+
+        runSteps(workerWorld, 10, function(){
+            for(var i=0; i<10; i++){
+                world.step(1 / 60);
+            }
+            checkSameState(test, workerWorld, world);
+            test.throws(function(){
+                workerWorld.applyForce(new Body(), impulse);
+            });
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    addRemove: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+        addScene(workerWorld);
+        addScene(world);
+
+        runSteps(workerWorld, 5, function(){
+            for(var i=0; i<5; i++){
+                world.step(1 / 60);
+            }
+
+            // Remove a body in the middle, and add a new one
+            workerWorld.removeBody(workerWorld.bodies[1]);
+            world.removeBody(world.bodies[1]);
+            test.equal(workerWorld.bodies.length, 2);
+            test.equal(workerWorld.bodies[1].index, 1);
+            var a = createSphere(new Vec3(0, 3, 1)),
+                b = createSphere(new Vec3(0, 3, 1));
+            workerWorld.addBody(a);
+            world.addBody(b);
+
+            runSteps(workerWorld, 5, function(){
+                for(var i=0; i<5; i++){
+                    world.step(1 / 60);
+                }
+                checkSameState(test, workerWorld, world);
+                workerWorld.terminate();
+                test.done();
+            });
+        });
+    },
+
+    removeWhileStepping: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        addScene(workerWorld);
+
+        workerWorld.step(1 / 60);
+        var removed = workerWorld.bodies[1],
+            last = workerWorld.bodies[2],
+            lastPosition = last.position.clone();
+        workerWorld.removeBody(removed);
+        workerWorld.addEventListener('postStep', function(){
+            // The state of the step was written in the old body order, so it is not used
+            test.deepEqual(last.position, lastPosition);
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    constraints: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        var a = createSphere(new Vec3(0, 0, 5)),
+            b = createSphere(new Vec3(2, 0, 5));
+        a.mass = 0;
+        a.type = Body.STATIC;
+        a.updateMassProperties();
+        workerWorld.addBody(a);
+        workerWorld.addBody(b);
+        var constraint = new DistanceConstraint(a, b, 2);
+        workerWorld.addConstraint(constraint);
+        test.equal(workerWorld.constraints.length, 1);
+
+        runSteps(workerWorld, 30, function(){
+            test.ok(Math.abs(a.position.distanceTo(b.position) - 2) < 0.1);
+
+            // Without the constraint, the body falls
+            workerWorld.removeConstraint(constraint);
+            test.equal(workerWorld.constraints.length, 0);
+            runSteps(workerWorld, 30, function(){
+                test.ok(a.position.distanceTo(b.position) > 3);
+                workerWorld.terminate();
+                test.done();
+            });
+        });
+    },
+
+    constraintBroken: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        var a = createSphere(new Vec3(0, 0, 5)),
+            b = createSphere(new Vec3(2, 0, 5));
+        a.mass = 0;
+        a.type = Body.STATIC;
+        a.updateMassProperties();
+        workerWorld.addBody(a);
+        workerWorld.addBody(b);
+        var constraint = new DistanceConstraint(a, b, 2);
+        constraint.breakingImpulseThreshold = 1e-3;
+        workerWorld.addConstraint(constraint);
+
+        workerWorld.addEventListener('constraintBroken', function(e){
+            test.equal(e.constraint, constraint);
+            test.ok(e.impulse > 1e-3);
+            test.equal(workerWorld.constraints.length, 0);
+            workerWorld.terminate();
+            test.done();
+        });
+        runSteps(workerWorld, 10, function(){});
+    },
+
+    contactMaterial: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        var world = new World({ gravity: new Vec3(0, 0, -10) });
+
+        // A bouncy sphere
+        var groundMaterial = new Material('ground'),
+            sphereMaterial = new Material('sphere'),
+            contactMaterial = new ContactMaterial(groundMaterial, sphereMaterial, { restitution: 1 });
+        var worlds = [workerWorld, world];
+        for(var i=0; i<worlds.length; i++){
+            var sphere = createSphere(new Vec3(0, 0, 2));
+            sphere.material = sphereMaterial;
+            worlds[i].addBody(createGround(groundMaterial));
+            worlds[i].addBody(sphere);
+            worlds[i].addContactMaterial(contactMaterial);
+        }
+
+        runSteps(workerWorld, 60, function(){
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+            checkSameState(test, workerWorld, world);
+            test.ok(workerWorld.bodies[1].position.z > 1);
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    raycast: function(test){
+        var workerWorld = createWorkerWorld(test, {});
+        addScene(workerWorld);
+
+        var from = new Vec3(0, 0, 20),
+            to = new Vec3(0, 0, -20),
+            numCalls = 0;
+        workerWorld.raycastClosest(from, to, {}, function(result){
+            test.ok(result.hasHit);
+            test.equal(result.body, workerWorld.bodies[1]);
+            test.equal(result.shape, workerWorld.bodies[1].shapes[0]);
+            test.ok(Math.abs(result.hitPointWorld.z - 5.5) < 1e-6);
+            test.ok(Math.abs(result.distance - 14.5) < 1e-6);
+            numCalls++;
+        });
+        var hits = [];
+        workerWorld.raycastAll(from, to, {}, function(result){
+            hits.push(result.body);
+        });
+        workerWorld.raycastAny(new Vec3(10, 10, 20), new Vec3(10, 10, 10), {}, function(result){
+            test.equal(result.hasHit, false);
+            test.equal(hits.length, 3); // Entry and exit of the sphere, and the plane
+            test.ok(hits.indexOf(workerWorld.bodies[0]) !== -1);
+            test.ok(hits.indexOf(workerWorld.bodies[1]) !== -1);
+            test.equal(numCalls, 1);
+            workerWorld.terminate();
+            test.done();
+        });
+    },
+
+    error: function(test){
+        var hostPath = path.join(__dirname, '../src/world/WorkerWorldHost');
+        var workerWorld = new WorkerWorld({
+            worker: new Worker(
+                'var WorkerWorldHost = require(' + JSON.stringify(hostPath) + ');' +
+                'new WorkerWorldHost(require("worker_threads").parentPort);',
+                { eval: true }
+            )
+        });
+        addScene(workerWorld);
+
+        // The host throws on unknown commands
+        workerWorld.commands.push({ type: 'unknown' });
+        workerWorld.addEventListener('error', function(e){
+            test.ok(/Unknown WorkerWorld command: unknown/.test(e.error.message));
+            test.equal(workerWorld.stepping, false);
+            workerWorld.terminate();
+            test.done();
+        });
+        test.ok(workerWorld.step(1 / 60));
+        test.ok(workerWorld.stepping);
+    }
+};
+
+function createWorkerWorld(test, options){
+    var hostPath = path.join(__dirname, '../src/world/WorkerWorldHost');
+    var worker = new Worker(
+        'var WorkerWorldHost = require(' + JSON.stringify(hostPath) + ');' +
+        'new WorkerWorldHost(require("worker_threads").parentPort);',
+        { eval: true }
+    );
+    worker.on('error', function(err){
+        test.ok(false, err.stack);
+        test.done();
+    });
+    options.worker = worker;
+    options.gravity = new Vec3(0, 0, -10);
+    return new WorkerWorld(options);
+}
+
+function createSphere(position){
+    var body = new Body({ mass: 1, position: position });
+    body.addShape(new Sphere(0.5));
+    return body;
+}
+
+function createGround(material){
+    var body = new Body({ mass: 0, material: material });
+    body.addShape(new Plane());
+    return body;
+}
+
+// A ground plane, a falling sphere and a sphere on the side
+function addScene(world){
+    world.addBody(createGround());
+    world.addBody(createSphere(new Vec3(0, 0, 5)));
+    world.addBody(createSphere(new Vec3(2, 0, 0.5)));
+}
+
+function runSteps(workerWorld, numSteps, callback){
+    var numDone = 0;
+    function postStep(){
+        numDone++;
+        if(numDone < numSteps){
+            workerWorld.step(1 / 60);
+        } else {
+            workerWorld.removeEventListener('postStep', postStep);
+            callback();
+        }
+    }
+    workerWorld.addEventListener('postStep', postStep);
+    workerWorld.step(1 / 60);
+}
+
+// The state is sent as 32 bit floats, so it is compared with some tolerance
+function checkSameState(test, workerWorld, world){
+    test.equal(workerWorld.bodies.length, world.bodies.length);
+    for(var i=0; i<world.bodies.length; i++){
+        var a = workerWorld.bodies[i],
+            b = world.bodies[i];
+        test.ok(a.position.almostEquals(b.position, 1e-5), a.position + ' vs ' + b.position);
+        test.ok(a.velocity.almostEquals(b.velocity, 1e-5), a.velocity + ' vs ' + b.velocity);
+        test.ok(a.angularVelocity.almostEquals(b.angularVelocity, 1e-5));
+        test.ok(Math.abs(a.quaternion.w - b.quaternion.w) < 1e-5);
+        test.equal(a.sleepState, b.sleepState);
+    }
+    test.equal(WorkerWorldHost.STRIDE, 21);
+}
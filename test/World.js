@@ -6,9 +6,20 @@ var Body = require('../src/objects/Body');
 var Sphere = require('../src/shapes/Sphere');
 var World = require('../src/world/World');
 var NaiveBroadphase = require('../src/collision/NaiveBroadphase');
+var SAPBroadphase = require('../src/collision/SAPBroadphase');
 var ArrayCollisionMatrix = require('../src/collision/ArrayCollisionMatrix');
 var ObjectCollisionMatrix = require('../src/collision/ObjectCollisionMatrix');
 var RaycastResult = require('../src/collision/RaycastResult');
+var ShapeCastResult = require('../src/collision/ShapeCastResult');
+var Transform = require('../src/math/Transform');
+var Plane = require('../src/shapes/Plane');
+var Particle = require('../src/shapes/Particle');
+var ConvexPolyhedron = require('../src/shapes/ConvexPolyhedron');
+var Material = require('../src/material/Material');
+var ContactMaterial = require('../src/material/ContactMaterial');
+var PointToPointConstraint = require('../src/constraints/PointToPointConstraint');
+var GSSolver = require('../src/solver/GSSolver');
+var SplitSolver = require('../src/solver/SplitSolver');
 
 module.exports = {
 
@@ -248,6 +259,1188 @@ module.exports = {
         test.done();
     },
 
+    sphereCast: {
+        box: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Box(new Vec3(1, 1, 1)) }));
+
+            var result = new ShapeCastResult();
+            var hit = world.sphereCast(0.5, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), {}, result);
+
+            test.ok(hit);
+            test.ok(result.hasHit);
+            test.equal(result.body, world.bodies[0]);
+            test.equal(result.shape, world.bodies[0].shapes[0]);
+            test.ok(Math.abs(result.distance - 8.5) < 1e-3, 'distance should be 8.5, got ' + result.distance);
+            test.ok(Math.abs(result.timeOfImpact - 8.5 / 20) < 1e-4);
+            test.ok(result.hitPointWorld.almostEquals(new Vec3(-1, 0, 0), 1e-3), 'wrong hit point ' + result.hitPointWorld.toString());
+            test.ok(result.hitNormalWorld.almostEquals(new Vec3(-1, 0, 0), 1e-3), 'wrong hit normal ' + result.hitNormalWorld.toString());
+
+            test.done();
+        },
+
+        plane: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Plane() }));
+
+            var result = new ShapeCastResult();
+            world.sphereCast(1, new Vec3(3, 0, 10), new Vec3(3, 0, -10), {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - 9) < 1e-3);
+            test.ok(result.hitPointWorld.almostEquals(new Vec3(3, 0, 0), 1e-3));
+            test.ok(result.hitNormalWorld.almostEquals(new Vec3(0, 0, 1), 1e-3));
+
+            test.done();
+        },
+
+        thinWall: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Box(new Vec3(0.001, 1, 1)) }));
+
+            var result = new ShapeCastResult();
+            world.sphereCast(0.1, new Vec3(-100, 0, 0), new Vec3(100, 0, 0), {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - 99.899) < 1e-3);
+
+            test.done();
+        },
+
+        closest: function(test){
+            var world = new World();
+            var far = new Body({ shape: new Sphere(1), position: new Vec3(5, 0, 0) });
+            var near = new Body({ shape: new Sphere(1), position: new Vec3(0, 0, 0) });
+            world.addBody(far);
+            world.addBody(near);
+
+            var result = new ShapeCastResult();
+            world.sphereCast(1, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), {}, result);
+
+            test.equal(result.body, near);
+            test.ok(Math.abs(result.distance - 8) < 1e-3);
+
+            test.done();
+        },
+
+        noHit: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Sphere(1) }));
+
+            var result = new ShapeCastResult();
+            var hit = world.sphereCast(0.5, new Vec3(-10, 2, 0), new Vec3(10, 2, 0), {}, result);
+
+            test.ok(!hit);
+            test.ok(!result.hasHit);
+            test.equal(result.distance, -1);
+            test.equal(result.body, null);
+
+            test.done();
+        },
+
+        ignoreStartOverlap: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Sphere(1) }));
+            var other = new Body({ shape: new Sphere(1), position: new Vec3(5, 0, 0) });
+            world.addBody(other);
+
+            var result = new ShapeCastResult();
+            world.sphereCast(0.5, new Vec3(0, 0, 0), new Vec3(10, 0, 0), {}, result);
+
+            test.equal(result.body, other);
+
+            test.done();
+        },
+
+        collisionFilters: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Sphere(1), collisionFilterGroup: 2 }));
+
+            var result = new ShapeCastResult();
+            world.sphereCast(0.5, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), { collisionFilterMask: 1 }, result);
+            test.ok(!result.hasHit, 'should use collision groups');
+
+            world.sphereCast(0.5, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), { collisionFilterMask: 2 }, result);
+            test.ok(result.hasHit);
+
+            world.bodies[0].collisionResponse = false;
+            world.sphereCast(0.5, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), {}, result);
+            test.ok(!result.hasHit, 'should skip bodies without collision response');
+
+            world.sphereCast(0.5, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), { checkCollisionResponse: false }, result);
+            test.ok(result.hasHit);
+
+            test.done();
+        },
+
+        zeroRadius: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Box(new Vec3(1, 1, 1)) }));
+
+            var result = new ShapeCastResult();
+            world.sphereCast(0, new Vec3(-10, 0, 0), new Vec3(10, 0, 0), {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - 9) < 1e-6);
+            test.ok(result.hitNormalWorld.almostEquals(new Vec3(-1, 0, 0)));
+
+            test.done();
+        }
+    },
+
+    boxCast: function(test){
+        var world = new World();
+        world.addBody(new Body({ shape: new Plane() }));
+
+        var result = new ShapeCastResult();
+        world.boxCast(new Vec3(1, 1, 0.5), new Vec3(0, 0, 10), new Vec3(0, 0, -10), {}, result);
+        test.ok(result.hasHit);
+        test.ok(Math.abs(result.distance - 9.5) < 1e-3);
+        test.ok(result.hitNormalWorld.almostEquals(new Vec3(0, 0, 1), 1e-3));
+
+        // Rotate the box so that its longest side points down
+        var quaternion = new Quaternion();
+        quaternion.setFromAxisAngle(new Vec3(0, 1, 0), Math.PI / 2);
+        world.boxCast(new Vec3(1, 1, 0.5), new Vec3(0, 0, 10), new Vec3(0, 0, -10), { quaternion: quaternion }, result);
+        test.ok(Math.abs(result.distance - 9) < 1e-3);
+
+        test.done();
+    },
+
+    convexCast: {
+        rotating: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Plane() }));
+
+            // Rotating a box from lying down to standing up, in place
+            var from = new Transform({ position: new Vec3(0, 0, 1.5) });
+            var to = new Transform({ position: new Vec3(0, 0, 1.5) });
+            to.quaternion.setFromAxisAngle(new Vec3(0, 1, 0), Math.PI / 2);
+
+            var result = new ShapeCastResult();
+            world.convexCast(new Box(new Vec3(2, 1, 0.5)), from, to, {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(result.timeOfImpact > 0 && result.timeOfImpact < 1);
+            test.equal(result.distance, 0);
+
+            test.done();
+        },
+
+        convexPolyhedron: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Box(new Vec3(1, 1, 1)) }));
+
+            var shape = new Box(new Vec3(0.5, 0.5, 0.5)).convexPolyhedronRepresentation;
+            var from = new Transform({ position: new Vec3(0, 0, 10) });
+            var to = new Transform({ position: new Vec3(0, 0, -10) });
+
+            var result = new ShapeCastResult();
+            world.convexCast(shape, from, to, {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - 8.5) < 1e-3);
+            test.ok(result.hitNormalWorld.almostEquals(new Vec3(0, 0, 1), 1e-3));
+            test.ok(Math.abs(result.hitPointWorld.z - 1) < 1e-3);
+
+            test.done();
+        },
+
+        maxSamples: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Box(new Vec3(1e4, 1e4, 1e4)), position: new Vec3(0, 0, -5e5) }));
+
+            // A tiny sphere over a long distance would need 1e8 samples
+            var from = new Transform({ position: new Vec3(0, 0, 5e5) });
+            var to = new Transform({ position: new Vec3(0, 0, -5e5) });
+
+            var result = new ShapeCastResult();
+            world.convexCast(new Sphere(0.01), from, to, {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - (1e6 - 1e4 - 0.01)) < 1e-2);
+
+            test.done();
+        },
+
+        zeroPrecision: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Box(new Vec3(1, 1, 1)) }));
+
+            var from = new Transform({ position: new Vec3(0, 0, 10) });
+            var to = new Transform({ position: new Vec3(0, 0, -10) });
+
+            var result = new ShapeCastResult();
+            world.convexCast(new Sphere(0.5), from, to, { precision: 0 }, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - 8.5) < 1e-6);
+
+            test.done();
+        },
+
+        particle: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Sphere(1) }));
+
+            var from = new Transform({ position: new Vec3(0, 0, 10) });
+            var to = new Transform({ position: new Vec3(0, 0, -10) });
+
+            var result = new ShapeCastResult();
+            world.convexCast(new Particle(), from, to, {}, result);
+
+            test.ok(result.hasHit);
+            test.ok(Math.abs(result.distance - 9) < 1e-6);
+            test.ok(Math.abs(result.timeOfImpact - 0.45) < 1e-6);
+
+            test.done();
+        }
+    },
+
+    overlapShape: {
+        simple: function(test){
+            var world = new World();
+            var box = new Body({ shape: new Box(new Vec3(1, 1, 1)) });
+            var sphere = new Body({ shape: new Sphere(1), position: new Vec3(5, 0, 0) });
+            world.addBody(box);
+            world.addBody(sphere);
+
+            var result = world.overlapShape(new Sphere(0.5), new Vec3(1.25, 0, 0), new Quaternion());
+            test.equal(result.length, 1);
+            test.equal(result[0].body, box);
+            test.equal(result[0].shape, box.shapes[0]);
+            test.equal(result[0].contacts, undefined);
+
+            result = world.overlapShape(new Sphere(0.5), new Vec3(2.5, 0, 0), new Quaternion());
+            test.equal(result.length, 0);
+
+            result = world.overlapShape(new Box(new Vec3(2, 0.5, 0.5)), new Vec3(2.5, 0, 0), new Quaternion());
+            test.equal(result.length, 2);
+
+            test.done();
+        },
+
+        contacts: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Plane() }));
+
+            var result = world.overlapShape(new Sphere(1), new Vec3(0, 0, 0.75), new Quaternion(), { contacts: true });
+            test.equal(result.length, 1);
+            test.equal(result[0].contacts.length, 1);
+
+            var contact = result[0].contacts[0];
+            test.ok(Math.abs(contact.depth - 0.25) < 1e-6);
+            test.ok(contact.normal.almostEquals(new Vec3(0, 0, 1)));
+            test.ok(contact.point.almostEquals(new Vec3(0, 0, 0)));
+            test.ok(contact.queryPoint.almostEquals(new Vec3(0, 0, -0.25)));
+
+            test.done();
+        },
+
+        collisionFilters: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Sphere(1), collisionFilterGroup: 2 }));
+
+            test.equal(world.overlapShape(new Sphere(1), new Vec3(), new Quaternion(), { collisionFilterMask: 1 }).length, 0);
+            test.equal(world.overlapShape(new Sphere(1), new Vec3(), new Quaternion(), { collisionFilterMask: 2 }).length, 1);
+
+            world.bodies[0].collisionResponse = false;
+            test.equal(world.overlapShape(new Sphere(1), new Vec3(), new Quaternion()).length, 0);
+            test.equal(world.overlapShape(new Sphere(1), new Vec3(), new Quaternion(), { checkCollisionResponse: false }).length, 1);
+
+            test.done();
+        },
+
+        noStep: function(test){
+            var world = new World();
+            world.addBody(new Body({ shape: new Sphere(1) }));
+            var body = new Body({ mass: 1, shape: new Sphere(1), position: new Vec3(1, 0, 0) });
+            world.addBody(body);
+
+            world.overlapShape(new Sphere(1), new Vec3(), new Quaternion(), { contacts: true });
+            test.equal(world.contacts.length, 0);
+            test.ok(body.position.almostEquals(new Vec3(1, 0, 0)));
+
+            test.done();
+        }
+    },
+
+    contactTest: function(test){
+        var world = new World();
+        var ground = new Body({ shape: new Plane() });
+        world.addBody(ground);
+        var other = new Body({ mass: 1, shape: new Sphere(1), position: new Vec3(10, 0, 2) });
+        world.addBody(other);
+
+        // Two-shape body, where only one of the shapes touches the ground
+        var body = new Body({ mass: 1, position: new Vec3(0, 0, 0.9), collisionFilterGroup: 1, collisionFilterMask: 1 });
+        body.addShape(new Sphere(1));
+        body.addShape(new Sphere(1), new Vec3(0, 0, 2));
+        world.addBody(body);
+
+        var result = world.contactTest(body, { contacts: true });
+        test.equal(result.length, 1);
+        test.equal(result[0].body, ground);
+        test.equal(result[0].queryShape, body.shapes[0]);
+        test.ok(Math.abs(result[0].contacts[0].depth - 0.1) < 1e-6);
+        test.ok(result[0].contacts[0].normal.almostEquals(new Vec3(0, 0, 1)));
+
+        // Collision filter of the body
+        ground.collisionFilterGroup = 2;
+        test.equal(world.contactTest(body).length, 0);
+
+        test.done();
+    },
+
+    saveState: {
+        resimulate: function(test){
+            var world = createStackWorld();
+            var beginContacts = 0;
+            world.addEventListener('beginContact', function(){
+                beginContacts++;
+            });
+            var i, j;
+            for(i = 0; i < 10; i++){
+                world.step(1 / 60);
+            }
+
+            var state = world.saveState();
+            var beginContactsAtSave = beginContacts;
+            var positions = [];
+            var collisionMatrix;
+            for(i = 0; i < 50; i++){
+                world.step(1 / 60);
+            }
+            for(j = 0; j < world.bodies.length; j++){
+                positions.push(world.bodies[j].position.toArray().concat(world.bodies[j].quaternion.toArray()));
+            }
+            collisionMatrix = world.collisionMatrix.matrix.slice();
+            var expectedBeginContacts = beginContacts - beginContactsAtSave;
+            var expectedTime = world.time;
+
+            world.restoreState(state);
+            beginContacts = 0;
+            for(i = 0; i < 50; i++){
+                world.step(1 / 60);
+            }
+            for(j = 0; j < world.bodies.length; j++){
+                test.deepEqual(world.bodies[j].position.toArray().concat(world.bodies[j].quaternion.toArray()), positions[j]);
+            }
+            test.deepEqual(world.collisionMatrix.matrix, collisionMatrix);
+            test.equal(world.time, expectedTime);
+            test.ok(beginContacts > 0);
+            test.equal(beginContacts, expectedBeginContacts);
+
+            test.done();
+        },
+
+        sleepState: function(test){
+            var world = createStackWorld();
+            world.allowSleep = true;
+            var body = world.bodies[1];
+            body.sleep();
+            var state = world.saveState();
+            body.wakeUp();
+            body.position.set(1, 2, 3);
+            world.restoreState(state);
+            test.equal(body.sleepState, Body.SLEEPING);
+            test.notEqual(body.position.x, 1);
+            test.done();
+        },
+
+        arrayBuffer: function(test){
+            var world = createStackWorld();
+            world.step(1 / 60);
+            var state = world.saveState();
+            var position = world.bodies[1].position.clone();
+            world.step(1 / 60);
+            world.restoreState(state.buffer.slice(0));
+            test.ok(world.bodies[1].position.almostEquals(position, 0));
+            test.done();
+        },
+
+        reuseTarget: function(test){
+            var world = createStackWorld();
+            var state = world.saveState();
+            test.equal(world.saveState(state), state);
+            test.done();
+        },
+
+        bodyCountMismatch: function(test){
+            var world = createStackWorld();
+            var state = world.saveState();
+            world.addBody(new Body({ mass: 1 }));
+            test.throws(function(){
+                world.restoreState(state);
+            });
+            test.done();
+        }
+    },
+
+    breakingImpulseThreshold: {
+        keep: function(test){
+            var world = createPendulumWorld();
+            var c = world.constraints[0];
+            var broken = 0;
+            world.addEventListener('constraintBroken', function(){ broken++; });
+
+            // The constraint needs about m * g * dt = 1/6 to hold the body
+            c.breakingImpulseThreshold = 0.5;
+            world.step(1 / 60);
+
+            test.equal(broken, 0);
+            test.equal(world.constraints.length, 1);
+            test.ok(c.equations[0].enabled);
+
+            // Unbreakable
+            c.breakingImpulseThreshold = Infinity;
+            world.bodies[1].mass = 1e6;
+            world.bodies[1].updateMassProperties();
+            world.step(1 / 60);
+            test.equal(broken, 0);
+            test.done();
+        },
+
+        breaks: function(test){
+            var world = createPendulumWorld();
+            var c = world.constraints[0];
+            var events = [];
+            world.addEventListener('constraintBroken', function(e){
+                events.push({ constraint: e.constraint, impulse: e.impulse });
+            });
+
+            c.breakingImpulseThreshold = 0.1;
+            world.step(1 / 60);
+
+            test.equal(events.length, 1);
+            test.equal(events[0].constraint, c);
+            test.ok(Math.abs(events[0].impulse - 10 / 60) < 0.01);
+            test.equal(world.constraints.length, 0);
+            for(var i=0; i<c.equations.length; i++){
+                test.ok(!c.equations[i].enabled);
+            }
+
+            // The body should fall freely
+            world.step(1 / 60);
+            var vy = world.bodies[1].velocity.y;
+            world.step(1 / 60);
+            test.ok(Math.abs(world.bodies[1].velocity.y - vy + 10 / 60) < 1e-3);
+            test.equal(events.length, 1);
+            test.done();
+        },
+
+        heavyLoad: function(test){
+            var world = createPendulumWorld();
+            var c = world.constraints[0];
+            c.breakingImpulseThreshold = 0.5;
+
+            var broken = false;
+            world.addEventListener('constraintBroken', function(){ broken = true; });
+
+            for(var i=0; i<10; i++){
+                world.step(1 / 60);
+            }
+            test.ok(!broken);
+
+            world.bodies[1].mass = 5;
+            world.bodies[1].updateMassProperties();
+            world.step(1 / 60);
+            test.ok(broken);
+            test.done();
+        },
+
+        removeInListener: function(test){
+            // A chain that falls apart completely when one link breaks
+            var world = new World({ gravity: new Vec3(0, -10, 0) });
+            var previous = new Body({ mass: 0 });
+            world.addBody(previous);
+            for(var i=0; i<3; i++){
+                var body = new Body({ mass: 1, position: new Vec3(0, -1 - i, 0), shape: new Sphere(0.1) });
+                world.addBody(body);
+                var c = new PointToPointConstraint(previous, new Vec3(0, 0, 0), body, new Vec3(0, 1, 0));
+                c.breakingImpulseThreshold = 0.1;
+                world.addConstraint(c);
+                previous = body;
+            }
+
+            var events = [];
+            world.addEventListener('constraintBroken', function(e){
+                events.push(e.constraint);
+                while(world.constraints.length){
+                    world.removeConstraint(world.constraints[0]);
+                }
+            });
+            world.step(1 / 60);
+
+            test.equal(events.length, 1);
+            test.equal(world.constraints.length, 0);
+            test.done();
+        }
+    },
+
+    islandSleeping: {
+        sleepTogether: function(test){
+            var world = createSleepStackWorld();
+            var sleepTimes = [];
+            world.bodies.slice(1).forEach(function(body, i){
+                body.addEventListener('sleep', function(){
+                    sleepTimes[i] = world.time;
+                });
+            });
+
+            for(var i=0; i<600; i++){
+                world.step(1 / 60);
+            }
+
+            test.equal(sleepTimes.length, 3);
+            for(i=1; i<world.bodies.length; i++){
+                test.equal(world.bodies[i].sleepState, Body.SLEEPING);
+                test.equal(sleepTimes[i - 1], sleepTimes[0]);
+            }
+            test.done();
+        },
+
+        wakeTogether: function(test){
+            var world = createSleepStackWorld();
+            for(var i=0; i<600; i++){
+                world.step(1 / 60);
+            }
+
+            // Push the top box
+            var top = world.bodies[3];
+            top.wakeUp();
+            top.velocity.set(1, 0, 0);
+            world.step(1 / 60);
+
+            for(i=1; i<world.bodies.length; i++){
+                test.notEqual(world.bodies[i].sleepState, Body.SLEEPING);
+            }
+            test.done();
+        },
+
+        wakeByCollision: function(test){
+            var world = createSleepStackWorld();
+            for(var i=0; i<600; i++){
+                world.step(1 / 60);
+            }
+
+            var sphere = new Body({ mass: 1, position: new Vec3(0, 0, 4), velocity: new Vec3(0, 0, -5) });
+            sphere.addShape(new Sphere(0.25));
+            world.addBody(sphere);
+
+            // The boxes should wake up in the same step
+            var woken = false;
+            for(i=0; i<30; i++){
+                world.step(1 / 60);
+                var sleeping = world.bodies[1].sleepState === Body.SLEEPING;
+                test.equal(world.bodies[2].sleepState === Body.SLEEPING, sleeping);
+                test.equal(world.bodies[3].sleepState === Body.SLEEPING, sleeping);
+                woken = woken || !sleeping;
+            }
+            test.ok(woken);
+            test.done();
+        },
+
+        separateIslands: function(test){
+            var world = createSleepStackWorld();
+
+            // A second stack, that can't sleep
+            for(var i=0; i<3; i++){
+                var box = new Body({ mass: 1, position: new Vec3(5, 0, 0.5 + i * 1.01), allowSleep: i !== 0 });
+                box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+                world.addBody(box);
+            }
+
+            for(i=0; i<600; i++){
+                world.step(1 / 60);
+            }
+
+            for(i=1; i<4; i++){
+                test.equal(world.bodies[i].sleepState, Body.SLEEPING);
+            }
+            for(i=4; i<7; i++){
+                test.notEqual(world.bodies[i].sleepState, Body.SLEEPING);
+            }
+            test.done();
+        }
+    },
+
+    deterministic: {
+        getStateHash: function(test){
+            var worldA = createDeterministicWorld(true);
+            var worldB = createDeterministicWorld(true);
+            test.equal(typeof worldA.getStateHash(), 'number');
+            test.equal(worldA.getStateHash(), worldB.getStateHash());
+
+            worldB.bodies[1].position.x += 1e-9;
+            test.notEqual(worldA.getStateHash(), worldB.getStateHash());
+            test.done();
+        },
+
+        sortPairs: function(test){
+            var world = createDeterministicWorld(true);
+            for(var i=0; i<120; i++){
+                world.step(1 / 60);
+            }
+
+            // The contacts should be ordered by the body indices
+            var contacts = world.contacts;
+            test.ok(contacts.length > 10);
+            for(var i=1; i<contacts.length; i++){
+                test.ok(getPairKey(contacts[i - 1]) <= getPairKey(contacts[i]));
+            }
+            test.done();
+        },
+
+        replay: function(test){
+            var world = createDeterministicWorld(true);
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+            var state = world.saveState();
+            for(var i=0; i<120; i++){
+                world.step(1 / 60);
+            }
+            var hash = world.getStateHash();
+
+            world.restoreState(state);
+            for(var i=0; i<120; i++){
+                world.step(1 / 60);
+            }
+            test.equal(world.getStateHash(), hash);
+            test.done();
+        },
+
+        independentOfIds: function(test){
+            var world = createDeterministicWorld(true);
+            for(var i=0; i<180; i++){
+                world.step(1 / 60);
+            }
+            var hash = world.getStateHash();
+
+            // Use up some body and equation ids
+            createDeterministicWorld(false);
+            var other = createDeterministicWorld(false);
+            for(var i=0; i<10; i++){
+                other.step(1 / 60);
+            }
+
+            world = createDeterministicWorld(true);
+            for(var i=0; i<180; i++){
+                world.step(1 / 60);
+            }
+            test.equal(world.getStateHash(), hash);
+            test.done();
+        }
+    },
+
+    getContactMaterial: {
+        registered: function(test){
+            var world = new World();
+            var ice = new Material({ friction: 0.1 });
+            var rubber = new Material({ friction: 0.9 });
+            var iceRubber = new ContactMaterial(ice, rubber, { friction: 0.5 });
+            world.addContactMaterial(iceRubber);
+
+            test.equal(world.getContactMaterial(ice, rubber), iceRubber);
+            test.equal(world.getContactMaterial(rubber, ice), iceRubber);
+            test.done();
+        },
+
+        defaultMaterialFallback: function(test){
+            var world = new World();
+            var ice = new Material('ice');
+            var rubber = new Material('rubber');
+            var wood = new Material('wood');
+            var iceAnything = new ContactMaterial(ice, world.defaultMaterial, { friction: 0.01 });
+            world.addContactMaterial(iceAnything);
+
+            test.equal(world.getContactMaterial(ice, rubber), iceAnything);
+            test.equal(world.getContactMaterial(wood, ice), iceAnything);
+            test.equal(world.getContactMaterial(wood, rubber), undefined);
+
+            // Both have one: the material with the lowest id wins, in both argument orders
+            var rubberAnything = new ContactMaterial(rubber, world.defaultMaterial, { friction: 1 });
+            world.addContactMaterial(rubberAnything);
+            test.equal(world.getContactMaterial(ice, rubber), iceAnything);
+            test.equal(world.getContactMaterial(rubber, ice), iceAnything);
+            test.done();
+        },
+
+        combine: function(test){
+            var world = new World();
+            world.defaultContactMaterial.contactEquationStiffness = 1e5;
+            var a = new Material({ friction: 0.2, restitution: 0.4 });
+            var b = new Material({ friction: 0.6, restitution: 0.8 });
+
+            var cm = world.getContactMaterial(a, b);
+            test.equal(cm.friction, 0.2 * 0.6);
+            test.equal(cm.restitution, 0.4 * 0.8);
+            test.equal(cm.contactEquationStiffness, 1e5);
+
+            // Made once, but follows the materials
+            b.frictionCombine = Material.COMBINE_AVERAGE;
+            test.equal(world.getContactMaterial(a, b), cm);
+            test.equal(cm.friction, 0.2 * 0.6);
+            a.frictionCombine = b.frictionCombine = Material.COMBINE_AVERAGE;
+            test.equal(world.getContactMaterial(a, b).friction, 0.4);
+            a.frictionCombine = Material.COMBINE_MIN;
+            test.equal(world.getContactMaterial(a, b).friction, 0.2);
+            b.frictionCombine = Material.COMBINE_MAX;
+            test.equal(world.getContactMaterial(a, b).friction, 0.6);
+
+            // Only restitution given
+            var c = new Material({ restitution: 0.5 });
+            var d = new Material({ restitution: 0.5, restitutionCombine: Material.COMBINE_MAX });
+            cm = world.getContactMaterial(c, d);
+            test.equal(cm.friction, world.defaultContactMaterial.friction);
+            test.equal(cm.restitution, 0.5);
+
+            test.equal(world.getContactMaterial(new Material(), new Material()), undefined);
+            test.done();
+        },
+
+        restitution: function(test){
+            var world = new World();
+            var bouncy = new Material({ restitution: 1, restitutionCombine: Material.COMBINE_MAX });
+            var ground = new Body({ mass: 0, material: new Material({ restitution: 0 }) });
+            ground.addShape(new Plane());
+            world.addBody(ground);
+            var ball = new Body({ mass: 1, material: bouncy, position: new Vec3(0, 0, 0.49), velocity: new Vec3(0, 0, -5), linearDamping: 0 });
+            ball.addShape(new Sphere(0.5));
+            world.addBody(ball);
+
+            world.step(1 / 60);
+
+            test.ok(ball.velocity.z > 4);
+            test.done();
+        }
+    },
+
+    preSolve: {
+        disableContact: function(test){
+            // One-way platform: only collide when falling onto it
+            var world = new World();
+            world.gravity.set(0, 0, -10);
+            var platform = new Body({ mass: 0 });
+            platform.addShape(new Box(new Vec3(2, 2, 0.1)));
+            world.addBody(platform);
+            var sphere = new Body({ mass: 1, position: new Vec3(0, 0, -0.5), velocity: new Vec3(0, 0, 10) });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var numEvents = 0;
+            world.addEventListener('preSolve', function(e){
+                test.ok(e.contact.bi === e.bodyA && e.contact.bj === e.bodyB);
+                test.equal(e.frictionEquations.length, 2);
+
+                if(sphere.velocity.z > 0){
+                    e.enabled = false;
+                }
+                numEvents++;
+            });
+
+            var maxZ = -Infinity;
+            for(var i=0; i<120; i++){
+                world.step(1 / 60);
+                maxZ = Math.max(maxZ, sphere.position.z);
+            }
+
+            // Jumped through the platform and landed on top of it
+            test.ok(numEvents > 0);
+            test.ok(maxZ > 1);
+            test.ok(Math.abs(sphere.position.z - 0.6) < 0.05);
+            test.done();
+        },
+
+        friction: function(test){
+            var world = new World();
+            world.gravity.set(0, 0, -10);
+            var ground = new Body({ mass: 0 });
+            ground.addShape(new Plane());
+            world.addBody(ground);
+            var box = new Body({ mass: 1, position: new Vec3(0, 0, 0.5), velocity: new Vec3(3, 0, 0), linearDamping: 0 });
+            box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+            world.addBody(box);
+
+            world.addEventListener('preSolve', function(e){
+                test.equal(e.friction, world.defaultContactMaterial.friction);
+                test.equal(e.restitution, world.defaultContactMaterial.restitution);
+                e.friction = 0;
+                e.restitution = 0;
+            });
+
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+
+            // Ice
+            test.ok(Math.abs(box.velocity.x - 3) < 0.01);
+            test.done();
+        },
+
+        surfaceVelocity: function(test){
+            var world = new World();
+            world.gravity.set(0, 0, -10);
+            world.defaultContactMaterial.friction = 1;
+            var conveyor = new Body({ mass: 0 });
+            conveyor.addShape(new Plane());
+            world.addBody(conveyor);
+            var box = new Body({ mass: 1, position: new Vec3(0, 0, 0.5) });
+            box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+            world.addBody(box);
+
+            var listener = function(e){
+                e.surfaceVelocity.set(e.bodyA === conveyor ? 2 : -2, 0, 0);
+            };
+            world.addEventListener('preSolve', listener);
+
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+
+            test.ok(Math.abs(box.velocity.x - 2) < 0.1);
+
+            // The equations are reused without the surface velocity
+            world.removeEventListener('preSolve', listener);
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+            test.ok(Math.abs(box.velocity.x) < 0.1);
+            test.done();
+        }
+    },
+
+    surfaceVelocity: {
+        body: function(test){
+            var world = new World();
+            world.gravity.set(0, 0, -10);
+            world.defaultContactMaterial.friction = 1;
+            var conveyor = createConveyor(world);
+
+            // Local x is world y
+            conveyor.quaternion.setFromAxisAngle(new Vec3(0, 0, 1), Math.PI / 2);
+            conveyor.surfaceVelocity.set(2, 0, 0);
+            var box = createConveyorBox(world);
+
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+
+            test.ok(box.velocity.almostEquals(new Vec3(0, 2, 0), 0.1));
+            test.done();
+        },
+
+        contactMaterial: function(test){
+            [1, -1].forEach(function(direction){
+                var world = new World();
+                world.gravity.set(0, 0, -10);
+                var belt = new Material('belt');
+                var crate = new Material('crate');
+                var options = { friction: 1, surfaceVelocity: new Vec3(2, 0, 0) };
+                world.addContactMaterial(direction === 1 ? new ContactMaterial(belt, crate, options) : new ContactMaterial(crate, belt, options));
+                var conveyor = createConveyor(world);
+                conveyor.material = belt;
+                var box = createConveyorBox(world);
+                box.material = crate;
+
+                for(var i=0; i<60; i++){
+                    world.step(1 / 60);
+                }
+
+                test.ok(box.velocity.almostEquals(new Vec3(2 * direction, 0, 0), 0.1));
+            });
+            test.done();
+        },
+
+        frictionReduction: function(test){
+            var world = new World();
+            world.gravity.set(0, 0, -10);
+            world.defaultContactMaterial.friction = 1;
+            world.narrowphase.enableFrictionReduction = true;
+            var conveyor = createConveyor(world);
+            conveyor.surfaceVelocity.set(2, 0, 0);
+            var box = createConveyorBox(world);
+
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+
+            test.ok(box.velocity.almostEquals(new Vec3(2, 0, 0), 0.1));
+            test.done();
+        }
+    },
+
+    contactReport: {
+        impact: function(test){
+            var world = new World();
+            var ground = new Body({ mass: 0 });
+            ground.addShape(new Plane());
+            world.addBody(ground);
+            var sphere = new Body({ mass: 1, position: new Vec3(0, 0, 0.49), velocity: new Vec3(0, 0, -5) });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var reports = [];
+            world.addEventListener('contactReport', function(e){
+                test.equal(world.stepnumber, reports.length);
+                test.ok((e.bodyA === ground && e.bodyB === sphere) || (e.bodyA === sphere && e.bodyB === ground));
+                test.equal(e.contacts.length, 1);
+                test.equal(e.points.length, 1);
+                test.ok(Math.abs(e.points[0].z) < 0.1);
+
+                // Points from A to B
+                var ab = e.bodyB.position.vsub(e.bodyA.position);
+                test.ok(e.normal.dot(ab) > 0);
+
+                reports.push({
+                    impulse: e.impulse,
+                    approachSpeed: e.approachSpeed,
+                    maxPenetration: e.maxPenetration
+                });
+            });
+
+            world.step(1 / 60);
+
+            test.equal(reports.length, 1);
+            test.ok(Math.abs(reports[0].approachSpeed - 5) < 0.01);
+            test.ok(reports[0].impulse > 4);
+            test.ok(reports[0].maxPenetration > 0);
+            test.done();
+        },
+
+        slidingAndRolling: function(test){
+            var world = new World();
+            world.gravity.set(0, 0, -10);
+            world.defaultContactMaterial.friction = 0;
+            var ground = new Body({ mass: 0 });
+            ground.addShape(new Plane());
+            world.addBody(ground);
+            var box = new Body({ mass: 1, position: new Vec3(0, 0, 0.5), velocity: new Vec3(3, 0, 0) });
+            box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+            world.addBody(box);
+            var sphere = new Body({ mass: 1, position: new Vec3(0, 5, 0.5), angularVelocity: new Vec3(5, 0, 0) });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var reports = {};
+            world.addEventListener('contactReport', function(e){
+                var body = e.bodyA === ground ? e.bodyB : e.bodyA;
+                reports[body.id] = {
+                    slidingSpeed: e.slidingSpeed,
+                    rollingSpeed: e.rollingSpeed,
+                    numPoints: e.points.length
+                };
+            });
+
+            world.step(1 / 60);
+
+            test.equal(reports[box.id].numPoints, 4);
+            test.ok(Math.abs(reports[box.id].slidingSpeed - 3) < 0.5);
+            test.ok(reports[box.id].rollingSpeed < 0.1);
+            test.ok(Math.abs(reports[sphere.id].rollingSpeed - 5) < 0.5);
+            test.done();
+        },
+
+        noListener: function(test){
+            var world = new World();
+            var ground = new Body({ mass: 0 });
+            ground.addShape(new Plane());
+            world.addBody(ground);
+            var sphere = new Body({ mass: 1, position: new Vec3(0, 0, 0.45) });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var reports = 0;
+            var listener = function(){ reports++; };
+            world.addEventListener('contactReport', listener);
+            world.step(1 / 60);
+            world.removeEventListener('contactReport', listener);
+            world.step(1 / 60);
+
+            test.equal(reports, 1);
+            test.done();
+        }
+    },
+
+    sensors: {
+        enterStayExit: function(test){
+            var world = new World();
+            var sensor = createSensor(world);
+            var sphere = new Body({ mass: 1, position: new Vec3(-3, 0, 0), velocity: new Vec3(6, 0, 0), linearDamping: 0 });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var events = [];
+            ['triggerEnter', 'triggerStay', 'triggerExit'].forEach(function(type){
+                world.addEventListener(type, function(e){
+                    test.equal(e.bodyA, sensor);
+                    test.equal(e.bodyB, sphere);
+                    test.equal(e.shapeA, sensor.shapes[0]);
+                    test.equal(e.shapeB, sphere.shapes[0]);
+                    events.push(type);
+                });
+            });
+            var bodyEvents = 0;
+            sensor.addEventListener('triggerEnter', function(e){
+                test.equal(e.bodyB, sphere);
+                bodyEvents++;
+            });
+
+            var numContacts = 0;
+            for(var i=0; i<60; i++){
+                world.step(1 / 60);
+                numContacts += world.contacts.length;
+                if(events[events.length - 1] === 'triggerStay'){
+                    test.deepEqual(sensor.overlappingBodies, [sphere]);
+                    test.deepEqual(sensor.overlappingShapes, [sphere.shapes[0]]);
+                }
+            }
+
+            // Passes through without contacts
+            test.equal(numContacts, 0);
+            test.ok(sphere.velocity.almostEquals(new Vec3(6, 0, 0)));
+            test.ok(sphere.position.x > 2);
+
+            test.equal(events[0], 'triggerEnter');
+            test.equal(events[events.length - 1], 'triggerExit');
+            test.equal(events.filter(function(type){ return type === 'triggerEnter'; }).length, 1);
+            test.equal(events.filter(function(type){ return type === 'triggerExit'; }).length, 1);
+            test.ok(events.filter(function(type){ return type === 'triggerStay'; }).length > 5);
+            test.equal(bodyEvents, 1);
+            test.equal(sensor.overlappingBodies.length, 0);
+            test.equal(sensor.overlappingShapes.length, 0);
+            test.done();
+        },
+
+        sensorShape: function(test){
+            var world = new World();
+            var body = new Body({ mass: 0 });
+            var sensorShape = new Sphere(2);
+            sensorShape.sensor = true;
+            body.addShape(new Sphere(0.5));
+            body.addShape(sensorShape);
+            world.addBody(body);
+
+            // Inside the sensor shape, but not touching the solid one
+            var sphere = new Body({ mass: 1, position: new Vec3(1.5, 0, 0) });
+            sphere.addShape(new Sphere(0.25));
+            world.addBody(sphere);
+
+            var enter = null;
+            world.addEventListener('triggerEnter', function(e){
+                enter = { bodyA: e.bodyA, shapeA: e.shapeA, shapeB: e.shapeB };
+            });
+            world.step(1 / 60);
+
+            test.equal(world.contacts.length, 0);
+            test.equal(enter.bodyA, body);
+            test.equal(enter.shapeA, sensorShape);
+            test.equal(enter.shapeB, sphere.shapes[0]);
+            test.deepEqual(body.overlappingBodies, [sphere]);
+
+            // The solid shape still collides
+            sphere.position.set(0.6, 0, 0);
+            world.step(1 / 60);
+            test.ok(world.contacts.length > 0);
+
+            test.done();
+        },
+
+        removeBody: function(test){
+            var world = new World();
+            var sensor = createSensor(world);
+            var sphere = new Body({ mass: 1 });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var exits = 0;
+            world.addEventListener('triggerExit', function(e){
+                test.equal(e.bodyB, sphere);
+                exits++;
+            });
+            world.step(1 / 60);
+            test.deepEqual(sensor.overlappingBodies, [sphere]);
+            world.removeBody(sphere);
+            world.step(1 / 60);
+            test.equal(exits, 1);
+            test.equal(sensor.overlappingBodies.length, 0);
+            test.done();
+        },
+
+        sleeping: function(test){
+            var world = new World({ allowSleep: true });
+            var sensor = createSensor(world);
+            var sphere = new Body({ mass: 1 });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var exits = 0;
+            world.addEventListener('triggerExit', function(){
+                exits++;
+            });
+            for(var i=0; i<120; i++){
+                world.step(1 / 60);
+            }
+
+            // The broadphase skips the sleeping sphere, but it is still inside
+            test.equal(sphere.sleepState, Body.SLEEPING);
+            test.equal(exits, 0);
+            test.deepEqual(sensor.overlappingBodies, [sphere]);
+            test.done();
+        },
+
+        restoreState: function(test){
+            var world = new World();
+            var sensor = createSensor(world);
+            var sphere = new Body({ mass: 1, position: new Vec3(-3, 0, 0), velocity: new Vec3(6, 0, 0), linearDamping: 0 });
+            sphere.addShape(new Sphere(0.5));
+            world.addBody(sphere);
+
+            var events = [];
+            ['triggerEnter', 'triggerExit'].forEach(function(type){
+                world.addEventListener(type, function(){
+                    events.push(type);
+                });
+            });
+
+            // Save while inside the sensor, then leave it
+            for(var i=0; i<20; i++){
+                world.step(1 / 60);
+            }
+            test.deepEqual(events, ['triggerEnter']);
+            var state = world.saveState();
+            for(i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+            test.deepEqual(events, ['triggerEnter', 'triggerExit']);
+
+            // Resimulating from inside the sensor should only exit it
+            events.length = 0;
+            world.restoreState(state);
+            test.deepEqual(sensor.overlappingBodies, [sphere]);
+            for(i=0; i<60; i++){
+                world.step(1 / 60);
+            }
+            test.deepEqual(events, ['triggerExit']);
+            test.equal(sensor.overlappingBodies.length, 0);
+            test.done();
+        },
+
+        queries: function(test){
+            var world = new World();
+            createSensor(world);
+
+            var result = new RaycastResult();
+            world.raycastClosest(new Vec3(-5, 0, 0), new Vec3(5, 0, 0), {}, result);
+            test.equal(result.hasHit, false);
+
+            world.raycastClosest(new Vec3(-5, 0, 0), new Vec3(5, 0, 0), { checkCollisionResponse: false }, result);
+            test.equal(result.hasHit, true);
+            test.done();
+        }
+    },
+
     collisionMatrix : function(test) {
         function testCollisionMatrix(CollisionMatrix) {
             var test_configs = [
@@ -348,3 +1541,96 @@ module.exports = {
 
 
 };
+
+function createStackWorld(){
+    var world = new World({
+        gravity: new Vec3(0, 0, -10),
+        broadphase: new SAPBroadphase()
+    });
+    var ground = new Body({ mass: 0 });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+    for(var i = 0; i < 5; i++){
+        var box = new Body({ mass: 1, position: new Vec3(0, 0, 0.5 + i * 1.01) });
+        box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+        world.addBody(box);
+    }
+    var sphere = new Body({ mass: 1, position: new Vec3(0.3, 0.1, 8), velocity: new Vec3(0, 0, -5) });
+    sphere.addShape(new Sphere(0.5));
+    world.addBody(sphere);
+    return world;
+}
+
+function createSleepStackWorld(){
+    var world = new World({
+        gravity: new Vec3(0, 0, -10),
+        allowSleep: true
+    });
+    var ground = new Body({ mass: 0 });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+    for(var i = 0; i < 3; i++){
+        var box = new Body({ mass: 1, position: new Vec3(0, 0, 0.5 + i * 1.01) });
+        box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+        world.addBody(box);
+    }
+    return world;
+}
+
+// A pile of spheres and boxes, two of them linked by a constraint
+function createDeterministicWorld(deterministic){
+    var world = new World({
+        gravity: new Vec3(0, 0, -10),
+        deterministic: deterministic,
+        broadphase: new SAPBroadphase(),
+        solver: new SplitSolver(new GSSolver())
+    });
+    var ground = new Body({ mass: 0 });
+    ground.addShape(new Plane());
+    world.addBody(ground);
+    for(var i = 0; i < 20; i++){
+        var body = new Body({ mass: 1, position: new Vec3((i % 4) * 0.9 - 1.3, ((i >> 2) % 2) * 0.3, 0.5 + i * 0.6) });
+        body.addShape(i % 2 ? new Box(new Vec3(0.4, 0.4, 0.4)) : new Sphere(0.4));
+        world.addBody(body);
+    }
+    world.addConstraint(new PointToPointConstraint(world.bodies[3], new Vec3(0.5, 0, 0), world.bodies[4], new Vec3(-0.5, 0, 0)));
+    return world;
+}
+
+function getPairKey(contact){
+    var i = contact.bi.index,
+        j = contact.bj.index;
+    return Math.min(i, j) * 1000 + Math.max(i, j);
+}
+
+function createPendulumWorld(){
+    var world = new World({ gravity: new Vec3(0, -10, 0) });
+    var anchor = new Body({ mass: 0 });
+    var body = new Body({ mass: 1, position: new Vec3(0, -1, 0) });
+    body.addShape(new Sphere(0.1));
+    world.addBody(anchor);
+    world.addBody(body);
+    world.addConstraint(new PointToPointConstraint(anchor, new Vec3(0, 0, 0), body, new Vec3(0, 1, 0)));
+    return world;
+}
+
+function createSensor(world){
+    var sensor = new Body({ mass: 0, sensor: true });
+    sensor.addShape(new Box(new Vec3(1, 1, 1)));
+    world.addBody(sensor);
+    return sensor;
+}
+
+function createConveyor(world){
+    var conveyor = new Body({ mass: 0 });
+    conveyor.addShape(new Box(new Vec3(10, 10, 0.5)));
+    world.addBody(conveyor);
+    return conveyor;
+}
+
+function createConveyorBox(world){
+    var box = new Body({ mass: 1, position: new Vec3(0, 0, 1), linearDamping: 0 });
+    box.addShape(new Box(new Vec3(0.5, 0.5, 0.5)));
+    world.addBody(box);
+    return box;
+}
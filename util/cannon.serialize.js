@@ -2,6 +2,8 @@
 
 Adds two methods to the CANNON.World class: .toJSON and .fromJSON. These methods are not complete but works for simple cases.
 
+Deprecated: CANNON.World now has a complete .toJSON() method and a static CANNON.World.fromJSON(), see CANNON.Serializer. Note that including this script replaces the built-in .toJSON().
+
 Usage:
 
 	Include this script after cannon.js or cannon.min.js: